@@ -0,0 +1,248 @@
+/**
+ * cachePolicy.js
+ *
+ * HTTP caching rules (RFC 9111) for the proxy's shared cache (see resourceCache.js):
+ *  - what may be stored: not no-store, not private (one user's response must not reach
+ *    another), no Set-Cookie, no Vary: *, nothing sent with credentials (Authorization,
+ *    Cookie) unless the response says public / s-maxage / must-revalidate
+ *  - how long it is fresh: s-maxage, max-age, Expires - Date, or heuristically 10% of the time
+ *    since Last-Modified (capped) for statuses cacheable by default
+ *  - how old it is: the Age header plus the time it spent in transit and in the cache
+ *  - whether a stored response may answer a request: request no-cache / max-age / min-fresh /
+ *    max-stale against the response's no-cache / must-revalidate / proxy-revalidate
+ *  - when a stale one may still be used (RFC 5861): stale-while-revalidate (answer now,
+ *    revalidate behind it) and stale-if-error (the upstream failed); an upstream that cannot be
+ *    reached counts as stale-if-error for config.caching.staleRetentionMs, as RFC 9111 allows a
+ *    disconnected cache. must-revalidate (and proxy-revalidate, s-maxage) rule out both.
+ *  - how to revalidate it: If-None-Match / If-Modified-Since from its validators, and how a 304
+ *    updates it
+ *  - which variant answers it: the request headers named by Vary
+ * Header arguments are node-fetch Headers or plain objects (any name case).
+ *
+ * Exposes:
+ *    parseCacheControl(value) -> { directive: value | true }
+ *    isStorable(status, requestHeaders, responseHeaders) -> boolean
+ *    freshnessLifetime(status, responseHeaders, options) -> ms
+ *    currentAge(responseHeaders, { requestTime, responseTime }, now) -> ms
+ *    varyNames(responseHeaders) -> lower-case header names, or null for Vary: *
+ *    varyKey(names, requestHeaders) -> string identifying the variant
+ *    canServe(stored, requestHeaders, now) -> { fresh, age, staleWhileRevalidate, staleIfError }
+ *      where stored is { status, headers, requestTime, responseTime }
+ *    retention(stored, now) -> ms the stored response is worth keeping (0: not at all)
+ *    conditionalHeaders(stored) -> { 'if-none-match', 'if-modified-since' } (either may be missing)
+ *    updateHeaders(headers, notModifiedHeaders) -> stored headers updated by a 304
+ *    HEURISTIC_STATUSES
+ */
+
+const { getCacheDefaults } = require('./config');
+
+// statuses a cache may store without explicit freshness information (RFC 9110 section 15.1)
+const HEURISTIC_STATUSES = [200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501];
+
+function header(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  if (!key) return null;
+  const value = headers[key];
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+/**
+ * parseCacheControl(value)
+ */
+function parseCacheControl(value) {
+  const out = {};
+  for (const part of String(value || '').split(',')) {
+    const m = /^\s*([!#$%&'*+.^_`|~\w-]+)\s*(?:=\s*(?:"([^"]*)"|([^\s,]*)))?\s*$/.exec(part);
+    if (!m) continue;
+    const name = m[1].toLowerCase();
+    // the first occurrence wins
+    if (!(name in out)) out[name] = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : true;
+  }
+  return out;
+}
+
+function seconds(value) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) || n < 0 ? null : n;
+}
+
+function requestCacheControl(requestHeaders) {
+  const cc = parseCacheControl(header(requestHeaders, 'cache-control'));
+  // Pragma: no-cache only counts when there is no Cache-Control
+  if (!header(requestHeaders, 'cache-control') && /\bno-cache\b/i.test(header(requestHeaders, 'pragma') || '')) cc['no-cache'] = true;
+  return cc;
+}
+
+/**
+ * isStorable(status, requestHeaders, responseHeaders)
+ */
+function isStorable(status, requestHeaders, responseHeaders) {
+  const req = requestCacheControl(requestHeaders);
+  const res = parseCacheControl(header(responseHeaders, 'cache-control'));
+  if (req['no-store'] || res['no-store'] || res['private']) return false;
+  if (header(responseHeaders, 'set-cookie')) return false;
+  if (varyNames(responseHeaders) === null) return false;
+  const credentials = header(requestHeaders, 'authorization') || header(requestHeaders, 'cookie');
+  if (credentials && !(res['public'] || res['s-maxage'] !== undefined || res['must-revalidate'])) return false;
+  return !!(HEURISTIC_STATUSES.includes(status) || res['public'] || res['max-age'] !== undefined ||
+    res['s-maxage'] !== undefined || header(responseHeaders, 'expires'));
+}
+
+/**
+ * freshnessLifetime(status, responseHeaders, { heuristicFraction, maxHeuristicMs })
+ */
+function freshnessLifetime(status, responseHeaders, options = {}) {
+  const defaults = getCacheDefaults();
+  const fraction = options.heuristicFraction !== undefined ? options.heuristicFraction : defaults.heuristicFraction;
+  const maxHeuristic = options.maxHeuristicMs !== undefined ? options.maxHeuristicMs : defaults.maxHeuristicMs;
+  const cc = parseCacheControl(header(responseHeaders, 'cache-control'));
+
+  const sMaxAge = seconds(cc['s-maxage']);
+  if (sMaxAge !== null) return sMaxAge * 1000;
+  const maxAge = seconds(cc['max-age']);
+  if (maxAge !== null) return maxAge * 1000;
+
+  const date = Date.parse(header(responseHeaders, 'date') || '');
+  const expiresHeader = header(responseHeaders, 'expires');
+  if (expiresHeader) {
+    // an invalid Expires (e.g. "0") means already expired
+    const expires = Date.parse(expiresHeader);
+    if (Number.isNaN(expires)) return 0;
+    return Math.max(0, expires - (Number.isNaN(date) ? Date.now() : date));
+  }
+
+  const lastModified = Date.parse(header(responseHeaders, 'last-modified') || '');
+  if (cc['no-cache'] || !HEURISTIC_STATUSES.includes(status) || Number.isNaN(lastModified)) return 0;
+  const since = (Number.isNaN(date) ? Date.now() : date) - lastModified;
+  return since > 0 ? Math.min(Math.floor(since * fraction), maxHeuristic) : 0;
+}
+
+/**
+ * currentAge(responseHeaders, { requestTime, responseTime }, now)
+ * - RFC 9111 section 4.2.3
+ */
+function currentAge(responseHeaders, { requestTime, responseTime }, now = Date.now()) {
+  const date = Date.parse(header(responseHeaders, 'date') || '');
+  const apparentAge = Number.isNaN(date) ? 0 : Math.max(0, responseTime - date);
+  const ageValue = (seconds(header(responseHeaders, 'age')) || 0) * 1000;
+  const correctedAge = ageValue + (responseTime - requestTime);
+  return Math.max(apparentAge, correctedAge) + Math.max(0, now - responseTime);
+}
+
+/**
+ * varyNames(responseHeaders)
+ */
+function varyNames(responseHeaders) {
+  const names = String(header(responseHeaders, 'vary') || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+  if (names.includes('*')) return null;
+  return [...new Set(names)].sort();
+}
+
+/**
+ * varyKey(names, requestHeaders)
+ * - values are compared after collapsing whitespace, as RFC 9111 section 4.1 allows
+ */
+function varyKey(names, requestHeaders) {
+  return (names || []).map(name => {
+    const value = header(requestHeaders, name);
+    return name + '=' + (value == null ? '' : String(value).trim().replace(/\s*,\s*/g, ',').replace(/\s+/g, ' '));
+  }).join('\n');
+}
+
+function mustRevalidate(res) {
+  return !!(res['must-revalidate'] || res['proxy-revalidate'] || res['s-maxage'] !== undefined);
+}
+
+/**
+ * canServe(stored, requestHeaders, now)
+ * - fresh: the stored response may answer the request as it is
+ * - staleWhileRevalidate: it may answer it while being revalidated in the background
+ * - staleIfError: it may answer it if revalidating fails
+ */
+function canServe(stored, requestHeaders, now = Date.now()) {
+  const age = currentAge(stored.headers, stored, now);
+  const lifetime = freshnessLifetime(stored.status, stored.headers);
+  const req = requestCacheControl(requestHeaders);
+  const res = parseCacheControl(header(stored.headers, 'cache-control'));
+  const staleness = age - lifetime;
+  const staleIfErrorMs = Math.max(seconds(res['stale-if-error']) || 0, seconds(req['stale-if-error']) || 0) * 1000;
+  const out = {
+    fresh: false,
+    age,
+    staleWhileRevalidate: false,
+    staleIfError: !mustRevalidate(res) && staleness <= Math.max(staleIfErrorMs, getCacheDefaults().staleRetentionMs)
+  };
+  if (req['no-cache'] || res['no-cache']) return out;
+
+  const maxAge = seconds(req['max-age']);
+  if (maxAge !== null && age > maxAge * 1000) return out;
+  const minFresh = seconds(req['min-fresh']) || 0;
+  if (age < lifetime) return Object.assign(out, { fresh: lifetime - age >= minFresh * 1000 });
+
+  // stale: only with the client's max-stale, and never past must-revalidate
+  if (mustRevalidate(res)) return out;
+  const maxStale = req['max-stale'] === true ? Infinity : seconds(req['max-stale']);
+  out.fresh = maxStale !== null && staleness <= maxStale * 1000;
+  out.staleWhileRevalidate = staleness <= (seconds(res['stale-while-revalidate']) || 0) * 1000;
+  return out;
+}
+
+/**
+ * retention(stored, now)
+ * - fresh time left, plus the stale time it may still serve (stale-while-revalidate,
+ *   stale-if-error); one with validators is kept staleRetentionMs past that for revalidation
+ */
+function retention(stored, now = Date.now()) {
+  const res = parseCacheControl(header(stored.headers, 'cache-control'));
+  const fresh = Math.max(0, freshnessLifetime(stored.status, stored.headers) - currentAge(stored.headers, stored, now));
+  const validators = header(stored.headers, 'etag') || header(stored.headers, 'last-modified');
+  const stale = Math.max(
+    (seconds(res['stale-while-revalidate']) || 0) * 1000,
+    (seconds(res['stale-if-error']) || 0) * 1000,
+    validators || fresh > 0 ? getCacheDefaults().staleRetentionMs : 0
+  );
+  return fresh + (mustRevalidate(res) && !validators ? 0 : stale);
+}
+
+/**
+ * conditionalHeaders(stored)
+ */
+function conditionalHeaders(stored) {
+  const out = {};
+  const etag = header(stored.headers, 'etag');
+  const lastModified = header(stored.headers, 'last-modified');
+  if (etag) out['if-none-match'] = etag;
+  if (lastModified) out['if-modified-since'] = lastModified;
+  return out;
+}
+
+/**
+ * updateHeaders(headers, notModifiedHeaders)
+ * - RFC 9111 section 3.2: the 304's headers replace the stored ones of the same name
+ */
+function updateHeaders(headers, notModifiedHeaders) {
+  const out = Object.assign({}, headers);
+  for (const name of Object.keys(out).concat(['cache-control', 'expires', 'date', 'age', 'etag', 'last-modified', 'vary'])) {
+    const value = header(notModifiedHeaders, name);
+    if (value != null) out[name] = String(value);
+  }
+  // the 304 is new: an Age it does not repeat no longer applies
+  if (header(notModifiedHeaders, 'age') == null) delete out['age'];
+  return out;
+}
+
+module.exports = {
+  HEURISTIC_STATUSES,
+  parseCacheControl,
+  isStorable,
+  freshnessLifetime,
+  currentAge,
+  varyNames,
+  varyKey,
+  canServe,
+  retention,
+  conditionalHeaders,
+  updateHeaders
+};
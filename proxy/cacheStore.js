@@ -0,0 +1,160 @@
+/**
+ * cacheStore.js
+ *
+ * Storage adapters behind resourceCache.js. An adapter is an object with:
+ *    get(key) -> Promise<{ value, expiresAt } | null>   (null once expired)
+ *    set(key, value, expiresAt) -> Promise<boolean>     (expiresAt: ms timestamp or null)
+ *    del(key) -> Promise
+ *    scan(prefix) -> Promise<keys starting with prefix>
+ *    stats() -> Promise<object with at least { backend }>
+ * and optionally clear() (otherwise scan + del), sweep() (dropping expired entries, called
+ * periodically) and close(). Values are plain JSON-like data that may contain Buffers.
+ *
+ * Built-in backends (config.caching.backend):
+ *  - memory   this process only (memoryStore.js)
+ *  - disk     cache directory (diskStore.js)
+ *  - local    memory over disk, the default
+ *  - redis    shared by every process using the same Redis (redisStore.js)
+ *  - tiered   memory over redis: hot entries answered from memory, for at most
+ *             tierMemoryTtlMs so that other processes' updates are seen
+ * In the tiered stores the lower tier is written in the background and only with items up to
+ * maxItemBytes; its failures count as misses, so a cache server going away only costs hits.
+ *
+ * Exposes:
+ *    createTieredStore(upper, lower, { upperTtlMs, maxItemBytes }) -> store
+ *    createCacheStore(options) -> store for options.backend (options: config.caching)
+ *    BACKENDS
+ */
+
+const { createMemoryStore, estimateSize } = require('./memoryStore');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logWarn: () => {} }; }
+})();
+
+const BACKENDS = ['memory', 'disk', 'local', 'redis', 'tiered'];
+const DEFAULT_MAX_ITEM_BYTES = 1024 * 1024; // 1MB, larger items stay in the upper tier
+
+/**
+ * createTieredStore(upper, lower, { upperTtlMs, maxItemBytes })
+ * - upperTtlMs: how long the upper tier may keep a copy (0: as long as the entry lives)
+ */
+function createTieredStore(upper, lower, { upperTtlMs = 0, maxItemBytes = DEFAULT_MAX_ITEM_BYTES } = {}) {
+  const upperExpiry = expiresAt => {
+    if (!upperTtlMs) return expiresAt;
+    const cap = Date.now() + upperTtlMs;
+    return expiresAt ? Math.min(expiresAt, cap) : cap;
+  };
+
+  const quietly = (promise, what) => Promise.resolve(promise).catch(e => {
+    logWarn(`cacheStore ${what} failed: ${e.message}`);
+    return null;
+  });
+
+  /**
+   * get(key)
+   */
+  async function get(key) {
+    const hit = await upper.get(key);
+    if (hit) return hit;
+    const found = await quietly(lower.get(key), 'lower tier get');
+    if (!found) return null;
+    await upper.set(key, found.value, upperExpiry(found.expiresAt));
+    return found;
+  }
+
+  /**
+   * set(key, value, expiresAt)
+   */
+  async function set(key, value, expiresAt = null) {
+    await upper.set(key, value, upperExpiry(expiresAt));
+    // an older, smaller value must not come back from the lower tier
+    if (estimateSize(value) <= maxItemBytes) quietly(lower.set(key, value, expiresAt), 'lower tier set');
+    else quietly(lower.del(key), 'lower tier del');
+    return true;
+  }
+
+  /**
+   * del(key)
+   */
+  async function del(key) {
+    await upper.del(key);
+    await quietly(lower.del(key), 'lower tier del');
+  }
+
+  /**
+   * scan(prefix)
+   */
+  async function scan(prefix = '') {
+    const keys = new Set(await upper.scan(prefix));
+    for (const key of (await quietly(lower.scan(prefix), 'lower tier scan')) || []) keys.add(key);
+    return [...keys];
+  }
+
+  /**
+   * clear()
+   */
+  async function clear() {
+    await clearStore(upper);
+    await quietly(clearStore(lower), 'lower tier clear');
+  }
+
+  function sweep() {
+    if (upper.sweep) upper.sweep();
+    if (lower.sweep) lower.sweep();
+  }
+
+  /**
+   * stats()
+   */
+  async function stats() {
+    return {
+      backend: 'tiered',
+      upper: await upper.stats(),
+      lower: (await quietly(lower.stats(), 'lower tier stats')) || { error: 'unavailable' }
+    };
+  }
+
+  function close() {
+    if (upper.close) upper.close();
+    if (lower.close) lower.close();
+  }
+
+  return { get, set, del, scan, clear, sweep, stats, close };
+}
+
+async function clearStore(store) {
+  if (store.clear) return store.clear();
+  for (const key of await store.scan('')) await store.del(key);
+}
+
+/**
+ * createCacheStore(options)
+ * - options: config.caching; backend falls back to local when unknown
+ */
+function createCacheStore(options = {}) {
+  // adapters are required on demand: only the chosen ones touch the disk or the network
+  const memory = () => createMemoryStore({ maxItems: options.maxMemoryItems, maxBytes: options.maxMemoryBytes });
+  const disk = () => require('./diskStore').createDiskStore({ dir: options.diskStoreDir, maxBytes: options.maxDiskBytes });
+  const redis = () => require('./redisStore').createRedisStore(options.redis || {});
+  const backend = BACKENDS.includes(options.backend) ? options.backend : 'local';
+  if (backend !== options.backend && options.backend) logWarn(`cacheStore unknown backend "${options.backend}", using local`);
+
+  switch (backend) {
+    case 'memory':
+      return memory();
+    case 'disk':
+      return disk();
+    case 'redis':
+      return redis();
+    case 'tiered':
+      return createTieredStore(memory(), redis(), { upperTtlMs: options.tierMemoryTtlMs, maxItemBytes: options.maxItemBytes });
+    default:
+      return createTieredStore(memory(), disk(), { maxItemBytes: options.maxItemBytes });
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createTieredStore,
+  createCacheStore
+};
@@ -0,0 +1,169 @@
+/**
+ * charset.js
+ *
+ * Character set detection and decoding for bodies passing through the rewriters, which work
+ * on JS strings and always emit UTF-8.
+ * Detection order (as in the WHATWG encoding sniffing algorithm):
+ *  - byte order mark (UTF-8, UTF-16LE, UTF-16BE)
+ *  - charset parameter of the Content-Type header
+ *  - the body itself: <meta charset> / <meta http-equiv="Content-Type"> in the first 1024
+ *    bytes of HTML (read with htmlParser.extractMeta), a leading @charset rule in CSS, the
+ *    encoding of an <?xml ?> declaration
+ *  - UTF-8
+ * Decoding uses the built-in TextDecoder; Node's full ICU covers Shift_JIS, EUC-JP, GBK /
+ * GB18030, Big5, EUC-KR, KOI8, windows-125x and ISO-8859-x. Labels follow the Encoding
+ * standard, so iso-8859-1 and us-ascii decode as windows-1252 the way browsers do.
+ *
+ * Exposes:
+ *    charsetFromContentType(contentType) -> label or null
+ *    normalizeCharset(label) -> canonical encoding name, or null when unsupported
+ *    kindForContentType(contentType) -> 'html' | 'xml' | 'css' | 'text'
+ *    sniffCharset(head, { kind, declared }) -> { charset, source, bomLength }
+ *    createDecoder({ kind, declared }) -> { write(buf) -> string, end() -> string }
+ *    decodeBody(buf, { kind, declared }) -> string
+ *    utf8ContentType(contentType) -> the same media type with charset=utf-8
+ */
+
+const { extractMeta } = require('./htmlParser');
+
+const SNIFF_BYTES = 1024; // how far into the body <meta charset> / @charset are looked for
+const DEFAULT_CHARSET = 'utf-8';
+
+/**
+ * charsetFromContentType(contentType)
+ */
+function charsetFromContentType(contentType) {
+  const m = /;\s*charset\s*=\s*("?)([^";\s]+)\1/i.exec(String(contentType || ''));
+  return m ? m[2] : null;
+}
+
+/**
+ * normalizeCharset(label)
+ */
+function normalizeCharset(label) {
+  if (!label) return null;
+  try {
+    return new TextDecoder(String(label).trim()).encoding;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * kindForContentType(contentType)
+ * - which in-body declaration applies to a response
+ */
+function kindForContentType(contentType) {
+  const type = String(contentType || '').toLowerCase();
+  if (/\btext\/html\b/.test(type)) return 'html';
+  if (/[/+]xml\b/.test(type)) return 'xml';
+  if (/\btext\/css\b/.test(type)) return 'css';
+  return 'text';
+}
+
+function bomCharset(head) {
+  if (head[0] === 0xEF && head[1] === 0xBB && head[2] === 0xBF) return ['utf-8', 3];
+  if (head[0] === 0xFF && head[1] === 0xFE) return ['utf-16le', 2];
+  if (head[0] === 0xFE && head[1] === 0xFF) return ['utf-16be', 2];
+  return null;
+}
+
+/**
+ * declaredInBody(head, kind)
+ * - the charset the body names for itself, read from its ASCII-compatible prefix
+ */
+function declaredInBody(head, kind) {
+  const text = head.subarray(0, SNIFF_BYTES).toString('latin1');
+  if (kind === 'html') {
+    const charset = normalizeCharset(extractMeta(text).charset);
+    // a document that reached us as bytes cannot really be UTF-16 without a BOM
+    return charset && /^utf-16/.test(charset) ? 'utf-8' : charset;
+  }
+  if (kind === 'css') {
+    const m = /^@charset "([^"]*)";/.exec(text);
+    return m ? normalizeCharset(m[1]) : null;
+  }
+  if (kind === 'xml') {
+    const m = /^<\?xml[^>]*?\sencoding\s*=\s*(["'])([^"']+)\1/.exec(text);
+    return m ? normalizeCharset(m[2]) : null;
+  }
+  return null;
+}
+
+/**
+ * sniffCharset(head, { kind, declared })
+ * - head: the first bytes of the body (up to 1024 are used)
+ * - declared: the Content-Type charset, if any
+ * - source tells where the answer came from: bom | header | body | default
+ */
+function sniffCharset(head, { kind = 'text', declared = null } = {}) {
+  const bom = bomCharset(head);
+  if (bom) return { charset: bom[0], source: 'bom', bomLength: bom[1] };
+  const fromHeader = normalizeCharset(declared);
+  if (fromHeader) return { charset: fromHeader, source: 'header', bomLength: 0 };
+  const fromBody = declaredInBody(head, kind);
+  if (fromBody) return { charset: fromBody, source: 'body', bomLength: 0 };
+  return { charset: DEFAULT_CHARSET, source: 'default', bomLength: 0 };
+}
+
+/**
+ * createDecoder({ kind, declared })
+ * - incremental bytes -> string; holds input back until enough of the body has arrived to
+ *   sniff (3 bytes when the header names a charset, 1024 otherwise)
+ */
+function createDecoder({ kind = 'text', declared = null } = {}) {
+  const needed = normalizeCharset(declared) ? 3 : SNIFF_BYTES;
+  let decoder = null;
+  let pending = [];
+  let pendingLength = 0;
+
+  const start = () => {
+    const head = Buffer.concat(pending, pendingLength);
+    pending = [];
+    // TextDecoder drops a matching BOM itself
+    decoder = new TextDecoder(sniffCharset(head, { kind, declared }).charset);
+    return decoder.decode(head, { stream: true });
+  };
+
+  return {
+    write(chunk) {
+      if (decoder) return decoder.decode(chunk, { stream: true });
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      return pendingLength >= needed ? start() : '';
+    },
+    end() {
+      const rest = decoder ? '' : start();
+      return rest + decoder.decode();
+    }
+  };
+}
+
+/**
+ * decodeBody(buf, { kind, declared })
+ */
+function decodeBody(buf, options = {}) {
+  const decoder = createDecoder(options);
+  return decoder.write(buf) + decoder.end();
+}
+
+/**
+ * utf8ContentType(contentType)
+ * - "text/html; charset=Shift_JIS" -> "text/html; charset=utf-8"
+ */
+function utf8ContentType(contentType) {
+  if (!contentType) return contentType;
+  const params = String(contentType).split(';').map(p => p.trim()).filter(Boolean);
+  const type = params.shift();
+  return [type, ...params.filter(p => !/^charset\s*=/i.test(p)), 'charset=utf-8'].join('; ');
+}
+
+module.exports = {
+  charsetFromContentType,
+  normalizeCharset,
+  kindForContentType,
+  sniffCharset,
+  createDecoder,
+  decodeBody,
+  utf8ContentType
+};
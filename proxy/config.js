@@ -12,6 +12,8 @@
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const { encodeProxyUrl, NAVIGATE, RESOURCE } = require('./proxyUrl');
+const { createUrlCodec } = require('./urlCodec');
 
 const ROOT = path.join(__dirname, '..');
 const LOG_DIR = process.env.SEB_LOG_DIR || path.join(ROOT, 'logs');
@@ -25,9 +27,83 @@ const DEFAULTS = {
   },
 
   proxy: {
+    urlScheme: process.env.PROXY_URL_SCHEME === 'path' ? 'path' : 'query', // URLs emitted by the rewriters
     proxyPath: '/proxy?url=',
     resourcePath: '/resource?url=',
+    pathPrefix: '/p/', // path scheme: /p/<scheme>/<host>/<path>?<query>
+    resourcePathPrefix: '/r/',
+    sourceMapPath: '/sourcemap?url=', // source maps of rewritten scripts (see sourceMap.js)
+    urlCodec: {
+      // how upstream URLs are encoded in proxied URLs: plain | base64url | xor | aes-gcm (see urlCodec.js)
+      name: process.env.PROXY_URL_CODEC || 'plain',
+      key: process.env.PROXY_URL_KEY || '' // xor key / aes-gcm secret (required for aes-gcm: startup fails without one)
+    },
     maxContentLength: 8 * 1024 * 1024, // 8MB
+    maxRequestBodyLength: parseInt(process.env.PROXY_MAX_BODY || String(10 * 1024 * 1024), 10), // 10MB uploads
+    allowedMethods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    formTargetField: '__sebUrl', // hidden field carrying the upstream URL of GET forms
+    runtimeScript: '/js/proxyRuntime.js', // client runtime injected into proxied pages (public/js)
+    serviceWorker: {
+      // opt-in: proxied pages register a service worker that routes every request through the proxy
+      enabled: process.env.PROXY_SERVICE_WORKER === '1',
+      path: '/sw.js',
+      file: path.join(ROOT, 'public', 'js', 'proxySW.js'),
+      header: 'x-seb-sw' // set by the worker on requests it forwards
+    },
+    // upstream redirects are answered to the browser with a proxied Location; with
+    // followRedirects /proxy follows them itself instead (see redirects.js)
+    followRedirects: process.env.PROXY_FOLLOW_REDIRECTS === '1',
+    maxRedirects: parseInt(process.env.PROXY_MAX_REDIRECTS || '10', 10), // hops the proxy follows
+    cookieJar: {
+      // upstream cookies live server-side in a jar per proxy session (see cookies.js); the
+      // browser only holds the opaque session ID
+      sessionCookie: 'seb.sid',
+      idleTimeoutMs: parseInt(process.env.PROXY_SESSION_IDLE_MS || String(12 * 60 * 60 * 1000), 10), // 12h
+      maxCookies: 3000,
+      maxCookiesPerDomain: 50,
+      // jars are written to disk (see cookieStore.js) and survive restarts
+      persist: process.env.PROXY_COOKIE_PERSIST !== '0',
+      storeDir: process.env.SEB_SESSION_DIR || path.join(CACHE_DIR, 'sessions'),
+      // signs the per-session tokens of the session API (server.js /session/*); empty: a
+      // random secret per process, so tokens are fetched again after a restart
+      apiTokenSecret: process.env.PROXY_SESSION_TOKEN_SECRET || ''
+    },
+    requestHeaders: {
+      // upstream request headers (see requestHeaders.js); these fill in for headers the
+      // browser did not send (and for server-side fetches, which have no browser)
+      userAgent: process.env.PROXY_USER_AGENT || 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+      accept: '*/*',
+      acceptLanguage: process.env.PROXY_ACCEPT_LANGUAGE || 'en-US,en;q=0.9',
+      // per-domain overrides, a domain covering its subdomains: { "example.com": { "user-agent": "...", "referer": null } }
+      // (null removes the header); PROXY_HEADER_OVERRIDES may hold the same object as JSON
+      overrides: (() => {
+        try { return JSON.parse(process.env.PROXY_HEADER_OVERRIDES || '{}'); } catch (e) { return {}; }
+      })()
+    },
+    responseHeaders: {
+      // what happens to upstream response headers: pass | drop | csp | link | refresh | url
+      // (see responseHeaders.js for the built-in table); entries here replace table entries,
+      // a name ending in "*" covers every header with that prefix.
+      // PROXY_RESPONSE_HEADER_POLICY may hold the same object as JSON
+      defaultAction: process.env.PROXY_RESPONSE_HEADER_DEFAULT === 'drop' ? 'drop' : 'pass',
+      policy: (() => {
+        try { return JSON.parse(process.env.PROXY_RESPONSE_HEADER_POLICY || '{}'); } catch (e) { return {}; }
+      })()
+    },
+    upstreamPool: {
+      // outbound connections (see upstreamAgent.js): kept alive for reuse, at most
+      // maxSocketsPerHost to one upstream host and maxTotalSockets in all; requests beyond that
+      // wait, for at most queueTimeoutMs. A response body left unread for unreadBodyTimeoutMs
+      // is dropped, freeing its connection
+      keepAlive: process.env.UPSTREAM_KEEP_ALIVE !== '0',
+      keepAliveMsecs: 1000,
+      maxSocketsPerHost: parseInt(process.env.UPSTREAM_MAX_SOCKETS_PER_HOST || '8', 10),
+      maxTotalSockets: parseInt(process.env.UPSTREAM_MAX_SOCKETS || '128', 10),
+      maxFreeSockets: parseInt(process.env.UPSTREAM_MAX_FREE_SOCKETS || '32', 10),
+      idleSocketTimeoutMs: parseInt(process.env.UPSTREAM_IDLE_SOCKET_TIMEOUT_MS || '30000', 10),
+      queueTimeoutMs: parseInt(process.env.UPSTREAM_QUEUE_TIMEOUT_MS || '10000', 10),
+      unreadBodyTimeoutMs: parseInt(process.env.UPSTREAM_UNREAD_BODY_TIMEOUT_MS || '30000', 10)
+    },
     timeout: parseInt(process.env.PROXY_TIMEOUT || '15000', 10), // ms
     allowDataSchemes: true,
     blockedHostnames: (process.env.BLOCKED_HOSTNAMES || 'localhost,127.0.0.1,::1,0.0.0.0').split(',').map(s=>s.trim()).filter(Boolean)
@@ -43,8 +119,33 @@ const DEFAULTS = {
   caching: {
     enabled: process.env.CACHE_ENABLED !== '0',
     defaultTtlMs: parseInt(process.env.CACHE_TTL_MS || String(5 * 60 * 1000), 10),
+    // where entries live (see cacheStore.js): memory, disk, local (memory over disk), redis, or
+    // tiered (memory over redis, for several server processes sharing one cache)
+    backend: process.env.CACHE_BACKEND || 'local',
     maxMemoryItems: parseInt(process.env.CACHE_MAX_ITEMS || '500', 10),
-    persistDir: CACHE_DIR
+    maxMemoryBytes: parseInt(process.env.CACHE_MAX_MEMORY_BYTES || String(50 * 1024 * 1024), 10),
+    // larger items are kept in memory only
+    maxItemBytes: parseInt(process.env.CACHE_MAX_ITEM_BYTES || String(1024 * 1024), 10),
+    // responses without explicit freshness but with Last-Modified stay fresh for this share of
+    // their age, at most maxHeuristicMs (see cachePolicy.js)
+    heuristicFraction: 0.1,
+    maxHeuristicMs: parseInt(process.env.CACHE_MAX_HEURISTIC_MS || String(24 * 60 * 60 * 1000), 10),
+    // stale entries are kept this long for revalidation, and served when the upstream cannot be
+    // reached (unless they say must-revalidate)
+    staleRetentionMs: parseInt(process.env.CACHE_STALE_RETENTION_MS || String(60 * 60 * 1000), 10),
+    persistDir: CACHE_DIR,
+    // disk layer of resourceCache (see diskStore.js): its own folder, and the most it may take
+    // (metadata + bodies); the least recently used entries go first (0: no limit)
+    diskStoreDir: process.env.CACHE_STORE_DIR || path.join(CACHE_DIR, 'store'),
+    maxDiskBytes: parseInt(process.env.CACHE_MAX_DISK_BYTES || String(256 * 1024 * 1024), 10),
+    redis: {
+      url: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+      keyPrefix: process.env.CACHE_REDIS_PREFIX || 'seb:cache:',
+      connectTimeoutMs: parseInt(process.env.CACHE_REDIS_CONNECT_TIMEOUT_MS || '2000', 10),
+      commandTimeoutMs: parseInt(process.env.CACHE_REDIS_COMMAND_TIMEOUT_MS || '2000', 10)
+    },
+    // tiered: how long a process answers from its memory copy before asking redis again
+    tierMemoryTtlMs: parseInt(process.env.CACHE_TIER_MEMORY_TTL_MS || '30000', 10)
   },
 
   security: {
@@ -71,7 +172,6 @@ const DEFAULTS = {
 // Ensure critical folders exist
 try {
   if (!fs.existsSync(DEFAULTS.logging.dir)) fs.mkdirSync(DEFAULTS.logging.dir, { recursive: true });
-  if (!fs.existsSync(DEFAULTS.caching.persistDir)) fs.mkdirSync(DEFAULTS.caching.persistDir, { recursive: true });
 } catch (e) {
   // If creation fails, keep going — modules should handle missing dirs gracefully
   // but log messages should notify the operator.
@@ -91,12 +191,19 @@ function isBlockedHostname(hostname) {
   });
 }
 
+let urlCodec = null;
+
+function getUrlCodec() {
+  if (!urlCodec) urlCodec = createUrlCodec(DEFAULTS.proxy.urlCodec);
+  return urlCodec;
+}
+
 function resolveProxyUrl(target) {
-  return `${DEFAULTS.proxy.proxyPath}${encodeURIComponent(target)}`;
+  return encodeProxyUrl(target, NAVIGATE, Object.assign({}, DEFAULTS.proxy, { codec: getUrlCodec() }));
 }
 
 function resolveResourceUrl(target) {
-  return `${DEFAULTS.proxy.resourcePath}${encodeURIComponent(target)}`;
+  return encodeProxyUrl(target, RESOURCE, Object.assign({}, DEFAULTS.proxy, { codec: getUrlCodec() }));
 }
 
 function getPort() {
@@ -135,6 +242,26 @@ function getProxyDefaults() {
   return DEFAULTS.proxy;
 }
 
+function getServiceWorker() {
+  return DEFAULTS.proxy.serviceWorker;
+}
+
+function getCookieJarDefaults() {
+  return DEFAULTS.proxy.cookieJar;
+}
+
+function getRequestHeaderDefaults() {
+  return DEFAULTS.proxy.requestHeaders;
+}
+
+function getResponseHeaderDefaults() {
+  return DEFAULTS.proxy.responseHeaders;
+}
+
+function getUpstreamPoolDefaults() {
+  return DEFAULTS.proxy.upstreamPool;
+}
+
 function asJSON() {
   return JSON.parse(JSON.stringify(DEFAULTS));
 }
@@ -144,6 +271,7 @@ module.exports = {
   isBlockedHostname,
   resolveProxyUrl,
   resolveResourceUrl,
+  getUrlCodec,
   getPort,
   getHost,
   getLogFile,
@@ -153,6 +281,11 @@ module.exports = {
   getCacheDefaults,
   getSecurity,
   getProxyDefaults,
+  getServiceWorker,
+  getCookieJarDefaults,
+  getRequestHeaderDefaults,
+  getResponseHeaderDefaults,
+  getUpstreamPoolDefaults,
   asJSON
 };
 
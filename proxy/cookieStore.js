@@ -0,0 +1,272 @@
+/**
+ * cookieStore.js
+ *
+ * File-backed storage and exchange formats for the session cookie jars of cookies.js.
+ * - one JSON file per proxy session in config.proxy.cookieJar.storeDir, named by a hash of
+ *   the session ID (the ID itself is a credential and is not written to disk)
+ * - writes are batched per session and atomic (temp file + rename)
+ * - sessions idle longer than idleTimeoutMs are removed by sweep()
+ * - cookies move between machines as Netscape cookies.txt or JSON
+ *
+ * Cookie records are the ones of cookies.createCookieJar: { name, value, domain, hostOnly,
+ * path, expires (ms or null for a session cookie), secure, httpOnly, sameSite, creation,
+ * lastAccess }.
+ *
+ * Exposes:
+ *    loadSession(id) -> { cookies, lastSeen } or null
+ *    saveSession(id, snapshot) / scheduleSave(id, snapshotFn) / removeSession(id)
+ *    flush() -> writes every scheduled save now
+ *    sweep(idleTimeoutMs) -> number of session files removed
+ *    normalizeRecord(raw, now) -> jar record or null
+ *    toNetscape(cookies) / fromNetscape(text) -> cookies.txt text / import rows
+ *    toJson(cookies) / fromJson(text) -> JSON text / import rows
+ *
+ * Import rows are one raw record per cookie line or entry, unchecked: the jar's
+ * importCookies normalizes them, applies the same rules as to upstream Set-Cookie headers
+ * (cookies.cookieAllowed) and counts the rows it rejects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCookieJarDefaults } = require('./config');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch { return { logWarn: ()=>{} }; }
+})();
+
+const SAVE_DELAY = 1000; // ms: cookies set by one page load are written together
+const pendingSaves = new Map(); // session file -> { timer, snapshotFn, id }
+
+function storeDir() {
+  return getCookieJarDefaults().storeDir;
+}
+
+function sessionFile(id) {
+  return path.join(storeDir(), crypto.createHash('sha256').update(String(id)).digest('hex') + '.json');
+}
+
+/**
+ * loadSession(id)
+ */
+function loadSession(id) {
+  try {
+    const data = JSON.parse(fs.readFileSync(sessionFile(id), 'utf8'));
+    return { cookies: Array.isArray(data.cookies) ? data.cookies : [], lastSeen: data.lastSeen || 0 };
+  } catch (e) {
+    if (e.code !== 'ENOENT') logWarn('cookieStore load failed: ' + e.message);
+    return null;
+  }
+}
+
+/**
+ * saveSession(id, { cookies, lastSeen })
+ */
+function saveSession(id, snapshot) {
+  const file = sessionFile(id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(storeDir(), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ lastSeen: snapshot.lastSeen, cookies: snapshot.cookies }));
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    logWarn('cookieStore save failed: ' + e.message);
+    try { fs.unlinkSync(tmp); } catch (e2) { /* ignore */ }
+  }
+}
+
+/**
+ * scheduleSave(id, snapshotFn)
+ * - saves snapshotFn() shortly; later calls before then only replace the snapshot function
+ */
+function scheduleSave(id, snapshotFn) {
+  const file = sessionFile(id);
+  const pending = pendingSaves.get(file);
+  if (pending) {
+    pending.snapshotFn = snapshotFn;
+    return;
+  }
+  const timer = setTimeout(() => {
+    const entry = pendingSaves.get(file);
+    pendingSaves.delete(file);
+    if (entry) saveSession(id, entry.snapshotFn());
+  }, SAVE_DELAY);
+  if (timer.unref) timer.unref();
+  pendingSaves.set(file, { timer, snapshotFn, id });
+}
+
+/**
+ * flush()
+ */
+function flush() {
+  for (const [file, entry] of pendingSaves) {
+    clearTimeout(entry.timer);
+    pendingSaves.delete(file);
+    saveSession(entry.id, entry.snapshotFn());
+  }
+}
+
+/**
+ * removeSession(id)
+ */
+function removeSession(id) {
+  const file = sessionFile(id);
+  const pending = pendingSaves.get(file);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pendingSaves.delete(file);
+  }
+  try { fs.unlinkSync(file); } catch (e) { /* already gone */ }
+}
+
+/**
+ * sweep(idleTimeoutMs)
+ * - removes session files not written for idleTimeoutMs
+ */
+function sweep(idleTimeoutMs) {
+  let removed = 0;
+  let names;
+  try { names = fs.readdirSync(storeDir()); } catch (e) { return 0; }
+  const cutoff = Date.now() - idleTimeoutMs;
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    const file = path.join(storeDir(), name);
+    try {
+      if (fs.statSync(file).mtimeMs < cutoff && !pendingSaves.has(file)) {
+        fs.unlinkSync(file);
+        removed++;
+      }
+    } catch (e) { /* removed meanwhile */ }
+  }
+  return removed;
+}
+
+/**
+ * normalizeRecord(raw, now)
+ * - an imported cookie as a jar record, or null when it is unusable or already expired
+ */
+function normalizeRecord(raw, now = Date.now()) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = String(raw.name || '').trim();
+  const domain = String(raw.domain || '').trim().replace(/^\./, '').toLowerCase();
+  if (!name || !domain || /[\x00-\x1f\x7f;]/.test(name + String(raw.value == null ? '' : raw.value))) return null;
+  let expires = raw.expires == null || raw.expires === '' ? null : (typeof raw.expires === 'number' ? raw.expires : Date.parse(raw.expires));
+  if (Number.isNaN(expires)) expires = null;
+  if (expires !== null && expires <= now) return null;
+  const sameSite = String(raw.sameSite || 'lax').toLowerCase();
+  return {
+    name,
+    value: String(raw.value == null ? '' : raw.value),
+    domain,
+    hostOnly: raw.hostOnly !== undefined ? !!raw.hostOnly : !String(raw.domain).startsWith('.'),
+    path: typeof raw.path === 'string' && raw.path[0] === '/' ? raw.path : '/',
+    expires,
+    secure: !!raw.secure,
+    httpOnly: !!raw.httpOnly,
+    sameSite: ['strict', 'lax', 'none'].includes(sameSite) ? sameSite : 'lax',
+    creation: typeof raw.creation === 'number' ? raw.creation : now,
+    lastAccess: now
+  };
+}
+
+/**
+ * toNetscape(cookies)
+ * - curl / wget / browser extension format; HttpOnly cookies get the usual #HttpOnly_ prefix
+ *   and session cookies an expiry of 0. SameSite has no column: imported cookies are Lax.
+ */
+function toNetscape(cookies) {
+  const lines = ['# Netscape HTTP Cookie File', '# Exported by Seb-Unblocker', ''];
+  for (const c of cookies) {
+    const domain = (c.httpOnly ? '#HttpOnly_' : '') + (c.hostOnly ? c.domain : '.' + c.domain);
+    const expires = c.expires === null ? 0 : Math.floor(c.expires / 1000);
+    lines.push([domain, c.hostOnly ? 'FALSE' : 'TRUE', c.path, c.secure ? 'TRUE' : 'FALSE', expires, c.name, c.value].join('\t'));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * fromNetscape(text)
+ * - a line with fewer than 7 fields is a row too (null), so that it counts as rejected
+ */
+function fromNetscape(text) {
+  const out = [];
+  for (let line of String(text || '').split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    }
+    if (!line.trim() || line[0] === '#') continue;
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      out.push(null);
+      continue;
+    }
+    const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = fields;
+    const seconds = parseInt(expires, 10);
+    out.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+      path: cookiePath,
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: seconds > 0 ? seconds * 1000 : null
+    });
+  }
+  return out;
+}
+
+/**
+ * toJson(cookies)
+ */
+function toJson(cookies) {
+  return JSON.stringify({
+    version: 1,
+    exported: new Date().toISOString(),
+    cookies: cookies.map(c => ({
+      name: c.name,
+      value: c.value,
+      domain: c.domain,
+      hostOnly: c.hostOnly,
+      path: c.path,
+      expires: c.expires === null ? null : new Date(c.expires).toISOString(),
+      secure: c.secure,
+      httpOnly: c.httpOnly,
+      sameSite: c.sameSite
+    }))
+  }, null, 2);
+}
+
+/**
+ * fromJson(text)
+ * - the toJson document or a bare array of cookies; throws (status 400) on invalid JSON
+ */
+function fromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || ''));
+  } catch (e) {
+    const err = new Error('Invalid JSON cookie file: ' + e.message);
+    err.status = 400;
+    throw err;
+  }
+  return Array.isArray(data) ? data : (data && Array.isArray(data.cookies) ? data.cookies : []);
+}
+
+// saves still waiting on their timer are written on a normal exit
+process.on('exit', flush);
+
+module.exports = {
+  loadSession,
+  saveSession,
+  scheduleSave,
+  removeSession,
+  flush,
+  sweep,
+  normalizeRecord,
+  toNetscape,
+  fromNetscape,
+  toJson,
+  fromJson
+};
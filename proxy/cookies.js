@@ -6,14 +6,37 @@
  * - Filtering sensitive cookies
  * - Rewriting domains/paths
  * - Optional persistence/logging
+ * - A server-side cookie jar per proxy session (RFC 6265): upstream Set-Cookie headers are
+ *   stored in the jar instead of reaching the browser, and each upstream request carries only
+ *   the jar's cookies that match its URL. The browser holds nothing but an opaque session ID
+ *   (config.proxy.cookieJar.sessionCookie), so the proxy's own cookies never go upstream and
+ *   sites cannot see each other's cookies.
+ *
+ * Jar rules: host-only vs Domain cookies, domain and path matching, Expires / Max-Age,
+ * Secure (set from and sent to https only), SameSite (see cookieContext; a cookie without one
+ * is Lax, as browsers default it), the __Secure- and __Host- prefixes, and per-domain /
+ * per-jar limits (least recently used cookies go first).
+ * There is no public suffix list: a Domain attribute without a dot is refused, and "site"
+ * means the scheme plus the last two labels of the host.
+ * With config.proxy.cookieJar.persist the jars are kept on disk and reloaded after a restart;
+ * cookieStore.js also holds the cookies.txt / JSON export and import formats.
+ *
+ * The session API (server.js /session/*) lists, exports and changes a jar, HttpOnly cookies
+ * included, and is on the same origin as every proxied page: sessionApiRefusal keeps it to
+ * the proxy's own UI (fetch/XHR from a non-proxied page, with the session's token).
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const { refererTarget, isProxyUrl } = require('./proxyUrl');
+const { getCookieJarDefaults, getLogFile } = require('./config');
+const cookieStore = require('./cookieStore');
 const { logInfo, logWarn } = (() => {
   try { return require('./logger'); } catch { return { logInfo: ()=>{}, logWarn: ()=>{} }; }
 })();
-const COOKIE_LOG_PATH = path.join(__dirname, '../logs/cookies.log');
+const COOKIE_LOG_PATH = path.join(path.dirname(getLogFile()), 'cookies.log');
 
 /**
  * parseCookieHeader(header)
@@ -121,6 +144,442 @@ function cookieMiddleware(options = {}) {
   };
 }
 
+/**
+ * defaultCookiePath(pathname)
+ * - RFC 6265 5.1.4: the request path up to, not including, its last "/"
+ */
+function defaultCookiePath(pathname) {
+  if (!pathname || pathname[0] !== '/') return '/';
+  const last = pathname.lastIndexOf('/');
+  return last === 0 ? '/' : pathname.slice(0, last);
+}
+
+/**
+ * domainMatch(host, domain)
+ */
+function domainMatch(host, domain) {
+  if (host === domain) return true;
+  return !net.isIP(host) && host.endsWith('.' + domain);
+}
+
+/**
+ * pathMatch(requestPath, cookiePath)
+ */
+function pathMatch(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * siteOf(url)
+ * - scheme plus registrable domain, approximated as the last two labels of the host
+ */
+function siteOf(url) {
+  const u = url instanceof URL ? url : new URL(url);
+  const host = u.hostname.toLowerCase();
+  const site = net.isIP(host.replace(/^\[|\]$/g, '')) ? host : host.split('.').slice(-2).join('.');
+  return `${u.protocol.replace(/^ws/, 'http')}//${site}`;
+}
+
+/**
+ * cookieUrl(url)
+ * - cookies of ws: / wss: requests are those of http: / https:
+ */
+function cookieUrl(url) {
+  const u = new URL(url);
+  if (u.protocol === 'ws:' || u.protocol === 'wss:') u.protocol = u.protocol === 'ws:' ? 'http:' : 'https:';
+  return u;
+}
+
+/**
+ * cookieAllowed(cookie)
+ * - the jar's rules that hold for any record, set by an upstream or imported: no Domain
+ *   cookie on a dotless domain, SameSite=None only with Secure, and the __Secure- / __Host-
+ *   prefixes (Secure; __Host- also host-only with path "/")
+ */
+function cookieAllowed(cookie) {
+  if (!cookie.hostOnly && !cookie.domain.includes('.')) return false;
+  if (cookie.sameSite === 'none' && !cookie.secure) return false;
+  if (/^__Secure-/.test(cookie.name) && !cookie.secure) return false;
+  if (/^__Host-/.test(cookie.name) && (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')) return false;
+  return true;
+}
+
+/**
+ * parseSetCookie(header, requestUrl, now)
+ * - one Set-Cookie header -> cookie record, or null when it is malformed or not allowed for
+ *   requestUrl (RFC 6265 5.2 / 5.3, plus the Secure and prefix rules of RFC 6265bis)
+ */
+function parseSetCookie(header, requestUrl, now = Date.now()) {
+  const url = cookieUrl(requestUrl);
+  const host = url.hostname.toLowerCase();
+  const secureOrigin = url.protocol === 'https:';
+  const parts = String(header || '').split(';');
+  const pair = parts.shift();
+  const eq = pair.indexOf('=');
+  if (eq < 0) return null;
+  const name = pair.slice(0, eq).trim();
+  const value = pair.slice(eq + 1).trim();
+  if (!name || /[\x00-\x1f\x7f]/.test(name + value)) return null;
+
+  const cookie = {
+    name, value, domain: host, hostOnly: true, path: defaultCookiePath(url.pathname),
+    expires: null, secure: false, httpOnly: false, sameSite: 'lax',
+    creation: now, lastAccess: now
+  };
+  let maxAge = null;
+  let expires = null;
+  let domainAttr = null;
+  let explicitPath = false;
+  for (const part of parts) {
+    const idx = part.indexOf('=');
+    const key = (idx < 0 ? part : part.slice(0, idx)).trim().toLowerCase();
+    const val = idx < 0 ? '' : part.slice(idx + 1).trim();
+    if (key === 'expires') {
+      const t = Date.parse(val);
+      if (!Number.isNaN(t)) expires = t;
+    } else if (key === 'max-age') {
+      if (/^-?\d+$/.test(val)) maxAge = parseInt(val, 10);
+    } else if (key === 'domain') {
+      if (val) domainAttr = val.replace(/^\./, '').toLowerCase();
+    } else if (key === 'path') {
+      if (val[0] === '/') { cookie.path = val; explicitPath = true; }
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite') {
+      const mode = val.toLowerCase();
+      if (mode === 'strict' || mode === 'lax' || mode === 'none') cookie.sameSite = mode;
+    }
+  }
+  // Max-Age wins over Expires; a past date deletes the cookie (see setCookie)
+  if (maxAge !== null) cookie.expires = maxAge <= 0 ? 0 : now + maxAge * 1000;
+  else if (expires !== null) cookie.expires = expires;
+
+  // a dotless Domain stands in for a public suffix: only its own host may use it, host-only
+  if (domainAttr && !(domainAttr === host && !domainAttr.includes('.'))) {
+    if (!domainAttr.includes('.') || !domainMatch(host, domainAttr)) return null;
+    cookie.domain = domainAttr;
+    cookie.hostOnly = false;
+  }
+  if (cookie.secure && !secureOrigin) return null;
+  if (/^__Host-/.test(name) && !explicitPath) return null;
+  return cookieAllowed(cookie) ? cookie : null;
+}
+
+/**
+ * cookieContext(req, targetUrl, urlOptions)
+ * - how the browser's request relates to the upstream site, for SameSite:
+ *   { sameSite, topLevelNavigation, safeMethod }
+ * - the initiating page is the upstream URL of the proxied Referer; without one (typed
+ *   address, Referrer-Policy) the request is treated as same-site
+ */
+function cookieContext(req, targetUrl, urlOptions = {}) {
+  const headers = (req && req.headers) || {};
+  const method = String((req && req.method) || 'GET').toUpperCase();
+  const mode = headers['sec-fetch-mode'];
+  const dest = headers['sec-fetch-dest'];
+  const initiator = refererTarget(headers.referer, urlOptions);
+  let sameSite = true;
+  try {
+    if (initiator) sameSite = siteOf(initiator) === siteOf(targetUrl);
+  } catch (e) { /* unparsable initiator: keep same-site */ }
+  return {
+    sameSite,
+    topLevelNavigation: mode ? mode === 'navigate' && (!dest || dest === 'document') : true,
+    safeMethod: ['GET', 'HEAD', 'OPTIONS', 'TRACE'].includes(method)
+  };
+}
+
+/**
+ * createCookieJar(options)
+ * - options: { maxCookies, maxCookiesPerDomain } (defaults: config.proxy.cookieJar),
+ *   cookies (records to start with), onChange (called after anything is stored or removed)
+ * - setCookie(header, requestUrl) -> stored cookie or null
+ * - setCookies(headers, requestUrl) -> number stored
+ * - cookieHeader(requestUrl, context) -> Cookie header value ('' when nothing matches)
+ * - cookies({ domain }) -> live cookies, all or those of domain and its subdomains
+ * - remove({ domain, name, path }) -> number removed
+ * - importCookies(rows) -> { imported, rejected }: rows as cookieStore.fromNetscape / fromJson
+ *   return them, normalized and held to cookieAllowed; rejected counts the rows that were
+ *   malformed, expired or broke a rule
+ * - clear(); size
+ */
+function createCookieJar(options = {}) {
+  const limits = Object.assign({}, getCookieJarDefaults(), options);
+  const onChange = typeof options.onChange === 'function' ? options.onChange : () => {};
+  const store = new Map(); // "domain;path;name" -> cookie
+
+  const keyOf = c => `${c.domain};${c.path};${c.name}`;
+
+  function removeExpired(now) {
+    for (const [key, c] of store) {
+      if (c.expires !== null && c.expires <= now) store.delete(key);
+    }
+  }
+
+  function evict(list, max) {
+    if (list.length <= max) return;
+    list.sort((a, b) => a.lastAccess - b.lastAccess)
+      .slice(0, list.length - max)
+      .forEach(c => store.delete(keyOf(c)));
+  }
+
+  // stores (or, when already expired, deletes) a parsed or imported cookie
+  function put(cookie, now) {
+    const key = keyOf(cookie);
+    const existing = store.get(key);
+    if (existing) cookie.creation = existing.creation;
+    if (cookie.expires !== null && cookie.expires <= now) {
+      store.delete(key);
+      return !!existing;
+    }
+    store.set(key, cookie);
+    evict([...store.values()].filter(c => c.domain === cookie.domain), limits.maxCookiesPerDomain);
+    if (store.size > limits.maxCookies) {
+      removeExpired(now);
+      evict([...store.values()], limits.maxCookies);
+    }
+    return true;
+  }
+
+  function setCookie(header, requestUrl) {
+    const now = Date.now();
+    const cookie = parseSetCookie(header, requestUrl, now);
+    if (!cookie) return null;
+    const changed = put(cookie, now);
+    if (changed) onChange();
+    return store.get(keyOf(cookie)) === cookie ? cookie : null;
+  }
+
+  function setCookies(headers, requestUrl) {
+    return (headers || []).reduce((n, h) => n + (setCookie(h, requestUrl) ? 1 : 0), 0);
+  }
+
+  function importCookies(rows) {
+    const now = Date.now();
+    let imported = 0;
+    let rejected = 0;
+    for (const raw of rows || []) {
+      const cookie = cookieStore.normalizeRecord(raw, now);
+      if (!cookie || !cookieAllowed(cookie)) rejected++;
+      else if (put(cookie, now)) imported++;
+    }
+    if (imported) onChange();
+    return { imported, rejected };
+  }
+
+  const inDomain = (c, domain) => !domain || domainMatch(c.domain, String(domain).replace(/^\./, '').toLowerCase());
+
+  function remove({ domain = null, name = null, path = null } = {}) {
+    let removed = 0;
+    for (const [key, c] of store) {
+      if (!inDomain(c, domain) || (name !== null && c.name !== name) || (path !== null && c.path !== path)) continue;
+      store.delete(key);
+      removed++;
+    }
+    if (removed) onChange();
+    return removed;
+  }
+
+  (options.cookies || []).forEach(raw => {
+    const cookie = cookieStore.normalizeRecord(raw);
+    if (cookie && cookieAllowed(cookie)) {
+      // keep the stored creation time (cookie order) and last use (eviction order)
+      cookie.lastAccess = raw.lastAccess || cookie.lastAccess;
+      store.set(keyOf(cookie), cookie);
+    }
+  });
+
+  function cookieHeader(requestUrl, context = {}) {
+    const now = Date.now();
+    removeExpired(now);
+    const url = cookieUrl(requestUrl);
+    const host = url.hostname.toLowerCase();
+    const sameSite = context.sameSite !== false;
+    const laxAllowed = sameSite || (context.topLevelNavigation && context.safeMethod);
+    const matches = [...store.values()].filter(c =>
+      (c.hostOnly ? host === c.domain : domainMatch(host, c.domain)) &&
+      pathMatch(url.pathname || '/', c.path) &&
+      (!c.secure || url.protocol === 'https:') &&
+      (c.sameSite === 'strict' ? sameSite : c.sameSite === 'lax' ? laxAllowed : true));
+    // longer paths first, then older cookies (RFC 6265 5.4)
+    matches.sort((a, b) => b.path.length - a.path.length || a.creation - b.creation);
+    matches.forEach(c => { c.lastAccess = now; });
+    return matches.map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  return {
+    setCookie,
+    setCookies,
+    cookieHeader,
+    cookies({ domain = null } = {}) {
+      removeExpired(Date.now());
+      return [...store.values()].filter(c => inDomain(c, domain)).map(c => Object.assign({}, c));
+    },
+    remove,
+    importCookies,
+    clear() {
+      if (!store.size) return;
+      store.clear();
+      onChange();
+    },
+    get size() { return store.size; }
+  };
+}
+
+// proxy sessions: opaque ID (browser cookie) -> { jar, lastSeen, savedAt }
+const sessions = new Map();
+let lastSweep = 0;
+const SESSION_ID = /^[A-Za-z0-9_-]{32}$/;
+const TOUCH_INTERVAL = 10 * 60 * 1000; // how stale a stored session's lastSeen may get
+
+function sweepSessions(now) {
+  const { idleTimeoutMs, persist } = getCookieJarDefaults();
+  if (now - lastSweep < 60 * 1000) return;
+  lastSweep = now;
+  for (const [id, s] of sessions) {
+    if (now - s.lastSeen > idleTimeoutMs) sessions.delete(id);
+  }
+  if (persist) cookieStore.sweep(idleTimeoutMs);
+}
+
+function openSession(id, stored, now) {
+  const session = { jar: null, lastSeen: now, savedAt: 0 };
+  const save = () => {
+    session.savedAt = Date.now();
+    cookieStore.scheduleSave(id, () => ({ lastSeen: session.lastSeen, cookies: session.jar.cookies() }));
+  };
+  const persist = getCookieJarDefaults().persist;
+  session.jar = createCookieJar({ cookies: stored ? stored.cookies : [], onChange: persist ? save : null });
+  session.touch = time => {
+    session.lastSeen = time;
+    if (persist && time - session.savedAt > TOUCH_INTERVAL) save();
+  };
+  if (stored) session.savedAt = now;
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * lookupSession(id, now)
+ * - a live session, or one this server stored before a restart
+ */
+function lookupSession(id, now) {
+  if (!id || !SESSION_ID.test(id)) return null;
+  const live = sessions.get(id);
+  if (live) return live;
+  const { persist, idleTimeoutMs } = getCookieJarDefaults();
+  if (!persist) return null;
+  const stored = cookieStore.loadSession(id);
+  if (!stored) return null;
+  if (now - stored.lastSeen > idleTimeoutMs) {
+    cookieStore.removeSession(id);
+    return null;
+  }
+  return openSession(id, stored, now);
+}
+
+/**
+ * findSessionJar(cookieHeader)
+ * - the jar of the session named by a browser Cookie header, or null (no side effects;
+ *   for requests that cannot set cookies, such as WebSocket upgrades)
+ */
+function findSessionJar(cookieHeader) {
+  const now = Date.now();
+  const session = lookupSession(parseCookieHeader(cookieHeader || '')[getCookieJarDefaults().sessionCookie], now);
+  if (!session) return null;
+  session.touch(now);
+  return session.jar;
+}
+
+// the browser's session: { id, session }, started (with its cookie) when there is none
+function browserSession(req, res) {
+  const now = Date.now();
+  sweepSessions(now);
+  const name = getCookieJarDefaults().sessionCookie;
+  const id = parseCookieHeader(req.headers.cookie || '')[name];
+  const session = lookupSession(id, now);
+  if (session) {
+    session.touch(now);
+    return { id, session };
+  }
+  const newId = crypto.randomBytes(24).toString('base64url');
+  const created = openSession(newId, null, now);
+  if (res && !res.headersSent) {
+    res.append('Set-Cookie', serializeCookie(name, newId, { path: '/', httpOnly: true, sameSite: 'Lax', secure: !!req.secure }));
+  }
+  return { id: newId, session: created };
+}
+
+/**
+ * getSessionJar(req, res)
+ * - the jar of the browser's proxy session; a browser without one (or with an ID this
+ *   server did not issue) gets a new session and its cookie
+ */
+function getSessionJar(req, res) {
+  return browserSession(req, res).session.jar;
+}
+
+const SESSION_TOKEN_HEADER = 'X-Seb-Session-Token';
+let tokenSecret = null;
+
+function tokenFor(id) {
+  if (!tokenSecret) tokenSecret = getCookieJarDefaults().apiTokenSecret || crypto.randomBytes(32);
+  return crypto.createHmac('sha256', tokenSecret).update(id).digest('base64url');
+}
+
+/**
+ * sessionToken(req, res)
+ * - the token the session API wants in SESSION_TOKEN_HEADER: an HMAC of the session ID, so
+ *   it is only good for this browser's session (starts one, as getSessionJar does)
+ */
+function sessionToken(req, res) {
+  return tokenFor(browserSession(req, res).id);
+}
+
+// made by a proxied page: its Referer is a proxy URL (page, worker or resource); the proxy's
+// pages send one to the same origin (Referrer-Policy same-origin), so a same-origin request
+// without one has had it stripped
+function fromProxiedPage(req, urlOptions) {
+  const referer = req.headers.referer;
+  if (!referer) return req.headers['sec-fetch-site'] === 'same-origin';
+  if (refererTarget(referer, urlOptions)) return true;
+  try {
+    const u = new URL(referer);
+    return isProxyUrl(u.pathname + u.search, urlOptions);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * sessionApiRefusal(req, { requireToken, urlOptions })
+ * - why a session API request is refused, or null when it may go ahead:
+ *   - it is cross-site: Sec-Fetch-Site other than same-origin or none
+ *   - it is not a fetch/XHR (Sec-Fetch-Dest other than empty), so the API cannot be framed
+ *     or opened in a window that a proxied page could read
+ *   - a proxied page made it (see fromProxiedPage)
+ *   - requireToken: SESSION_TOKEN_HEADER is not the token of the request's session
+ * - urlOptions: the proxy URL options, to recognize proxied Referers
+ */
+function sessionApiRefusal(req, { requireToken = true, urlOptions = {} } = {}) {
+  const site = req.headers['sec-fetch-site'];
+  if (site && site !== 'same-origin' && site !== 'none') return 'Cross-site requests are not allowed';
+  const dest = req.headers['sec-fetch-dest'];
+  if (dest && dest !== 'empty') return 'Only fetch/XHR requests are allowed';
+  if (fromProxiedPage(req, urlOptions)) return 'Not allowed from proxied pages';
+  if (!requireToken) return null;
+  const id = parseCookieHeader(req.headers.cookie || '')[getCookieJarDefaults().sessionCookie];
+  const sent = Buffer.from(String(req.headers[SESSION_TOKEN_HEADER.toLowerCase()] || ''));
+  if (!id || !lookupSession(id, Date.now())) return 'No proxy session';
+  const expected = Buffer.from(tokenFor(id));
+  if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) return `Missing or wrong ${SESSION_TOKEN_HEADER}`;
+  return null;
+}
+
 module.exports = {
   parseCookieHeader,
   serializeCookie,
@@ -128,6 +587,19 @@ module.exports = {
   rewriteCookieDomains,
   logCookies,
   mergeCookies,
-  cookieMiddleware
+  cookieMiddleware,
+  defaultCookiePath,
+  domainMatch,
+  pathMatch,
+  siteOf,
+  cookieAllowed,
+  parseSetCookie,
+  cookieContext,
+  createCookieJar,
+  getSessionJar,
+  findSessionJar,
+  SESSION_TOKEN_HEADER,
+  sessionToken,
+  sessionApiRefusal
 };
 
@@ -0,0 +1,101 @@
+/**
+ * csp.js
+ *
+ * Content-Security-Policy rewriting for proxied documents (response headers, see
+ * responseHeaders.js, and <meta http-equiv> policies, see rewrite.js).
+ * Everything a proxied page loads comes from the proxy origin, so the upstream policy is
+ * restated against it instead of being dropped:
+ *  - host sources and the http:/https:/ws:/wss: scheme sources become 'self'
+ *  - keywords, nonces and hashes are kept, as are '*', data:, blob: and the like; the
+ *    runtime script gets the policy's nonce (nonceOf) so nonce-based policies still allow it.
+ *    Hashes only keep matching inline scripts the rewriter leaves unchanged.
+ *  - directives that would fight the proxy are dropped: report-uri / report-to (reports
+ *    would tell the upstream about the proxy), upgrade-insecure-requests and
+ *    block-all-mixed-content (the proxy picks upstream schemes), require-trusted-types-for
+ *    (the runtime assigns plain strings to URL sinks)
+ *
+ * Exposes:
+ *    parseCsp(value) -> [policy], policy = [{ name, values }]
+ *    serializeCsp(policies) -> header value
+ *    rewriteCsp(value) -> rewritten header value ('' when nothing is left)
+ *    nonceOf(value) -> the script nonce of a policy, or null
+ */
+
+const DROPPED_DIRECTIVES = ['report-uri', 'report-to', 'upgrade-insecure-requests', 'block-all-mixed-content', 'require-trusted-types-for'];
+// directives whose values are source lists
+const SOURCE_LIST = /-src(?:-elem|-attr)?$|^(?:frame-ancestors|form-action|base-uri|navigate-to)$/;
+// schemes that still mean something on the proxy origin
+const KEPT_SCHEMES = ['data:', 'blob:', 'mediastream:', 'filesystem:'];
+
+/**
+ * parseCsp(value)
+ * - a header may carry several policies separated by commas
+ */
+function parseCsp(value) {
+  return String(value || '').split(',').map(policy => policy.split(';')
+    .map(d => d.trim().split(/\s+/).filter(Boolean))
+    .filter(parts => parts.length)
+    .map(([name, ...values]) => ({ name: name.toLowerCase(), values }))
+  ).filter(policy => policy.length);
+}
+
+/**
+ * serializeCsp(policies)
+ */
+function serializeCsp(policies) {
+  return policies
+    .map(policy => policy.map(d => [d.name, ...d.values].join(' ')).join('; '))
+    .filter(Boolean)
+    .join(', ');
+}
+
+function rewriteSource(source) {
+  const lower = source.toLowerCase();
+  if (source[0] === "'" || source === '*') return source;
+  if (/^[a-z][\w+.-]*:$/.test(lower)) return KEPT_SCHEMES.includes(lower) ? source : "'self'";
+  return "'self'";
+}
+
+/**
+ * rewriteCsp(value)
+ */
+function rewriteCsp(value) {
+  const policies = parseCsp(value).map(policy => {
+    const seen = new Set();
+    return policy.filter(d => {
+      // a repeated directive is ignored by browsers; so is anything after it here
+      if (seen.has(d.name)) return false;
+      seen.add(d.name);
+      return !DROPPED_DIRECTIVES.includes(d.name);
+    }).map(d => {
+      if (!SOURCE_LIST.test(d.name)) return d;
+      return { name: d.name, values: [...new Set(d.values.map(rewriteSource))] };
+    });
+  });
+  return serializeCsp(policies);
+}
+
+/**
+ * nonceOf(value)
+ * - from script-src-elem, script-src or default-src, whichever applies to <script> first
+ */
+function nonceOf(value) {
+  for (const policy of parseCsp(value)) {
+    const directive = ['script-src-elem', 'script-src', 'default-src']
+      .map(name => policy.find(d => d.name === name))
+      .find(Boolean);
+    if (!directive) continue;
+    for (const v of directive.values) {
+      const m = /^'nonce-([^']+)'$/i.exec(v);
+      if (m) return m[1];
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCsp,
+  serializeCsp,
+  rewriteCsp,
+  nonceOf
+};
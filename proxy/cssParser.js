@@ -1,11 +1,25 @@
 /**
  * cssParser.js
  *
- * Utilities to parse, rewrite, and sanitize CSS for the proxy.
- * - Rewrite URLs to go through proxy
+ * The one CSS implementation used by the proxy (rewrite.rewriteCss, the CSS stream, /resource):
+ * - Tokenize CSS (close to CSS Syntax Level 3): comments, strings and url() are recognised
+ *   with their escapes, so url(x) inside a comment or a content string is left alone and an
+ *   escaped u\72l(x) is still a url()
+ * - Rewrite URLs to go through proxy: url(), src(), image-set() candidates, @import (its
+ *   media / supports() / layer conditions are kept) and @font-face src lists, inside any
+ *   nesting of @media / @supports / @layer blocks; @namespace URIs are names, not fetches,
+ *   and are left alone
  * - Remove unsafe rules
- * - Inline imports
- * - Support for caching
+ * - Inline imports (wrapped in their @media / @supports / @layer conditions)
+ *
+ * Like jsParser.transformJs, edits are spliced into the original text, so everything that
+ * is not a rewritten URL is emitted exactly as received.
+ *
+ * Exposes:
+ *    tokenizeCss(css) -> [{ type, start, end, value }]
+ *    transformCss(css, { rewriteUrl(value, kind) }) -> css (rewriteUrl returns null to keep a URL)
+ *    rewriteCssUrls(css, baseUrl, rewriteFn), inlineImports(css, baseUrl, fetcherFn),
+ *    sanitizeCss(css), parseCss(css, baseUrl, rewriteFn, fetcherFn), extractUrls(css, baseUrl)
  */
 
 const { logWarn, logInfo } = (() => {
@@ -14,75 +28,510 @@ const { logWarn, logInfo } = (() => {
 const { safeResolve } = (() => {
   try { return require('./rewrite'); } catch { return { safeResolve: (u,b)=>u }; }
 })();
-const { getProxyDefaults } = (() => {
-  try { return require('./config'); } catch { return ()=>({}); }
-})();
-const fs = require('fs');
-const path = require('path');
+const { RESOURCE } = require('./proxyUrl');
+
+// functions whose string argument is a URL (url("x") tokenizes as a function, url(x) does not)
+const URL_FUNCTIONS = ['url', 'src'];
+// functions whose bare string arguments are image URLs: image-set("a.png" 1x, "b.png" 2x)
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+// declarations that run code in old IE / Firefox
+const UNSAFE_PROPERTIES = ['behavior', 'behaviour', '-moz-binding'];
+
+const SINGLE_CHAR_TOKENS = { '(': '(', ')': ')', '[': '[', ']': ']', '{': '{', '}': '}', ';': ';', ':': ':', ',': ',' };
+const CLOSING = { ')': '(', ']': '[', '}': '{' };
+
+const WHITESPACE = /[ \t\n\r\f]/;
+const NUMBER = /[+-]?(?:\d*\.\d+|\d+)(?:e[+-]?\d+)?/iy;
+
+function isNameStart(ch) {
+  return ch !== undefined && (/[a-zA-Z_]/.test(ch) || ch.charCodeAt(0) >= 0x80);
+}
+
+function isNameChar(ch) {
+  return ch !== undefined && (isNameStart(ch) || /[\d-]/.test(ch));
+}
+
+function isValidEscape(css, i) {
+  return css[i] === '\\' && i + 1 < css.length && css[i + 1] !== '\n' && css[i + 1] !== '\r' && css[i + 1] !== '\f';
+}
+
+function startsIdent(css, i) {
+  const ch = css[i];
+  if (ch === '-') return isNameStart(css[i + 1]) || css[i + 1] === '-' || isValidEscape(css, i + 1);
+  return isNameStart(ch) || isValidEscape(css, i);
+}
+
+/**
+ * consumeEscape(css, i)
+ * - i points just past the backslash; returns [decoded char, next index]
+ */
+function consumeEscape(css, i) {
+  const hex = /[0-9a-fA-F]{1,6}/y;
+  hex.lastIndex = i;
+  const m = hex.exec(css);
+  if (!m) return i < css.length ? [css[i], i + 1] : ['\uFFFD', i];
+  let next = i + m[0].length;
+  if (css[next] === '\r' && css[next + 1] === '\n') next += 2;
+  else if (WHITESPACE.test(css[next] || '')) next++;
+  const code = parseInt(m[0], 16);
+  const ch = code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF) ? '\uFFFD' : String.fromCodePoint(code);
+  return [ch, next];
+}
+
+function consumeName(css, i) {
+  let value = '';
+  while (i < css.length) {
+    if (isNameChar(css[i])) {
+      value += css[i++];
+    } else if (isValidEscape(css, i)) {
+      const [ch, next] = consumeEscape(css, i + 1);
+      value += ch;
+      i = next;
+    } else {
+      break;
+    }
+  }
+  return [value, i];
+}
+
+/**
+ * consumeString(css, start)
+ * - an unescaped newline ends the string early (a bad-string, kept as-is by the rewriters)
+ */
+function consumeString(css, start) {
+  const quote = css[start];
+  let value = '';
+  let i = start + 1;
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === quote) return { type: 'string', start, end: i + 1, value };
+    if (ch === '\n' || ch === '\r' || ch === '\f') return { type: 'bad-string', start, end: i, value };
+    if (ch === '\\') {
+      if (i + 1 >= css.length) { i++; continue; }
+      if (/[\n\r\f]/.test(css[i + 1])) { i += css[i + 1] === '\r' && css[i + 2] === '\n' ? 3 : 2; continue; }
+      const [decoded, next] = consumeEscape(css, i + 1);
+      value += decoded;
+      i = next;
+      continue;
+    }
+    value += ch;
+    i++;
+  }
+  return { type: 'string', start, end: i, value };
+}
 
-const URL_REGEX = /url\((['"]?)([^'")]+)\1\)/gi;
-const IMPORT_REGEX = /@import\s+(?:url\()?['"]?([^'")]+)['"]?\)?;/gi;
+/**
+ * consumeUrl(css, start, i)
+ * - unquoted url( ... ); i points just past "(". Quotes, "(" or stray whitespace inside make
+ *   it a bad-url, which runs to the next ")" and is never rewritten
+ */
+function consumeUrl(css, start, i) {
+  while (WHITESPACE.test(css[i] || '')) i++;
+  let value = '';
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === ')') return { type: 'url', start, end: i + 1, value };
+    if (WHITESPACE.test(ch)) {
+      while (WHITESPACE.test(css[i] || '')) i++;
+      if (css[i] === ')' || i >= css.length) continue;
+      break;
+    }
+    if (ch === '"' || ch === "'" || ch === '(') break;
+    if (ch === '\\') {
+      if (!isValidEscape(css, i)) break;
+      const [decoded, next] = consumeEscape(css, i + 1);
+      value += decoded;
+      i = next;
+      continue;
+    }
+    value += ch;
+    i++;
+  }
+  if (i >= css.length) return { type: 'url', start, end: i, value };
+  // bad url: skip to the closing parenthesis, honouring escapes
+  while (i < css.length && css[i] !== ')') i += css[i] === '\\' ? 2 : 1;
+  return { type: 'bad-url', start, end: Math.min(i + 1, css.length), value: null };
+}
+
+/**
+ * tokenizeCss(css)
+ * - token types: ws, comment, string, bad-string, url, bad-url, function, ident, at, hash,
+ *   number, delim and the single characters ( ) [ ] { } ; : ,
+ * - value is the unescaped name (ident, function, at, hash) or text (string, url)
+ * - joining css.slice(start, end) over all tokens reproduces the input
+ */
+function tokenizeCss(css) {
+  const tokens = [];
+  const src = String(css || '');
+  let i = 0;
+  while (i < src.length) {
+    const start = i;
+    const ch = src[i];
+
+    if (WHITESPACE.test(ch)) {
+      while (i < src.length && WHITESPACE.test(src[i])) i++;
+      tokens.push({ type: 'ws', start, end: i });
+      continue;
+    }
+    if (ch === '/' && src[i + 1] === '*') {
+      const close = src.indexOf('*/', i + 2);
+      i = close === -1 ? src.length : close + 2;
+      tokens.push({ type: 'comment', start, end: i });
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const token = consumeString(src, i);
+      tokens.push(token);
+      i = token.end;
+      continue;
+    }
+    if (startsIdent(src, i)) {
+      const [name, next] = consumeName(src, i);
+      i = next;
+      if (src[i] !== '(') {
+        tokens.push({ type: 'ident', start, end: i, value: name });
+        continue;
+      }
+      i++;
+      if (name.toLowerCase() === 'url') {
+        let j = i;
+        while (WHITESPACE.test(src[j] || '')) j++;
+        if (src[j] !== '"' && src[j] !== "'") {
+          const token = consumeUrl(src, start, i);
+          tokens.push(token);
+          i = token.end;
+          continue;
+        }
+      }
+      tokens.push({ type: 'function', start, end: i, value: name });
+      continue;
+    }
+    if (ch === '@' && startsIdent(src, i + 1)) {
+      const [name, next] = consumeName(src, i + 1);
+      i = next;
+      tokens.push({ type: 'at', start, end: i, value: name });
+      continue;
+    }
+    if (ch === '#' && (isNameChar(src[i + 1]) || isValidEscape(src, i + 1))) {
+      const [name, next] = consumeName(src, i + 1);
+      i = next;
+      tokens.push({ type: 'hash', start, end: i, value: name });
+      continue;
+    }
+    NUMBER.lastIndex = i;
+    const number = /[\d.+-]/.test(ch) ? NUMBER.exec(src) : null;
+    if (number) {
+      i += number[0].length;
+      if (src[i] === '%') i++;
+      else if (startsIdent(src, i)) i = consumeName(src, i)[1];
+      tokens.push({ type: 'number', start, end: i });
+      continue;
+    }
+    i++;
+    tokens.push({ type: SINGLE_CHAR_TOKENS[ch] || 'delim', start, end: i, value: ch });
+  }
+  return tokens;
+}
+
+/**
+ * quoteCssString(value, quote)
+ */
+function quoteCssString(value, quote = '"') {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(quote === '"' ? /"/g : /'/g, '\\' + quote)
+    .replace(/\n/g, '\\a ')
+    .replace(/\r/g, '\\d ')
+    .replace(/\f/g, '\\c ');
+  return quote + escaped + quote;
+}
+
+/**
+ * applyEdits(css, edits)
+ * - edits are { start, end, text } over the original string and never overlap
+ */
+function applyEdits(css, edits) {
+  if (!edits.length) return css;
+  edits.sort((a, b) => a.start - b.start);
+  let out = '';
+  let pos = 0;
+  for (const edit of edits) {
+    out += css.slice(pos, edit.start) + edit.text;
+    pos = edit.end;
+  }
+  return out + css.slice(pos);
+}
+
+/**
+ * walkUrls(tokens, visit)
+ * - calls visit(token, context) for every token holding a URL that the browser fetches;
+ *   context.at is the at-rule whose prelude the token sits in ('import', 'font-face', ...)
+ */
+function walkUrls(tokens, visit) {
+  const stack = []; // open blocks: { type: '(' | '[' | '{' | 'function', name }
+  let atRule = null; // at-rule whose prelude we are in, until its ";" or "{"
+  let importUrlSeen = false;
+
+  for (const token of tokens) {
+    const parent = stack[stack.length - 1];
+    switch (token.type) {
+      case 'at':
+        if (!parent || parent.type === '{') {
+          atRule = token.value.toLowerCase();
+          importUrlSeen = false;
+        }
+        break;
+      case ';':
+        if (!parent || parent.type === '{') atRule = null;
+        break;
+      case '{':
+        if (!parent || parent.type === '{') atRule = null;
+        stack.push({ type: '{' });
+        break;
+      case '(':
+      case '[':
+        stack.push({ type: token.type });
+        break;
+      case 'function':
+        stack.push({ type: 'function', name: token.value.toLowerCase() });
+        break;
+      case ')':
+      case ']':
+      case '}': {
+        // pop up to the matching opener; unbalanced closers are ignored
+        const opener = CLOSING[token.type];
+        const at = stack.map(s => (s.type === 'function' ? '(' : s.type)).lastIndexOf(opener);
+        if (at !== -1) stack.length = at;
+        if (token.type === '}') atRule = null;
+        break;
+      }
+      case 'url':
+        if (atRule === 'namespace') break;
+        if (atRule === 'import') importUrlSeen = true;
+        visit(token, { at: atRule });
+        break;
+      case 'string': {
+        if (atRule === 'namespace') break;
+        const inUrlFunction = parent && parent.type === 'function' && URL_FUNCTIONS.includes(parent.name);
+        const inImageSet = parent && parent.type === 'function' && IMAGE_SET_FUNCTIONS.includes(parent.name);
+        const importTarget = atRule === 'import' && !importUrlSeen && (!parent || parent.type === '{');
+        if (inUrlFunction || inImageSet || importTarget) {
+          if (atRule === 'import') importUrlSeen = true;
+          visit(token, { at: atRule });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * transformCss(css, options)
+ * - options.rewriteUrl(value, kind, context) -> replacement URL, or null to keep the original
+ * - quoted URLs keep their quote character; unquoted url(x) stays unquoted unless the new
+ *   URL contains characters that would need escaping
+ */
+function transformCss(css, options = {}) {
+  if (!css || typeof options.rewriteUrl !== 'function') return css;
+  const edits = [];
+  walkUrls(tokenizeCss(css), (token, context) => {
+    let next;
+    try {
+      next = options.rewriteUrl(token.value, RESOURCE, context);
+    } catch (e) {
+      logWarn(`transformCss url rewrite failed for ${token.value}: ${e.message}`);
+      return;
+    }
+    if (next == null || next === token.value) return;
+    let text;
+    if (token.type !== 'url') text = quoteCssString(next, css[token.start]);
+    else text = /[\s'"()\\]/.test(next) ? `url(${quoteCssString(next)})` : `url(${next})`;
+    edits.push({ start: token.start, end: token.end, text });
+  });
+  return applyEdits(css, edits);
+}
 
 /**
  * rewriteCssUrls(css, baseUrl, rewriteFn)
- * - Finds url(...) in CSS and rewrites with given rewrite function
+ * - Finds URLs in CSS and rewrites with given rewrite function (called with absolute URLs)
  */
 function rewriteCssUrls(css, baseUrl, rewriteFn) {
   if (!css) return '';
-  return css.replace(URL_REGEX, (match, q, url) => {
-    try {
-      const abs = safeResolve(url, baseUrl);
-      return `url(${rewriteFn(abs)})`;
-    } catch (e) {
-      logWarn('rewriteCssUrls failed for ' + url);
-      return match;
+  return transformCss(css, {
+    rewriteUrl: (value) => {
+      const trimmed = value.trim();
+      if (!trimmed || trimmed[0] === '#' || /^data:/i.test(trimmed)) return null;
+      return rewriteFn(safeResolve(trimmed, baseUrl));
     }
   });
 }
 
+/**
+ * parseImportRule(tokens, css)
+ * - tokens of one top-level "@import ...;" rule (without the at-keyword and ";")
+ * - returns { url, layer, supports, media } or null when no URL is present
+ */
+function parseImportRule(tokens, css) {
+  let i = 0;
+  const skipWs = () => { while (i < tokens.length && (tokens[i].type === 'ws' || tokens[i].type === 'comment')) i++; };
+  skipWs();
+  const first = tokens[i];
+  if (!first) return null;
+  let url = null;
+  if (first.type === 'string' || first.type === 'url') {
+    url = first.value;
+    i++;
+  } else if (first.type === 'function' && first.value.toLowerCase() === 'url') {
+    const str = tokens.slice(i + 1).find(t => t.type === 'string');
+    const close = tokens.findIndex((t, k) => k > i && t.type === ')');
+    if (!str || close === -1) return null;
+    url = str.value;
+    i = close + 1;
+  } else {
+    return null;
+  }
+
+  // the contents of a function token up to its matching ")"
+  const functionArgs = () => {
+    let depth = 1;
+    const from = tokens[i].end;
+    i++;
+    while (i < tokens.length && depth) {
+      if (tokens[i].type === 'function' || tokens[i].type === '(') depth++;
+      else if (tokens[i].type === ')') depth--;
+      i++;
+    }
+    return css.slice(from, tokens[i - 1].type === ')' ? tokens[i - 1].start : tokens[i - 1].end).trim();
+  };
+
+  let layer = null;
+  let supports = null;
+  skipWs();
+  if (tokens[i] && tokens[i].type === 'ident' && tokens[i].value.toLowerCase() === 'layer') {
+    layer = '';
+    i++;
+  } else if (tokens[i] && tokens[i].type === 'function' && tokens[i].value.toLowerCase() === 'layer') {
+    layer = functionArgs();
+  }
+  skipWs();
+  if (tokens[i] && tokens[i].type === 'function' && tokens[i].value.toLowerCase() === 'supports') {
+    supports = functionArgs();
+  }
+  skipWs();
+  const media = i < tokens.length ? css.slice(tokens[i].start, tokens[tokens.length - 1].end).trim() : '';
+  return { url, layer, supports, media };
+}
+
+/**
+ * wrapImported(css, rule)
+ * - @import url(x) layer(l) supports(s) m  =>  @media m { @supports (s) { @layer l { ... } } }
+ */
+function wrapImported(css, rule) {
+  let out = css;
+  if (rule.layer !== null) out = `@layer${rule.layer ? ' ' + rule.layer : ''} {\n${out}\n}`;
+  if (rule.supports) out = `@supports (${rule.supports}) {\n${out}\n}`;
+  if (rule.media && rule.media.toLowerCase() !== 'all') out = `@media ${rule.media} {\n${out}\n}`;
+  return out;
+}
+
 /**
  * inlineImports(css, baseUrl, fetcherFn)
- * - fetches imported CSS and inlines it
+ * - fetches imported CSS and inlines it, keeping the rule's media / supports() / layer
+ *   conditions as wrapping blocks; imports that fail to load are dropped
  */
 async function inlineImports(css, baseUrl, fetcherFn) {
   if (!css) return css;
-  let match;
-  while ((match = IMPORT_REGEX.exec(css)) !== null) {
-    const importUrl = match[1];
+  const tokens = tokenizeCss(css);
+  const edits = [];
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === '{') depth++;
+    else if (token.type === '}') depth = Math.max(0, depth - 1);
+    if (depth || token.type !== 'at' || token.value.toLowerCase() !== 'import') continue;
+
+    let end = i + 1;
+    let nesting = 0;
+    while (end < tokens.length && !(tokens[end].type === ';' && !nesting)) {
+      if (tokens[end].type === 'function' || tokens[end].type === '(') nesting++;
+      else if (tokens[end].type === ')') nesting--;
+      end++;
+    }
+    const rule = parseImportRule(tokens.slice(i + 1, end), css);
+    const ruleEnd = end < tokens.length ? tokens[end].end : css.length;
+    i = end;
+    if (!rule) continue;
+
+    let replacement = '';
     try {
-      const abs = safeResolve(importUrl, baseUrl);
+      const abs = safeResolve(rule.url, baseUrl);
       const importedCss = await fetcherFn(abs);
-      const cleaned = await inlineImports(importedCss, abs, fetcherFn); // recursive
-      css = css.replace(match[0], cleaned);
+      const inlined = await inlineImports(String(importedCss || '').replace(/^\s*@charset\s+(["'])[^"']*\1\s*;/i, ''), abs, fetcherFn); // recursive
+      replacement = wrapImported(rewriteCssUrls(inlined, abs, u => u), rule);
+      logInfo(`inlineImports inlined ${abs}`);
     } catch (e) {
-      logWarn('inlineImports failed for ' + importUrl);
-      css = css.replace(match[0], '');
+      logWarn('inlineImports failed for ' + rule.url);
     }
+    edits.push({ start: token.start, end: ruleEnd, text: replacement });
   }
-  return css;
+  return applyEdits(css, edits);
 }
 
 /**
  * sanitizeCss(css)
- * - removes potentially unsafe rules (expression, javascript, etc.)
+ * - removes potentially unsafe rules: expression(), javascript: URLs and
+ *   behavior / -moz-binding declarations
  */
 function sanitizeCss(css) {
   if (!css) return '';
-  return css.replace(/expression\s*\(.*?\)/gi, '')
-            .replace(/javascript\s*:/gi, '')
-            .replace(/behaviour\s*:/gi, '')
-            .replace(/@import\s+/gi, ''); // optional, redundant if inlineImports used
+  const tokens = tokenizeCss(css);
+  const edits = [];
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === '{') depth++;
+    else if (token.type === '}') depth = Math.max(0, depth - 1);
+
+    if (token.type === 'function' && token.value.toLowerCase() === 'expression') {
+      let j = i + 1;
+      let nesting = 1;
+      while (j < tokens.length && nesting) {
+        if (tokens[j].type === 'function' || tokens[j].type === '(') nesting++;
+        else if (tokens[j].type === ')') nesting--;
+        j++;
+      }
+      edits.push({ start: token.start, end: tokens[j - 1].end, text: '' });
+      i = j - 1;
+      continue;
+    }
+    if ((token.type === 'url' || token.type === 'string') && /^\s*(?:javascript|vbscript):/i.test(token.value || '')) {
+      edits.push({ start: token.start, end: token.end, text: token.type === 'url' ? 'url("about:invalid")' : '"about:invalid"' });
+      continue;
+    }
+    if (token.type === 'ident' && UNSAFE_PROPERTIES.includes(token.value.toLowerCase())) {
+      let j = i + 1;
+      while (j < tokens.length && (tokens[j].type === 'ws' || tokens[j].type === 'comment')) j++;
+      if (!tokens[j] || tokens[j].type !== ':') continue;
+      while (j < tokens.length && tokens[j].type !== ';' && tokens[j].type !== '}') j++;
+      const end = tokens[j] && tokens[j].type === ';' ? tokens[j].end : (tokens[j] ? tokens[j].start : css.length);
+      edits.push({ start: token.start, end, text: '' });
+      i = tokens[j] && tokens[j].type === ';' ? j : j - 1;
+    }
+  }
+  return applyEdits(css, edits);
 }
 
 /**
  * parseCss(css, baseUrl, rewriteFn, fetcherFn)
- * - Main entry: rewrites urls, inlines imports, sanitizes CSS
+ * - Main entry: inlines imports (when fetcherFn is given), rewrites urls, sanitizes CSS
  */
 async function parseCss(css, baseUrl, rewriteFn, fetcherFn) {
   if (!css) return '';
   let result = css;
   try {
-    result = await inlineImports(result, baseUrl, fetcherFn);
+    if (typeof fetcherFn === 'function') result = await inlineImports(result, baseUrl, fetcherFn);
     result = rewriteCssUrls(result, baseUrl, rewriteFn);
     result = sanitizeCss(result);
   } catch (e) {
@@ -98,21 +547,20 @@ async function parseCss(css, baseUrl, rewriteFn, fetcherFn) {
 function extractUrls(css, baseUrl) {
   const urls = [];
   if (!css) return urls;
-  let match;
-  while ((match = URL_REGEX.exec(css)) !== null) {
-    try {
-      const abs = safeResolve(match[2], baseUrl);
-      urls.push(abs);
-    } catch (e) {}
-  }
+  walkUrls(tokenizeCss(css), (token) => {
+    const value = token.value.trim();
+    if (!value || value[0] === '#' || /^data:/i.test(value)) return;
+    urls.push(safeResolve(value, baseUrl));
+  });
   return urls;
 }
 
 module.exports = {
+  tokenizeCss,
+  transformCss,
   rewriteCssUrls,
   inlineImports,
   sanitizeCss,
   parseCss,
   extractUrls
 };
-
@@ -0,0 +1,331 @@
+/**
+ * diskStore.js
+ *
+ * Disk cache storage adapter (see cacheStore.js for the interface):
+ *  - one metadata file per key (meta/<sha256 of key>.json): expiry, the value as JSON, and
+ *    references to the Buffers it contained
+ *  - Buffers are kept apart as binary blobs named by the sha256 of their content
+ *    (blobs/<hash>.bin), so bodies are stored as they are and identical ones only once
+ *  - entries expire (expiresAt) on disk as in memory; expired ones are removed on read and
+ *    by sweep()
+ *  - the total size (metadata + blobs) is kept under maxBytes by removing the least recently
+ *    used entries; blobs go when no entry refers to them any more
+ *  - every file is written to a temp file and renamed into place, so a crash leaves either
+ *    the old file or the new one
+ *  - the index (keys, sizes, blob references, access order) lives in memory and is rebuilt
+ *    from the files on first use; leftovers (temp files, unreferenced blobs, entries whose
+ *    blobs are missing) are cleaned up then. Nothing touches the disk before that, and the
+ *    directories are only created by the first write
+ *
+ * Exposes:
+ *    createDiskStore({ dir, maxBytes }) -> store
+ *      store.get(key) -> Promise<{ value, expiresAt } | null>
+ *      store.set(key, value, expiresAt) -> Promise<boolean>
+ *      store.del(key) -> Promise
+ *      store.scan(prefix) -> Promise<keys>
+ *      store.clear() -> Promise
+ *      store.sweep() -> number of expired entries removed
+ *      store.stats() -> Promise<{ backend, items, bytes, blobs, maxBytes }>
+ *    externalize(value, blobs) -> value with Buffers replaced by { $blob: hash } (blobs: Map
+ *      collecting hash -> Buffer)
+ *    internalize(value, blobs) -> the reverse
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logWarn: () => {} }; }
+})();
+
+const FORMAT_VERSION = 1;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * externalize(value, blobs)
+ * - value with every Buffer replaced by { $blob: hash }; blobs collects hash -> Buffer
+ */
+function externalize(value, blobs) {
+  if (Buffer.isBuffer(value)) {
+    const hash = sha256(value);
+    blobs.set(hash, value);
+    return { $blob: hash };
+  }
+  if (Array.isArray(value)) return value.map(v => externalize(v, blobs));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = externalize(v, blobs);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * internalize(value, blobs)
+ * - the reverse of externalize; blobs maps hash -> Buffer
+ */
+function internalize(value, blobs) {
+  if (Array.isArray(value)) return value.map(v => internalize(v, blobs));
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.$blob === 'string') return blobs.get(value.$blob);
+    const out = {};
+    for (const k of keys) out[k] = internalize(value[k], blobs);
+    return out;
+  }
+  return value;
+}
+
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch (e2) { /* ignore */ }
+    throw e;
+  }
+}
+
+/**
+ * createDiskStore({ dir, maxBytes })
+ */
+function createDiskStore({ dir, maxBytes = 0 } = {}) {
+  const metaDir = path.join(dir, 'meta');
+  const blobDir = path.join(dir, 'blobs');
+  const entries = new Map(); // key -> { file, metaBytes, blobs: [hash], expiresAt, lastAccess }
+  const blobRefs = new Map(); // hash -> { bytes, refs }
+  let totalBytes = 0;
+  let opened = false;
+  let dirsMade = false;
+
+  const metaFile = key => path.join(metaDir, sha256(String(key)) + '.json');
+  const blobFile = hash => path.join(blobDir, hash + '.bin');
+
+  function retainBlobs(hashes, sizes) {
+    for (const hash of hashes) {
+      const ref = blobRefs.get(hash);
+      if (ref) {
+        ref.refs++;
+      } else {
+        blobRefs.set(hash, { bytes: sizes.get(hash) || 0, refs: 1 });
+        totalBytes += sizes.get(hash) || 0;
+      }
+    }
+  }
+
+  // unlinked synchronously: a set() retaining the same blob must not see it vanish later
+  function releaseBlobs(hashes) {
+    for (const hash of hashes) {
+      const ref = blobRefs.get(hash);
+      if (!ref || --ref.refs > 0) continue;
+      blobRefs.delete(hash);
+      totalBytes -= ref.bytes;
+      try { fs.unlinkSync(blobFile(hash)); } catch (e) { /* already gone */ }
+    }
+  }
+
+  function dropEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.metaBytes;
+    try { fs.unlinkSync(entry.file); } catch (e) { /* already gone */ }
+    releaseBlobs(entry.blobs);
+  }
+
+  function enforceBudget() {
+    if (!maxBytes || totalBytes <= maxBytes) return;
+    const byAge = [...entries].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key] of byAge) {
+      if (totalBytes <= maxBytes) break;
+      dropEntry(key);
+    }
+  }
+
+  // rebuild the index from what is on disk (nothing yet: no directories)
+  function rebuild() {
+    if (!fs.existsSync(metaDir) || !fs.existsSync(blobDir)) return;
+    const now = Date.now();
+    const blobSizes = new Map();
+    for (const name of fs.readdirSync(blobDir)) {
+      const file = path.join(blobDir, name);
+      if (!name.endsWith('.bin')) {
+        try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+        continue;
+      }
+      try { blobSizes.set(name.slice(0, -4), fs.statSync(file).size); } catch (e) { /* removed meanwhile */ }
+    }
+    for (const name of fs.readdirSync(metaDir)) {
+      const file = path.join(metaDir, name);
+      let meta;
+      let stat;
+      try {
+        if (!name.endsWith('.json')) throw new Error('not an entry');
+        stat = fs.statSync(file);
+        meta = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        try { fs.unlinkSync(file); } catch (e2) { /* ignore */ }
+        continue;
+      }
+      const blobs = Array.isArray(meta.blobs) ? meta.blobs : [];
+      const usable = meta.version === FORMAT_VERSION && typeof meta.key === 'string' &&
+        !(meta.expiresAt && meta.expiresAt < now) && blobs.every(hash => blobSizes.has(hash));
+      if (!usable) {
+        try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+        continue;
+      }
+      entries.set(meta.key, { file, metaBytes: stat.size, blobs, expiresAt: meta.expiresAt || null, lastAccess: stat.mtimeMs });
+      totalBytes += stat.size;
+      retainBlobs(blobs, blobSizes);
+    }
+    for (const hash of blobSizes.keys()) {
+      if (!blobRefs.has(hash)) {
+        try { fs.unlinkSync(blobFile(hash)); } catch (e) { /* ignore */ }
+      }
+    }
+    enforceBudget();
+  }
+
+  function open() {
+    if (opened) return;
+    opened = true;
+    try {
+      rebuild();
+    } catch (e) {
+      logWarn('diskStore index rebuild failed: ' + e.message);
+    }
+  }
+
+  /**
+   * get(key)
+   */
+  async function get(key) {
+    open();
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt < Date.now()) {
+      dropEntry(key);
+      return null;
+    }
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(entry.file, 'utf8'));
+      const blobs = new Map();
+      for (const hash of meta.blobs || []) blobs.set(hash, await fs.promises.readFile(blobFile(hash)));
+      entry.lastAccess = Date.now();
+      const time = new Date(entry.lastAccess);
+      fs.promises.utimes(entry.file, time, time).catch(() => {});
+      return { value: internalize(meta.value, blobs), expiresAt: meta.expiresAt || null };
+    } catch (e) {
+      // a file removed or damaged behind our back: forget the entry
+      if (entries.get(key) === entry) dropEntry(key);
+      return null;
+    }
+  }
+
+  /**
+   * set(key, value, expiresAt)
+   */
+  async function set(key, value, expiresAt = null) {
+    open();
+    const blobs = new Map();
+    const external = externalize(value, blobs);
+    const hashes = [...blobs.keys()];
+    const meta = JSON.stringify({
+      version: FORMAT_VERSION,
+      key: String(key),
+      storedAt: Date.now(),
+      expiresAt: expiresAt || null,
+      blobs: hashes,
+      value: external
+    });
+    const sizes = new Map(hashes.map(hash => [hash, blobs.get(hash).length]));
+    const newBlobs = hashes.filter(hash => !blobRefs.has(hash));
+
+    // hold the blobs before any await, so nothing releases them meanwhile
+    retainBlobs(hashes, sizes);
+    try {
+      if (!dirsMade) {
+        await fs.promises.mkdir(metaDir, { recursive: true });
+        await fs.promises.mkdir(blobDir, { recursive: true });
+        dirsMade = true;
+      }
+      for (const hash of newBlobs) await writeAtomic(blobFile(hash), blobs.get(hash));
+      const file = metaFile(key);
+      await writeAtomic(file, meta);
+      const previous = entries.get(key);
+      if (previous) {
+        entries.delete(key);
+        totalBytes -= previous.metaBytes;
+        releaseBlobs(previous.blobs);
+      }
+      entries.set(key, { file, metaBytes: Buffer.byteLength(meta), blobs: hashes, expiresAt: expiresAt || null, lastAccess: Date.now() });
+      totalBytes += Buffer.byteLength(meta);
+      enforceBudget();
+      return true;
+    } catch (e) {
+      releaseBlobs(hashes);
+      logWarn('diskStore write failed: ' + e.message);
+      return false;
+    }
+  }
+
+  /**
+   * del(key)
+   */
+  async function del(key) {
+    open();
+    dropEntry(key);
+  }
+
+  /**
+   * scan(prefix)
+   */
+  async function scan(prefix = '') {
+    open();
+    return [...entries.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * clear()
+   */
+  async function clear() {
+    open();
+    for (const key of [...entries.keys()]) dropEntry(key);
+  }
+
+  /**
+   * sweep()
+   */
+  function sweep() {
+    open();
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of [...entries]) {
+      if (entry.expiresAt && entry.expiresAt < now) {
+        dropEntry(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * stats()
+   */
+  async function stats() {
+    open();
+    return { backend: 'disk', items: entries.size, bytes: totalBytes, blobs: blobRefs.size, maxBytes };
+  }
+
+  return { get, set, del, scan, clear, sweep, stats };
+}
+
+module.exports = {
+  createDiskStore,
+  externalize,
+  internalize
+};
@@ -7,19 +7,43 @@
  *  - automatic retry logic with exponential backoff
  *  - simple content sniffing (text/binary)
  *  - respects timeouts
- *  - integrates with resourceCache module if available
- *  - exposes helper fetchText and streamToResponse
+ *  - integrates with resourceCache module if available, which stores and serves responses by
+ *    their caching headers (RFC 9111, see cachePolicy.js)
+ *  - exposes helper fetchText, fetchDocument and streamToResponse
+ *  - CSS, JavaScript, SVG and manifest responses are rewritten on the way through
+ *    (opts.rewriteOptions, see rewrite.js); binary bodies are piped straight to the client
+ *  - redirects are never followed by node-fetch: fetchText follows them itself (bounded and
+ *    SSRF-checked per hop), streamToResponse hands them to the client with a proxied Location
+ *    (see redirects.js)
+ *  - streamToResponse takes the session cookie jar (opts.cookieJar / opts.cookieContext, see
+ *    cookies.js); responses to requests with cookies are only cached when marked public
+ *  - streamToResponse sends upstream headers as the policy of responseHeaders.js says
+ *  - streamToResponse forwards Range requests and answers them from cached bodies (see range.js)
+ *  - identical requests made at the same time go upstream once (see singleFlight.js): fetchText
+ *    callers share the result, streamToResponse clients share the streamed response
  *
  * Notes:
- *  - Uses node-fetch v2 APIs (require('node-fetch'))
+ *  - Uses node-fetch v2 APIs, through the shared connection pool of upstreamAgent.js
  *  - For heavy pages consider using puppeteerRender instead (see puppeteerRender.js)
  */
 
-const fetch = require('node-fetch');
+const { fetch } = require('./upstreamAgent'); // node-fetch over the shared connection pool
 const { URL } = require('url');
 const Stream = require('stream');
-const AbortController = require('abort-controller');
 const crypto = require('crypto');
+const { createResourceRewriteStream, createLimitStream } = require('./streamRewriter');
+const { sourceMapHeader } = require('./sourceMap');
+const { decodeBody, kindForContentType, charsetFromContentType, utf8ContentType } = require('./charset');
+const { checkTarget } = require('./validator');
+const { fetchFollowing, redirectTarget, proxyLocation } = require('./redirects');
+const { RESOURCE } = require('./proxyUrl');
+const { getProxyDefaults } = require('./config');
+const { buildUpstreamHeaders } = require('./requestHeaders');
+const { applyResponseHeaders } = require('./responseHeaders');
+const { rangeRequestHeaders } = require('./range');
+const { isStorable } = require('./cachePolicy');
+const { isUpstreamFailure, revalidateInBackground, sendCachedResponse, createHeaderCollector, bufferBody } = require('./httpCache');
+const { singleFlight, streamFlight } = require('./singleFlight');
 
 let resourceCache;
 try { resourceCache = require('./resourceCache'); } catch (e) { resourceCache = null; }
@@ -27,9 +51,10 @@ try { resourceCache = require('./resourceCache'); } catch (e) { resourceCache =
 const DEFAULT_TIMEOUT = 15000; // 15s
 const DEFAULT_RETRIES = 2;
 const BACKOFF_BASE = 300; // ms
+const MAX_CACHE_CAPTURE = 1024 * 1024; // 1MB: larger bodies are streamed but not cached
 
-const { logger } = (() => {
-  try { return require('./logger'); } catch (e) { return { logger: { logInfo: () => {}, logWarn: () => {}, logError: () => {} } }; }
+const logger = (() => {
+  try { return require('./logger'); } catch (e) { return { logInfo: () => {}, logWarn: () => {}, logError: () => {} }; }
 })();
 
 /**
@@ -55,32 +80,103 @@ function cacheKeyFor(url, opts = {}) {
   return hash.digest('hex');
 }
 
+/**
+ * jarId(cookieJar)
+ * - a number per cookie jar, so that only requests of one session share a flight (its
+ *   Set-Cookie headers go to that session's jar)
+ */
+const jarIds = new WeakMap();
+let lastJarId = 0;
+function jarId(jar) {
+  if (!jar) return null;
+  if (!jarIds.has(jar)) jarIds.set(jar, ++lastJarId);
+  return jarIds.get(jar);
+}
+
+/**
+ * rewriteSignature(rewriteOptions)
+ * - the parts of the rewrite options that change rewritten output, for cache keys
+ */
+function rewriteSignature(o) {
+  if (!o) return null;
+  return [o.urlScheme, o.proxyPath, o.resourcePath, o.pathPrefix, o.resourcePathPrefix, o.codec ? o.codec.id : null];
+}
+
+/**
+ * targetError(url, opts)
+ * - the SSRF checks for a URL the caller asked for; an Error with .status, or null
+ */
+function targetError(url, opts = {}) {
+  const check = checkTarget(url, { allowLocal: !!opts.allowLocal });
+  if (check.valid) return null;
+  const err = new Error(check.reason);
+  err.status = check.status;
+  return err;
+}
+
 /**
  * fetchText(url, opts)
  * Fetch a resource and return text.
- * - will try cache if resourceCache present
- * - will retry on transient errors
  */
 async function fetchText(url, opts = {}) {
+  return (await fetchDocument(url, opts)).text;
+}
+
+/**
+ * fetchDocument(url, opts)
+ * Fetch a resource and return { text, url, contentType }, url being where the redirects
+ * ended (the base to resolve or rewrite the text against).
+ * - will try cache if resourceCache present: stale copies are revalidated, or returned while
+ *   revalidating / when the upstream fails as their caching headers allow (see httpCache.js)
+ * - will retry on transient errors
+ * - follows at most opts.maxRedirects (config.proxy.maxRedirects) redirects
+ */
+async function fetchDocument(url, opts = {}) {
   if (!isValidUrl(url)) throw new Error('Invalid URL');
+  const refused = targetError(url, opts);
+  if (refused) throw refused;
 
-  const timeout = opts.timeout || DEFAULT_TIMEOUT;
-  const retries = typeof opts.retries === 'number' ? opts.retries : DEFAULT_RETRIES;
   const useCache = !!(resourceCache && opts.useCache !== false);
-
   const key = cacheKeyFor(url, { mode: 'text' });
+  const headers = buildUpstreamHeaders(null, url, { headers: opts.headers });
 
+  let hit = null;
   if (useCache) {
     try {
-      const cached = await resourceCache.get(key);
-      if (cached) {
-        logger.logInfo(`fetcher cache hit: ${url}`);
-        return cached;
-      }
+      hit = await resourceCache.lookupResponse(key, headers);
     } catch (e) {
       logger.logWarn(`fetcher cache read failed: ${e.message}`);
     }
+    if (hit && (hit.fresh || hit.staleWhileRevalidate)) {
+      logger.logInfo(`fetcher cache hit${hit.fresh ? '' : ' (stale, revalidating)'}: ${url}`);
+      if (!hit.fresh) revalidateInBackground(key, () => loadDocument(url, key, headers, hit, Object.assign({}, opts, { retries: 0 })));
+      return hit.value;
+    }
+  }
+
+  try {
+    // callers asking for the same thing at the same time share one upstream request
+    const flightKey = cacheKeyFor(url, { mode: 'text', headers, allowLocal: !!opts.allowLocal, maxRedirects: opts.maxRedirects });
+    return await singleFlight(flightKey, () => loadDocument(url, useCache ? key : null, headers, hit, opts));
+  } catch (err) {
+    // a refused redirect hop or a 4xx is an answer, not an upstream failure
+    if (hit && hit.staleIfError && !err.status && (!err.upstreamStatus || isUpstreamFailure(err.upstreamStatus))) {
+      logger.logWarn(`fetchText serving stale copy of ${url}: ${err.message}`);
+      return hit.value;
+    }
+    throw err;
   }
+}
+
+/**
+ * loadDocument(url, key, headers, hit, opts)
+ * - the upstream part of fetchDocument; with a cache key the result is stored, and with a
+ *   stale hit the request is conditional (a 304 refreshes and returns the stored copy)
+ */
+async function loadDocument(url, key, headers, hit, opts) {
+  const timeout = opts.timeout || DEFAULT_TIMEOUT;
+  const retries = typeof opts.retries === 'number' ? opts.retries : DEFAULT_RETRIES;
+  const fetchHeaders = Object.assign({}, headers, hit ? hit.conditionalHeaders : {});
 
   let attempt = 0;
   let lastErr;
@@ -89,24 +185,43 @@ async function fetchText(url, opts = {}) {
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeout);
     try {
-      const res = await fetch(url, { timeout, signal: controller.signal, redirect: 'follow', headers: opts.headers || {} });
+      const requestTime = Date.now();
+      const followed = await fetchFollowing(url, { timeout, signal: controller.signal, headers: fetchHeaders }, {
+        maxRedirects: typeof opts.maxRedirects === 'number' ? opts.maxRedirects : getProxyDefaults().maxRedirects,
+        allowLocal: !!opts.allowLocal
+      });
+      const res = followed.response;
       clearTimeout(timer);
+      if (res.status === 304 && hit) {
+        res.body.resume();
+        const refreshed = key && await resourceCache.refreshResponse(key, headers, { headers: res.headers, requestTime, responseTime: Date.now() });
+        return (refreshed || hit).value;
+      }
       if (!res.ok) {
-        const msg = `fetchText got ${res.status} ${res.statusText}`;
+        // an unread body would keep its upstream connection (see upstreamAgent.js)
+        res.body.resume();
+        const err = new Error(`fetchText got ${res.status} ${res.statusText}`);
+        err.upstreamStatus = res.status;
         if (res.status >= 500 && attempt <= retries) {
-          lastErr = new Error(msg);
+          lastErr = err;
           await sleep(BACKOFF_BASE * attempt);
           continue;
         }
-        throw new Error(msg);
+        throw err;
       }
-      const text = await res.text();
-      if (useCache) {
-        resourceCache.set(key, text, (opts.ttl || 60) * 1000).catch(() => {});
+      // decoded by its declared / sniffed charset (res.text() would assume UTF-8)
+      const contentType = res.headers.get('content-type');
+      const text = decodeBody(await res.buffer(), { kind: kindForContentType(contentType), declared: charsetFromContentType(contentType) });
+      const doc = { text, url: followed.url, contentType };
+      if (key) {
+        resourceCache.storeResponse(key, { status: res.status, requestHeaders: headers, headers: res.headers, requestTime, responseTime: Date.now() }, doc)
+          .catch(e => logger.logWarn(`fetcher cache write failed: ${e.message}`));
       }
-      return text;
+      return doc;
     } catch (err) {
       clearTimeout(timer);
+      // a refused redirect hop, too long a chain or a client error will not change on retry
+      if (err.status || (err.upstreamStatus && err.upstreamStatus < 500)) throw err;
       lastErr = err;
       logger.logWarn(`fetchText attempt ${attempt} failed for ${url}: ${err.message}`);
       if (attempt <= retries) await sleep(BACKOFF_BASE * attempt);
@@ -115,42 +230,155 @@ async function fetchText(url, opts = {}) {
   throw lastErr;
 }
 
+/**
+ * resourceRewriter(fetched, url, opts)
+ * - the rewriting Transform for a subresource body, or null for one passed through as-is
+ *   (text subresources that carry URLs are rewritten by content type, see
+ *   streamRewriter.createResourceRewriteStream)
+ */
+function resourceRewriter(fetched, url, opts) {
+  if (opts.rewrite === false) return null;
+  const rewriteOptions = Object.assign({}, opts.rewriteOptions, { sourceMapUrl: sourceMapHeader(fetched.headers) });
+  return createResourceRewriteStream(fetched.headers.get('content-type'), url, rewriteOptions);
+}
+
+/**
+ * setResourceHeaders(fetched, url, opts, target, rewriter)
+ * - sets the response headers for fetched on target (res, or a header collector for a cache
+ *   entry, see httpCache.js); returns the names set
+ */
+function setResourceHeaders(fetched, url, opts, target, rewriter) {
+  // see responseHeaders.js; the length only holds for a body passed on as it came, not
+  // decoded from gzip/br by node-fetch or rewritten
+  const { names } = applyResponseHeaders(fetched.headers, target, { baseUrl: url, kind: RESOURCE, rewriteOptions: opts.rewriteOptions });
+  const length = fetched.headers.get('content-length');
+  if (length && !rewriter && !fetched.headers.get('content-encoding')) {
+    target.setHeader('content-length', length);
+    names.push('content-length');
+  }
+  // rewriters decode the upstream charset and always emit UTF-8; ranges of the rewritten
+  // text cannot be fetched upstream
+  if (rewriter && fetched.headers.get('content-type')) target.setHeader('content-type', utf8ContentType(fetched.headers.get('content-type')));
+  if (rewriter) target.removeHeader('accept-ranges');
+  return names.filter(name => target.getHeader(name) !== undefined);
+}
+
+/**
+ * refreshResource(url, key, headers, hit, opts)
+ * - background revalidation of a stale /resource entry: a 304 refreshes it, a new storable
+ *   200 replaces it
+ */
+async function refreshResource(url, key, headers, hit, opts) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), opts.timeout || DEFAULT_TIMEOUT);
+  try {
+    const requestTime = Date.now();
+    const fetched = await fetch(url, { signal: controller.signal, redirect: 'manual', headers: Object.assign({}, headers, hit.conditionalHeaders) });
+    const responseTime = Date.now();
+    if (opts.cookieJar) opts.cookieJar.setCookies(fetched.headers.raw()['set-cookie'], url);
+    if (fetched.status === 304) {
+      fetched.body.resume();
+      await resourceCache.refreshResponse(key, headers, { headers: fetched.headers, requestTime, responseTime });
+      return;
+    }
+    if (fetched.status !== 200 || !isStorable(fetched.status, headers, fetched.headers)) {
+      fetched.body.resume();
+      return;
+    }
+    const rewriter = resourceRewriter(fetched, url, opts);
+    const target = createHeaderCollector();
+    const names = setResourceHeaders(fetched, url, opts, target, rewriter);
+    const body = await bufferBody(fetched.body, [createLimitStream(opts.maxCacheCaptureBytes || MAX_CACHE_CAPTURE)].concat(rewriter || []));
+    await resourceCache.storeResponse(key, { status: fetched.status, requestHeaders: headers, headers: fetched.headers, requestTime, responseTime }, { status: 200, headers: target.headers(names), body });
+    logger.logInfo(`streamToResponse revalidated ${url}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 /**
  * streamToResponse(url, res, opts)
  * Streams a remote resource directly into an Express response.
  * - streams binary efficiently
  * - sets content-type and other headers when possible
- * - optionally pipes through cache
+ * - optionally pipes through cache; stale entries are revalidated, or served while
+ *   revalidating / when the upstream fails as their caching headers allow (see httpCache.js)
  */
 async function streamToResponse(url, res, opts = {}) {
   if (!isValidUrl(url)) {
     res.status(400).send('Invalid URL');
     return;
   }
+  const refused = targetError(url, opts);
+  if (refused) {
+    res.status(refused.status).send(refused.message);
+    return;
+  }
 
-  const timeout = opts.timeout || DEFAULT_TIMEOUT;
-  const retries = typeof opts.retries === 'number' ? opts.retries : DEFAULT_RETRIES;
+  // the session's cookies for this URL (a response to them is only shared if marked public)
+  const cookie = opts.cookieJar ? opts.cookieJar.cookieHeader(url, opts.cookieContext) : '';
+  const rangeHeaders = rangeRequestHeaders(opts.incomingReq);
+  const headers = buildUpstreamHeaders(opts.incomingReq || null, url, {
+    rewriteOptions: opts.rewriteOptions,
+    headers: Object.assign({}, rangeHeaders, opts.headers)
+  });
+  if (cookie) headers['Cookie'] = cookie;
+  const useCache = !!(resourceCache && opts.useCache !== false);
 
-  // If cache has full response body and headers, return that
-  const key = cacheKeyFor(url, { mode: 'stream' });
-  if (resourceCache && opts.useCache !== false) {
+  // A cached response for these request headers (its Vary variant) answers if it is fresh,
+  // or stale but allowed to while it is revalidated; otherwise it is revalidated first
+  const key = cacheKeyFor(url, { mode: 'stream', rewrite: rewriteSignature(opts.rewriteOptions) });
+  let hit = null;
+  if (useCache) {
     try {
-      const cached = await resourceCache.get(key);
-      if (cached && cached.body) {
-        logger.logInfo(`streamToResponse cache hit: ${url}`);
-        if (cached.headers) {
-          for (const [k, v] of Object.entries(cached.headers)) res.setHeader(k, v);
-        }
-        // write body as buffer or string
-        if (Buffer.isBuffer(cached.body)) res.end(cached.body);
-        else res.end(Buffer.from(cached.body, 'utf8'));
-        return;
-      }
+      hit = await resourceCache.lookupResponse(key, headers);
+      if (hit && !(hit.value && hit.value.body)) hit = null;
     } catch (e) {
       logger.logWarn('streamToResponse cache read failed: ' + e.message);
     }
+    if (hit && (hit.fresh || hit.staleWhileRevalidate)) {
+      logger.logInfo(`streamToResponse cache hit${hit.fresh ? '' : ' (stale, revalidating)'}: ${url}`);
+      if (!hit.fresh) {
+        const wholeHeaders = Object.assign({}, headers);
+        for (const name of Object.keys(rangeHeaders)) delete wholeHeaders[name];
+        revalidateInBackground(key, () => refreshResource(url, key, wholeHeaders, hit, opts));
+      }
+      // the body, or the slice of it a Range asks for
+      sendCachedResponse(opts.incomingReq, res, hit);
+      return;
+    }
   }
 
+  // clients of one session asking for the same thing at the same time share one upstream
+  // response (see singleFlight.js)
+  const flightKey = cacheKeyFor(url, {
+    mode: 'stream',
+    rewrite: rewriteSignature(opts.rewriteOptions),
+    method: opts.incomingReq ? opts.incomingReq.method : 'GET',
+    headers,
+    jar: jarId(opts.cookieJar)
+  });
+  await streamFlight(flightKey, res, out => sendResource(url, out, { key, headers, rangeHeaders, hit, useCache }, opts), {
+    maxReplayBytes: opts.maxCacheCaptureBytes || MAX_CACHE_CAPTURE
+  });
+}
+
+/**
+ * sendResource(url, res, { key, headers, rangeHeaders, hit, useCache }, opts)
+ * - the upstream part of streamToResponse, after the cache could not answer: with a stale
+ *   hit the request is conditional (a 304 refreshes and sends the stored copy), and the
+ *   stored copy answers when the upstream fails and it may (stale-if-error)
+ */
+async function sendResource(url, res, { key, headers, rangeHeaders, hit, useCache }, opts) {
+  const timeout = opts.timeout || DEFAULT_TIMEOUT;
+  const retries = typeof opts.retries === 'number' ? opts.retries : DEFAULT_RETRIES;
+  const staleFallback = (reason) => {
+    if (!hit || !hit.staleIfError) return false;
+    logger.logWarn(`streamToResponse serving stale copy of ${url}: ${reason}`);
+    sendCachedResponse(opts.incomingReq, res, hit);
+    return true;
+  };
+
   let attempt = 0;
   let lastErr;
   while (attempt <= retries) {
@@ -158,33 +386,77 @@ async function streamToResponse(url, res, opts = {}) {
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeout);
     try {
-      const fetched = await fetch(url, { signal: controller.signal, redirect: 'follow', headers: opts.headers || {} });
+      const requestTime = Date.now();
+      const fetched = await fetch(url, { signal: controller.signal, redirect: 'manual', headers: Object.assign({}, headers, hit ? hit.conditionalHeaders : {}) });
+      const responseTime = Date.now();
       clearTimeout(timer);
+      const setCookies = fetched.headers.raw()['set-cookie'] || [];
+      if (opts.cookieJar) opts.cookieJar.setCookies(setCookies, url);
+
+      // the stale entry is still good
+      if (fetched.status === 304 && hit) {
+        fetched.body.resume();
+        const refreshed = await resourceCache.refreshResponse(key, headers, { headers: fetched.headers, requestTime, responseTime });
+        sendCachedResponse(opts.incomingReq, res, refreshed || hit);
+        return;
+      }
+
+      // Redirects go back to the client pointing at /resource, whose next request is checked
+      // like this one; the rewrite base of what it finally gets is then the final URL
+      const location = redirectTarget(fetched, url);
+      if (location) {
+        fetched.body.resume();
+        const hopRefused = targetError(location, opts);
+        if (hopRefused) {
+          res.status(hopRefused.status).send(`Redirect to ${location} refused: ${hopRefused.message}`);
+          return;
+        }
+        res.status(fetched.status);
+        applyResponseHeaders(fetched.headers, res, { baseUrl: url, kind: RESOURCE, rewriteOptions: opts.rewriteOptions });
+        res.setHeader('Location', proxyLocation(location, RESOURCE, opts.rewriteOptions));
+        res.end();
+        return;
+      }
+
+      if (fetched.status === 416) {
+        fetched.body.resume();
+        applyResponseHeaders(fetched.headers, res, { baseUrl: url, kind: RESOURCE, rewriteOptions: opts.rewriteOptions });
+        res.status(416).end();
+        return;
+      }
       if (!fetched.ok) {
         const msg = `Failed to fetch ${url} - ${fetched.status}`;
+        fetched.body.resume();
         if (fetched.status >= 500 && attempt <= retries) {
           lastErr = new Error(msg);
           await sleep(BACKOFF_BASE * attempt);
           continue;
         }
+        if (isUpstreamFailure(fetched.status) && staleFallback(msg)) return;
         res.status(fetched.status).send(`Upstream error: ${fetched.status}`);
         return;
       }
 
-      // Set headers (whitelist)
-      const headerWhitelist = ['content-type', 'content-length', 'last-modified', 'etag', 'cache-control'];
-      headerWhitelist.forEach(h => {
-        const val = fetched.headers.get(h);
-        if (val) res.setHeader(h, val);
-      });
+      const rewriter = resourceRewriter(fetched, url, opts);
+      if (rewriter && fetched.status === 206 && headers['range']) {
+        // a slice cannot be rewritten: fetch the whole body (this is not a failed attempt)
+        fetched.body.resume();
+        headers = Object.assign({}, headers);
+        for (const name of Object.keys(rangeHeaders)) delete headers[name];
+        attempt--;
+        continue;
+      }
+
+      const sentHeaders = setResourceHeaders(fetched, url, opts, res, rewriter);
+      res.status(fetched.status);
 
       // Stream the body
-      const reader = fetched.body;
+      const reader = rewriter ? Stream.pipeline(fetched.body, rewriter, () => {}) : fetched.body;
 
-      // Optionally capture to cache while streaming
-      if (resourceCache && opts.useCache !== false) {
+      // Optionally capture to cache while streaming (whole bodies the caching headers allow storing)
+      if (useCache && fetched.status === 200 && isStorable(fetched.status, headers, fetched.headers)) {
         // accumulate small responses only (limit to avoid huge memory)
-        const MAX_CAPTURE = (opts.maxCacheCaptureBytes || 1024 * 1024); // 1MB
+        const MAX_CAPTURE = (opts.maxCacheCaptureBytes || MAX_CACHE_CAPTURE);
         let captured = [];
         let capturedLen = 0;
 
@@ -208,10 +480,11 @@ async function streamToResponse(url, res, opts = {}) {
           if (capturedLen > 0 && capturedLen < Number.MAX_SAFE_INTEGER) {
             try {
               const bodyBuf = Buffer.concat(captured, capturedLen);
-              const headers = {};
-              headerWhitelist.forEach(h => { const v = fetched.headers.get(h); if (v) headers[h] = v; });
-              await resourceCache.set(key, { headers, body: bodyBuf }, (opts.ttl || 60) * 1000);
-              logger.logInfo(`streamToResponse cached ${url} (${capturedLen} bytes)`);
+              const sent = {};
+              // the headers as sent: a rewritten body has no length and a UTF-8 content type
+              sentHeaders.forEach(h => { const v = res.getHeader(h); if (v) sent[h] = v; });
+              const stored = await resourceCache.storeResponse(key, { status: fetched.status, requestHeaders: headers, headers: fetched.headers, requestTime, responseTime }, { status: 200, headers: sent, body: bodyBuf });
+              if (stored) logger.logInfo(`streamToResponse cached ${url} (${capturedLen} bytes)`);
             } catch (e) {
               logger.logWarn('streamToResponse cache write failed: ' + e.message);
             }
@@ -222,8 +495,9 @@ async function streamToResponse(url, res, opts = {}) {
           try { res.end(); } catch (e) {}
         });
       } else {
-        // no caching: pipe directly
-        reader.pipe(res);
+        // no caching: pipe directly (a client going away destroys the upstream body, which
+        // .pipe() would leave paused, holding its connection)
+        Stream.pipeline(reader, res, () => {});
       }
       return;
     } catch (err) {
@@ -234,6 +508,7 @@ async function streamToResponse(url, res, opts = {}) {
     }
   }
   logger.logError(`streamToResponse final failure for ${url}: ${lastErr?.message}`);
+  if (staleFallback(lastErr ? lastErr.message : 'upstream unreachable')) return;
   res.status(502).send('Failed to fetch resource');
 }
 
@@ -247,8 +522,12 @@ async function fetchJson(url, opts = {}) {
 
 module.exports = {
   fetchText,
+  fetchDocument,
   fetchJson,
   streamToResponse,
-  isValidUrl
+  isValidUrl,
+  cacheKeyFor,
+  rewriteSignature,
+  jarId
 };
 
@@ -105,7 +105,8 @@ function extractMeta(html) {
       const $ = cheerio.load(html);
       out.title = $('title').first().text().trim() || out.title;
       out.description = $('meta[name="description"]').attr('content') || out.description;
-      out.charset = $('meta[charset]').attr('charset') || out.charset;
+      const httpEquiv = $('meta[http-equiv]').filter((i, el) => /^content-type$/i.test($(el).attr('http-equiv') || '')).attr('content') || '';
+      out.charset = $('meta[charset]').attr('charset') || (/charset\s*=\s*([^;\s]+)/i.exec(httpEquiv) || [])[1] || out.charset;
       out.viewport = $('meta[name="viewport"]').attr('content') || out.viewport;
       return out;
     } catch (e) { logWarn('cheerio extractMeta failed: ' + e.message); }
@@ -177,35 +178,20 @@ function removeScripts(html) {
 
 /**
  * rewriteRelativePaths(html, baseUrl, rewriteFn)
- * - finds src/href/url(...) and passes absolute URL to rewriteFn to get new value
+ * - runs the rewrite.js HTML engine, handing every URL-bearing attribute (href, src, srcset,
+ *   action, poster, data-src, inline style url(...), ...) to rewriteFn as an absolute URL
  * - rewriteFn should accept (absoluteUrl, originalAttr, tagName) and return replacement string
+ * - markup outside the rewritten values is left untouched
  */
 function rewriteRelativePaths(html, baseUrl, rewriteFn) {
   if (!html) return html;
   try {
-    // href/src attributes
-    return html.replace(/<(a|img|script|link|iframe|source|video|audio|embed|object)\b([^>]*)>/gi, (m, tag, attrs) => {
-      let newAttrs = attrs.replace(/\b(href|src)\s*=\s*(['"])([^'"]+)\2/gi, (m2, attr, q, val) => {
-        try {
-          const abs = safeResolve(val, baseUrl);
-          const replacement = rewriteFn(abs, attr, tag) || val;
-          return `${attr}=${q}${replacement}${q}`;
-        } catch (e) { return m2; }
-      });
-
-      // inline style url()
-      newAttrs = newAttrs.replace(/style=(['"])(.*?)\1/gi, (m3, q, styleContent) => {
-        const replaced = styleContent.replace(/url\(([^)]+)\)/gi, (um, u) => {
-          try {
-            const cleaned = u.replace(/['"]/g, '').trim();
-            const abs = safeResolve(cleaned, baseUrl);
-            return `url(${rewriteFn(abs, 'style-url', tag)})`;
-          } catch (e) { return um; }
-        });
-        return `style=${q}${replaced}${q}`;
-      });
-
-      return `<${tag}${newAttrs}>`;
+    const { rewriteHtml } = require('./rewrite');
+    return rewriteHtml(html, baseUrl, {
+      rewriteUrl: (abs, ctx) => rewriteFn(abs, ctx.attr, ctx.tag) || abs,
+      rewriteInline: false,
+      iframeSandbox: false,
+      stripBase: false
     });
   } catch (e) {
     logWarn('rewriteRelativePaths failed: ' + e.message);
@@ -0,0 +1,304 @@
+/**
+ * htmlTokenizer.js
+ *
+ * Small, forgiving HTML tokenizer used by the rewriters.
+ * - Splits markup into text, comment, doctype, startTag, endTag and rawText tokens
+ * - Every token keeps its exact source text (token.raw), so joining all raw values
+ *   reproduces the input byte-for-byte
+ * - Start tags expose their attributes with offsets into token.raw, so callers can
+ *   splice a single attribute value without touching the rest of the tag
+ * - Incremental: createTokenizer().write(chunk) only returns complete tokens and keeps
+ *   a partial tag (or an unfinished <script>/<style> body) buffered until more input arrives
+ *
+ * Exposes:
+ *    tokenize(html) -> [tokens]
+ *    createTokenizer() -> { write(chunk) -> [tokens], end() -> [tokens] }
+ *    decodeEntities(str) -> string
+ *    getAttr(token, name) -> attribute value or null
+ */
+
+// Elements whose content is not markup: everything up to the matching end tag is one token
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'noembed', 'noframes']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * decodeEntities(str)
+ * - decodes the character references that realistically appear in attribute values
+ */
+function decodeEntities(str) {
+  if (!str || str.indexOf('&') === -1) return str;
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);?/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch (e) { return m; }
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : m;
+  });
+}
+
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\t' || ch === '\r' || ch === '\f';
+}
+
+function isAlpha(ch) {
+  return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z');
+}
+
+/**
+ * readTag(input, start, final)
+ * - parses a start or end tag beginning at input[start] === '<'
+ * - returns null when the tag is not complete yet (and final is false)
+ */
+function readTag(input, start, final) {
+  const isEnd = input[start + 1] === '/';
+  let i = start + (isEnd ? 2 : 1);
+  const nameStart = i;
+  while (i < input.length && !isWhitespace(input[i]) && input[i] !== '/' && input[i] !== '>') i++;
+  const name = input.slice(nameStart, i).toLowerCase();
+  const attrs = [];
+  let selfClosing = false;
+
+  while (true) {
+    const wsStart = i;
+    while (i < input.length && (isWhitespace(input[i]) || input[i] === '/')) {
+      selfClosing = input[i] === '/';
+      i++;
+    }
+    if (i >= input.length) break;
+    if (input[i] === '>') {
+      const raw = input.slice(start, i + 1);
+      return {
+        type: isEnd ? 'endTag' : 'startTag',
+        name,
+        raw,
+        attrs: isEnd ? [] : attrs,
+        selfClosing,
+        // offset of the closing "/>" or ">" - where new attributes can be inserted
+        insertAt: (selfClosing && input[i - 1] === '/' ? i - 1 : i) - start
+      };
+    }
+    selfClosing = false;
+
+    // attribute name (a leading "=" is allowed by the spec as part of the name)
+    const attrStart = i;
+    i++;
+    while (i < input.length && !isWhitespace(input[i]) && input[i] !== '/' && input[i] !== '>' && input[i] !== '=') i++;
+    const attr = {
+      name: input.slice(attrStart, i).toLowerCase(),
+      value: null,
+      quote: '',
+      rawStart: wsStart - start,
+      nameStart: attrStart - start,
+      valueStart: -1,
+      valueEnd: -1,
+      rawEnd: i - start
+    };
+
+    let j = i;
+    while (j < input.length && isWhitespace(input[j])) j++;
+    if (j < input.length && input[j] === '=') {
+      j++;
+      while (j < input.length && isWhitespace(input[j])) j++;
+      if (j >= input.length) break;
+      const q = input[j];
+      if (q === '"' || q === "'") {
+        const close = input.indexOf(q, j + 1);
+        if (close === -1) {
+          if (!final) return null;
+          i = input.length;
+          break;
+        }
+        attr.quote = q;
+        attr.valueStart = j + 1 - start;
+        attr.valueEnd = close - start;
+        i = close + 1;
+      } else {
+        let k = j;
+        while (k < input.length && !isWhitespace(input[k]) && input[k] !== '>') k++;
+        attr.valueStart = j - start;
+        attr.valueEnd = k - start;
+        i = k;
+      }
+      attr.value = decodeEntities(input.slice(start + attr.valueStart, start + attr.valueEnd));
+      attr.rawEnd = i - start;
+    }
+    attrs.push(attr);
+  }
+
+  // ran out of input inside the tag
+  if (!final) return null;
+  return { type: 'text', raw: input.slice(start) };
+}
+
+/**
+ * scan(input, state, final)
+ * - tokenizes as much of input as possible
+ * - returns { tokens, consumed }; input.slice(consumed) is an incomplete tail
+ */
+function scan(input, state, final) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < input.length) {
+    // inside <script>/<style>/...: look for the matching end tag
+    if (state.rawTag) {
+      const closeRe = new RegExp('</' + state.rawTag + '(?=[\\s/>])', 'ig');
+      closeRe.lastIndex = Math.max(pos, state.rawSearchFrom || 0);
+      const m = closeRe.exec(input);
+      // an end tag cut off at the very end of input cannot be matched yet
+      if (!m || (!final && m.index + m[0].length >= input.length)) {
+        if (!final) {
+          state.rawSearchFrom = Math.max(pos, input.length - state.rawTag.length - 3);
+          break;
+        }
+        tokens.push({ type: 'rawText', tag: state.rawTag, raw: input.slice(pos) });
+        pos = input.length;
+        break;
+      }
+      if (m.index > pos) tokens.push({ type: 'rawText', tag: state.rawTag, raw: input.slice(pos, m.index) });
+      pos = m.index;
+      state.rawTag = null;
+      state.rawSearchFrom = 0;
+      continue;
+    }
+
+    const lt = input.indexOf('<', pos);
+    if (lt === -1) {
+      tokens.push({ type: 'text', raw: input.slice(pos) });
+      pos = input.length;
+      break;
+    }
+    if (lt > pos) {
+      tokens.push({ type: 'text', raw: input.slice(pos, lt) });
+      pos = lt;
+    }
+
+    // need at least one more character to decide what "<" starts
+    if (lt + 1 >= input.length) {
+      if (!final) break;
+      tokens.push({ type: 'text', raw: '<' });
+      pos = input.length;
+      break;
+    }
+
+    const next = input[lt + 1];
+    if (next === '!') {
+      if (input.startsWith('<!--', lt) || (!final && '<!--'.startsWith(input.slice(lt, lt + 4)))) {
+        const close = input.indexOf('-->', lt + 4);
+        if (close === -1) {
+          if (!final) break;
+          tokens.push({ type: 'comment', raw: input.slice(lt) });
+          pos = input.length;
+          break;
+        }
+        tokens.push({ type: 'comment', raw: input.slice(lt, close + 3) });
+        pos = close + 3;
+        continue;
+      }
+      const close = input.indexOf('>', lt);
+      if (close === -1) {
+        if (!final) break;
+        tokens.push({ type: 'comment', raw: input.slice(lt) });
+        pos = input.length;
+        break;
+      }
+      const raw = input.slice(lt, close + 1);
+      tokens.push({ type: /^<!doctype/i.test(raw) ? 'doctype' : 'comment', raw });
+      pos = close + 1;
+      continue;
+    }
+    if (next === '?') {
+      const close = input.indexOf('>', lt);
+      if (close === -1) {
+        if (!final) break;
+        tokens.push({ type: 'comment', raw: input.slice(lt) });
+        pos = input.length;
+        break;
+      }
+      tokens.push({ type: 'comment', raw: input.slice(lt, close + 1) });
+      pos = close + 1;
+      continue;
+    }
+    if (next === '/' && lt + 2 >= input.length && !final) break;
+    if (isAlpha(next) || (next === '/' && isAlpha(input[lt + 2] || ''))) {
+      const tag = readTag(input, lt, final);
+      if (!tag) break;
+      tokens.push(tag);
+      pos = lt + tag.raw.length;
+      if (tag.type === 'startTag' && RAW_TEXT_TAGS.has(tag.name)) state.rawTag = tag.name;
+      continue;
+    }
+
+    // a stray "<" is just text
+    tokens.push({ type: 'text', raw: '<' });
+    pos = lt + 1;
+  }
+
+  return { tokens, consumed: pos };
+}
+
+/**
+ * createTokenizer()
+ * - incremental tokenizer; write() may be called with arbitrary slices of a document
+ */
+function createTokenizer() {
+  const state = { rawTag: null, rawSearchFrom: 0 };
+  let buffer = '';
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      const { tokens, consumed } = scan(buffer, state, false);
+      buffer = buffer.slice(consumed);
+      // rawSearchFrom is an offset into the buffer; keep it aligned after trimming
+      state.rawSearchFrom = Math.max(0, state.rawSearchFrom - consumed);
+      return tokens;
+    },
+    end() {
+      const { tokens } = scan(buffer, state, true);
+      buffer = '';
+      return tokens;
+    },
+    get pending() {
+      return buffer.length;
+    }
+  };
+}
+
+/**
+ * tokenize(html)
+ * - one-shot helper for complete documents
+ */
+function tokenize(html) {
+  if (!html) return [];
+  return scan(String(html), { rawTag: null, rawSearchFrom: 0 }, true).tokens;
+}
+
+/**
+ * getAttr(token, name)
+ * - returns the decoded value of the first attribute called name, '' for a bare attribute,
+ *   or null when absent
+ */
+function getAttr(token, name) {
+  if (!token || !token.attrs) return null;
+  const attr = token.attrs.find(a => a.name === name);
+  if (!attr) return null;
+  return attr.value == null ? '' : attr.value;
+}
+
+module.exports = {
+  tokenize,
+  createTokenizer,
+  decodeEntities,
+  getAttr,
+  RAW_TEXT_TAGS
+};
@@ -0,0 +1,138 @@
+/**
+ * httpCache.js
+ *
+ * Answering proxy requests from resourceCache entries (RFC 9111 / RFC 5861, rules in
+ * cachePolicy.js), for /proxy, /resource and server-side fetches:
+ *  - a fresh entry answers at once
+ *  - a stale one is revalidated: the upstream request carries If-None-Match /
+ *    If-Modified-Since, and a 304 refreshes the entry, which then answers
+ *  - stale-while-revalidate: the stale entry answers at once and is revalidated in the
+ *    background, one revalidation per entry at a time
+ *  - stale-if-error: the stale entry answers when the upstream cannot be reached, times out
+ *    or fails with 500/502/503/504, instead of an error page
+ * Entries hold what the client was sent: { status, headers, body (Buffer) }.
+ *
+ * Exposes:
+ *    isUpstreamFailure(status) -> whether stale-if-error applies to an upstream status
+ *    revalidateInBackground(key, revalidate) -> starts revalidate() unless one is running for key
+ *    sendCachedResponse(req, res, hit) -> answers req from a resourceCache.lookupResponse hit
+ *    createHeaderCollector() -> an object taking setHeader/getHeader/removeHeader like res,
+ *      for building an entry away from a response; .headers(names) -> plain object
+ *    createCaptureStream(maxBytes) -> pass-through Transform keeping a copy of the body;
+ *      .captured() -> Buffer, or null when incomplete or larger than maxBytes
+ *    bufferBody(source, transforms) -> Promise<Buffer> of source piped through transforms
+ */
+
+const { Transform, Writable, pipeline } = require('stream');
+const { sendCachedBody } = require('./range');
+const { clearServerHeaders } = require('./responseHeaders');
+const { logInfo, logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logInfo: () => {}, logWarn: () => {} }; }
+})();
+
+const FAILURE_STATUSES = [500, 502, 503, 504];
+const revalidating = new Set(); // cache keys with a background revalidation running
+
+/**
+ * isUpstreamFailure(status)
+ */
+function isUpstreamFailure(status) {
+  return FAILURE_STATUSES.includes(status);
+}
+
+/**
+ * revalidateInBackground(key, revalidate)
+ * - revalidate: async function doing the conditional request and updating the entry
+ */
+function revalidateInBackground(key, revalidate) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+  Promise.resolve()
+    .then(revalidate)
+    .catch(e => logWarn(`httpCache background revalidation failed: ${e.message}`))
+    .finally(() => revalidating.delete(key));
+}
+
+/**
+ * sendCachedResponse(req, res, hit)
+ * - Range requests get their slice of the body (see range.js)
+ */
+function sendCachedResponse(req, res, hit) {
+  const { value } = hit;
+  if (!hit.fresh) logInfo(`httpCache serving stale entry (age ${Math.floor(hit.age / 1000)}s)`);
+  // the entry holds the headers the policy table let through (responseHeaders.js)
+  clearServerHeaders(res);
+  for (const [name, v] of Object.entries(value.headers || {})) res.setHeader(name, v);
+  res.setHeader('age', String(Math.floor(hit.age / 1000)));
+  if (value.status && value.status !== 200) res.status(value.status);
+  sendCachedBody(req, res, Buffer.isBuffer(value.body) ? value.body : Buffer.from(value.body || '', 'utf8'));
+}
+
+/**
+ * createHeaderCollector()
+ */
+function createHeaderCollector() {
+  const headers = new Map();
+  return {
+    setHeader(name, value) { headers.set(String(name).toLowerCase(), value); return this; },
+    getHeader(name) { return headers.get(String(name).toLowerCase()); },
+    removeHeader(name) { headers.delete(String(name).toLowerCase()); },
+    hasHeader(name) { return headers.has(String(name).toLowerCase()); },
+    headers(names) {
+      const out = {};
+      for (const [name, value] of headers) {
+        if (!names || names.includes(name)) out[name] = value;
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * createCaptureStream(maxBytes)
+ */
+function createCaptureStream(maxBytes) {
+  const chunks = [];
+  let length = 0;
+  let complete = false;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      if (length <= maxBytes) {
+        length += chunk.length;
+        if (length <= maxBytes) chunks.push(Buffer.from(chunk));
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      complete = true;
+      callback();
+    }
+  });
+  stream.captured = () => (complete && length <= maxBytes ? Buffer.concat(chunks, length) : null);
+  return stream;
+}
+
+/**
+ * bufferBody(source, transforms)
+ */
+function bufferBody(source, transforms = []) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      }
+    });
+    pipeline(source, ...transforms, sink, err => (err ? reject(err) : resolve(Buffer.concat(chunks))));
+  });
+}
+
+module.exports = {
+  isUpstreamFailure,
+  revalidateInBackground,
+  sendCachedResponse,
+  createHeaderCollector,
+  createCaptureStream,
+  bufferBody
+};
@@ -3,37 +3,452 @@
  *
  * Utilities for proxy-safe JavaScript handling
  * - Rewriting URLs embedded in scripts
- * - Removing unsafe calls (eval, document.write, etc.)
+ * - Wrapping dynamic code (eval, Function, string timers) instead of deleting it
  * - Extracting URLs for caching or preloading
+ *
+ * transformJs() parses the script with acorn (optional dependency) and splices edits into
+ * the original source, so formatting, comments and validity are kept:
+ *  - only real URL sinks are rewritten: fetch(), XMLHttpRequest#open(), sendBeacon(),
+ *    EventSource/Worker/SharedWorker, importScripts(), setAttribute() and
+ *    .src/.href/.action assignments - and only when the URL is a string literal
+ *  - the module graph: static import / export ... from / import() specifiers go to
+ *    MODULE_KIND URLs; bare specifiers are left for the (rewritten) import map to resolve;
+ *    import.meta.url becomes the module's upstream URL and import.meta.resolve() results
+ *    are unproxied through __sebUnproxify
+ *  - eval(code), Function(..., body) and setTimeout/setInterval(code) get their code argument
+ *    passed through __sebRewriteJs (defined by public/js/proxyRuntime.js) at run time
+ *  - window.location / document.location / bare `location` become __sebLocation, falling
+ *    back to the real location where the runtime is absent (workers, cfg.rewriteUrl output):
+ *    reads as (globalThis.__sebLocation||location), assignment targets as
+ *    globalThis[globalThis.__sebLocation?'__sebLocation':'location']
+ * Scripts that fail to parse are passed through untouched. Results are cached by content hash.
+ * transformJsWithEdits() also returns the splices, from which sourceMap.js builds source maps.
+ * Without acorn installed, hasParser() is false and the regex helpers below are used.
  */
 
+const crypto = require('crypto');
 const { logWarn } = (() => { try { return require('./logger'); } catch { return { logWarn: ()=>{} }; }})();
 const { safeResolve } = (() => { try { return require('./rewrite'); } catch { return { safeResolve:(u,b)=>u }; }})();
+const { NAVIGATE, RESOURCE, MODULE_KIND } = require('./proxyUrl');
+const { createEditMap } = require('./sourceMap');
+
+let acorn = null;
+try { acorn = require('acorn'); } catch (e) { acorn = null; }
 
 const URL_REGEX = /(['"`])(https?:\/\/[^'"`]+)\1/gi;
 
+// run-time hooks from the client runtime, falling back to identity when it is absent
+const CODE_WRAPPER = '(globalThis.__sebRewriteJs||function(c){return c})';
+const UNPROXY_WRAPPER = '(globalThis.__sebUnproxify||function(u){return u})';
+const LOCATION_ALIAS = '__sebLocation';
+const locationRead = owner => (owner
+  ? `(${owner}.${LOCATION_ALIAS}||${owner}.location)`
+  : `(globalThis.${LOCATION_ALIAS}||location)`);
+// (a||b) = x is not a valid target: writes pick the property instead
+const locationWrite = (owner = 'globalThis') => `${owner}[${owner}.${LOCATION_ALIAS}?'${LOCATION_ALIAS}':'location']`;
+const GLOBAL_OBJECTS = ['window', 'self', 'globalThis', 'document', 'top', 'parent'];
+const HTTP_METHODS = /^(?:GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS)$/i;
+
+// callee name -> { kind, args, owners } (argument indexes holding a URL, 'all' for every
+// argument; owners are the objects the function may be called on, null for a bare call)
+const CALL_SINKS = {
+  fetch: { kind: NAVIGATE, args: [0], owners: [null, ...GLOBAL_OBJECTS] },
+  sendBeacon: { kind: NAVIGATE, args: [0], owners: ['navigator'] },
+  importScripts: { kind: RESOURCE, args: 'all', owners: [null, 'self', 'globalThis'] }
+};
+const CONSTRUCTOR_SINKS = {
+  EventSource: NAVIGATE,
+  Worker: RESOURCE,
+  SharedWorker: RESOURCE
+};
+const PROPERTY_SINKS = ['src', 'href', 'action', 'formAction', 'poster', 'data'];
+const ATTRIBUTE_SINKS = ['src', 'href', 'action', 'formaction', 'poster', 'data'];
+
+const CACHE_MAX_ENTRIES = 500;
+const cache = new Map();
+
 /**
- * sanitizeJs(js)
- * - Remove unsafe calls and inline dangerous constructs
+ * hasParser()
+ * - true when acorn is available and transformJs() does real parsing
  */
-function sanitizeJs(js) {
-  if (!js) return '';
+function hasParser() {
+  return !!acorn;
+}
+
+function parseSource(js) {
+  const base = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true };
+  try {
+    return acorn.parse(js, Object.assign({ sourceType: 'script' }, base));
+  } catch (e) {
+    // import/export statements only parse as a module
+    return acorn.parse(js, Object.assign({ sourceType: 'module' }, base));
+  }
+}
+
+/**
+ * walk(node, visit, parent, key)
+ * - depth-first walk over every child node; visit(node, parent, key) runs before the children
+ */
+function walk(node, visit, parent = null, key = null) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent, key);
+  for (const k of Object.keys(node)) {
+    if (k === 'type' || k === 'start' || k === 'end') continue;
+    const child = node[k];
+    if (Array.isArray(child)) child.forEach(c => walk(c, visit, node, k));
+    else if (child && typeof child.type === 'string') walk(child, visit, node, k);
+  }
+}
+
+function calleeName(callee) {
+  if (!callee) return null;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') return callee.property.name;
+  return null;
+}
+
+/**
+ * calleeOwner(callee)
+ * - null for a bare call, the object name for obj.fn(), undefined for anything else
+ */
+function calleeOwner(callee) {
+  if (callee.type === 'Identifier') return null;
+  if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') return callee.object.name;
+  return undefined;
+}
+
+/**
+ * isBareSpecifier(value)
+ * - "lit", "@scope/pkg/x.js": resolved by the import map, not relative to the module
+ */
+function isBareSpecifier(value) {
+  return !/^(?:\.{0,2}\/|[a-z][\w+.-]*:)/i.test(value);
+}
+
+function stringValue(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * quoteJs(value, quote)
+ * - a JS string (or template) literal for value using the original delimiter
+ */
+function quoteJs(value, quote) {
+  let out = String(value).replace(/\\/g, '\\\\').replace(/\r/g, '\\r').replace(/\n/g, '\\n')
+    .replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+  if (quote === '`') out = out.replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+  else out = out.split(quote).join('\\' + quote);
+  return quote + out + quote;
+}
+
+/**
+ * declaresLocation(ast)
+ * - a script with its own `location` binding keeps its bare `location` references
+ */
+function declaresLocation(ast) {
+  let found = false;
+  const isLocation = n => n && n.type === 'Identifier' && n.name === 'location';
+  const checkPattern = p => {
+    if (!p || found) return;
+    if (isLocation(p)) found = true;
+    else if (p.type === 'ObjectPattern') p.properties.forEach(prop => checkPattern(prop.type === 'RestElement' ? prop.argument : prop.value));
+    else if (p.type === 'ArrayPattern') p.elements.forEach(checkPattern);
+    else if (p.type === 'AssignmentPattern') checkPattern(p.left);
+    else if (p.type === 'RestElement') checkPattern(p.argument);
+  };
+  walk(ast, (node) => {
+    if (found) return;
+    if (node.type === 'VariableDeclarator') checkPattern(node.id);
+    else if (/Function/.test(node.type)) { checkPattern(node.id); node.params.forEach(checkPattern); }
+    else if (node.type === 'ClassDeclaration') checkPattern(node.id);
+    else if (node.type === 'CatchClause') checkPattern(node.param);
+    else if (/^Import(?:Default|Namespace)?Specifier$/.test(node.type)) checkPattern(node.local);
+  });
+  return found;
+}
+
+/**
+ * isReference(node, parent, key)
+ * - true when an Identifier is a variable reference rather than a property name, label or
+ *   declaration
+ */
+function isReference(node, parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression': return key === 'object' || parent.computed;
+    case 'Property': return key === 'value' ? !parent.shorthand : parent.computed;
+    case 'MethodDefinition':
+    case 'PropertyDefinition': return key !== 'key' || parent.computed;
+    case 'VariableDeclarator': return key === 'init';
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression': return key === 'body';
+    case 'ClassDeclaration':
+    case 'ClassExpression': return key === 'superClass';
+    case 'CatchClause':
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportSpecifier':
+    case 'MetaProperty': return false;
+    case 'AssignmentPattern': return key === 'right';
+    case 'ArrayPattern':
+    case 'ObjectPattern':
+    case 'RestElement': return false;
+    default: return true;
+  }
+}
+
+/**
+ * markWritten(node, written)
+ * - adds the nodes node assigns to (assignment and update targets, for-in/of heads and the
+ *   targets inside destructuring patterns) to written
+ */
+function markWritten(node, written) {
+  switch (node.type) {
+    case 'AssignmentExpression':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      written.add(node.left);
+      break;
+    case 'UpdateExpression':
+      written.add(node.argument);
+      break;
+    default:
+      if (!written.has(node)) break;
+      if (node.type === 'ObjectPattern') node.properties.forEach(p => written.add(p.type === 'RestElement' ? p : p.value));
+      else if (node.type === 'ArrayPattern') node.elements.forEach(e => e && written.add(e));
+      else if (node.type === 'RestElement') written.add(node.argument);
+      else if (node.type === 'AssignmentPattern') written.add(node.left);
+  }
+}
+
+/**
+ * collectEdits(ast, options)
+ * - returns [{ start, end, text }] edits against the original source
+ */
+function collectEdits(ast, options) {
+  const edits = [];
+  const replaceUrl = (node, kind) => {
+    const value = stringValue(node);
+    if (value == null) return;
+    const next = options.rewriteUrl(value, kind);
+    if (next == null || next === value) return;
+    const quote = node.type === 'TemplateLiteral' ? '`' : options.source[node.start];
+    edits.push({ start: node.start, end: node.end, text: quoteJs(next, quote) });
+  };
+  const wrapCode = (node) => {
+    if (!node || node.type === 'SpreadElement' || /Function/.test(node.type)) return;
+    edits.push({ start: node.start, end: node.start, text: CODE_WRAPPER + '(' });
+    edits.push({ start: node.end, end: node.end, text: ')' });
+  };
+  const replaceSpecifier = (node) => {
+    const value = stringValue(node);
+    if (value != null && !isBareSpecifier(value)) replaceUrl(node, MODULE_KIND);
+  };
+  const locationBindings = options.emulateLocation && declaresLocation(ast);
+  // assignment targets get locationWrite, reads locationRead
+  const written = new Set();
+
+  walk(ast, (node, parent, key) => {
+    if (options.emulateLocation) markWritten(node, written);
+    if (options.modules) {
+      if (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' ||
+          node.type === 'ImportExpression' || (node.type === 'ExportNamedDeclaration' && node.source)) {
+        replaceSpecifier(node.source);
+      } else if (node.type === 'MemberExpression' && node.object.type === 'MetaProperty' &&
+                 node.object.meta.name === 'import' && !node.computed) {
+        if (node.property.name === 'url' && options.moduleUrl) {
+          edits.push({ start: node.start, end: node.end, text: quoteJs(options.moduleUrl, "'") });
+        } else if (node.property.name === 'resolve' && parent && parent.type === 'CallExpression' && key === 'callee') {
+          edits.push({ start: parent.start, end: parent.start, text: UNPROXY_WRAPPER + '(' });
+          edits.push({ start: parent.end, end: parent.end, text: ')' });
+        }
+      }
+    }
+
+    if (options.network) {
+      if (node.type === 'CallExpression') {
+        const name = calleeName(node.callee);
+        const sink = name && CALL_SINKS[name];
+        if (sink && sink.owners.includes(calleeOwner(node.callee))) {
+          const indexes = sink.args === 'all' ? node.arguments.map((a, i) => i) : sink.args;
+          indexes.forEach(i => replaceUrl(node.arguments[i], sink.kind));
+        } else if (name === 'open' && node.callee.type === 'MemberExpression' && node.arguments.length >= 2 &&
+                   HTTP_METHODS.test(stringValue(node.arguments[0]) || '')) {
+          replaceUrl(node.arguments[1], NAVIGATE); // xhr.open('GET', url)
+        } else if (name === 'setAttribute' && node.arguments.length >= 2 &&
+                   ATTRIBUTE_SINKS.includes((stringValue(node.arguments[0]) || '').toLowerCase())) {
+          replaceUrl(node.arguments[1], NAVIGATE);
+        }
+      } else if (node.type === 'NewExpression') {
+        const kind = CONSTRUCTOR_SINKS[calleeName(node.callee)];
+        if (kind) replaceUrl(node.arguments[0], kind);
+      } else if (node.type === 'AssignmentExpression' && node.operator === '=' &&
+                 node.left.type === 'MemberExpression' && !node.left.computed &&
+                 PROPERTY_SINKS.includes(node.left.property.name)) {
+        // el.src = '/x.js'; location.href = ... is left to the location shim
+        const target = node.left.object;
+        const isLocation = (target.type === 'Identifier' && target.name === 'location') ||
+          (target.type === 'MemberExpression' && !target.computed && target.property.name === 'location');
+        if (!isLocation) replaceUrl(node.right, NAVIGATE);
+      }
+    }
+
+    if (options.wrapEval && (node.type === 'CallExpression' || node.type === 'NewExpression') && node.arguments.length) {
+      const owner = calleeOwner(node.callee);
+      const name = owner === null || GLOBAL_OBJECTS.includes(owner) ? calleeName(node.callee) : null;
+      const last = node.arguments[node.arguments.length - 1];
+      if (name === 'eval' && node.type === 'CallExpression') wrapCode(node.arguments[0]);
+      else if (name === 'Function' && !node.arguments.some(a => a.type === 'SpreadElement')) wrapCode(last);
+      else if ((name === 'setTimeout' || name === 'setInterval') && node.type === 'CallExpression') wrapCode(node.arguments[0]);
+    }
+
+    if (options.emulateLocation) {
+      if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier' &&
+          node.property.name === 'location' && node.object.type === 'Identifier' && GLOBAL_OBJECTS.includes(node.object.name)) {
+        const text = written.has(node) ? locationWrite(node.object.name) : locationRead(node.object.name);
+        edits.push({ start: node.start, end: node.end, text });
+      } else if (!locationBindings && node.type === 'Identifier' && node.name === 'location') {
+        const text = written.has(node) ? locationWrite() : locationRead(null);
+        if (parent && parent.type === 'Property' && parent.shorthand && key === 'value' && parent.value.type === 'Identifier') {
+          edits.push({ start: node.start, end: node.end, text: `location: ${text}` }); // { location }
+        } else if (written.has(node) || isReference(node, parent, key)) {
+          edits.push({ start: node.start, end: node.end, text });
+        }
+      }
+    }
+  });
+  return edits;
+}
+
+/**
+ * orderEdits(edits)
+ * - sorts by offset (zero-width insertions at the same offset keep their order, ahead of a
+ *   replacement there) and drops edits overlapping an earlier one
+ */
+function orderEdits(edits) {
+  const ordered = edits.map((e, i) => Object.assign({ i }, e))
+    .sort((a, b) => a.start - b.start || (a.end - a.start) - (b.end - b.start) || a.i - b.i);
+  const out = [];
+  let pos = 0;
+  for (const e of ordered) {
+    if (e.start < pos) continue; // overlapping edit: keep the first one
+    out.push({ start: e.start, end: e.end, text: e.text });
+    pos = e.end;
+  }
+  return out;
+}
+
+/**
+ * applyEdits(source, ordered)
+ * - splices edits returned by orderEdits() into source
+ */
+function applyEdits(source, ordered) {
+  let out = '';
+  let pos = 0;
+  for (const e of ordered) {
+    out += source.slice(pos, e.start) + e.text;
+    pos = e.end;
+  }
+  return out + source.slice(pos);
+}
+
+function cacheGet(key) {
+  if (!cache.has(key)) return undefined;
+  const value = cache.get(key);
+  cache.delete(key);
+  cache.set(key, value);
+  return value;
+}
+
+function cacheSet(key, value) {
+  cache.set(key, value);
+  if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * transformJsWithEdits(js, options)
+ * - options.rewriteUrl(value, kind) -> replacement URL or null (kind: 'navigate' | 'resource')
+ * - options.network / modules / wrapEval / emulateLocation (default true) switch the passes
+ * - options.moduleUrl: upstream URL of the script, substituted for import.meta.url
+ * - options.cacheKey: everything besides the source that affects the output (base URL,
+ *   proxy settings); without it nothing is cached
+ * - returns { code, edits }: edits are the splices applied to js, sorted and non-overlapping
+ *   (sourceMap.js maps offsets through them); code is js unchanged and edits is empty when
+ *   acorn is missing or the script does not parse
+ */
+function transformJsWithEdits(js, options = {}) {
+  if (!js || !acorn) return { code: js, edits: [] };
+  const opts = Object.assign({ network: true, modules: true, wrapEval: true, emulateLocation: true }, options);
+  if (typeof opts.rewriteUrl !== 'function') opts.network = opts.modules = false;
+
+  let key = null;
+  if (opts.cacheKey != null) {
+    const flags = `${opts.network}|${opts.modules}|${opts.wrapEval}|${opts.emulateLocation}|${opts.moduleUrl}|${opts.cacheKey}`;
+    key = crypto.createHash('sha1').update(flags).update('\0').update(js).digest('hex');
+    const hit = cacheGet(key);
+    if (hit !== undefined) return hit;
+  }
+
+  let result = { code: js, edits: [] };
   try {
-    return js.replace(/\beval\s*\(/gi, '')
-             .replace(/\bdocument\.write\s*\(/gi, '')
-             .replace(/\bnew\s+Function\s*\(/gi, '')
-             .replace(/\bsetTimeout\s*\(\s*(['"`])/gi, 'setTimeout('); // prevent string eval
+    const ast = parseSource(js);
+    const edits = orderEdits(collectEdits(ast, Object.assign({ source: js }, opts)));
+    result = { code: applyEdits(js, edits), edits };
   } catch (e) {
-    logWarn('sanitizeJs failed: ' + e.message);
-    return js;
+    logWarn('transformJs passthrough: ' + e.message);
   }
+  if (key) cacheSet(key, result);
+  return result;
+}
+
+/**
+ * transformJs(js, options)
+ * - transformJsWithEdits(js, options).code
+ */
+function transformJs(js, options = {}) {
+  return transformJsWithEdits(js, options).code;
+}
+
+/**
+ * sanitizeJs(js)
+ * - Wraps dynamic code (eval, Function, string timers) so it is rewritten at run time;
+ *   the script stays valid. Without acorn the script is returned as-is.
+ */
+function sanitizeJs(js) {
+  if (!js) return '';
+  return transformJs(js, { network: false, modules: false, emulateLocation: false });
+}
+
+/**
+ * absoluteRewriter(baseUrl, rewriteFn)
+ * - adapts rewriteFn(absUrl) to transformJs' rewriteUrl(value, kind)
+ */
+function absoluteRewriter(baseUrl, rewriteFn) {
+  return (value) => {
+    if (!value || value[0] === '#' || /^(?:data|javascript|blob|about|mailto):/i.test(value)) return null;
+    const abs = safeResolve(value, baseUrl);
+    return /^https?:\/\//i.test(abs) ? rewriteFn(abs) : null;
+  };
 }
 
 /**
  * rewriteJsUrls(js, baseUrl, rewriteFn)
+ * - only URLs passed to real sinks are rewritten (see transformJs); without acorn every
+ *   quoted absolute URL is
  */
 function rewriteJsUrls(js, baseUrl, rewriteFn) {
   if (!js) return '';
+  if (acorn) {
+    return transformJs(js, { rewriteUrl: absoluteRewriter(baseUrl, rewriteFn), wrapEval: false, emulateLocation: false });
+  }
   return js.replace(URL_REGEX, (match, q, url) => {
     try {
       const abs = safeResolve(url, baseUrl);
@@ -62,19 +477,30 @@ function extractUrls(js, baseUrl) {
 
 /**
  * parseJs(js, baseUrl, rewriteFn)
- * - Main parser: rewrites URLs and sanitizes
+ * - Main parser: rewrites URLs and wraps dynamic code
  */
 function parseJs(js, baseUrl, rewriteFn) {
   if (!js) return '';
   try {
+    if (acorn) return transformJs(js, { rewriteUrl: absoluteRewriter(baseUrl, rewriteFn), emulateLocation: false });
     js = rewriteJsUrls(js, baseUrl, rewriteFn);
-    js = sanitizeJs(js);
   } catch (e) {
     logWarn('parseJs failed: ' + e.message);
   }
   return js;
 }
 
+/**
+ * parseJsWithMap(js, baseUrl, rewriteFn)
+ * - parseJs() plus a source map from the result back onto js (null without acorn)
+ */
+function parseJsWithMap(js, baseUrl, rewriteFn) {
+  if (!js) return { code: '', map: null };
+  if (!acorn) return { code: parseJs(js, baseUrl, rewriteFn), map: null };
+  const { code, edits } = transformJsWithEdits(js, { rewriteUrl: absoluteRewriter(baseUrl, rewriteFn), emulateLocation: false });
+  return { code, map: createEditMap(js, code, edits, baseUrl) };
+}
+
 /**
  * analyzeJs(js)
  * - returns metadata: { containsEval, containsDocumentWrite, containsFunctionConstructor }
@@ -91,10 +517,14 @@ function analyzeJs(js) {
 }
 
 module.exports = {
+  transformJs,
+  transformJsWithEdits,
+  hasParser,
+  isBareSpecifier,
   sanitizeJs,
   rewriteJsUrls,
   extractUrls,
   parseJs,
+  parseJsWithMap,
   analyzeJs
 };
-
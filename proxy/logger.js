@@ -2,7 +2,7 @@
  * logger.js
  *
  * Lightweight logger wrapper used by proxy modules.
- * - Writes structured logs to logs/proxy.log
+ * - Writes structured logs to logs/proxy.log (config.js getLogFile; SEB_LOG_DIR moves it)
  * - Exposes logInfo, logWarn, logError
  * - Supports optional external hook (loggerDB)
  * - Structured JSON lines for easier parsing
@@ -15,9 +15,10 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { getLogFile } = require('./config');
 
-const LOG_DIR = path.join(__dirname, '..', 'logs');
-const LOG_FILE = path.join(LOG_DIR, 'proxy.log');
+const LOG_FILE = getLogFile();
+const LOG_DIR = path.dirname(LOG_FILE);
 
 // ensure existence
 try { if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true }); } catch (e) {}
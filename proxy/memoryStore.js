@@ -0,0 +1,141 @@
+/**
+ * memoryStore.js
+ *
+ * In-memory cache storage adapter (see cacheStore.js for the interface): a Map kept in
+ * least-recently-used order, limited by item count and by approximate size. Buffers count by
+ * their length.
+ *
+ * Exposes:
+ *    createMemoryStore({ maxItems, maxBytes }) -> store
+ *      store.get(key) -> Promise<{ value, expiresAt } | null>
+ *      store.set(key, value, expiresAt) -> Promise<boolean>
+ *      store.del(key) -> Promise
+ *      store.scan(prefix) -> Promise<keys>
+ *      store.clear() -> Promise
+ *      store.sweep() -> number of expired entries removed
+ *      store.stats() -> Promise<{ backend, items, bytes, maxItems, maxBytes }>
+ *    estimateSize(value) -> approximate bytes
+ */
+
+const DEFAULT_MAX_ITEMS = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024; // 50MB
+
+/**
+ * estimateSize(value)
+ */
+function estimateSize(obj) {
+  if (!obj) return 0;
+  if (Buffer.isBuffer(obj)) return obj.length;
+  if (typeof obj === 'string') return Buffer.byteLength(obj, 'utf8');
+  if (typeof obj !== 'object') return 8;
+  // Buffers nested in objects count by length, not by their JSON form
+  let size = 2;
+  try {
+    for (const [k, v] of Object.entries(obj)) size += k.length + 4 + estimateSize(v);
+  } catch (e) {
+    return 1024;
+  }
+  return size;
+}
+
+/**
+ * createMemoryStore({ maxItems, maxBytes })
+ */
+function createMemoryStore({ maxItems = DEFAULT_MAX_ITEMS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const cacheMap = new Map(); // key -> { value, size, expiresAt }
+  let currentBytes = 0;
+
+  function remove(key) {
+    const entry = cacheMap.get(key);
+    if (!entry) return;
+    cacheMap.delete(key);
+    currentBytes -= entry.size || 0;
+  }
+
+  // remove oldest (first) entries until below size / count limits
+  function evictIfNeeded() {
+    while ((cacheMap.size > maxItems || currentBytes > maxBytes) && cacheMap.size > 0) {
+      remove(cacheMap.keys().next().value);
+    }
+  }
+
+  /**
+   * get(key)
+   */
+  async function get(key) {
+    const entry = cacheMap.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt < Date.now()) {
+      remove(key);
+      return null;
+    }
+    // move to most-recently-used position
+    cacheMap.delete(key);
+    cacheMap.set(key, entry);
+    return { value: entry.value, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * set(key, value, expiresAt)
+   */
+  async function set(key, value, expiresAt = null) {
+    remove(key);
+    const size = estimateSize(value);
+    cacheMap.set(key, { value, size, expiresAt: expiresAt || null });
+    currentBytes += size;
+    evictIfNeeded();
+    return cacheMap.has(key);
+  }
+
+  /**
+   * del(key)
+   */
+  async function del(key) {
+    remove(key);
+  }
+
+  /**
+   * scan(prefix)
+   */
+  async function scan(prefix = '') {
+    return [...cacheMap.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * clear()
+   */
+  async function clear() {
+    cacheMap.clear();
+    currentBytes = 0;
+  }
+
+  /**
+   * sweep()
+   */
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of [...cacheMap]) {
+      if (entry.expiresAt && entry.expiresAt < now) {
+        remove(key);
+        removed++;
+      }
+    }
+    evictIfNeeded();
+    return removed;
+  }
+
+  /**
+   * stats()
+   */
+  async function stats() {
+    return { backend: 'memory', items: cacheMap.size, bytes: currentBytes, maxItems, maxBytes };
+  }
+
+  return { get, set, del, scan, clear, sweep, stats };
+}
+
+module.exports = {
+  createMemoryStore,
+  estimateSize
+};
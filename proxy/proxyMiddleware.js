@@ -4,26 +4,364 @@
  * Main Express middleware for handling proxy requests
  * - Integrates fetcher, rewrite, validator, and throttler
  * - Handles errors and logging
- * - Supports caching, cookies, headers
+ * - Supports caching, cookies, headers; upstream cookies stay in the session's server-side jar
+ *   (see cookies.js)
  * - Works with iframe injection and JS rewriting
+ * - Upstream redirects reach the browser with a proxied Location, or are followed here with
+ *   followRedirects (see redirects.js)
+ * - Upstream response headers pass through the policy table of responseHeaders.js
+ * - Range requests (resumed downloads, media) are forwarded for bodies passed through as-is
+ *   (see range.js)
+ * - With config.cache, GET responses are cached by their caching headers: stale copies are
+ *   revalidated, or served while revalidating / when the upstream fails (see httpCache.js)
+ * - Identical GET / HEAD page loads of one session made at the same time go upstream once and
+ *   share the streamed response (see singleFlight.js)
  */
 
-const fetch = require('node-fetch');
-const { validateUrl, isLocalAddress } = require('./validator');
-const { rewriteHtml } = require('./rewrite');
-const { parseCookieHeader, mergeCookies } = require('./cookies');
+const { fetch } = require('./upstreamAgent'); // node-fetch over the shared connection pool
+const { checkTarget } = require('./validator');
+const { fetchFollowing, redirectTarget, proxyLocation } = require('./redirects');
+const { createHtmlRewriteStream, createCssRewriteStream, createJsRewriteStream, createLimitStream, pipeToResponse } = require('./streamRewriter');
+const { getSessionJar, cookieContext } = require('./cookies');
+const { buildUpstreamHeaders } = require('./requestHeaders');
+const { applyResponseHeaders } = require('./responseHeaders');
+const { rangeRequestHeaders } = require('./range');
+const { isStorable } = require('./cachePolicy');
+const { isUpstreamFailure, revalidateInBackground, sendCachedResponse, createHeaderCollector, createCaptureStream, bufferBody } = require('./httpCache');
+const { cacheKeyFor, rewriteSignature, jarId } = require('./fetcher');
+const { streamFlight } = require('./singleFlight');
 const { throttlerMiddleware } = require('./throttler');
 const { logInfo, logWarn } = require('./logger');
-const { errorPage } = require('./errorPage');
+const { generateErrorPage } = require('./errorPage');
+const { getProxyDefaults, getServiceWorker, getUrlCodec, getCacheDefaults } = require('./config');
+const { encodeProxyUrl, decodeProxyUrl, decodeTarget, NAVIGATE } = require('./proxyUrl');
+const { sourceMapHeader } = require('./sourceMap');
+const { charsetFromContentType, utf8ContentType } = require('./charset');
 const url = require('url');
 
+let resourceCache;
+try { resourceCache = require('./resourceCache'); } catch (e) { resourceCache = null; }
+
+const MAX_CACHE_CAPTURE = 2 * 1024 * 1024; // 2MB: larger pages are streamed but not cached
+
 const defaultOptions = {
   throttle: true,
-  cache: false,
+  cache: getCacheDefaults().enabled,
   rewriteHtml: true,
-  allowLocal: false
+  rewriteCss: true,
+  rewriteJs: true,
+  allowLocal: false,
+  followRedirects: getProxyDefaults().followRedirects,
+  maxRedirects: getProxyDefaults().maxRedirects,
+  maxContentLength: getProxyDefaults().maxContentLength,
+  maxRequestBodyLength: getProxyDefaults().maxRequestBodyLength,
+  allowedMethods: getProxyDefaults().allowedMethods,
+  formTargetField: getProxyDefaults().formTargetField,
+  serviceWorker: getServiceWorker(),
+  rewriteOptions: {
+    urlScheme: getProxyDefaults().urlScheme,
+    proxyPath: getProxyDefaults().proxyPath,
+    resourcePath: getProxyDefaults().resourcePath,
+    pathPrefix: getProxyDefaults().pathPrefix,
+    resourcePathPrefix: getProxyDefaults().resourcePathPrefix,
+    sourceMapPath: getProxyDefaults().sourceMapPath,
+    codec: getUrlCodec(),
+    formTargetField: getProxyDefaults().formTargetField,
+    runtimeScript: getProxyDefaults().runtimeScript
+  }
 };
 
+function errorPage(message, status = 500, targetUrl = '') {
+  return generateErrorPage({ status, url: targetUrl, message });
+}
+
+/**
+ * resolveTargetUrl(req, formTargetField, urlOptions)
+ * - path scheme requests (/p/https/host/path?query) carry the upstream URL in the request
+ *   line itself; this is checked first since the upstream query may well contain "url"
+ * - otherwise the upstream URL is ?url=...; a proxied GET form instead sends its action in a
+ *   hidden field (see rewrite.formTargetInput) and the remaining fields become its query string
+ * - both go through urlOptions.codec; a token that does not decode throws (status 400)
+ */
+function resolveTargetUrl(req, formTargetField = defaultOptions.formTargetField, urlOptions = defaultOptions.rewriteOptions) {
+  const routed = decodeProxyUrl(req.originalUrl || req.url, urlOptions);
+  if (routed && routed.form === 'path') return routed.target;
+
+  const query = req.query || {};
+  if (query.url) return decodeTarget(String(query.url), urlOptions);
+  const formTarget = formTargetField && query[formTargetField];
+  if (!formTarget) return (req.body && req.body.url) || null;
+  const decoded = decodeTarget(String(formTarget), urlOptions);
+  try {
+    const target = new URL(decoded);
+    const raw = (req.originalUrl || req.url || '').split('?')[1] || '';
+    const params = new URLSearchParams(raw);
+    params.delete(formTargetField);
+    target.search = params.toString();
+    return target.href;
+  } catch (e) {
+    return decoded;
+  }
+}
+
+/**
+ * hasRequestBody(req)
+ */
+function hasRequestBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return false;
+  const length = parseInt(req.headers['content-length'] || '0', 10);
+  return length > 0 || !!req.headers['transfer-encoding'];
+}
+
+/**
+ * htmlRewriteOptions(req, config)
+ * - in service worker mode, pages get the worker registration; requests the worker forwarded
+ *   (marked with its header) come from an already controlled page and only need a light pass.
+ *   Without a worker (disabled, unsupported, first visit) the full rewrite is used.
+ */
+function htmlRewriteOptions(req, config) {
+  const sw = config.serviceWorker;
+  if (!sw || !sw.enabled) return config.rewriteOptions;
+  return Object.assign({}, config.rewriteOptions, {
+    serviceWorker: sw.path,
+    lightPass: req.headers[sw.header] === '1'
+  });
+}
+
+/**
+ * rewriteKind(config, contentType)
+ * - 'html', 'css' or 'js' for a body this middleware rewrites, null for one passed through
+ */
+function rewriteKind(config, contentType) {
+  if (config.rewriteHtml && contentType.includes('text/html')) return 'html';
+  if (config.rewriteCss && contentType.includes('text/css')) return 'css';
+  if (config.rewriteJs && /\b(?:java|ecma)script\b/i.test(contentType)) return 'js';
+  return null;
+}
+
+/**
+ * prepareResponse(req, config, response, targetUrl, target)
+ * - sets the headers for an upstream response on target (res, or a header collector for a
+ *   cache entry) and returns { transforms, names }: the streams its body goes through and
+ *   the header names set
+ */
+function prepareResponse(req, config, response, targetUrl, target) {
+  const contentType = response.headers.get('content-type') || '';
+  const declaredLength = parseInt(response.headers.get('content-length') || '', 10);
+
+  // headers first: the upstream CSP nonce goes on the injected runtime script
+  const { names, nonce } = applyResponseHeaders(response.headers, target, { baseUrl: targetUrl, kind: NAVIGATE, rewriteOptions: config.rewriteOptions });
+
+  // Rewrite HTML/CSS chunk-by-chunk as the upstream body arrives; scripts (ES modules
+  // reached through import specifiers) are rewritten once complete
+  // (decoded from the upstream charset, see charset.js, and sent on as UTF-8)
+  const transforms = [createLimitStream(config.maxContentLength)];
+  const charset = charsetFromContentType(contentType);
+  const rewriting = rewriteKind(config, contentType);
+  if (rewriting === 'html') {
+    transforms.push(createHtmlRewriteStream(targetUrl, Object.assign({ charset, runtimeNonce: nonce }, htmlRewriteOptions(req, config))));
+  } else if (rewriting === 'css') {
+    transforms.push(createCssRewriteStream(targetUrl, Object.assign({ charset }, config.rewriteOptions)));
+  } else if (rewriting === 'js') {
+    const jsOptions = Object.assign({ charset }, htmlRewriteOptions(req, config), { sourceMapUrl: sourceMapHeader(response.headers) });
+    transforms.push(createJsRewriteStream(targetUrl, jsOptions.lightPass ? Object.assign(jsOptions, { locationOnly: true }) : jsOptions));
+  }
+
+  // Content-Length only for a body sent as it came: node-fetch decodes gzip/br and rewriting
+  // changes the size (and makes byte ranges meaningless)
+  if (contentType) target.setHeader('Content-Type', transforms.length > 1 ? utf8ContentType(contentType) : contentType);
+  if (transforms.length > 1) {
+    target.removeHeader('Accept-Ranges');
+  } else if (!Number.isNaN(declaredLength) && !response.headers.get('content-encoding')) {
+    target.setHeader('Content-Length', String(declaredLength));
+  }
+  const sent = names.concat(['content-type', 'content-length']).filter(name => target.getHeader(name) !== undefined);
+  return { transforms, names: [...new Set(sent)] };
+}
+
+/**
+ * pageCacheKey(req, config, targetUrl)
+ * - rewritten pages differ by rewrite options and by service worker pass (see htmlRewriteOptions)
+ */
+function pageCacheKey(req, config, targetUrl) {
+  const html = htmlRewriteOptions(req, config);
+  return cacheKeyFor(targetUrl, { mode: 'proxy', rewrite: rewriteSignature(config.rewriteOptions), sw: html.serviceWorker || null, light: !!html.lightPass });
+}
+
+/**
+ * refreshPage(req, config, targetUrl, key, headers, hit, jar)
+ * - background revalidation of a stale page: a 304 refreshes it, a new storable 200 replaces it
+ */
+async function refreshPage(req, config, targetUrl, key, headers, hit, jar) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getProxyDefaults().timeout);
+  try {
+    const requestTime = Date.now();
+    const response = await fetch(targetUrl, { headers: Object.assign({}, headers, hit.conditionalHeaders), signal: controller.signal, redirect: 'manual' });
+    const responseTime = Date.now();
+    jar.setCookies(response.headers.raw()['set-cookie'], targetUrl);
+    if (response.status === 304) {
+      response.body.resume();
+      await resourceCache.refreshResponse(key, headers, { headers: response.headers, requestTime, responseTime });
+      return;
+    }
+    if (response.status !== 200 || !isStorable(response.status, headers, response.headers)) {
+      response.body.resume();
+      return;
+    }
+    const target = createHeaderCollector();
+    const { transforms, names } = prepareResponse(req, config, response, targetUrl, target);
+    const body = await bufferBody(response.body, transforms.concat(createLimitStream(MAX_CACHE_CAPTURE)));
+    await resourceCache.storeResponse(key, { status: 200, requestHeaders: headers, headers: response.headers, requestTime, responseTime }, { status: 200, headers: target.headers(names), body });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * sendFailure(res, e)
+ * - answers res for an error the middleware did not handle itself
+ */
+function sendFailure(res, e) {
+  logWarn('proxyMiddleware error: ' + e.message);
+  if (res.headersSent) {
+    try { res.destroy(e); } catch (e2) { /* ignore */ }
+    return;
+  }
+  // e.status is set for client errors such as an undecodable proxy URL token
+  const status = e.status || 500;
+  res.status(status).send(errorPage(e.status ? e.message : 'Proxy failed: ' + e.message, status));
+}
+
+/**
+ * sendPage(req, res, { config, targetUrl, headers, rangeHeaders, fetchOptions, controller, jar, jarContext, cacheKey, hit })
+ * - the upstream part of the middleware, after the cache could not answer: streams the
+ *   request body up, and the (rewritten) response into res - the client's response, or the
+ *   broadcast response of a flight (see singleFlight.js), which stands in for an Express
+ *   response with status / setHeader / send / write / end only
+ */
+async function sendPage(req, res, { config, targetUrl, headers, rangeHeaders, fetchOptions, controller, jar, jarContext, cacheKey, hit }) {
+  try {
+    const staleFallback = (reason) => {
+      if (!hit || !hit.staleIfError) return false;
+      logWarn(`proxyMiddleware serving stale copy of ${targetUrl}: ${reason}`);
+      sendCachedResponse(req, res, hit);
+      return true;
+    };
+
+    // Stream the request body (urlencoded, JSON, multipart uploads) straight to upstream
+    let bodyError = null;
+    if (hasRequestBody(req)) {
+      const declaredBody = parseInt(req.headers['content-length'] || '', 10);
+      if (config.maxRequestBodyLength && declaredBody > config.maxRequestBodyLength) {
+        res.status(413).send(errorPage('Request body too large', 413, targetUrl));
+        return;
+      }
+      const limiter = createLimitStream(config.maxRequestBodyLength);
+      limiter.on('error', (err) => { bodyError = err; controller.abort(); });
+      if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+      if (!Number.isNaN(declaredBody)) headers['Content-Length'] = String(declaredBody);
+      fetchOptions.body = req.pipe(limiter);
+    }
+
+    // the URL the response came from is the base for rewriting it
+    let response;
+    const requestTime = Date.now();
+    try {
+      if (config.followRedirects) {
+        const followed = await fetchFollowing(targetUrl, fetchOptions, {
+          maxRedirects: config.maxRedirects,
+          allowLocal: config.allowLocal,
+          cookieJar: jar,
+          cookieContext: jarContext
+        });
+        response = followed.response;
+        targetUrl = followed.url;
+      } else {
+        response = await fetch(targetUrl, Object.assign(fetchOptions, { redirect: 'manual' }));
+        jar.setCookies(response.headers.raw()['set-cookie'], targetUrl);
+      }
+    } catch (fetchErr) {
+      if (bodyError) {
+        res.status(413).send(errorPage('Request body too large', 413, targetUrl));
+        return;
+      }
+      if (!fetchErr.status && staleFallback(fetchErr.message)) return;
+      throw fetchErr;
+    }
+    const responseTime = Date.now();
+
+    // the stale page is still good
+    if (response.status === 304 && hit) {
+      response.body.resume();
+      const refreshed = await resourceCache.refreshResponse(cacheKey, headers, { headers: response.headers, requestTime, responseTime });
+      sendCachedResponse(req, res, refreshed || hit);
+      return;
+    }
+    if (isUpstreamFailure(response.status) && hit && hit.staleIfError) {
+      response.body.resume();
+      staleFallback(`upstream answered ${response.status}`);
+      return;
+    }
+
+    // a slice of a body that gets rewritten is of no use: fetch it whole and answer 200
+    if (response.status === 206 && rangeHeaders.range && rewriteKind(config, response.headers.get('content-type') || '')) {
+      response.body.resume();
+      for (const name of Object.keys(rangeHeaders)) delete headers[name];
+      response = await fetch(targetUrl, Object.assign(fetchOptions, { headers, redirect: 'manual' }));
+      jar.setCookies(response.headers.raw()['set-cookie'], targetUrl);
+    }
+
+    // A redirect goes back to the browser, pointing into the proxy
+    const location = redirectTarget(response, targetUrl);
+    if (location) {
+      response.body.resume();
+      const hop = checkTarget(location, { allowLocal: config.allowLocal });
+      if (!hop.valid) {
+        res.status(hop.status).send(errorPage(`Redirect to ${location} refused: ${hop.reason}`, hop.status, location));
+        return;
+      }
+      applyResponseHeaders(response.headers, res, { baseUrl: targetUrl, kind: NAVIGATE, rewriteOptions: config.rewriteOptions });
+      res.status(response.status).setHeader('Location', proxyLocation(location, NAVIGATE, config.rewriteOptions));
+      res.end();
+      return;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const declaredLength = parseInt(response.headers.get('content-length') || '', 10);
+    if (config.maxContentLength && declaredLength > config.maxContentLength) {
+      response.body.resume();
+      res.status(413).send(errorPage('Upstream response too large', 413, targetUrl));
+      return;
+    }
+
+    res.status(response.status);
+    const { transforms, names } = prepareResponse(req, config, response, targetUrl, res);
+    // whole pages the caching headers allow storing are kept as sent
+    const capture = cacheKey && response.status === 200 && isStorable(response.status, headers, response.headers)
+      ? createCaptureStream(MAX_CACHE_CAPTURE) : null;
+    if (capture) transforms.push(capture);
+
+    try {
+      await pipeToResponse(response.body, transforms, res);
+      const body = capture && capture.captured();
+      if (body) {
+        const sent = {};
+        names.forEach(name => { sent[name] = res.getHeader(name); });
+        resourceCache.storeResponse(cacheKey, { status: 200, requestHeaders: headers, headers: response.headers, requestTime, responseTime }, { status: 200, headers: sent, body })
+          .catch(e => logWarn('proxyMiddleware cache write failed: ' + e.message));
+      }
+    } catch (streamErr) {
+      const status = streamErr.status || 502;
+      logWarn(`proxyMiddleware stream failed for ${targetUrl}: ${streamErr.message}`);
+      res.status(status).setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(errorPage(status === 413 ? 'Upstream response too large' : 'Proxy failed: ' + streamErr.message, status, targetUrl));
+    }
+  } catch (e) {
+    sendFailure(res, e);
+  }
+}
+
 function proxyMiddleware(options = {}) {
   const config = Object.assign({}, defaultOptions, options);
   const throttleMw = config.throttle ? throttlerMiddleware() : (req,res,next)=>next();
@@ -32,54 +370,108 @@ function proxyMiddleware(options = {}) {
     try {
       throttleMw(req,res,()=>{});
 
-      let targetUrl = req.query.url || req.body.url;
+      // /p/https/example.com -> /p/https/example.com/ so relative links resolve under the host
+      const routed = decodeProxyUrl(req.originalUrl || req.url, config.rewriteOptions);
+      if (routed && routed.form === 'path' && routed.missingSlash) {
+        const pathOptions = Object.assign({}, config.rewriteOptions, { urlScheme: 'path' });
+        res.redirect(301, encodeProxyUrl(routed.target, routed.kind, pathOptions));
+        return;
+      }
+
+      const targetUrl = resolveTargetUrl(req, config.formTargetField, config.rewriteOptions);
       if (!targetUrl) {
         res.status(400).send('Missing URL');
         return;
       }
 
-      // validate URL
-      const valid = validateUrl(targetUrl);
-      if (!valid.valid) {
-        res.status(400).send(errorPage(valid.reason));
+      const method = req.method.toUpperCase();
+      if (!config.allowedMethods.includes(method)) {
+        res.set('Allow', config.allowedMethods.join(', '));
+        res.status(405).send(errorPage(`Method ${method} not allowed`, 405, targetUrl));
         return;
       }
 
-      const hostname = new URL(targetUrl).hostname;
-      if (!config.allowLocal && isLocalAddress(hostname)) {
-        res.status(403).send(errorPage('Local network access blocked'));
+      // validate URL (SSRF checks; redirect hops go through the same ones)
+      const valid = checkTarget(targetUrl, { allowLocal: config.allowLocal });
+      if (!valid.valid) {
+        res.status(valid.status).send(errorPage(valid.reason, valid.status, targetUrl));
         return;
       }
 
-      // Fetch target content
-      const headers = {};
-      if (req.headers.cookie) headers['Cookie'] = req.headers.cookie;
-      const response = await fetch(targetUrl, { headers });
+      // Fetch target content (browser headers translated for the upstream, see requestHeaders.js)
+      const rangeHeaders = rangeRequestHeaders(req);
+      const headers = buildUpstreamHeaders(req, targetUrl, { rewriteOptions: config.rewriteOptions, headers: rangeHeaders });
+      // only the session jar's cookies for this URL; the browser's own Cookie header is the proxy's
+      const jar = getSessionJar(req, res);
+      const jarContext = cookieContext(req, targetUrl, config.rewriteOptions);
+      const cookie = jar.cookieHeader(targetUrl, jarContext);
+      if (cookie) headers['Cookie'] = cookie;
+      const controller = new AbortController();
+      const fetchOptions = { method, headers, signal: controller.signal };
 
-      // Clone response
-      const contentType = response.headers.get('content-type') || '';
-      let body = await response.text();
-
-      // Rewrite HTML if needed
-      if (config.rewriteHtml && contentType.includes('text/html')) {
-        body = rewriteHtml(body, targetUrl);
+      // A cached page answers if fresh, or stale but allowed to while it is revalidated;
+      // otherwise the request revalidates it (the variant key uses the headers without validators)
+      const cacheKey = config.cache && resourceCache && method === 'GET' && !hasRequestBody(req) ? pageCacheKey(req, config, targetUrl) : null;
+      let hit = null;
+      if (cacheKey) {
+        try {
+          hit = await resourceCache.lookupResponse(cacheKey, headers);
+          if (hit && !(hit.value && hit.value.body)) hit = null;
+        } catch (e) {
+          logWarn('proxyMiddleware cache read failed: ' + e.message);
+        }
+        if (hit && (hit.fresh || hit.staleWhileRevalidate)) {
+          logInfo(`proxyMiddleware cache hit${hit.fresh ? '' : ' (stale, revalidating)'}: ${targetUrl}`);
+          if (!hit.fresh) {
+            const wholeHeaders = Object.assign({}, headers);
+            for (const name of Object.keys(rangeHeaders)) delete wholeHeaders[name];
+            revalidateInBackground(cacheKey, () => refreshPage(req, config, targetUrl, cacheKey, wholeHeaders, hit, jar));
+          }
+          sendCachedResponse(req, res, hit);
+          return;
+        }
+        if (hit) fetchOptions.headers = Object.assign({}, headers, hit.conditionalHeaders);
       }
-
-      // Forward cookies
-      const setCookies = response.headers.raw()['set-cookie'] || [];
-      setCookies.forEach(cookie => res.append('Set-Cookie', cookie));
-
-      res.set('Content-Type', contentType);
-      res.send(body);
+      // clients of one session loading the same page at the same time share one upstream
+      // response (see singleFlight.js); requests with a body always go upstream themselves
+      const page = { config, targetUrl, headers, rangeHeaders, fetchOptions, controller, jar, jarContext, cacheKey, hit };
+      if (method !== 'GET' && method !== 'HEAD') {
+        await sendPage(req, res, page);
+        return;
+      }
+      const html = htmlRewriteOptions(req, config);
+      const flightKey = cacheKeyFor(targetUrl, {
+        mode: 'proxy',
+        rewrite: rewriteSignature(config.rewriteOptions),
+        sw: html.serviceWorker || null,
+        light: !!html.lightPass,
+        method,
+        headers,
+        jar: jarId(jar)
+      });
+      await streamFlight(flightKey, res, out => sendPage(req, out, page), { maxReplayBytes: MAX_CACHE_CAPTURE });
 
     } catch (e) {
-      logWarn('proxyMiddleware error: ' + e.message);
-      res.status(500).send(errorPage('Proxy failed: '+e.message));
+      sendFailure(res, e);
     }
   };
 }
 
+// default handler used by server.js for /proxy
+const proxyHandler = proxyMiddleware();
+
+/**
+ * getRewriteOptions()
+ * - the URL rewriting options of the default handler, for routes that rewrite outside it (/resource)
+ */
+function getRewriteOptions() {
+  return defaultOptions.rewriteOptions;
+}
+
 module.exports = {
-  proxyMiddleware
+  proxyMiddleware,
+  proxyHandler,
+  resolveTargetUrl,
+  getRewriteOptions
 };
 
@@ -0,0 +1,195 @@
+/**
+ * proxyUrl.js
+ *
+ * Builds and parses the URLs the proxy hands out to browsers.
+ * Two URL schemes are supported (config.proxy.urlScheme):
+ *  - query: /proxy?url=<encoded upstream url>, /resource?url=<encoded upstream url>
+ *  - path:  /p/<scheme>/<host>/<path>?<query>, /r/<scheme>/<host>/<path>?<query>
+ *    The path form maps 1:1 onto the upstream URL, so relative links, "../" paths and
+ *    query-only links the rewriter misses still resolve correctly in the browser.
+ * Both forms are always accepted when parsing, whichever one is emitted.
+ *
+ * options.codec (see urlCodec.js) obfuscates the upstream URL: the ?url= value becomes a
+ * token, and the path form carries the origin as a token segment: /p/~<token>/<path>?<query>.
+ * Decoding a bad token throws (status 400, code EURLDECODE) instead of returning null.
+ *
+ * Exposes:
+ *    encodeProxyUrl(absUrl, kind, options) -> proxied URL (path + query)
+ *    decodeProxyUrl(value, options) -> { target, kind, form, missingSlash } or null
+ *    isProxyUrl(value, options) -> boolean
+ *    refererTarget(referer, options) -> upstream URL of a proxied page's URL, or null
+ *    encodeTarget(absUrl, options) / decodeTarget(token, options) -> the bare codec step
+ */
+
+const { URL } = require('url');
+const { createUrlCodec, urlDecodeError } = require('./urlCodec');
+
+const PLAIN = createUrlCodec({ name: 'plain' });
+const TOKEN_MARK = '~'; // path form: /p/~<token>/... instead of /p/<scheme>/<host>/...
+
+const NAVIGATE = 'navigate'; // documents -> /proxy (or /p/)
+const RESOURCE = 'resource'; // subresources -> /resource (or /r/)
+// every module of a graph must map to a single URL or it is instantiated twice, so module
+// scripts, modulepreloads, import specifiers and import maps all use the rewriting endpoint
+const MODULE_KIND = NAVIGATE;
+
+const DEFAULT_OPTIONS = {
+  urlScheme: 'query',
+  proxyPath: '/proxy?url=',
+  resourcePath: '/resource?url=',
+  pathPrefix: '/p/',
+  resourcePathPrefix: '/r/',
+  codec: null
+};
+
+function withDefaults(options) {
+  const out = Object.assign({}, DEFAULT_OPTIONS);
+  for (const [k, v] of Object.entries(options || {})) if (v != null) out[k] = v;
+  return out;
+}
+
+function codecOf(opts) {
+  return opts.codec || PLAIN;
+}
+
+/**
+ * encodeTarget(absUrl, options) / decodeTarget(token, options)
+ */
+function encodeTarget(absUrl, options = {}) {
+  return codecOf(withDefaults(options)).encode(absUrl);
+}
+
+function decodeTarget(token, options = {}) {
+  return codecOf(withDefaults(options)).decode(String(token));
+}
+
+/**
+ * toPathForm(absUrl, prefix, codec)
+ * - https://host:8080/a/b?x=1#h -> <prefix>https/host:8080/a/b?x=1#h
+ * - with a non-plain codec the origin is a token: <prefix>~<token>/a/b?x=1#h
+ */
+function toPathForm(absUrl, prefix, codec = PLAIN) {
+  const u = new URL(absUrl);
+  const head = codec.name === 'plain' ? `${u.protocol.slice(0, -1)}/${u.host}` : TOKEN_MARK + codec.encode(u.origin);
+  return `${prefix}${head}${u.pathname}${u.search}${u.hash}`;
+}
+
+/**
+ * encodeProxyUrl(absUrl, kind, options)
+ */
+function encodeProxyUrl(absUrl, kind = NAVIGATE, options = {}) {
+  const opts = withDefaults(options);
+  if (opts.urlScheme === 'path') {
+    try {
+      return toPathForm(absUrl, kind === NAVIGATE ? opts.pathPrefix : opts.resourcePathPrefix, codecOf(opts));
+    } catch (e) {
+      // not parseable as a URL: fall back to the query form, which carries anything
+    }
+  }
+  return (kind === NAVIGATE ? opts.proxyPath : opts.resourcePath) + encodeURIComponent(codecOf(opts).encode(absUrl));
+}
+
+/**
+ * stripOrigin(value)
+ * - http://proxy.host/p/https/... -> /p/https/... (callers compare paths only)
+ */
+function stripOrigin(value) {
+  return String(value).replace(/^[a-z][\w+.-]*:\/\/[^/?#]*/i, '');
+}
+
+/**
+ * decodePathForm(rest, codec)
+ * - rest is what follows the prefix: "<scheme>/<host>/<path>?<query>" or "~<token>/<path>?<query>"
+ */
+function decodePathForm(rest, codec) {
+  const m = rest.match(/^(?:(https?)\/([^/?#]+)|~([^/?#]+))([^?#]*)(\?[^#]*)?(#.*)?$/i);
+  if (!m) return null;
+  const origin = m[1] ? `${m[1].toLowerCase()}://${m[2]}` : codec.decode(m[3]);
+  if (!/^https?:\/\/[^/?#]+$/i.test(origin)) throw urlDecodeError('Proxy URL token does not decode to an origin');
+  const missingSlash = !m[4];
+  const path = m[4] || '/';
+  try {
+    const target = new URL(`${origin}${path}${m[5] || ''}`).href;
+    return { target, missingSlash };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * decodeProxyUrl(value, options)
+ * - value may be absolute (http://proxy/...) or just path + query
+ */
+function decodeProxyUrl(value, options = {}) {
+  if (value == null) return null;
+  const opts = withDefaults(options);
+  const str = stripOrigin(value);
+
+  const queryForms = [[opts.proxyPath, NAVIGATE], [opts.resourcePath, RESOURCE]];
+  for (const [prefix, kind] of queryForms) {
+    if (!str.startsWith(prefix)) continue;
+    let rest = str.slice(prefix.length);
+    const cut = rest.search(/[&#]/);
+    if (cut !== -1) rest = rest.slice(0, cut);
+    let token;
+    try {
+      token = decodeURIComponent(rest.replace(/\+/g, ' '));
+    } catch (e) {
+      return null;
+    }
+    return { target: codecOf(opts).decode(token), kind, form: 'query', missingSlash: false };
+  }
+
+  const pathForms = [[opts.pathPrefix, NAVIGATE], [opts.resourcePathPrefix, RESOURCE]];
+  for (const [prefix, kind] of pathForms) {
+    if (!prefix || !str.startsWith(prefix)) continue;
+    const decoded = decodePathForm(str.slice(prefix.length), codecOf(opts));
+    if (!decoded) return null;
+    return { target: decoded.target, kind, form: 'path', missingSlash: decoded.missingSlash };
+  }
+  return null;
+}
+
+/**
+ * isProxyUrl(value, options)
+ * - true when a (relative) URL already points at one of the proxy endpoints
+ * - path prefixes only count when followed by "http/", "https/" or a "~" token, so an upstream
+ *   link such as /r/pics is still treated as an upstream URL
+ */
+function isProxyUrl(value, options = {}) {
+  if (value == null) return false;
+  const opts = withDefaults(options);
+  const str = String(value).trim();
+  if (str.startsWith(opts.proxyPath) || str.startsWith(opts.resourcePath)) return true;
+  return [opts.pathPrefix, opts.resourcePathPrefix]
+    .some(prefix => prefix && str.startsWith(prefix) && /^(?:https?\/|~)/i.test(str.slice(prefix.length)));
+}
+
+/**
+ * refererTarget(referer, options)
+ * - the browser's Referer (the proxied URL of the page that made a request) -> the upstream
+ *   URL of that page; null when it is not a proxied URL or does not decode
+ */
+function refererTarget(referer, options = {}) {
+  if (!referer) return null;
+  try {
+    const routed = decodeProxyUrl(String(referer), options);
+    return routed && /^https?:/i.test(routed.target) ? routed.target : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeProxyUrl,
+  decodeProxyUrl,
+  isProxyUrl,
+  refererTarget,
+  encodeTarget,
+  decodeTarget,
+  toPathForm,
+  NAVIGATE,
+  RESOURCE,
+  MODULE_KIND,
+  DEFAULT_OPTIONS
+};
@@ -13,7 +13,7 @@
  *  - If puppeteer is not installed or fails to launch, code falls back gracefully.
  */
 
-const { logger } = (() => {
+const logger = (() => {
   try { return require('./logger'); } catch (e) { return { logInfo: () => {}, logWarn: () => {}, logError: () => {} }; }
 })();
 
@@ -32,6 +32,19 @@ try {
 const fetcher = require('./fetcher');
 const { rewriteHtml } = require('./rewrite');
 
+// same proxy/resource prefixes the live /proxy route uses, so snapshots and live pages agree
+const REWRITE_OPTIONS = (() => {
+  const proxy = (CONFIG.getProxyDefaults && CONFIG.getProxyDefaults()) || {};
+  return {
+    urlScheme: proxy.urlScheme,
+    proxyPath: proxy.proxyPath || '/proxy?url=',
+    resourcePath: proxy.resourcePath || '/resource?url=',
+    pathPrefix: proxy.pathPrefix,
+    resourcePathPrefix: proxy.resourcePathPrefix,
+    codec: CONFIG.getUrlCodec ? CONFIG.getUrlCodec() : null
+  };
+})();
+
 /**
  * renderWithPuppeteer(url, opts)
  * - Launches puppeteer, loads the page, waits for network idle, captures final HTML
@@ -43,11 +56,12 @@ async function renderWithPuppeteer(url, opts = {}) {
   // If puppeteer not available, fallback to fetcher.fetchText
   if (!puppeteer) {
     logger.logWarn('puppeteerRender fallback: using fetchText');
-    const text = await fetcher.fetchText(url, { timeout: opts.timeout || CONFIG.puppeteer.timeout });
-    // optionally run rewriteHtml to ensure links go through proxy
+    const doc = await fetcher.fetchDocument(url, { timeout: opts.timeout || CONFIG.puppeteer.timeout });
+    // optionally run rewriteHtml to ensure links go through proxy (relative to where any
+    // redirects ended)
     try {
-      return rewriteHtml(text, url, { proxyPath: '/proxy?url=', resourcePath: '/resource?url=' });
-    } catch (e) { return text; }
+      return rewriteHtml(doc.text, doc.url, REWRITE_OPTIONS);
+    } catch (e) { return doc.text; }
   }
 
   const browserArgs = (CONFIG.puppeteer && CONFIG.puppeteer.args) || ['--no-sandbox', '--disable-setuid-sandbox'];
@@ -107,6 +121,7 @@ async function renderWithPuppeteer(url, opts = {}) {
       // serialize document to string
       return "<!doctype html>\n" + document.documentElement.outerHTML;
     });
+    const finalUrl = page.url() || url; // after any redirects
 
     // Close page / browser
     try { await page.close(); } catch (e) { /* ignore */ }
@@ -114,7 +129,7 @@ async function renderWithPuppeteer(url, opts = {}) {
 
     // Run a rewrite pass so all assets point to our proxy/resource endpoints
     try {
-      const rewritten = rewriteHtml(html, url, { proxyPath: '/proxy?url=', resourcePath: '/resource?url=' });
+      const rewritten = rewriteHtml(html, finalUrl, REWRITE_OPTIONS);
       return rewritten;
     } catch (e) {
       logger.logWarn('puppeteerRender rewrite failed: ' + e.message);
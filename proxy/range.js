@@ -0,0 +1,122 @@
+/**
+ * range.js
+ *
+ * HTTP Range requests (RFC 9110 section 14), for media seeking and resumed downloads:
+ *  - Range and If-Range of a GET are forwarded upstream, with Accept-Encoding: identity so
+ *    that the byte positions are those of the body the client gets (node-fetch cannot decode
+ *    a slice of a gzip stream either)
+ *  - a 206 from upstream is passed on as it is, unless its body would be rewritten: positions
+ *    in rewritten text mean nothing upstream, so that body is fetched whole instead and sent
+ *    as a 200 (a server may always ignore Range)
+ *  - a body already in resourceCache answers a single range itself (see fetcher.js)
+ * Multipart (several ranges) requests get the whole body.
+ *
+ * Exposes:
+ *    rangeRequestHeaders(req) -> headers to add upstream ({} when there is no range to send)
+ *    parseRange(header, size) -> { start, end } | UNSATISFIABLE | null (send the whole body)
+ *    ifRangeMatches(ifRange, validators) -> whether a range may be served from that body
+ *    contentRange(range, size) -> Content-Range value
+ *    sendCachedBody(req, res, body) -> sends the cached body, or the requested slice of it
+ *    UNSATISFIABLE
+ */
+
+const UNSATISFIABLE = 'unsatisfiable';
+
+/**
+ * rangeRequestHeaders(req)
+ */
+function rangeRequestHeaders(req) {
+  if (!req || !req.headers || !req.headers.range) return {};
+  if (!['GET', 'HEAD'].includes(String(req.method || 'GET').toUpperCase())) return {};
+  const out = { 'range': req.headers.range, 'accept-encoding': 'identity' };
+  if (req.headers['if-range']) out['if-range'] = req.headers['if-range'];
+  return out;
+}
+
+/**
+ * parseRange(header, size)
+ * - "bytes=0-99", "bytes=100-" and "bytes=-500" against a body of size bytes; anything else
+ *   (other units, several ranges, bad syntax) is ignored
+ */
+function parseRange(header, size) {
+  const m = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(String(header || ''));
+  if (!m || (!m[1] && !m[2])) return null;
+  let start;
+  let end;
+  if (!m[1]) {
+    // suffix range: the last n bytes
+    const suffix = parseInt(m[2], 10);
+    if (suffix === 0 || size === 0) return UNSATISFIABLE;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] ? parseInt(m[2], 10) : size - 1;
+    if (m[2] && end < start) return null;
+    if (start >= size) return UNSATISFIABLE;
+    end = Math.min(end, size - 1);
+  }
+  return { start, end };
+}
+
+/**
+ * ifRangeMatches(ifRange, { etag, lastModified })
+ * - an entity tag must match strongly, a date must equal Last-Modified exactly; without
+ *   If-Range any body will do
+ */
+function ifRangeMatches(ifRange, validators = {}) {
+  if (!ifRange) return true;
+  const value = String(ifRange).trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    const etag = validators.etag ? String(validators.etag).trim() : '';
+    return !value.startsWith('W/') && !etag.startsWith('W/') && etag === value;
+  }
+  const date = Date.parse(value);
+  const lastModified = validators.lastModified ? Date.parse(validators.lastModified) : NaN;
+  return !Number.isNaN(date) && date === lastModified;
+}
+
+/**
+ * contentRange(range, size)
+ */
+function contentRange(range, size) {
+  return range === UNSATISFIABLE ? `bytes */${size}` : `bytes ${range.start}-${range.end}/${size}`;
+}
+
+/**
+ * sendCachedBody(req, res, body)
+ * - body: a Buffer; the cached headers are expected to be set on res already
+ */
+function sendCachedBody(req, res, body) {
+  res.setHeader('accept-ranges', 'bytes');
+  const header = req && req.headers && req.headers.range;
+  const range = header && ifRangeMatches(req.headers['if-range'], {
+    etag: res.getHeader('etag'),
+    lastModified: res.getHeader('last-modified')
+  }) ? parseRange(header, body.length) : null;
+
+  if (range === UNSATISFIABLE) {
+    res.removeHeader('content-length');
+    res.status(416).setHeader('content-range', contentRange(range, body.length));
+    res.end();
+    return;
+  }
+  if (!range) {
+    res.setHeader('content-length', body.length);
+    res.end(body);
+    return;
+  }
+  res.status(206);
+  res.setHeader('content-range', contentRange(range, body.length));
+  res.setHeader('content-length', range.end - range.start + 1);
+  res.end(body.subarray(range.start, range.end + 1));
+}
+
+module.exports = {
+  UNSATISFIABLE,
+  rangeRequestHeaders,
+  parseRange,
+  ifRangeMatches,
+  contentRange,
+  sendCachedBody
+};
@@ -0,0 +1,162 @@
+/**
+ * redirects.js
+ *
+ * Manual redirect handling. Upstream requests are made with redirect: 'manual' so that the
+ * proxy, not node-fetch, decides what happens to a 3xx:
+ *  - passed on to the browser (the default for /proxy and /resource): the Location is
+ *    rewritten to proxy form, so the browser's next request - and the base URL of the page it
+ *    ends up on - is the redirect target. That request goes through the SSRF checks again.
+ *  - followed by the proxy (fetchText, and /proxy with followRedirects): at most
+ *    maxRedirects hops, each checked with validator.checkTarget before it is fetched; the
+ *    caller gets the final URL to rewrite against
+ * A hop that fails the checks ends the chain with an error (status 400/403); so does a chain
+ * longer than maxRedirects (status 508, code ETOOMANYREDIRECTS).
+ *
+ * Exposes:
+ *    REDIRECT_STATUSES
+ *    isRedirect(status) -> boolean
+ *    redirectTarget(response, url) -> absolute Location, or null when there is none
+ *    proxyLocation(location, kind, rewriteOptions) -> Location in proxy form
+ *    checkHop(url, { allowLocal }) -> throws when url may not be fetched
+ *    nextHopOptions(status, fetchOptions) -> fetch options for the next hop, or null
+ *    fetchFollowing(url, fetchOptions, { maxRedirects, allowLocal, cookieJar, cookieContext })
+ *      -> { response, url, redirects, setCookies }
+ */
+
+const { fetch } = require('./upstreamAgent'); // node-fetch over the shared connection pool
+const { URL } = require('url');
+const { checkTarget } = require('./validator');
+const { encodeProxyUrl, NAVIGATE } = require('./proxyUrl');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const DEFAULT_MAX_REDIRECTS = 10;
+
+/**
+ * isRedirect(status)
+ */
+function isRedirect(status) {
+  return REDIRECT_STATUSES.includes(status);
+}
+
+/**
+ * redirectTarget(response, url)
+ * - the Location of a redirect response resolved against the URL it answered
+ */
+function redirectTarget(response, url) {
+  if (!isRedirect(response.status)) return null;
+  const location = response.headers.get('location');
+  if (!location) return null;
+  try {
+    return new URL(location, url).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * proxyLocation(location, kind, rewriteOptions)
+ * - http(s) targets go through the proxy endpoint for kind; other schemes (mailto:, app
+ *   links) are left for the browser
+ */
+function proxyLocation(location, kind = NAVIGATE, rewriteOptions = {}) {
+  if (!/^https?:/i.test(location)) return location;
+  return encodeProxyUrl(location, kind, rewriteOptions);
+}
+
+/**
+ * checkHop(url, { allowLocal })
+ */
+function checkHop(url, options = {}) {
+  const check = checkTarget(url, options);
+  if (check.valid) return;
+  const err = new Error(`Redirect to ${url} refused: ${check.reason}`);
+  err.status = check.status;
+  err.code = 'EREDIRECTBLOCKED';
+  throw err;
+}
+
+/**
+ * nextHopOptions(status, fetchOptions)
+ * - as in the fetch standard: 303 (and 301/302 after a POST) continue as a bodiless GET,
+ *   307/308 repeat the request as it was
+ * - null when the request cannot be repeated: its body was a stream that is already spent
+ */
+function nextHopOptions(status, fetchOptions = {}) {
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  if (status === 303 && method !== 'HEAD' || (status === 301 || status === 302) && method === 'POST') {
+    const headers = Object.assign({}, fetchOptions.headers);
+    for (const name of Object.keys(headers)) {
+      if (/^content-(?:type|length|encoding|language|location)$/i.test(name)) delete headers[name];
+    }
+    return Object.assign({}, fetchOptions, { method: 'GET', headers, body: undefined });
+  }
+  const body = fetchOptions.body;
+  if (body && typeof body.pipe === 'function') return null;
+  return fetchOptions;
+}
+
+function withoutCredentials(fetchOptions) {
+  const headers = Object.assign({}, fetchOptions.headers);
+  for (const name of Object.keys(headers)) {
+    if (/^(?:cookie|authorization)$/i.test(name)) delete headers[name];
+  }
+  return Object.assign({}, fetchOptions, { headers });
+}
+
+function withCookieHeader(fetchOptions, cookie) {
+  const headers = Object.assign({}, fetchOptions.headers);
+  for (const name of Object.keys(headers)) {
+    if (/^cookie$/i.test(name)) delete headers[name];
+  }
+  if (cookie) headers['Cookie'] = cookie;
+  return Object.assign({}, fetchOptions, { headers });
+}
+
+/**
+ * fetchFollowing(url, fetchOptions, { maxRedirects, allowLocal, cookieJar, cookieContext })
+ * - fetches url and follows its redirects itself; url is expected to have been checked
+ * - stops early, returning the redirect response, when the next hop cannot be made
+ *   (see nextHopOptions)
+ * - setCookies collects the Set-Cookie headers of the intermediate responses
+ * - Cookie and Authorization headers are not carried to another origin
+ * - with a cookieJar (cookies.createCookieJar) every hop sends the jar's cookies for its own
+ *   URL and stores what it gets back
+ */
+async function fetchFollowing(url, fetchOptions = {}, { maxRedirects = DEFAULT_MAX_REDIRECTS, allowLocal = false, cookieJar = null, cookieContext = {} } = {}) {
+  const redirects = [];
+  const setCookies = [];
+  let current = url;
+  let options = Object.assign({}, fetchOptions, { redirect: 'manual' });
+
+  for (;;) {
+    if (cookieJar) options = withCookieHeader(options, cookieJar.cookieHeader(current, cookieContext));
+    const response = await fetch(current, options);
+    if (cookieJar) cookieJar.setCookies(response.headers.raw()['set-cookie'], current);
+    const location = redirectTarget(response, current);
+    const next = location && nextHopOptions(response.status, options);
+    if (!next) return { response, url: current, redirects, setCookies };
+
+    response.body.resume();
+    if (redirects.length >= maxRedirects) {
+      const err = new Error(`Too many redirects (more than ${maxRedirects}) from ${url}`);
+      err.status = 508;
+      err.code = 'ETOOMANYREDIRECTS';
+      throw err;
+    }
+    checkHop(location, { allowLocal });
+    setCookies.push(...(response.headers.raw()['set-cookie'] || []));
+    redirects.push({ url: current, status: response.status, location });
+    options = new URL(location).origin === new URL(current).origin ? next : withoutCredentials(next);
+    current = location;
+  }
+}
+
+module.exports = {
+  REDIRECT_STATUSES,
+  isRedirect,
+  redirectTarget,
+  proxyLocation,
+  checkHop,
+  nextHopOptions,
+  fetchFollowing
+};
@@ -0,0 +1,332 @@
+/**
+ * redisStore.js
+ *
+ * Redis cache storage adapter (see cacheStore.js for the interface), so that several server
+ * processes share one cache:
+ *  - a small RESP client over one connection (net / tls for rediss:), connected on first use
+ *    and again after the connection drops; AUTH and SELECT come from the URL
+ *    (redis://[user:password@]host:port/db)
+ *  - a command waits at most commandTimeoutMs; a timeout drops the connection (the replies
+ *    would no longer line up) and fails the commands waiting on it
+ *  - entries are one string key each (keyPrefix + key) holding a JSON header and the value's
+ *    Buffers as raw bytes after it; Redis expires them itself (PX)
+ *
+ * Exposes:
+ *    createRedisClient(url, { connectTimeoutMs, commandTimeoutMs }) -> client
+ *      client.command(args) -> Promise<reply> (bulk strings as Buffers)
+ *      client.close()
+ *    createRedisStore({ url, keyPrefix, connectTimeoutMs, commandTimeoutMs }) -> store
+ *      store.get / set / del / scan / clear / stats (see cacheStore.js), store.close()
+ *      store.stats() -> { backend, server, keyPrefix, databaseKeys }: databaseKeys is DBSIZE,
+ *        every key of the database (counting just keyPrefix's would SCAN it all on each poll)
+ *    encodeValue(value, expiresAt) -> Buffer
+ *    decodeValue(buffer) -> { value, expiresAt }
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { URL } = require('url');
+const { externalize, internalize } = require('./diskStore');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logWarn: () => {} }; }
+})();
+
+const CRLF = Buffer.from('\r\n');
+
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const data = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${data.length}\r\n`), data, CRLF);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * createReplyParser(onReply)
+ * - push(chunk) feeds bytes from the socket; onReply(reply) is called per complete reply,
+ *   an error reply being an Error
+ */
+function createReplyParser(onReply) {
+  let buffer = Buffer.alloc(0);
+
+  // -> { value, next } or null when the reply is not complete yet
+  function parse(offset) {
+    if (offset >= buffer.length) return null;
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd < 0) return null;
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+    switch (String.fromCharCode(buffer[offset])) {
+      case '+':
+        return { value: line, next };
+      case '-': {
+        const err = new Error(line);
+        err.code = 'REDIS_ERROR';
+        return { value: err, next };
+      }
+      case ':':
+        return { value: Number(line), next };
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length < 0) return { value: null, next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: Buffer.from(buffer.subarray(next, next + length)), next: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count < 0) return { value: null, next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = parse(position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.next;
+        }
+        return { value: items, next: position };
+      }
+      default:
+        throw new Error('redis protocol error');
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      for (;;) {
+        const reply = parse(0);
+        if (!reply) break;
+        buffer = buffer.subarray(reply.next);
+        onReply(reply.value);
+      }
+    }
+  };
+}
+
+/**
+ * createRedisClient(url, { connectTimeoutMs, commandTimeoutMs })
+ */
+function createRedisClient(url, { connectTimeoutMs = 2000, commandTimeoutMs = 2000 } = {}) {
+  const target = new URL(url || 'redis://127.0.0.1:6379');
+  const secure = target.protocol === 'rediss:';
+  const port = parseInt(target.port, 10) || 6379;
+  const db = parseInt(target.pathname.replace(/^\//, ''), 10) || 0;
+  const username = decodeURIComponent(target.username || '');
+  const password = decodeURIComponent(target.password || '');
+
+  let socket = null;
+  let ready = null; // Promise of the connected socket
+  let pending = []; // { resolve, reject, timer } in request order
+
+  function fail(err) {
+    const waiting = pending;
+    pending = [];
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    for (const p of waiting) {
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+  }
+
+  function send(s, args) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+      entry.timer = setTimeout(() => {
+        const err = new Error(`redis ${args[0]} timed out`);
+        err.code = 'ETIMEDOUT';
+        fail(err);
+      }, commandTimeoutMs);
+      pending.push(entry);
+      s.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const options = { host: target.hostname, port };
+      const s = secure ? tls.connect(Object.assign({ servername: target.hostname }, options)) : net.connect(options);
+      const timer = setTimeout(() => s.destroy(new Error('redis connect timed out')), connectTimeoutMs);
+      const parser = createReplyParser(reply => {
+        const p = pending.shift();
+        if (!p) return;
+        clearTimeout(p.timer);
+        if (reply instanceof Error) p.reject(reply);
+        else p.resolve(reply);
+      });
+      s.on('data', chunk => {
+        try {
+          parser.push(chunk);
+        } catch (e) {
+          fail(e);
+        }
+      });
+      s.on('error', err => {
+        clearTimeout(timer);
+        reject(err);
+        if (socket === s) fail(err);
+      });
+      s.on('close', () => {
+        clearTimeout(timer);
+        reject(new Error('redis connection closed'));
+        if (socket === s) fail(new Error('redis connection closed'));
+      });
+      s.once(secure ? 'secureConnect' : 'connect', async () => {
+        clearTimeout(timer);
+        socket = s;
+        try {
+          if (password) await send(s, username ? ['AUTH', username, password] : ['AUTH', password]);
+          if (db) await send(s, ['SELECT', db]);
+          resolve(s);
+        } catch (e) {
+          fail(e);
+          reject(e);
+        }
+      });
+    });
+    ready.catch(() => { ready = null; });
+    return ready;
+  }
+
+  return {
+    async command(args) {
+      const s = await connect();
+      return send(s, args);
+    },
+    close() {
+      fail(new Error('redis client closed'));
+    }
+  };
+}
+
+/**
+ * encodeValue(value, expiresAt)
+ * - 4-byte header length, JSON header { expiresAt, blobs: [[hash, length]], value }, then the
+ *   blobs' bytes in that order
+ */
+function encodeValue(value, expiresAt = null) {
+  const blobs = new Map();
+  const external = externalize(value, blobs);
+  const header = Buffer.from(JSON.stringify({
+    expiresAt: expiresAt || null,
+    blobs: [...blobs].map(([hash, data]) => [hash, data.length]),
+    value: external
+  }));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length, 0);
+  return Buffer.concat([length, header, ...blobs.values()]);
+}
+
+/**
+ * decodeValue(buffer)
+ */
+function decodeValue(buffer) {
+  const headerLength = buffer.readUInt32BE(0);
+  const header = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+  const blobs = new Map();
+  let position = 4 + headerLength;
+  for (const [hash, length] of header.blobs || []) {
+    blobs.set(hash, Buffer.from(buffer.subarray(position, position + length)));
+    position += length;
+  }
+  return { value: internalize(header.value, blobs), expiresAt: header.expiresAt || null };
+}
+
+function globEscape(s) {
+  return String(s).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * createRedisStore({ url, keyPrefix, connectTimeoutMs, commandTimeoutMs })
+ */
+function createRedisStore({ url, keyPrefix = 'seb:cache:', connectTimeoutMs, commandTimeoutMs } = {}) {
+  const client = createRedisClient(url, { connectTimeoutMs, commandTimeoutMs });
+
+  /**
+   * get(key)
+   */
+  async function get(key) {
+    const data = await client.command(['GET', keyPrefix + key]);
+    if (!data) return null;
+    try {
+      const found = decodeValue(data);
+      return found.expiresAt && found.expiresAt < Date.now() ? null : found;
+    } catch (e) {
+      logWarn(`redisStore unreadable entry ${key}: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * set(key, value, expiresAt)
+   */
+  async function set(key, value, expiresAt = null) {
+    const args = ['SET', keyPrefix + key, encodeValue(value, expiresAt)];
+    if (expiresAt) {
+      const ttl = expiresAt - Date.now();
+      if (ttl <= 0) {
+        await del(key);
+        return false;
+      }
+      args.push('PX', String(ttl));
+    }
+    return (await client.command(args)) === 'OK';
+  }
+
+  /**
+   * del(key)
+   */
+  async function del(key) {
+    await client.command(['DEL', keyPrefix + key]);
+  }
+
+  /**
+   * scan(prefix)
+   */
+  async function scan(prefix = '') {
+    const keys = new Set(); // SCAN may return a key more than once
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.command(['SCAN', cursor, 'MATCH', globEscape(keyPrefix + prefix) + '*', 'COUNT', '200']);
+      cursor = next.toString();
+      for (const k of batch) keys.add(k.toString().slice(keyPrefix.length));
+    } while (cursor !== '0');
+    return [...keys];
+  }
+
+  /**
+   * clear()
+   * - only this store's keys (keyPrefix), not the whole database
+   */
+  async function clear() {
+    const keys = await scan('');
+    for (let i = 0; i < keys.length; i += 200) {
+      await client.command(['DEL', ...keys.slice(i, i + 200).map(k => keyPrefix + k)]);
+    }
+  }
+
+  /**
+   * stats()
+   */
+  async function stats() {
+    const target = new URL(url || 'redis://127.0.0.1:6379');
+    return {
+      backend: 'redis',
+      server: `${target.hostname}:${target.port || 6379}${target.pathname.length > 1 ? target.pathname : ''}`,
+      keyPrefix,
+      databaseKeys: await client.command(['DBSIZE'])
+    };
+  }
+
+  return { get, set, del, scan, clear, stats, close: () => client.close() };
+}
+
+module.exports = {
+  createRedisClient,
+  createRedisStore,
+  encodeValue,
+  decodeValue
+};
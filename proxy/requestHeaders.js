@@ -0,0 +1,171 @@
+/**
+ * requestHeaders.js
+ *
+ * Builds the headers of upstream requests, so every way out of the proxy (/proxy,
+ * /resource, WebSocket handshakes, server-side fetches, search) sends the same thing:
+ *  1. the browser's headers (cleaned by sanitize.sanitizeHeaders), minus
+ *     - hop-by-hop headers, and any the browser's Connection header names
+ *     - headers that give the proxy away: Forwarded, Via, X-Forwarded-*, X-Real-IP and the
+ *       like, the service worker's marker header
+ *     - headers the proxy sets itself: Host, Cookie (the session jar's, see cookies.js),
+ *       Content-Length / Content-Type (only with a body), Accept-Encoding (what node-fetch
+ *       can decode), conditional and Range headers (bodies may be rewritten on the way back;
+ *       callers that can honour a range add it back, see range.js)
+ *  2. Referer and Origin, which name the proxy, translated back to the upstream page that
+ *     made the request; the Referer is trimmed as strict-origin-when-cross-origin and
+ *     Sec-Fetch-Site is worked out again between that page and the target
+ *  3. defaults for User-Agent, Accept and Accept-Language when missing
+ *     (config.proxy.requestHeaders)
+ *  4. per-domain overrides from config; a null value removes the header
+ * Header names in the result are lower case.
+ *
+ * Exposes:
+ *    DROPPED_HEADERS
+ *    upstreamReferer(initiatorUrl, targetUrl) -> Referer value or null
+ *    fetchSite(initiatorUrl, targetUrl) -> 'same-origin' | 'same-site' | 'cross-site'
+ *    headerOverridesFor(url) -> { name: value | null }
+ *    buildUpstreamHeaders(req, targetUrl, { rewriteOptions, headers }) -> header object
+ */
+
+const { URL } = require('url');
+const { sanitizeHeaders } = require('./sanitize');
+const { refererTarget } = require('./proxyUrl');
+const { siteOf } = require('./cookies');
+const { getRequestHeaderDefaults, getServiceWorker } = require('./config');
+
+const DROPPED_HEADERS = new Set([
+  // hop-by-hop
+  'connection', 'keep-alive', 'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade',
+  'proxy-authorization', 'proxy-authenticate',
+  // reveal the proxy or the client behind it
+  'forwarded', 'via', 'x-real-ip', 'client-ip', 'true-client-ip', 'x-client-ip', 'x-cluster-client-ip',
+  'cf-connecting-ip', 'fastly-client-ip',
+  // set by the proxy or its HTTP client
+  'host', 'cookie', 'content-length', 'content-type', 'accept-encoding',
+  'if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range', 'range',
+  'sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-accept',
+  'sec-websocket-protocol',
+  // translated below
+  'referer', 'origin', 'sec-fetch-site'
+]);
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * upstreamReferer(initiatorUrl, targetUrl)
+ * - strict-origin-when-cross-origin: the full URL (without fragment or credentials) within an
+ *   origin, only the origin across origins, nothing from https to http
+ */
+function upstreamReferer(initiatorUrl, targetUrl) {
+  if (!initiatorUrl) return null;
+  try {
+    const from = new URL(initiatorUrl);
+    const to = new URL(targetUrl);
+    if (from.protocol === 'https:' && to.protocol !== 'https:') return null;
+    if (from.origin !== to.origin) return from.origin + '/';
+    from.hash = '';
+    from.username = '';
+    from.password = '';
+    return from.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * fetchSite(initiatorUrl, targetUrl)
+ */
+function fetchSite(initiatorUrl, targetUrl) {
+  if (originOf(initiatorUrl) === originOf(targetUrl)) return 'same-origin';
+  try {
+    return siteOf(initiatorUrl) === siteOf(targetUrl) ? 'same-site' : 'cross-site';
+  } catch (e) {
+    return 'cross-site';
+  }
+}
+
+/**
+ * headerOverridesFor(url)
+ * - config overrides of every domain url's host falls under, the more specific ones last
+ */
+function headerOverridesFor(url) {
+  const overrides = getRequestHeaderDefaults().overrides || {};
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return {};
+  }
+  return Object.keys(overrides)
+    .map(d => d.replace(/^\./, '').toLowerCase())
+    .filter(d => host === d || host.endsWith('.' + d))
+    .sort((a, b) => a.length - b.length)
+    .reduce((out, d) => {
+      const entry = overrides[d] || overrides['.' + d] || {};
+      for (const [name, value] of Object.entries(entry)) out[name.toLowerCase()] = value;
+      return out;
+    }, {});
+}
+
+/**
+ * buildUpstreamHeaders(req, targetUrl, { rewriteOptions, headers })
+ * - req: the browser's request, or null for requests the proxy makes on its own
+ * - rewriteOptions: how proxied URLs are encoded (to decode the Referer)
+ * - headers: the caller's own headers, applied before the overrides
+ */
+function buildUpstreamHeaders(req, targetUrl, { rewriteOptions = {}, headers = {} } = {}) {
+  const defaults = getRequestHeaderDefaults();
+  const incoming = (req && req.headers) || {};
+  const sw = getServiceWorker();
+
+  // the Connection header may name more hop-by-hop headers
+  const listed = String(incoming.connection || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+  const out = {};
+  for (const [name, value] of Object.entries(sanitizeHeaders(incoming, { credentials: true }))) {
+    if (DROPPED_HEADERS.has(name) || listed.includes(name)) continue;
+    if (sw && sw.header && name === sw.header.toLowerCase()) continue;
+    out[name] = value;
+  }
+
+  if (req) {
+    // a WebSocket handshake is compared as the http(s) URL of its host
+    const target = String(targetUrl).replace(/^ws(s?):/i, 'http$1:');
+    const initiator = refererTarget(incoming.referer, rewriteOptions);
+    const referer = upstreamReferer(initiator, target);
+    if (referer) out['referer'] = referer;
+    if (incoming.origin) {
+      // an opaque origin stays opaque; without a known page the request counts as same-origin
+      out['origin'] = incoming.origin === 'null' ? 'null' : originOf(initiator || target);
+    }
+    if (incoming['sec-fetch-site']) {
+      out['sec-fetch-site'] = initiator ? fetchSite(initiator, target) : incoming['sec-fetch-mode'] === 'navigate' ? 'none' : 'same-origin';
+    }
+  }
+
+  if (!out['user-agent']) out['user-agent'] = defaults.userAgent;
+  if (!out['accept']) out['accept'] = defaults.accept;
+  if (!out['accept-language']) out['accept-language'] = defaults.acceptLanguage;
+
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (value != null) out[name.toLowerCase()] = String(value);
+  }
+  for (const [name, value] of Object.entries(headerOverridesFor(targetUrl))) {
+    if (value === null) delete out[name];
+    else out[name] = String(value);
+  }
+  return out;
+}
+
+module.exports = {
+  DROPPED_HEADERS,
+  upstreamReferer,
+  fetchSite,
+  headerOverridesFor,
+  buildUpstreamHeaders
+};
@@ -1,50 +1,67 @@
-
 /**
  * resourceCache.js
  *
- * Hybrid in-memory + disk-persisted cache for resources.
- * - LRU-style in-memory cache for hot items
- * - Optional disk persistence (simple file store)
- * - Async get/set/delete operations
+ * Cache for resources over a pluggable storage adapter (see cacheStore.js), picked by
+ * config.caching.backend:
+ * - local (default): LRU-style in-memory cache for hot items over disk persistence
+ *   (diskStore.js: Buffers kept as binary blobs, deduplicated by content, entries expire on
+ *   disk too and the disk layer stays under config.caching.maxDiskBytes)
+ * - memory, disk, redis (shared by several server processes), tiered (memory over redis)
+ * - Async get/set/delete operations; storage failures count as misses
  * - TTL support, size limits, and background cleanup
+ * - HTTP responses are stored and looked up by the rules of RFC 9111 (see cachePolicy.js):
+ *   only storable responses, one entry per Vary variant, kept past their freshness lifetime
+ *   while they can still be revalidated or served stale; a 304 refreshes them
  *
  * Usage:
  * const cache = require('./resourceCache');
  * await cache.set(key, value, ttlMs);
  * const v = await cache.get(key);
+ * await cache.storeResponse(key, { status, requestHeaders, headers, requestTime, responseTime }, value);
+ * const hit = await cache.lookupResponse(key, requestHeaders);
+ *   // { value, age, fresh, staleWhileRevalidate, staleIfError, conditionalHeaders } or null
+ * await cache.refreshResponse(key, requestHeaders, { status: 304, headers, requestTime, responseTime });
+ * const keys = await cache.scan(prefix);
+ * const info = await cache.stats();
+ * cache.setStore(store); // another adapter (see cacheStore.js)
  */
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const crypto = require('crypto');
-const { promisify } = require('util');
-
-const writeFile = promisify(fs.writeFile);
-const readFile = promisify(fs.readFile);
-const unlink = promisify(fs.unlink);
-const mkdir = promisify(fs.mkdir);
-const stat = promisify(fs.stat);
+const cachePolicy = require('./cachePolicy');
+const { createCacheStore } = require('./cacheStore');
+const { getCacheDefaults, getLogFile } = require('./config');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logWarn: () => {} }; }
+})();
 
-const CACHE_DIR = path.join(__dirname, '..', 'cache'); // persisted cache folder
-const LOG_DIR = path.join(__dirname, '..', 'logs');
+const CACHE_DIR = getCacheDefaults().persistDir; // persisted cache folder
+const LOG_DIR = path.dirname(getLogFile());
 
-const DEFAULT_MAX_ITEMS = 500; // items in memory
-const DEFAULT_MAX_BYTES = 50 * 1024 * 1024; // 50MB in-memory
 const DEFAULT_SWEEP_INTERVAL = 60 * 1000; // 1 minute
 
-// In-memory structures
-const cacheMap = new Map(); // key -> { value, size, expiresAt }
-let currentBytes = 0;
-
-// Ensure folders exist
-if (!fs.existsSync(CACHE_DIR)) {
-  try { fs.mkdirSync(CACHE_DIR, { recursive: true }); } catch (e) {}
-}
+// Ensure folders exist (the cache folder is left to the storage adapters, which create what
+// they need on first write)
 if (!fs.existsSync(LOG_DIR)) {
   try { fs.mkdirSync(LOG_DIR, { recursive: true }); } catch (e) {}
 }
 
+let store = createCacheStore(getCacheDefaults());
+
+// files of the former JSON-only disk format (<sha256 of key>.json), unreadable now; removed
+// with the first write
+let legacyFilesRemoved = false;
+function removeLegacyFiles() {
+  if (legacyFilesRemoved) return;
+  legacyFilesRemoved = true;
+  try {
+    for (const f of fs.readdirSync(CACHE_DIR)) {
+      if (/^[0-9a-f]{64}\.json$/.test(f)) fs.unlinkSync(path.join(CACHE_DIR, f));
+    }
+  } catch (e) {}
+}
+
 // Helpers
 function now() { return Date.now(); }
 
@@ -52,218 +69,201 @@ function shaKey(k) {
   return crypto.createHash('sha256').update(String(k)).digest('hex');
 }
 
-function estimateSize(obj) {
-  if (!obj) return 0;
-  if (Buffer.isBuffer(obj)) return obj.length;
-  if (typeof obj === 'string') return Buffer.byteLength(obj, 'utf8');
-  try {
-    return Buffer.byteLength(JSON.stringify(obj), 'utf8');
-  } catch (e) {
-    return 1024;
-  }
-}
-
 /**
- * Move key to most-recently-used position
+ * Public API
  */
-function touchKey(key) {
-  if (!cacheMap.has(key)) return;
-  const entry = cacheMap.get(key);
-  cacheMap.delete(key);
-  cacheMap.set(key, entry);
-}
 
 /**
- * Evict items until below size / count limits
+ * get(key)
+ * - returns cached value or null
  */
-function evictIfNeeded(maxItems = DEFAULT_MAX_ITEMS, maxBytes = DEFAULT_MAX_BYTES) {
-  while ((cacheMap.size > maxItems || currentBytes > maxBytes) && cacheMap.size > 0) {
-    // remove oldest (first) entry
-    const firstKey = cacheMap.keys().next().value;
-    const entry = cacheMap.get(firstKey);
-    cacheMap.delete(firstKey);
-    currentBytes -= entry.size || 0;
+async function get(key) {
+  if (!key) return null;
+  try {
+    const found = await store.get(key);
+    return found ? found.value : null;
+  } catch (e) {
+    logWarn(`resourceCache get failed: ${e.message}`);
+    return null;
   }
 }
 
 /**
- * Persist an entry to disk (non-blocking)
+ * set(key, value, ttlMs)
  */
-async function persistToDisk(key, data) {
-  const filename = path.join(CACHE_DIR, shaKey(key) + '.json');
-  const payload = {
-    ts: now(),
-    key,
-    data
-  };
+async function set(key, value, ttlMs = 60 * 1000) {
+  if (!key) return false;
+  removeLegacyFiles();
   try {
-    await writeFile(filename, JSON.stringify(payload), { encoding: 'utf8' });
+    return await store.set(key, value, ttlMs ? (now() + ttlMs) : null);
   } catch (e) {
-    // ignore disk write failures
+    logWarn(`resourceCache set failed: ${e.message}`);
+    return false;
   }
 }
 
 /**
- * Load persisted entry from disk
+ * del(key)
  */
-async function loadFromDisk(key) {
-  const filename = path.join(CACHE_DIR, shaKey(key) + '.json');
+async function del(key) {
+  if (!key) return false;
   try {
-    const raw = await readFile(filename, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (parsed && parsed.data) return parsed.data;
-    return null;
+    await store.del(key);
+    return true;
   } catch (e) {
-    return null;
+    logWarn(`resourceCache del failed: ${e.message}`);
+    return false;
   }
 }
 
 /**
- * Remove persisted file
+ * scan(prefix) - keys starting with prefix
  */
-async function removeFromDisk(key) {
-  const filename = path.join(CACHE_DIR, shaKey(key) + '.json');
-  try { await unlink(filename); } catch (e) {}
+async function scan(prefix = '') {
+  return store.scan(prefix);
 }
 
 /**
- * Public API
+ * clear() - wipe entire cache
  */
+async function clear() {
+  if (store.clear) return store.clear();
+  for (const key of await store.scan('')) await store.del(key);
+}
 
 /**
- * get(key)
- * - returns cached value or null
- * - if not in memory but present on disk, load it into memory and return
+ * setStore(adapter) - use another storage adapter from now on (the current one is closed)
  */
-async function get(key) {
-  if (!key) return null;
-  // check in-memory
-  if (cacheMap.has(key)) {
-    const entry = cacheMap.get(key);
-    if (entry.expiresAt && entry.expiresAt < now()) {
-      // expired
-      cacheMap.delete(key);
-      currentBytes -= entry.size || 0;
-      try { await removeFromDisk(key); } catch (e) {}
-      return null;
-    }
-    touchKey(key);
-    return entry.value;
-  }
+function setStore(adapter) {
+  if (store && store !== adapter && store.close) store.close();
+  store = adapter;
+}
 
-  // try disk
-  const diskVal = await loadFromDisk(key);
-  if (diskVal != null) {
-    // bring into memory (but respect memory limits)
-    const size = estimateSize(diskVal);
-    cacheMap.set(key, { value: diskVal, size, expiresAt: null });
-    currentBytes += size;
-    evictIfNeeded();
-    return diskVal;
-  }
+// response headers the freshness and variant rules read (see cachePolicy.js)
+const POLICY_HEADERS = ['cache-control', 'pragma', 'date', 'expires', 'age', 'last-modified', 'etag', 'vary'];
 
-  return null;
+function variantKey(baseKey, varyNames, requestHeaders) {
+  return varyNames.length ? baseKey + '|' + shaKey(cachePolicy.varyKey(varyNames, requestHeaders)) : baseKey + '|';
 }
 
-/**
- * set(key, value, ttlMs)
- * - stores in memory and optionally persists to disk (if small)
- */
-async function set(key, value, ttlMs = 60 * 1000) {
-  if (!key) return false;
-  const size = estimateSize(value);
-  const expiresAt = ttlMs ? (now() + ttlMs) : null;
-
-  // store in memory
-  if (cacheMap.has(key)) {
-    const prev = cacheMap.get(key);
-    currentBytes -= prev.size || 0;
-    cacheMap.delete(key);
+function policyHeaders(headers) {
+  const out = {};
+  for (const name of POLICY_HEADERS) {
+    const v = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    if (v != null) out[name] = String(v);
   }
-  cacheMap.set(key, { value, size, expiresAt });
-  currentBytes += size;
+  return out;
+}
 
-  // evict if necessary
-  evictIfNeeded();
+async function putRecord(baseKey, requestHeaders, stored, value) {
+  const ttl = cachePolicy.retention(stored);
+  if (ttl <= 0) return false;
+  const varyNames = cachePolicy.varyNames(stored.headers);
+  await set(baseKey, { vary: varyNames }, ttl);
+  await set(variantKey(baseKey, varyNames, requestHeaders), { stored, value }, ttl);
+  return true;
+}
 
-  // persist small items to disk asynchronously (avoid huge files)
-  const MAX_PERSIST_BYTES = 1024 * 1024; // 1MB
-  if (size <= MAX_PERSIST_BYTES) {
-    try {
-      persistToDisk(key, { value, meta: { ttl: ttlMs, storedAt: now() } });
-    } catch (e) {}
-  }
+async function findRecord(baseKey, requestHeaders) {
+  const index = await get(baseKey);
+  if (!index || !Array.isArray(index.vary)) return null;
+  const record = await get(variantKey(baseKey, index.vary, requestHeaders));
+  return record && record.stored ? record : null;
+}
 
-  return true;
+/**
+ * storeResponse(baseKey, { status, requestHeaders, headers, requestTime, responseTime }, value)
+ * - stores value (whatever the caller needs to answer from the cache) for an upstream response,
+ *   if it may be stored and is worth keeping (see cachePolicy.retention); returns whether it was
+ * - requestHeaders: the headers sent upstream; headers: the upstream response's headers
+ * - baseKey holds the response's Vary names, each variant is stored under its own key
+ */
+async function storeResponse(baseKey, response, value) {
+  const { status, requestHeaders, headers } = response;
+  if (!baseKey || !cachePolicy.isStorable(status, requestHeaders, headers)) return false;
+  const stored = {
+    status,
+    headers: policyHeaders(headers),
+    requestTime: response.requestTime || now(),
+    responseTime: response.responseTime || now()
+  };
+  return putRecord(baseKey, requestHeaders, stored, value);
 }
 
 /**
- * del(key) - delete from memory and disk
+ * lookupResponse(baseKey, requestHeaders)
+ * - the stored response for this request's variant, fresh or not, or null
+ * - fresh: it may answer the request as it is; otherwise it needs revalidating
+ *   (conditionalHeaders), unless staleWhileRevalidate / staleIfError let it answer anyway
  */
-async function del(key) {
-  if (!key) return false;
-  if (cacheMap.has(key)) {
-    const entry = cacheMap.get(key);
-    currentBytes -= entry.size || 0;
-    cacheMap.delete(key);
-  }
-  await removeFromDisk(key);
-  return true;
+async function lookupResponse(baseKey, requestHeaders) {
+  const record = await findRecord(baseKey, requestHeaders);
+  if (!record) return null;
+  return Object.assign(
+    { value: record.value, conditionalHeaders: cachePolicy.conditionalHeaders(record.stored) },
+    cachePolicy.canServe(record.stored, requestHeaders)
+  );
 }
 
 /**
- * clear() - wipe entire cache (memory + disk)
+ * refreshResponse(baseKey, requestHeaders, { headers, requestTime, responseTime })
+ * - a 304 for the stored response: its headers update the stored ones (and those of the same
+ *   name in value.headers) and its freshness starts over; returns the updated lookup result,
+ *   or null when there is nothing stored any more
  */
-async function clear() {
-  cacheMap.clear();
-  currentBytes = 0;
-  try {
-    const files = fs.readdirSync(CACHE_DIR);
-    for (const f of files) {
-      const p = path.join(CACHE_DIR, f);
-      try { fs.unlinkSync(p); } catch (e) {}
+async function refreshResponse(baseKey, requestHeaders, response) {
+  const record = await findRecord(baseKey, requestHeaders);
+  if (!record) return null;
+  const stored = Object.assign({}, record.stored, {
+    headers: cachePolicy.updateHeaders(record.stored.headers, response.headers),
+    requestTime: response.requestTime || now(),
+    responseTime: response.responseTime || now()
+  });
+  let value = record.value;
+  if (value && value.headers && typeof value.headers === 'object') {
+    const updated = Object.assign({}, value.headers);
+    for (const name of Object.keys(updated)) {
+      const v = typeof response.headers.get === 'function' ? response.headers.get(name) : response.headers[name];
+      if (v != null) updated[name] = String(v);
     }
-  } catch (e) {}
+    value = Object.assign({}, value, { headers: updated });
+  }
+  await putRecord(baseKey, requestHeaders, stored, value);
+  return Object.assign(
+    { value, conditionalHeaders: cachePolicy.conditionalHeaders(stored) },
+    cachePolicy.canServe(stored, requestHeaders)
+  );
 }
 
 /**
- * stats() - returns basic stats
+ * stats() - what the storage adapter reports
  */
-function stats() {
-  return {
-    items: cacheMap.size,
-    bytes: currentBytes,
-    persistedFiles: (() => {
-      try { return fs.readdirSync(CACHE_DIR).length; } catch (e) { return 0; }
-    })()
-  };
+async function stats() {
+  return store.stats();
 }
 
 /**
  * Background cleanup: remove expired items regularly
  */
 setInterval(() => {
-  const nowTs = now();
-  for (const [k, entry] of cacheMap.entries()) {
-    if (entry.expiresAt && entry.expiresAt < nowTs) {
-      currentBytes -= entry.size || 0;
-      cacheMap.delete(k);
-    }
-  }
-  // also keep size constraints
-  evictIfNeeded();
-}, DEFAULT_SWEEP_INTERVAL);
+  if (store.sweep) store.sweep();
+}, DEFAULT_SWEEP_INTERVAL).unref();
 
 // Export
 module.exports = {
   get,
   set,
   del,
+  scan,
   clear,
   stats,
+  setStore,
+  storeResponse,
+  lookupResponse,
+  refreshResponse,
   // Expose internals for debug (not recommended in production)
   _internal: {
-    cacheMap,
+    getStore: () => store,
     CACHE_DIR
   }
 };
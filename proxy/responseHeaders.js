@@ -0,0 +1,219 @@
+/**
+ * responseHeaders.js
+ *
+ * Decides what becomes of each upstream response header, from one policy table:
+ *  - pass      copied as is
+ *  - drop      not sent: hop-by-hop and body framing headers, Set-Cookie (kept in the
+ *              session jar, see cookies.js), headers that would act on the proxy's own
+ *              origin (HSTS, Clear-Site-Data, Alt-Svc, reporting endpoints) or name the
+ *              upstream server
+ *  - csp       Content-Security-Policy restated for the proxy origin (see csp.js)
+ *  - link      Link header URLs proxied like <link href> (preconnect / dns-prefetch dropped)
+ *  - refresh   the URL of a Refresh header proxied like <meta http-equiv="refresh">
+ *  - url       a single URL (Location, Content-Location) proxied
+ * config.proxy.responseHeaders.policy overrides table entries and defaultAction covers
+ * headers in neither. Headers the proxy server already set (helmet) are replaced by
+ * whatever the table lets through; the ones the table has a rule for (SERVER_HEADERS:
+ * Content-Security-Policy, Strict-Transport-Security, X-Frame-Options) are always removed
+ * from proxied responses, which carry the upstream's (or none) as the table says.
+ *
+ * Exposes:
+ *    DEFAULT_POLICY
+ *    headerAction(name) -> action
+ *    rewriteLinkHeader(value, baseUrl, rewriteOptions) -> rewritten value ('' when nothing is left)
+ *    clearServerHeaders(res) -> removes SERVER_HEADERS (also for responses served from the cache)
+ *    applyResponseHeaders(headers, res, { baseUrl, kind, rewriteOptions }) -> { names, nonce }
+ */
+
+const { getResponseHeaderDefaults } = require('./config');
+const { rewriteCsp, nonceOf } = require('./csp');
+const { NAVIGATE } = require('./proxyUrl');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logWarn: () => {} }; }
+})();
+
+const DEFAULT_POLICY = {
+  // body framing: the caller sets these for the body it actually sends (node-fetch has
+  // already decoded any content-encoding, and rewriting changes the length)
+  'content-length': 'drop',
+  'content-encoding': 'drop',
+  'transfer-encoding': 'drop',
+  'content-md5': 'drop',
+  'digest': 'drop',
+  'repr-digest': 'drop',
+  'content-digest': 'drop',
+  // hop-by-hop
+  'connection': 'drop',
+  'keep-alive': 'drop',
+  'proxy-connection': 'drop',
+  'proxy-authenticate': 'drop',
+  'te': 'drop',
+  'trailer': 'drop',
+  'upgrade': 'drop',
+  // cookies live server-side
+  'set-cookie': 'drop',
+  'set-cookie2': 'drop',
+  // would apply to the proxy origin, i.e. every proxied site at once
+  'strict-transport-security': 'drop',
+  'public-key-pins': 'drop',
+  'public-key-pins-report-only': 'drop',
+  'expect-ct': 'drop',
+  'alt-svc': 'drop',
+  'clear-site-data': 'drop',
+  'service-worker-allowed': 'drop',
+  'report-to': 'drop',
+  'reporting-endpoints': 'drop',
+  'nel': 'drop',
+  // proxied pages are framed by the proxy UI (see iframeHandler.js)
+  'x-frame-options': 'drop',
+  // everything is same-origin once proxied
+  'access-control-*': 'drop',
+  'timing-allow-origin': 'drop',
+  // the rewriters link source maps themselves (see sourceMap.js)
+  'sourcemap': 'drop',
+  'x-sourcemap': 'drop',
+  // upstream server details
+  'server': 'drop',
+  'x-powered-by': 'drop',
+  'via': 'drop',
+  // rewritten
+  'content-security-policy': 'csp',
+  'content-security-policy-report-only': 'csp',
+  'link': 'link',
+  'refresh': 'refresh',
+  'location': 'url',
+  'content-location': 'url'
+};
+
+const ACTIONS = ['pass', 'drop', 'csp', 'link', 'refresh', 'url'];
+
+// set by helmet on every response of the proxy server, but on proxied responses decided by
+// the table like any upstream header
+const SERVER_HEADERS = ['content-security-policy', 'strict-transport-security', 'x-frame-options'];
+
+/**
+ * headerAction(name)
+ * - config entries first, then the built-in table; exact names before "prefix*" entries
+ */
+function headerAction(name) {
+  const lower = String(name).toLowerCase();
+  const { policy = {}, defaultAction = 'pass' } = getResponseHeaderDefaults();
+  for (const table of [policy, DEFAULT_POLICY]) {
+    const entries = Object.entries(table).map(([k, v]) => [k.toLowerCase(), v]);
+    const exact = entries.find(([k]) => k === lower);
+    if (exact && ACTIONS.includes(exact[1])) return exact[1];
+    const prefix = entries
+      .filter(([k]) => k.endsWith('*') && lower.startsWith(k.slice(0, -1)))
+      .sort((a, b) => b[0].length - a[0].length)[0];
+    if (prefix && ACTIONS.includes(prefix[1])) return prefix[1];
+  }
+  return defaultAction;
+}
+
+/**
+ * splitLinkHeader(value)
+ * - "<a>; rel=x, <b>; rel="y z"" -> ['<a>; rel=x', '<b>; rel="y z"'] (commas inside <> or
+ *   quotes do not split)
+ */
+function splitLinkHeader(value) {
+  const parts = [];
+  let current = '';
+  let inUrl = false;
+  let inQuote = false;
+  for (const ch of String(value)) {
+    if (ch === '<' && !inQuote) inUrl = true;
+    else if (ch === '>' && !inQuote) inUrl = false;
+    else if (ch === '"' && !inUrl) inQuote = !inQuote;
+    if (ch === ',' && !inUrl && !inQuote) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * rewriteLinkHeader(value, baseUrl, rewriteOptions)
+ * - each link's URL is proxied with the kind its rel gives a <link> (rewrite.linkRelKind);
+ *   integrity parameters go, the body will not match them after rewriting
+ */
+function rewriteLinkHeader(value, baseUrl, rewriteOptions = {}) {
+  const { rewriteUrlValue, linkRelKind } = require('./rewrite'); // lazy: rewrite requires csp.js
+  return splitLinkHeader(value).map(link => {
+    const m = /^<([^>]*)>(.*)$/.exec(link);
+    if (!m) return link;
+    const params = m[2].split(';').map(p => p.trim()).filter(Boolean);
+    const relParam = params.find(p => /^rel\s*=/i.test(p));
+    const kind = linkRelKind(relParam ? relParam.replace(/^rel\s*=\s*/i, '').replace(/^"|"$/g, '') : '');
+    if (!kind) return null;
+    const url = rewriteUrlValue(m[1], baseUrl, kind, rewriteOptions, { attr: 'link-header' }) || m[1];
+    return [`<${url}>`, ...params.filter(p => !/^integrity\s*=/i.test(p))].join('; ');
+  }).filter(Boolean).join(', ');
+}
+
+/**
+ * rewriteValue(action, name, value, options)
+ */
+function rewriteValue(action, name, value, { baseUrl, kind = NAVIGATE, rewriteOptions = {} }) {
+  const { rewriteUrlValue, rewriteRefresh } = require('./rewrite');
+  switch (action) {
+    case 'csp':
+      return rewriteCsp(value);
+    case 'link':
+      return rewriteLinkHeader(value, baseUrl, rewriteOptions);
+    case 'refresh':
+      return rewriteRefresh(value, baseUrl, rewriteOptions, { attr: 'refresh-header' }) || value;
+    case 'url':
+      // Location names a document; Content-Location the response itself
+      return rewriteUrlValue(value, baseUrl, name === 'location' ? NAVIGATE : kind, rewriteOptions, { attr: name }) || value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * clearServerHeaders(res)
+ */
+function clearServerHeaders(res) {
+  SERVER_HEADERS.forEach(name => res.removeHeader(name));
+}
+
+/**
+ * applyResponseHeaders(headers, res, { baseUrl, kind, rewriteOptions })
+ * - headers: the upstream response's node-fetch Headers; baseUrl: the URL it answered;
+ *   kind: how the client requested it (NAVIGATE for /proxy, RESOURCE for /resource)
+ * - names: the headers set on res; nonce: the script nonce of the (enforced) upstream policy,
+ *   for the runtime script tag
+ */
+function applyResponseHeaders(headers, res, options = {}) {
+  const names = [];
+  let nonce = null;
+  clearServerHeaders(res);
+  for (const [name, values] of Object.entries(headers.raw())) {
+    const action = headerAction(name);
+    if (action === 'drop') continue;
+    let out;
+    try {
+      out = values.map(v => rewriteValue(action, name, v, options)).filter(Boolean);
+    } catch (e) {
+      logWarn(`applyResponseHeaders ${name} rewrite failed: ${e.message}`);
+      continue;
+    }
+    if (!out.length) continue;
+    if (name === 'content-security-policy' && !nonce) nonce = values.map(nonceOf).find(Boolean) || null;
+    res.setHeader(name, out.length > 1 ? out : out[0]);
+    names.push(name);
+  }
+  return { names, nonce };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  headerAction,
+  rewriteLinkHeader,
+  clearServerHeaders,
+  applyResponseHeaders
+};
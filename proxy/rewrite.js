@@ -4,20 +4,91 @@
  * Functions to rewrite HTML/CSS/JS to route asset URLs through the proxy.
  * This module focuses on correctness and resilience:
  *  - rewriteHtml(html, baseUrl) -> rewritten HTML string
+ *  - createHtmlRewriter(baseUrl) -> incremental { write(chunk), end() } variant of rewriteHtml
  *  - rewriteCss(cssText, baseUrl) -> rewritten CSS string
  *  - rewriteJs(jsText, baseUrl) -> rewritten JS string (best-effort)
- *  - It handles <base>, meta-refresh, inline styles, url(), @import, fetch/XHR patterns.
+ *  - rewriteManifest(jsonText, baseUrl) -> rewritten web app manifest
+ *  - rewriteSourceMap(jsonText, mapUrl) -> source map with proxied sources (see sourceMap.js)
+ *  - It handles <base>, meta-refresh, srcset, inline styles, CSS URLs, fetch/XHR patterns.
  *
  * NOTE:
- *  - For heavy-duty rewriting use a proper HTML parser (cheerio / parse5). Here we keep
- *    a dependency-free approach using robust regex + URL resolution for portability.
+ *  - HTML is walked with the dependency-free tokenizer in htmlTokenizer.js. Only the values
+ *    of URL-bearing attributes are replaced; everything else is emitted exactly as received.
+ *  - Which attributes carry URLs, and whether they are navigations (-> proxyPath) or
+ *    subresources (-> resourcePath), is declared once in TAG_URL_ATTRIBUTES below.
  */
 
 const { URL } = require('url');
-const { logger } = (() => {
-  try { return require('./logger'); } catch (e) { return { logger: { logInfo: () => {}, logWarn: () => {}, logError: () => {} } }; }
+const { createTokenizer, getAttr } = require('./htmlTokenizer');
+const { encodeProxyUrl, encodeTarget, isProxyUrl, NAVIGATE, RESOURCE, MODULE_KIND } = require('./proxyUrl');
+const { findSourceMappingUrl, parseSourceMap, rewriteSourceMapSources } = require('./sourceMap');
+const { rewriteCsp } = require('./csp');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logInfo: () => {}, logWarn: () => {}, logError: () => {} }; }
 })();
 
+// URL kinds (see proxyUrl.js): NAVIGATE for documents the user may open -> proxyPath,
+// RESOURCE for subresources loaded by the page -> resourcePath
+
+// attribute value formats
+const spec = (kind, format = 'url') => ({ kind, format });
+
+/**
+ * Per-element URL attributes.
+ * format: url (single URL), srcset (candidate list), list (space separated URLs),
+ *         refresh (meta refresh content), css (style attribute), html (iframe srcdoc),
+ *         charset (<meta charset> / http-equiv Content-Type: the output is always UTF-8),
+ *         csp (http-equiv Content-Security-Policy, see csp.js)
+ */
+const TAG_URL_ATTRIBUTES = {
+  a: { href: spec(NAVIGATE), ping: spec(NAVIGATE, 'list') },
+  area: { href: spec(NAVIGATE), ping: spec(NAVIGATE, 'list') },
+  form: { action: spec(NAVIGATE) },
+  button: { formaction: spec(NAVIGATE) },
+  input: { formaction: spec(NAVIGATE), src: spec(RESOURCE) },
+  iframe: { src: spec(NAVIGATE), srcdoc: spec(NAVIGATE, 'html') },
+  frame: { src: spec(NAVIGATE) },
+  embed: { src: spec(NAVIGATE) },
+  object: { data: spec(NAVIGATE) },
+  img: { src: spec(RESOURCE), srcset: spec(RESOURCE, 'srcset'), lowsrc: spec(RESOURCE), longdesc: spec(NAVIGATE) },
+  source: { src: spec(RESOURCE), srcset: spec(RESOURCE, 'srcset') },
+  script: { src: spec(RESOURCE) },
+  audio: { src: spec(RESOURCE) },
+  video: { src: spec(RESOURCE), poster: spec(RESOURCE) },
+  track: { src: spec(RESOURCE) },
+  link: { imagesrcset: spec(RESOURCE, 'srcset') }, // href depends on rel, see attributeSpec()
+  body: { background: spec(RESOURCE) },
+  table: { background: spec(RESOURCE) },
+  td: { background: spec(RESOURCE) },
+  th: { background: spec(RESOURCE) },
+  blockquote: { cite: spec(NAVIGATE) },
+  q: { cite: spec(NAVIGATE) },
+  del: { cite: spec(NAVIGATE) },
+  ins: { cite: spec(NAVIGATE) },
+  image: { href: spec(RESOURCE), 'xlink:href': spec(RESOURCE) }, // svg
+  use: { href: spec(RESOURCE), 'xlink:href': spec(RESOURCE) } // svg
+};
+
+// Attributes that carry URLs on any element (lazy-loading conventions included)
+const GLOBAL_URL_ATTRIBUTES = {
+  style: spec(RESOURCE, 'css'),
+  'data-src': spec(RESOURCE),
+  'data-srcset': spec(RESOURCE, 'srcset'),
+  'data-background': spec(RESOURCE),
+  'data-bg': spec(RESOURCE)
+};
+
+// <link rel> values that load a subresource rather than point at a document
+const RESOURCE_LINK_RELS = ['stylesheet', 'icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon', 'preload', 'prefetch', 'manifest'];
+// elements whose integrity attribute covers a body the proxy rewrites
+const INTEGRITY_TAGS = ['script', 'link'];
+// <link rel> values that preload an ES module: same URL as the import that will use it
+const MODULE_LINK_RELS = ['modulepreload'];
+// <link rel> values whose href is only a hint about an origin; nothing to proxy
+const IGNORED_LINK_RELS = ['preconnect', 'dns-prefetch'];
+
+const JS_TYPES = /^(?:|module|(?:text|application)\/(?:x-)?(?:javascript|ecmascript|jscript|livescript)(?:\s*;.*)?)$/i;
+
 /**
  * safeResolve(link, base)
  * Resolve link relative to base, but if link is already absolute returns it.
@@ -31,198 +102,603 @@ function safeResolve(link, base) {
 }
 
 /**
- * escapeAttr - ensure quotes inside attribute are encoded
+ * escapeAttrValue(value, quote)
+ * - encodes a value for placement inside an attribute delimited by quote
  */
-function escapeAttr(s) {
-  return String(s).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+function escapeAttrValue(value, quote = '"') {
+  const out = String(value).replace(/&/g, '&amp;');
+  return quote === "'" ? out.replace(/'/g, '&#39;') : out.replace(/"/g, '&quot;');
 }
 
 /**
- * rewriteHtml(html, baseUrl, options)
- * - Rewrites href/src/action/data-* to go through proxy endpoints:
- *   - page links -> /proxy?url=...
- *   - assets (css/js/img) -> /resource?url=...
- * - Removes or rewrites <base> tags.
- * - Rewrites meta refresh to proxy target.
- * - Rewrites inline style url(...) occurrences.
- *
- * options:
- *  - proxyPath (default '/proxy?url=')
- *  - resourcePath (default '/resource?url=')
- *  - aggressiveSanitize (boolean)
+ * proxify(absUrl, kind, cfg, ctx)
+ * - maps an absolute upstream URL to its proxied form (query or path scheme, see proxyUrl.js)
+ * - cfg.rewriteUrl(absUrl, { kind, ...ctx }) can take over the mapping entirely
  */
-function rewriteHtml(html, baseUrl, options = {}) {
-  if (!html || !baseUrl) return html;
-  const cfg = Object.assign({ proxyPath: '/proxy?url=', resourcePath: '/resource?url=', aggressiveSanitize: false }, options);
-
-  let out = html;
+function proxify(absUrl, kind, cfg = {}, ctx = {}) {
+  if (typeof cfg.rewriteUrl === 'function') return cfg.rewriteUrl(absUrl, Object.assign({ kind }, ctx));
+  return encodeProxyUrl(absUrl, kind, cfg);
+}
 
-  // Remove or neutralize <base> to prevent relative URL confusion
-  out = out.replace(/<base[^>]*>/gi, '');
+/**
+ * rewriteUrlValue(value, baseUrl, kind, cfg, ctx)
+ * - resolves and proxifies a single URL
+ * - returns null when the value must be left alone (fragments, data:, javascript:, mailto:,
+ *   values that already point at the proxy, ...)
+ */
+function rewriteUrlValue(value, baseUrl, kind, cfg = {}, ctx = {}) {
+  if (value == null) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed || trimmed[0] === '#') return null;
+  if (isProxyUrl(trimmed, cfg)) return null;
+  if (/^(?:data|javascript|blob|about|mailto|tel|sms):/i.test(trimmed)) return null;
+  // light pass (service worker mode): absolute subresource URLs are intercepted by the worker
+  if (cfg.lightPass && kind === RESOURCE && /^(?:[a-z][\w+.-]*:|\/\/)/i.test(trimmed)) return null;
+  const abs = safeResolve(trimmed, baseUrl);
+  if (!/^https?:\/\//i.test(abs)) return null;
+  return proxify(abs, kind, cfg, ctx);
+}
 
-  // Rewrite meta refresh: <meta http-equiv="refresh" content="5; url=/foo">
-  out = out.replace(/<meta[^>]+http-equiv=["']?refresh["']?[^>]*>/gi, (m) => {
-    try {
-      const contentMatch = m.match(/content=["']?([^"'>]+)["']?/i);
-      if (!contentMatch) return '';
-      const parts = contentMatch[1].split(';').map(p => p.trim());
-      const urlPart = parts.find(p => /^url=/i.test(p));
-      if (!urlPart) return m;
-      const orig = urlPart.split('=')[1];
-      const resolved = safeResolve(orig, baseUrl);
-      return `<meta http-equiv="refresh" content="${escapeAttr(parts[0])}; url=${escapeAttr(cfg.proxyPath + encodeURIComponent(resolved))}">`;
-    } catch (e) {
-      logger.logWarn('rewriteHtml meta refresh rewrite failed: ' + e.message);
-      return '';
+/**
+ * rewriteSrcset(value, baseUrl, cfg, ctx)
+ * - rewrites each candidate URL of a srcset, keeping width/density descriptors
+ */
+function rewriteSrcset(value, baseUrl, cfg, ctx) {
+  const candidates = [];
+  let i = 0;
+  while (i < value.length) {
+    while (i < value.length && /[\s,]/.test(value[i])) i++;
+    if (i >= value.length) break;
+    let j = i;
+    while (j < value.length && !/\s/.test(value[j])) j++;
+    let url = value.slice(i, j);
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      let k = j;
+      while (k < value.length && value[k] !== ',') k++;
+      descriptor = value.slice(j, k).trim();
+      j = k;
     }
-  });
+    i = j;
+    const rewritten = rewriteUrlValue(url, baseUrl, RESOURCE, cfg, ctx);
+    candidates.push((rewritten || url) + (descriptor ? ' ' + descriptor : ''));
+  }
+  return candidates.join(', ');
+}
 
-  // Rewrite tags with src/href attributes
-  out = out.replace(/<(img|script|iframe|audio|video|source|link|embed|object)\b([^>]*)>/gi, (match, tag, attrs) => {
-    try {
-      let newAttrs = attrs;
-
-      // rewrite src
-      newAttrs = newAttrs.replace(/\bsrc=(['"])([^'"]+)\1/gi, (m2, q, src) => {
-        const abs = safeResolve(src, baseUrl);
-        // assets -> resource route; frames/scripts -> proxy? we choose:
-        if (/^https?:\/\//i.test(abs)) {
-          if (tag === 'script' || tag === 'iframe' || tag === 'embed' || tag === 'object') {
-            return `src="${cfg.proxyPath}${encodeURIComponent(abs)}"`;
-          } else {
-            return `src="${cfg.resourcePath}${encodeURIComponent(abs)}"`;
-          }
-        }
-        return m2;
-      });
+/**
+ * rewriteRefresh(content, baseUrl, cfg, ctx)
+ * - rewrites the URL part of <meta http-equiv="refresh" content="5; url=/next">
+ */
+function rewriteRefresh(content, baseUrl, cfg, ctx) {
+  const m = String(content).match(/^(\s*[\d.]*\s*[;,]?\s*(?:url\s*=\s*)?)(['"]?)(.*?)\2(\s*)$/i);
+  if (!m || !m[3]) return null;
+  const rewritten = rewriteUrlValue(m[3], baseUrl, NAVIGATE, cfg, ctx);
+  if (!rewritten) return null;
+  return `${m[1]}${m[2]}${rewritten}${m[2]}${m[4]}`;
+}
 
-      // rewrite href (links or stylesheets)
-      newAttrs = newAttrs.replace(/\bhref=(['"])([^'"]+)\1/gi, (m2, q, href) => {
-        const abs = safeResolve(href, baseUrl);
-        if (!abs) return m2;
-        // if link rel=stylesheet -> resourcePath; else -> proxy
-        if (/rel\s*=\s*['"]?stylesheet['"]?/i.test(newAttrs)) {
-          return `href="${cfg.resourcePath}${encodeURIComponent(abs)}"`;
-        } else {
-          return `href="${cfg.proxyPath}${encodeURIComponent(abs)}"`;
-        }
-      });
+/**
+ * linkRelKind(rel)
+ * - the URL kind of a <link> (or Link header) with these rel values, or null for links that
+ *   are not worth proxying
+ */
+function linkRelKind(rel) {
+  const rels = String(rel || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (rels.some(r => IGNORED_LINK_RELS.includes(r))) return null;
+  if (rels.some(r => MODULE_LINK_RELS.includes(r))) return MODULE_KIND;
+  return rels.some(r => RESOURCE_LINK_RELS.includes(r)) ? RESOURCE : NAVIGATE;
+}
 
-      // rewrite srcset (img srcset)
-      newAttrs = newAttrs.replace(/\bsrcset=(['"])([^'"]+)\1/gi, (m2, q, srcset) => {
-        try {
-          const parts = srcset.split(',').map(p => p.trim());
-          const rewritten = parts.map(p => {
-            const [src, desc] = p.split(/\s+/);
-            const abs = safeResolve(src, baseUrl);
-            return `${cfg.resourcePath}${encodeURIComponent(abs)}${desc ? ' ' + desc : ''}`;
-          }).join(', ');
-          return `srcset="${escapeAttr(rewritten)}"`;
-        } catch (e) { return m2; }
-      });
+/**
+ * attributeSpec(token, attrName)
+ * - looks up how (and whether) an attribute of a start tag carries a URL
+ */
+function attributeSpec(token, attrName) {
+  if (token.name === 'script' && attrName === 'src' && /^module$/i.test((getAttr(token, 'type') || '').trim())) {
+    return spec(MODULE_KIND);
+  }
+  const tagSpecs = TAG_URL_ATTRIBUTES[token.name];
+  if (tagSpecs && tagSpecs[attrName]) return tagSpecs[attrName];
 
-      // ensure sandbox for iframes if none provided
-      if (tag === 'iframe' && !/sandbox=/i.test(newAttrs)) {
-        newAttrs += ' sandbox="allow-scripts allow-forms allow-same-origin"';
-      }
+  if (token.name === 'link' && attrName === 'href') {
+    const kind = linkRelKind(getAttr(token, 'rel'));
+    return kind ? spec(kind) : null;
+  }
+  if (token.name === 'meta' && attrName === 'charset') return spec(null, 'charset');
+  if (token.name === 'meta' && attrName === 'content') {
+    const httpEquiv = (getAttr(token, 'http-equiv') || '').trim();
+    if (/^content-type$/i.test(httpEquiv)) return spec(null, 'charset');
+    if (/^content-security-policy(?:-report-only)?$/i.test(httpEquiv)) return spec(null, 'csp');
+    return /^refresh$/i.test(httpEquiv) ? spec(NAVIGATE, 'refresh') : null;
+  }
+  return GLOBAL_URL_ATTRIBUTES[attrName] || null;
+}
 
-      return `<${tag}${newAttrs}>`;
-    } catch (e) {
-      logger.logWarn('rewriteHtml tag rewrite failed: ' + e.message);
-      return match;
+/**
+ * rewriteAttrValue(value, attrSpec, baseUrl, cfg, ctx)
+ * - returns the rewritten value, or null if unchanged
+ */
+function rewriteAttrValue(value, attrSpec, baseUrl, cfg, ctx) {
+  switch (attrSpec.format) {
+    case 'srcset':
+      return rewriteSrcset(value, baseUrl, cfg, ctx);
+    case 'list':
+      return value.split(/\s+/).filter(Boolean).map(u => rewriteUrlValue(u, baseUrl, attrSpec.kind, cfg, ctx) || u).join(' ');
+    case 'refresh':
+      return rewriteRefresh(value, baseUrl, cfg, ctx);
+    case 'charset':
+      // the streams decode the upstream charset and emit UTF-8 (see charset.js)
+      if (ctx.attr === 'charset') return /^\s*utf-8\s*$/i.test(value) ? null : 'utf-8';
+      return /charset\s*=/i.test(value) && !/charset\s*=\s*utf-8\s*$/i.test(value) ? value.replace(/charset\s*=\s*[^;\s]*/i, 'charset=utf-8') : null;
+    case 'csp':
+      return rewriteCsp(value);
+    case 'css':
+      return rewriteCss(value, baseUrl, Object.assign({}, cfg, { ctx: { tag: ctx.tag, attr: 'style-url' } }));
+    case 'html':
+      return cfg.rewriteInline === false ? null : rewriteHtml(value, baseUrl, cfg);
+    default:
+      return rewriteUrlValue(value, baseUrl, attrSpec.kind, cfg, ctx);
+  }
+}
+
+/**
+ * rewriteStartTag(token, state, cfg)
+ * - splices rewritten attribute values into the original tag text
+ */
+function rewriteStartTag(token, state, cfg) {
+  const edits = [];
+
+  for (const attr of token.attrs) {
+    if (cfg.aggressiveSanitize && /^on/.test(attr.name)) {
+      // remove dangerous inline event handlers (including the whitespace before them)
+      edits.push({ start: attr.rawStart, end: attr.rawEnd, text: '' });
+      continue;
     }
-  });
+    if (attr.name === 'integrity' && INTEGRITY_TAGS.includes(token.name)) {
+      // scripts and stylesheets are rewritten by /resource, so upstream hashes no longer match
+      edits.push({ start: attr.rawStart, end: attr.rawEnd, text: '' });
+      continue;
+    }
+    if (attr.value == null) continue;
+    const attrSpec = attributeSpec(token, attr.name);
+    if (!attrSpec) continue;
 
-  // Rewrite inline CSS url(...) usages
-  out = out.replace(/style=(['"])([^'"]*?)\1/gi, (m, q, styleContent) => {
+    let next;
     try {
-      const replaced = styleContent.replace(/url\(([^)]+)\)/gi, (um, urlPart) => {
-        const clean = urlPart.replace(/['"]/g, '').trim();
-        const abs = safeResolve(clean, baseUrl);
-        return `url("${cfg.resourcePath}${encodeURIComponent(abs)}")`;
-      });
-      return `style="${escapeAttr(replaced)}"`;
+      next = rewriteAttrValue(attr.value, attrSpec, state.base, cfg, { tag: token.name, attr: attr.name });
     } catch (e) {
-      return m;
+      logWarn(`rewriteHtml attribute rewrite failed (${token.name}[${attr.name}]): ${e.message}`);
+      next = null;
     }
-  });
+    if (next == null || next === attr.value) continue;
 
-  // Rewrite inline <style> content with url() and @import
-  out = out.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (m, css) => {
-    try {
-      const rewrittenCss = rewriteCss(css, baseUrl, cfg);
-      return `<style>${rewrittenCss}</style>`;
-    } catch (e) { return m; }
-  });
+    const quote = attr.quote || '"';
+    const text = escapeAttrValue(next, quote);
+    edits.push(attr.quote
+      ? { start: attr.valueStart, end: attr.valueEnd, text }
+      : { start: attr.valueStart, end: attr.valueEnd, text: `"${text}"` });
+  }
 
-  // Rewrite inline JS occurrences like fetch('/api') or XMLHttpRequest.open('GET','/api')
-  out = out.replace(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi, (m, attrs, code) => {
-    try {
-      // if external script (src present) was already handled above
-      const rewritten = rewriteJs(code, baseUrl, cfg);
-      return `<script${attrs}>${rewritten}</script>`;
-    } catch (e) {
-      logger.logWarn('rewriteHtml script rewrite failed: ' + e.message);
-      return m;
+  // ensure sandbox for iframes if none provided
+  if (token.name === 'iframe' && cfg.iframeSandbox !== false && getAttr(token, 'sandbox') == null) {
+    edits.push({ start: token.insertAt, end: token.insertAt, text: ' sandbox="allow-scripts allow-forms allow-same-origin"' });
+  }
+
+  const suffix = token.name === 'form' ? formTargetInput(token, state, cfg) : '';
+  if (!edits.length) return token.raw + suffix;
+  edits.sort((a, b) => a.start - b.start);
+  let out = '';
+  let pos = 0;
+  for (const edit of edits) {
+    out += token.raw.slice(pos, edit.start) + edit.text;
+    pos = edit.end;
+  }
+  return out + token.raw.slice(pos) + suffix;
+}
+
+/**
+ * formTargetInput(token, state, cfg)
+ * - a GET form submission replaces the whole query string of its action, which would drop
+ *   our ?url= parameter; carry the upstream action URL in a hidden field instead
+ */
+function formTargetInput(token, state, cfg) {
+  // not needed for /p/ URLs: the upstream URL lives in the path, which GET submissions keep
+  if (!cfg.formTargetField || cfg.rewriteUrl || cfg.urlScheme === 'path') return '';
+  const method = (getAttr(token, 'method') || 'get').trim().toLowerCase();
+  if (method !== 'get') return '';
+  const action = (getAttr(token, 'action') || '').trim();
+  // a form without an action submits to the document itself
+  const target = action ? safeResolve(action, state.base) : state.documentUrl;
+  if (!/^https?:\/\//i.test(target)) return '';
+  const value = encodeTarget(target, cfg);
+  return `<input type="hidden" name="${escapeAttrValue(cfg.formTargetField)}" value="${escapeAttrValue(value)}">`;
+}
+
+/**
+ * importMapAddress(value, baseUrl, cfg)
+ * - URL-like keys and addresses are proxied; bare specifier keys stay as they are
+ * - prefix entries ("lib/": "./lib/") get the /p/ path form whatever cfg.urlScheme says, since
+ *   the browser appends the rest of the specifier to them
+ */
+function importMapAddress(value, baseUrl, cfg) {
+  if (!/^(?:\.{0,2}\/|[a-z][\w+.-]*:)/i.test(value)) return value;
+  const prefixCfg = value.endsWith('/') && !cfg.rewriteUrl ? Object.assign({}, cfg, { urlScheme: 'path' }) : cfg;
+  return rewriteUrlValue(value, baseUrl, MODULE_KIND, prefixCfg, { tag: 'script', attr: 'importmap' }) || value;
+}
+
+/**
+ * rewriteImportMap(text, baseUrl, cfg)
+ * - rewrites the "imports" and "scopes" of a <script type="importmap"> so bare specifiers in
+ *   (rewritten) modules resolve to proxied URLs; "integrity" is dropped because rewritten
+ *   modules no longer match their hashes
+ * - invalid JSON is left alone (the browser ignores it as well)
+ */
+function rewriteImportMap(text, baseUrl, cfg = {}) {
+  let map;
+  try { map = JSON.parse(text); } catch (e) { return text; }
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return text;
+
+  const rewriteEntries = (entries) => {
+    if (!entries || typeof entries !== 'object') return entries;
+    const out = {};
+    for (const [key, value] of Object.entries(entries)) {
+      out[importMapAddress(key, baseUrl, cfg)] = typeof value === 'string' ? importMapAddress(value, baseUrl, cfg) : value;
     }
-  });
+    return out;
+  };
 
-  // Optional aggressive sanitization
-  if (cfg.aggressiveSanitize) {
-    // remove dangerous inline event handlers
-    out = out.replace(/\son\w+=(['"])[\s\S]*?\1/gi, '');
+  if (map.imports) map.imports = rewriteEntries(map.imports);
+  if (map.scopes && typeof map.scopes === 'object') {
+    const scopes = {};
+    for (const [scope, entries] of Object.entries(map.scopes)) scopes[importMapAddress(scope, baseUrl, cfg)] = rewriteEntries(entries);
+    map.scopes = scopes;
   }
+  delete map.integrity;
+  // "<" escaped so the JSON can never close the surrounding <script>
+  return JSON.stringify(map).replace(/</g, '\\u003c');
+}
 
-  return out;
+/**
+ * rewriteManifest(text, baseUrl, cfg)
+ * - web app manifest (<link rel="manifest">): icons and screenshots become resource URLs,
+ *   start_url, scope, shortcuts and share/file handler actions become navigations
+ * - start_url has to lie inside scope, a path prefix, so both use the /p/ path form
+ *   whatever cfg.urlScheme says
+ * - invalid JSON is passed through
+ */
+function rewriteManifest(text, baseUrl, cfg = {}) {
+  let manifest;
+  try { manifest = JSON.parse(text); } catch (e) { return text; }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return text;
+
+  const ctx = { tag: 'link', attr: 'manifest' };
+  const pathCfg = cfg.rewriteUrl ? cfg : Object.assign({}, cfg, { urlScheme: 'path' });
+  const rewrite = (value, kind, options) =>
+    (typeof value === 'string' && rewriteUrlValue(value, baseUrl, kind, options, ctx)) || value;
+  const rewriteImages = images => (Array.isArray(images)
+    ? images.map(img => (img && typeof img === 'object' ? Object.assign({}, img, { src: rewrite(img.src, RESOURCE, cfg) }) : img))
+    : images);
+
+  if ('start_url' in manifest) manifest.start_url = rewrite(manifest.start_url, NAVIGATE, pathCfg);
+  if ('scope' in manifest) manifest.scope = rewrite(manifest.scope, NAVIGATE, pathCfg);
+  if (manifest.icons) manifest.icons = rewriteImages(manifest.icons);
+  if (manifest.screenshots) manifest.screenshots = rewriteImages(manifest.screenshots);
+  if (Array.isArray(manifest.shortcuts)) {
+    manifest.shortcuts = manifest.shortcuts.map(shortcut => (shortcut && typeof shortcut === 'object'
+      ? Object.assign({}, shortcut, { url: rewrite(shortcut.url, NAVIGATE, pathCfg), icons: rewriteImages(shortcut.icons) })
+      : shortcut));
+  }
+  if (manifest.share_target && typeof manifest.share_target === 'object') {
+    manifest.share_target = Object.assign({}, manifest.share_target, { action: rewrite(manifest.share_target.action, NAVIGATE, pathCfg) });
+  }
+  if (Array.isArray(manifest.file_handlers)) {
+    manifest.file_handlers = manifest.file_handlers.map(handler => (handler && typeof handler === 'object'
+      ? Object.assign({}, handler, { action: rewrite(handler.action, NAVIGATE, pathCfg) })
+      : handler));
+  }
+  return JSON.stringify(manifest);
+}
+
+/**
+ * rewriteRawText(token, state, cfg)
+ * - rewrites the body of <script> and <style> elements
+ */
+function rewriteRawText(token, state, cfg) {
+  if (cfg.rewriteInline === false || !state.rawOpen) return token.raw;
+  try {
+    if (token.tag === 'script') {
+      const type = (getAttr(state.rawOpen, 'type') || '').trim();
+      if (/^importmap$/i.test(type)) return rewriteImportMap(token.raw, state.base, cfg);
+      if (!JS_TYPES.test(type)) return token.raw;
+      // import.meta.url of an inline module is the document URL
+      const jsCfg = Object.assign({}, cfg, { moduleUrl: state.documentUrl }, cfg.lightPass ? { locationOnly: true } : {});
+      return rewriteJs(token.raw, state.base, jsCfg);
+    }
+    if (token.tag === 'style') {
+      return rewriteCss(token.raw, state.base, cfg);
+    }
+  } catch (e) {
+    logWarn(`rewriteHtml ${token.tag} rewrite failed: ${e.message}`);
+  }
+  return token.raw;
+}
+
+/**
+ * codecAttributes(codec)
+ * - what the client runtime needs to encode URLs the way cfg.codec does (see urlCodec.js)
+ */
+function codecAttributes(codec) {
+  if (!codec || codec.name === 'plain') return '';
+  const client = codec.client;
+  return ` data-codec="${escapeAttrValue(client.name)}"` +
+    (client.key ? ` data-codec-key="${escapeAttrValue(client.key)}"` : '') +
+    (client.prefix ? ` data-codec-prefix="${escapeAttrValue(client.prefix)}"` : '');
+}
+
+/**
+ * runtimeScriptTag(state, cfg)
+ * - <script> loading public/js/proxyRuntime.js, which hooks the browser APIs static rewriting
+ *   cannot reach; the upstream URL and proxy prefixes are passed as data attributes so the
+ *   tag also works under a script-src 'self' policy
+ */
+function runtimeScriptTag(state, cfg) {
+  state.runtimeInjected = true;
+  if (!cfg.runtimeScript || cfg.rewriteUrl) return '';
+  return `<script src="${escapeAttrValue(cfg.runtimeScript)}"` +
+    ` data-url="${escapeAttrValue(state.documentUrl)}"` +
+    ` data-proxy-path="${escapeAttrValue(cfg.proxyPath)}"` +
+    ` data-resource-path="${escapeAttrValue(cfg.resourcePath)}"` +
+    ` data-url-scheme="${escapeAttrValue(cfg.urlScheme)}"` +
+    ` data-path-prefix="${escapeAttrValue(cfg.pathPrefix)}"` +
+    ` data-resource-path-prefix="${escapeAttrValue(cfg.resourcePathPrefix)}"` +
+    codecAttributes(cfg.codec) +
+    (cfg.runtimeNonce ? ` nonce="${escapeAttrValue(cfg.runtimeNonce)}"` : '') +
+    (cfg.serviceWorker ? ` data-service-worker="${escapeAttrValue(cfg.serviceWorker)}"` : '') +
+    '></script>';
+}
+
+/**
+ * rewriteToken(token, state, cfg)
+ */
+function rewriteToken(token, state, cfg) {
+  switch (token.type) {
+    case 'startTag':
+      if (token.name === 'base') {
+        // honour the first <base href> for resolution, then drop the tag so the browser
+        // resolves leftover relative URLs against the proxy instead of the upstream host
+        const href = getAttr(token, 'href');
+        if (href && !state.baseSeen) {
+          state.base = safeResolve(href, state.base);
+          state.baseSeen = true;
+        }
+        return cfg.stripBase === false ? token.raw : '';
+      }
+      state.rawOpen = token.name === 'script' || token.name === 'style' ? token : null;
+      let out;
+      try {
+        out = rewriteStartTag(token, state, cfg);
+      } catch (e) {
+        logWarn('rewriteHtml tag rewrite failed: ' + e.message);
+        out = token.raw;
+      }
+      // the runtime must run before any page script: right after <head>, or before the
+      // first element that is not <html>/<head> when the document has no head
+      if (!state.runtimeInjected && token.name !== 'html') {
+        const runtime = runtimeScriptTag(state, cfg);
+        return token.name === 'head' ? out + runtime : runtime + out;
+      }
+      return out;
+    case 'rawText':
+      return rewriteRawText(token, state, cfg);
+    default:
+      return token.raw;
+  }
+}
+
+/**
+ * createHtmlRewriter(baseUrl, options)
+ * - incremental HTML rewriter: write() accepts arbitrary slices of a document and returns
+ *   whatever output is ready; end() flushes the remainder
+ * - a tag split across writes is held back until it is complete
+ */
+function createHtmlRewriter(baseUrl, options = {}) {
+  const cfg = Object.assign({
+    urlScheme: 'query',
+    proxyPath: '/proxy?url=',
+    resourcePath: '/resource?url=',
+    pathPrefix: '/p/',
+    resourcePathPrefix: '/r/',
+    formTargetField: '__sebUrl',
+    runtimeScript: '/js/proxyRuntime.js',
+    aggressiveSanitize: false
+  }, options);
+  const tokenizer = createTokenizer();
+  const state = { base: baseUrl, documentUrl: baseUrl, baseSeen: false, rawOpen: null, runtimeInjected: false };
+  const render = tokens => tokens.map(t => rewriteToken(t, state, cfg)).join('');
+
+  return {
+    write: chunk => render(tokenizer.write(String(chunk))),
+    end: () => render(tokenizer.end()),
+    get baseUrl() { return state.base; }
+  };
+}
+
+/**
+ * rewriteHtml(html, baseUrl, options)
+ * - Rewrites every URL-bearing attribute to go through proxy endpoints:
+ *   - navigations (a, area, form, iframe, ...) -> /proxy?url=...
+ *   - subresources (img, script, stylesheets, media, ...) -> /resource?url=...
+ * - Removes <base> tags (after using their href as the resolution base).
+ * - Rewrites meta refresh to proxy target.
+ * - Rewrites form actions / formaction so submissions come back through the proxy.
+ * - Rewrites inline style attributes and <style>/<script> bodies.
+ * - Injects the client runtime (public/js/proxyRuntime.js) ahead of the page's own scripts.
+ *
+ * options:
+ *  - urlScheme (default 'query') - 'path' emits /p/<scheme>/<host>/<path> URLs instead
+ *  - proxyPath (default '/proxy?url=')
+ *  - resourcePath (default '/resource?url=')
+ *  - pathPrefix / resourcePathPrefix (default '/p/' and '/r/') - path scheme prefixes
+ *  - codec - URL codec from urlCodec.js (default plain), e.g. config.getUrlCodec()
+ *  - aggressiveSanitize (boolean) - strip on* event handler attributes
+ *  - rewriteUrl(absUrl, { kind, tag, attr }) - custom URL mapping (see proxify)
+ *  - rewriteInline (default true) - rewrite <script>/<style> bodies and iframe srcdoc
+ *  - iframeSandbox (default true) - add a sandbox attribute to iframes without one
+ *  - stripBase (default true) - remove <base> tags from the output
+ *  - formTargetField (default '__sebUrl') - hidden field added to GET forms, see formTargetInput()
+ *  - runtimeScript (default '/js/proxyRuntime.js') - client runtime injected into the document;
+ *    falsy to disable
+ *  - serviceWorker - service worker path for the runtime to register (interception mode)
+ *  - runtimeNonce - CSP nonce for the runtime script tag (the response policy's, see csp.js)
+ *  - lightPass (boolean) - the page is controlled by that worker: leave absolute subresource
+ *    URLs and inline script network calls to it, rewrite only navigations and relative URLs
+ */
+function rewriteHtml(html, baseUrl, options = {}) {
+  if (!html || !baseUrl) return html;
+  const rewriter = createHtmlRewriter(baseUrl, options);
+  return rewriter.write(html) + rewriter.end();
 }
 
 /**
  * rewriteCss(cssText, baseUrl, cfg)
- * - handles url(), @import, font-face urls, and relative references
+ * - handles url(), @import (keeping its media / supports / layer conditions), image-set(),
+ *   @font-face src lists and relative references, through the tokenizer in cssParser.js
  */
 function rewriteCss(cssText, baseUrl, cfg = {}) {
   if (!cssText || !baseUrl) return cssText;
   const options = Object.assign({ resourcePath: '/resource?url=' }, cfg);
-
-  // rewrite url(...)
-  let out = cssText.replace(/url\(([^)]+)\)/gi, (m, urlPart) => {
-    try {
-      const cleaned = urlPart.replace(/['"]/g, '').trim();
-      if (/^data:/.test(cleaned)) return `url(${cleaned})`; // keep data URIs
-      const abs = safeResolve(cleaned, baseUrl);
-      return `url(${options.resourcePath + encodeURIComponent(abs)})`;
-    } catch (e) {
-      return m;
-    }
-  });
-
-  // rewrite @import
-  out = out.replace(/@import\s+(?:url\()?['"]?([^'"\)]+)['"]?\)?/gi, (m, imp) => {
-    try {
-      const abs = safeResolve(imp, baseUrl);
-      return `@import url("${options.resourcePath + encodeURIComponent(abs)}")`;
-    } catch (e) { return m; }
+  const ctx = Object.assign({ attr: 'style-url' }, options.ctx);
+  const cssParser = require('./cssParser'); // lazy: cssParser requires this module
+  return cssParser.transformCss(cssText, {
+    rewriteUrl: (value, kind) => rewriteUrlValue(value, baseUrl, kind, options, ctx)
   });
+}
 
-  return out;
+/**
+ * jsCacheKey(baseUrl, cfg)
+ * - everything besides the script text that changes rewriteJs output; null (no caching) when
+ *   a custom cfg.rewriteUrl is in play
+ */
+function jsCacheKey(baseUrl, cfg) {
+  if (typeof cfg.rewriteUrl === 'function') return null;
+  return JSON.stringify([baseUrl, !!cfg.lightPass, cfg.urlScheme, cfg.proxyPath, cfg.resourcePath,
+    cfg.pathPrefix, cfg.resourcePathPrefix, cfg.codec ? cfg.codec.id : null]);
 }
 
 /**
  * rewriteJs(jsText, baseUrl, cfg)
- * - best-effort rewriting for fetch(), XMLHttpRequest, import(), dynamic script src
- * - does not attempt to parse JS AST (would require acorn/babel)
+ * - rewrites URL sinks (fetch(), XMLHttpRequest, import(), dynamic src/href, workers, ...)
+ * - routes window.location / document.location / location to the runtime's __sebLocation
+ *   shim (disable with cfg.emulateLocation = false)
+ * - cfg.locationOnly skips the network sinks (the service worker handles those)
+ * - module specifiers (import/export ... from, import()) and import.meta are always rewritten;
+ *   cfg.moduleUrl (default baseUrl) is the script's own upstream URL
+ * - cfg.sourceMap: jsText is the whole script file at baseUrl, so its sourceMappingURL is
+ *   re-pointed (see linkSourceMap); cfg.sourceMapUrl is the map named by a SourceMap header
+ * - parses with acorn through jsParser.transformJs (unparseable scripts pass through);
+ *   without acorn installed it falls back to the literal patterns in rewriteJsNetwork
  */
 function rewriteJs(jsText, baseUrl, cfg = {}) {
   if (!jsText || !baseUrl) return jsText;
-  const proxyPath = (cfg && cfg.proxyPath) || '/proxy?url=';
+  const { code, edits } = rewriteJsEdits(jsText, baseUrl, cfg);
+  return cfg.sourceMap ? linkSourceMap(code, edits, baseUrl, cfg) : code;
+}
+
+/**
+ * rewriteJsEdits(jsText, baseUrl, cfg)
+ * - rewriteJs() without the source map link: { code, edits }, edits being the splices made
+ *   (null on the regex fallback, whose changes are not tracked)
+ */
+function rewriteJsEdits(jsText, baseUrl, cfg = {}) {
+  if (!jsText || !baseUrl) return { code: jsText, edits: [] };
+  const jsParser = require('./jsParser'); // lazy: jsParser requires this module
+  if (jsParser.hasParser()) {
+    return jsParser.transformJsWithEdits(jsText, {
+      rewriteUrl: (value, kind) => rewriteUrlValue(value, baseUrl, kind, cfg, { tag: 'script', attr: 'js' }),
+      network: !cfg.locationOnly,
+      modules: true, // also in the light pass: module identity depends on exact URLs
+      moduleUrl: cfg.moduleUrl || baseUrl,
+      emulateLocation: cfg.emulateLocation !== false,
+      cacheKey: jsCacheKey(baseUrl, cfg)
+    });
+  }
 
   let out = jsText;
 
+  if (!cfg.locationOnly) out = rewriteJsNetwork(out, baseUrl, cfg);
+
+  // location emulation: the injected runtime defines window.__sebLocation, which reports the
+  // upstream URL and proxies navigations (window.location itself cannot be redefined); reads
+  // and assignments fall back to the real location where there is no runtime (workers)
+  if (cfg.emulateLocation !== false) {
+    // one pass, so that the fallback's own `location` is not rewritten again
+    out = out.replace(/\b(?:(window|document|self|globalThis)\.location\b|(?<![.\w$])location(?=\s*(?:\.\s*(?:href|origin|protocol|host|hostname|port|pathname|search|hash|assign|replace|reload)\b|(?:\*\*|<<|>>>?|&&|\|\||\?\?|[-+*/%&|^])?=(?!=))))(\s*(?:\*\*|<<|>>>?|&&|\|\||\?\?|[-+*/%&|^])?=(?!=))?/g,
+      (m, owner, assign) => {
+        const o = owner || 'globalThis';
+        if (assign) return `${o}[${o}.__sebLocation?'__sebLocation':'location']${assign}`;
+        return owner ? `(${owner}.__sebLocation||${owner}.location)` : '(globalThis.__sebLocation||location)';
+      });
+  }
+
+  return { code: out, edits: null };
+}
+
+/**
+ * linkSourceMap(code, edits, baseUrl, cfg)
+ * - unchanged script: its map still fits and only needs a proxied URL (a map named by a
+ *   SourceMap header is linked with a comment, since the header is not forwarded)
+ * - rewritten script: the comment points at the /sourcemap endpoint, which composes the
+ *   upstream map (or builds one onto the original script) from the same edits
+ */
+function linkSourceMap(code, edits, baseUrl, cfg) {
+  if (cfg.rewriteUrl) return code;
+  const linked = findSourceMappingUrl(code);
+  const link = (url) => {
+    if (linked) return code.slice(0, linked.start) + url + code.slice(linked.end);
+    return `${code}${/\n$/.test(code) ? '' : '\n'}//# sourceMappingURL=${url}\n`;
+  };
+
+  if (edits && edits.length) {
+    const token = value => encodeURIComponent(encodeTarget(value, cfg));
+    let endpoint = (cfg.sourceMapPath || '/sourcemap?url=') + token(baseUrl);
+    if (cfg.sourceMapUrl) endpoint += '&map=' + token(safeResolve(cfg.sourceMapUrl, baseUrl));
+    if (cfg.locationOnly) endpoint += '&light=1';
+    return link(endpoint);
+  }
+  const target = cfg.sourceMapUrl || (linked && linked.url);
+  if (!target || /^data:/i.test(target)) return code;
+  const proxied = rewriteUrlValue(target, baseUrl, RESOURCE, cfg, { tag: 'script', attr: 'sourcemap' });
+  return proxied ? link(proxied) : code;
+}
+
+/**
+ * rewriteSourceMap(text, mapUrl, cfg)
+ * - a .map file served through /resource: sources become proxied absolute URLs, so devtools
+ *   can load the ones not embedded in sourcesContent; anything else passes through
+ */
+function rewriteSourceMap(text, mapUrl, cfg = {}) {
+  const map = parseSourceMap(text);
+  if (!map) return text;
+  const ctx = { tag: 'script', attr: 'sourcemap' };
+  return JSON.stringify(rewriteSourceMapSources(map, mapUrl, abs => rewriteUrlValue(abs, mapUrl, RESOURCE, cfg, ctx)));
+}
+
+/**
+ * rewriteJsNetwork(jsText, baseUrl, cfg)
+ * - the literal fetch/XHR/src/import patterns used by rewriteJs when acorn is unavailable
+ */
+function rewriteJsNetwork(jsText, baseUrl, cfg) {
+  const toProxy = abs => proxify(abs, NAVIGATE, cfg);
+  let out = jsText;
+
   // fetch('relative') => fetch('/proxy?url=abs')
   out = out.replace(/fetch\s*\(\s*(['"`])([^'"`]+)\1/gi, (m, q, p) => {
     try {
       const abs = safeResolve(p, baseUrl);
-      return `fetch(${q}${proxyPath}${encodeURIComponent(abs)}${q}`;
+      return `fetch(${q}${toProxy(abs)}${q}`;
     } catch (e) { return m; }
   });
 
@@ -230,7 +706,7 @@ function rewriteJs(jsText, baseUrl, cfg = {}) {
   out = out.replace(/open\s*\(\s*(['"`])?(GET|POST|PUT|DELETE|PATCH)['"]?\s*,\s*(['"`])([^'"`]+)\3/gi, (m, _a, method, q, p) => {
     try {
       const abs = safeResolve(p, baseUrl);
-      return m.replace(p, proxyPath + encodeURIComponent(abs));
+      return m.replace(p, toProxy(abs));
     } catch (e) { return m; }
   });
 
@@ -238,7 +714,7 @@ function rewriteJs(jsText, baseUrl, cfg = {}) {
   out = out.replace(/(\.src\s*=\s*['"`])([^'"`]+)(['"`])/gi, (m, a, p, b) => {
     try {
       const abs = safeResolve(p, baseUrl);
-      return `${a}${proxyPath}${encodeURIComponent(abs)}${b}`;
+      return `${a}${toProxy(abs)}${b}`;
     } catch (e) { return m; }
   });
 
@@ -246,7 +722,7 @@ function rewriteJs(jsText, baseUrl, cfg = {}) {
   out = out.replace(/import\s*\(\s*(['"`])([^'"`]+)\1\s*\)/gi, (m, q, p) => {
     try {
       const abs = safeResolve(p, baseUrl);
-      return `import(${q}${proxyPath}${encodeURIComponent(abs)}${q})`;
+      return `import(${q}${toProxy(abs)}${q})`;
     } catch (e) { return m; }
   });
 
@@ -255,8 +731,20 @@ function rewriteJs(jsText, baseUrl, cfg = {}) {
 
 module.exports = {
   rewriteHtml,
+  createHtmlRewriter,
   rewriteCss,
   rewriteJs,
-  safeResolve
+  rewriteJsEdits,
+  rewriteSourceMap,
+  rewriteImportMap,
+  rewriteManifest,
+  rewriteUrlValue,
+  rewriteRefresh,
+  linkRelKind,
+  proxify,
+  safeResolve,
+  escapeAttrValue,
+  TAG_URL_ATTRIBUTES,
+  NAVIGATE,
+  RESOURCE
 };
-
@@ -11,7 +11,7 @@
  */
 
 const { URL } = require('url');
-const xss = require('xss'); // safe to require if installed; otherwise fallback
+const xss = (() => { try { return require('xss'); } catch (e) { return null; } })(); // optional; otherwise fallback
 
 function sanitizeURL(input) {
   try {
@@ -37,13 +37,23 @@ function sanitizeURL(input) {
   }
 }
 
-function sanitizeHeaders(headers) {
+/**
+ * sanitizeHeaders(headers, options)
+ * - lower-cases names, drops invalid names, proxy-* / x-forwarded-* and credentials
+ *   (options.credentials keeps Authorization; cookies are never kept)
+ * - values lose control characters (no header injection) but keep everything else:
+ *   Accept, User-Agent and client hints need "*", "+", "(", quotes and the like
+ */
+function sanitizeHeaders(headers, options = {}) {
   const clean = {};
   for (const [k, v] of Object.entries(headers || {})) {
     const key = k.toLowerCase();
+    if (!/^[!#$%&'*+\-.^_`|~0-9a-z]+$/.test(key)) continue;
     if (key.startsWith('proxy-') || key.startsWith('x-forwarded')) continue;
-    if (/(cookie|authorization|set-cookie)/i.test(key)) continue;
-    const safeVal = String(v).replace(/[^\w\-\/\.;,= ]/g, '');
+    if (/(cookie|set-cookie)/i.test(key)) continue;
+    if (key === 'authorization' && !options.credentials) continue;
+    if (v == null) continue;
+    const safeVal = (Array.isArray(v) ? v.join(', ') : String(v)).replace(/[\x00-\x08\x0a-\x1f\x7f]/g, '').trim();
     clean[key] = safeVal;
   }
   return clean;
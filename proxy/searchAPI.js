@@ -9,9 +9,10 @@
  * NOTE: scraping search engines may be rate-limited; consider using a paid API (SerpAPI) for production.
  */
 
-const fetch = require('node-fetch');
+const { fetchFollowing } = require('./redirects'); // per-hop SSRF checks, over the shared connection pool
 const { URL } = require('url');
-const { getSearchMaxResults, getSearchTimeout } = require('./config');
+const { getSearchMaxResults, getSearchTimeout, getProxyDefaults } = require('./config');
+const { buildUpstreamHeaders } = require('./requestHeaders');
 const { logInfo, logWarn, logError } = (() => {
   try { return require('./logger'); } catch (e) { return { logInfo: ()=>{}, logWarn: ()=>{}, logError: ()=>{} }; }
 })();
@@ -22,20 +23,21 @@ try { cheerio = require('cheerio'); } catch (e) { cheerio = null; }
 let resourceCache = null;
 try { resourceCache = require('./resourceCache'); } catch (e) { resourceCache = null; }
 
-const USER_AGENT = 'Seb-Unblocker-Search/1.0 (+https://example.invalid)';
 
 async function fetchHtml(url, timeoutMs = 8000) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    const res = await fetch(url, {
+    const { response: res } = await fetchFollowing(url, {
       method: 'GET',
-      headers: { 'User-Agent': USER_AGENT, 'Accept-Language': 'en-US,en;q=0.9' },
-      redirect: 'follow',
+      headers: buildUpstreamHeaders(null, url, { headers: { accept: 'text/html' } }),
       signal: controller.signal
-    });
+    }, { maxRedirects: getProxyDefaults().maxRedirects });
     clearTimeout(timer);
-    if (!res.ok) throw new Error(`Search fetch HTTP ${res.status}`);
+    if (!res.ok) {
+      res.body.resume();
+      throw new Error(`Search fetch HTTP ${res.status}`);
+    }
     return await res.text();
   } catch (err) {
     clearTimeout(timer);
@@ -0,0 +1,235 @@
+/**
+ * singleFlight.js
+ *
+ * Coalescing of identical upstream requests made at the same time (ten tabs opening the same
+ * page or stylesheet): the first caller for a key does the work, the others wait for it.
+ *  - singleFlight: callers share the promise of the first one's result (or error)
+ *  - streamFlight: for requests answered by streaming into an Express response. The first
+ *    caller answers a broadcast response instead of its own: status, headers and body chunks go
+ *    to every response in the flight, and what was done so far is replayed to one that joins
+ *    late. A client going away only takes its own response out of the flight; the flight goes
+ *    on for the others, and stops only when nobody is left. Once more than maxReplayBytes of
+ *    body has gone out, newcomers can no longer be caught up and make their own request.
+ *    Used for /resource (fetcher.streamToResponse) and page loads (proxyMiddleware).
+ * A key is removed when its work settles, so a later caller starts afresh (and usually finds
+ * the result in resourceCache by then).
+ *
+ * Exposes:
+ *    singleFlight(key, fn) -> Promise of fn()'s result, shared while it runs
+ *    streamFlight(key, res, respond, { maxReplayBytes }) -> Promise; respond(out) is called
+ *      for the first res of a key and answers out as it would res
+ *    flightStats() -> { calls, streams, followers } (in flight now; followers: callers that
+ *      joined a flight since startup)
+ */
+
+const { Writable } = require('stream');
+const { createHeaderCollector } = require('./httpCache');
+
+const DEFAULT_MAX_REPLAY_BYTES = 1024 * 1024; // 1MB
+
+const calls = new Map(); // key -> Promise
+const streams = new Map(); // key -> broadcast
+let followers = 0;
+
+/**
+ * singleFlight(key, fn)
+ */
+function singleFlight(key, fn) {
+  if (calls.has(key)) {
+    followers++;
+    return calls.get(key);
+  }
+  const promise = Promise.resolve().then(fn);
+  calls.set(key, promise);
+  const forget = () => { if (calls.get(key) === promise) calls.delete(key); };
+  promise.then(forget, forget);
+  return promise;
+}
+
+// replays one recorded call on an Express response; returns what res.write returned
+function apply(res, [op, ...args]) {
+  switch (op) {
+    case 'status':
+      res.status(args[0]);
+      return true;
+    case 'setHeader':
+      res.setHeader(args[0], args[1]);
+      return true;
+    case 'removeHeader':
+      res.removeHeader(args[0]);
+      return true;
+    case 'write':
+      return res.write(args[0]);
+    case 'send':
+      res.send(args[0]);
+      return true;
+    default:
+      res.end();
+      return true;
+  }
+}
+
+/**
+ * createBroadcast(maxReplayBytes, onSettled)
+ * - a Writable standing in for an Express response (status / setHeader / getHeader /
+ *   removeHeader / send / write / end / headersSent / statusCode) that forwards every call to
+ *   the responses that joined it; onSettled() once it is finished or abandoned
+ */
+function createBroadcast(maxReplayBytes, onSettled) {
+  const targets = new Set();
+  const headers = createHeaderCollector();
+  let log = []; // calls so far, for responses joining late (null once too long)
+  let logBytes = 0;
+  let done = false;
+
+  function settle() {
+    if (done) return;
+    done = true;
+    log = null;
+    onSettled();
+  }
+
+  // callback() once every response whose write answered false has drained or closed
+  function forward(call, callback) {
+    if (log) {
+      log.push(call);
+      if (call[0] === 'write' || call[0] === 'send') logBytes += Buffer.byteLength(call[1] || '');
+      if (logBytes > maxReplayBytes) log = null;
+    }
+    let waiting = 0;
+    for (const res of targets) {
+      let ok = true;
+      try {
+        ok = apply(res, call);
+      } catch (e) {
+        targets.delete(res);
+        continue;
+      }
+      if (ok !== false || !callback) continue;
+      waiting++;
+      const resume = () => {
+        res.removeListener('drain', resume);
+        res.removeListener('close', resume);
+        if (--waiting === 0) callback();
+      };
+      res.on('drain', resume);
+      res.on('close', resume);
+    }
+    if (callback && waiting === 0) callback();
+  }
+
+  const out = new Writable({
+    write(chunk, encoding, callback) {
+      out.headersSent = true;
+      forward(['write', chunk], callback);
+    },
+    final(callback) {
+      out.headersSent = true;
+      forward(['end']);
+      settle();
+      callback();
+    }
+  });
+  // writes after the flight was abandoned are dropped, not thrown
+  out.on('error', () => {});
+  // destroyed by the responder mid-way (an upstream failure after the headers went out):
+  // every response goes down with it, as a lone client's response would
+  out.on('close', () => {
+    if (done) return;
+    for (const res of targets) {
+      try { res.destroy(); } catch (e) { /* ignore */ }
+    }
+    settle();
+  });
+  out.headersSent = false;
+  out.statusCode = 200;
+
+  out.status = code => {
+    out.statusCode = code;
+    forward(['status', code]);
+    return out;
+  };
+  out.setHeader = (name, value) => {
+    headers.setHeader(name, value);
+    forward(['setHeader', name, value]);
+    return out;
+  };
+  out.getHeader = name => headers.getHeader(name);
+  out.hasHeader = name => headers.hasHeader(name);
+  out.removeHeader = name => {
+    headers.removeHeader(name);
+    forward(['removeHeader', name]);
+  };
+  out.send = body => {
+    out.headersSent = true;
+    forward(['send', body]);
+    settle();
+    out.destroy();
+    return out;
+  };
+
+  /**
+   * join(res) -> false when res can no longer be caught up
+   */
+  out.join = res => {
+    if (done || !log) return false;
+    for (const call of log) apply(res, call);
+    targets.add(res);
+    res.on('close', () => {
+      targets.delete(res);
+      if (!targets.size && !done) {
+        // nobody is listening any more: stop like a lone client's response would
+        settle();
+        out.destroy();
+      }
+    });
+    return true;
+  };
+
+  // the responder failed without answering: answer what can still be answered
+  out.fail = err => {
+    for (const res of targets) {
+      try {
+        if (!res.headersSent) res.status(err.status || 502).send('Failed to fetch resource');
+        else res.end();
+      } catch (e) { /* ignore */ }
+    }
+    settle();
+    out.destroy();
+  };
+
+  return out;
+}
+
+/**
+ * streamFlight(key, res, respond, { maxReplayBytes })
+ */
+function streamFlight(key, res, respond, { maxReplayBytes = DEFAULT_MAX_REPLAY_BYTES } = {}) {
+  const current = streams.get(key);
+  if (current && current.join(res)) {
+    followers++;
+    return current.finished;
+  }
+  const broadcast = createBroadcast(maxReplayBytes, () => {
+    if (streams.get(key) === broadcast) streams.delete(key);
+  });
+  broadcast.join(res);
+  streams.set(key, broadcast);
+  broadcast.finished = Promise.resolve()
+    .then(() => respond(broadcast))
+    .catch(err => broadcast.fail(err));
+  return broadcast.finished;
+}
+
+/**
+ * flightStats()
+ */
+function flightStats() {
+  return { calls: calls.size, streams: streams.size, followers };
+}
+
+module.exports = {
+  singleFlight,
+  streamFlight,
+  flightStats
+};
@@ -0,0 +1,350 @@
+/**
+ * sourceMap.js
+ *
+ * Source maps for rewritten scripts, so proxied apps stay debuggable in devtools.
+ * The JS rewriter only splices edits ({ start, end, text } over the original source, see
+ * jsParser.transformJsWithEdits), so every original offset has a known rewritten offset:
+ *  - a script that ships a map gets that map composed with the edits: only the generated
+ *    positions move, sources / names / original positions are kept
+ *  - a script without one gets a map back onto the original script (sourcesContent included)
+ * Map files themselves are served through /resource with their sources made absolute and
+ * proxied (rewrite.rewriteSourceMap), and rewritten scripts point their sourceMappingURL at
+ * the /sourcemap endpoint (config.proxy.sourceMapPath), which rebuilds the composed map on demand.
+ *
+ * Exposes:
+ *    decodeMappings(str) -> [[[genCol, source, line, col, name?], ...], ...] (absolute values)
+ *    encodeMappings(lines) -> mappings string
+ *    parseSourceMap(text) -> map object or null
+ *    findSourceMappingUrl(js) -> { url, start, end } or null
+ *    composeSourceMap(map, source, code, edits) -> map for `code`
+ *    createEditMap(source, code, edits, sourceUrl) -> map for `code` onto `source`
+ *    rewriteSourceMapSources(map, mapUrl, rewriteFn) -> map with absolute (rewritten) sources
+ *    sourceMapHeader(headers) -> map URL from a SourceMap / X-SourceMap response header
+ *    buildSourceMap({ scriptUrl, mapUrl, rewriteOptions }) -> Promise<map>
+ */
+
+const { URL } = require('url');
+const { RESOURCE } = require('./proxyUrl');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_INDEX = new Map([...BASE64].map((ch, i) => [ch, i]));
+const LINE_BREAK = /\r\n|[\n\r\u2028\u2029]/g;
+// maps may start with this line to stop them being loaded as scripts
+const XSSI_PREFIX = /^\)\]\}'[^\n]*\n/;
+
+function encodeVlq(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq) digit |= 32;
+    out += BASE64[digit];
+  } while (vlq);
+  return out;
+}
+
+/**
+ * decodeMappings(str)
+ */
+function decodeMappings(str) {
+  const lines = [];
+  let line = [];
+  const state = [0, 0, 0, 0, 0]; // genCol (reset per line), source, line, col, name
+  let segment = [];
+  let value = 0;
+  let shift = 0;
+
+  const endSegment = () => {
+    if (!segment.length) return;
+    state[0] += segment[0];
+    const out = [state[0]];
+    if (segment.length >= 4) {
+      for (let i = 1; i < 4; i++) { state[i] += segment[i]; out.push(state[i]); }
+      if (segment.length >= 5) { state[4] += segment[4]; out.push(state[4]); }
+    }
+    line.push(out);
+    segment = [];
+  };
+
+  for (const ch of String(str || '')) {
+    if (ch === ',' || ch === ';') {
+      endSegment();
+      if (ch === ';') {
+        lines.push(line);
+        line = [];
+        state[0] = 0;
+      }
+      continue;
+    }
+    const digit = BASE64_INDEX.get(ch);
+    if (digit === undefined) throw new Error(`Invalid character "${ch}" in source map mappings`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+    segment.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+  endSegment();
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * encodeMappings(lines)
+ * - segments of a line must be sorted by generated column
+ */
+function encodeMappings(lines) {
+  const state = [0, 0, 0, 0];
+  return lines.map((segments) => {
+    let column = 0;
+    return segments.map((seg) => {
+      let out = encodeVlq(seg[0] - column);
+      column = seg[0];
+      if (seg.length >= 4) {
+        for (let i = 1; i < 4; i++) { out += encodeVlq(seg[i] - state[i - 1]); state[i - 1] = seg[i]; }
+        if (seg.length >= 5) { out += encodeVlq(seg[4] - state[3]); state[3] = seg[4]; }
+      }
+      return out;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * parseSourceMap(text)
+ * - null for anything that is not a (non-indexed) version 3 map
+ */
+function parseSourceMap(text) {
+  let map;
+  try { map = JSON.parse(String(text).replace(XSSI_PREFIX, '')); } catch (e) { return null; }
+  if (!map || typeof map !== 'object' || map.version !== 3) return null;
+  if (typeof map.mappings !== 'string' || !Array.isArray(map.sources)) return null;
+  return map;
+}
+
+/**
+ * findSourceMappingUrl(js)
+ * - the last "//# sourceMappingURL=" comment of a script (also the legacy "//@" and the
+ *   block comment forms); start / end delimit the URL itself
+ */
+function findSourceMappingUrl(js) {
+  const re = /(?:\/\/|\/\*)[#@][ \t]+sourceMappingURL=([^\s'"*]+)/g;
+  let found = null;
+  let m;
+  while ((m = re.exec(js)) !== null) {
+    const start = m.index + m[0].length - m[1].length;
+    found = { url: m[1], start, end: start + m[1].length };
+  }
+  // only a trailing comment counts: code may contain the text in strings
+  if (found && /\S/.test(js.slice(found.end).replace(/^[ \t]*\*\//, ''))) return null;
+  return found;
+}
+
+function lineStarts(text) {
+  const starts = [0];
+  LINE_BREAK.lastIndex = 0;
+  let m;
+  while ((m = LINE_BREAK.exec(text)) !== null) starts.push(m.index + m[0].length);
+  return starts;
+}
+
+// index of the last element <= value
+function floorIndex(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (sorted[mid] <= value) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * createOffsetMapper(edits)
+ * - original offset -> rewritten offset; offsets inside a replaced range map to the start
+ *   of its replacement, text inserted at an offset ends up before it
+ * - edits must be sorted and non-overlapping, as returned by transformJsWithEdits
+ */
+function createOffsetMapper(edits) {
+  const starts = edits.map(e => e.start);
+  const outStarts = [];
+  const deltas = [];
+  let delta = 0;
+  for (const e of edits) {
+    outStarts.push(e.start + delta);
+    delta += e.text.length - (e.end - e.start);
+    deltas.push(delta);
+  }
+  return (offset) => {
+    if (!edits.length || offset < starts[0]) return offset;
+    // the last edit starting at or before offset; zero-width insertions sort before a
+    // replacement at the same offset, so an inserted wrapper ends up ahead of it
+    const i = floorIndex(starts, offset);
+    const e = edits[i];
+    return offset < e.end ? outStarts[i] : offset + deltas[i];
+  };
+}
+
+/**
+ * createPositionMapper(source, code, edits)
+ * - (line, column) in source -> [line, column] in code, both zero-based
+ */
+function createPositionMapper(source, code, edits) {
+  const inStarts = lineStarts(source);
+  const outStarts = lineStarts(code);
+  const mapOffset = createOffsetMapper(edits);
+  return (line, column) => {
+    if (line >= inStarts.length) return null;
+    const out = mapOffset(inStarts[line] + column);
+    const outLine = floorIndex(outStarts, out);
+    return [outLine, out - outStarts[outLine]];
+  };
+}
+
+function sortedLines(segments) {
+  const lines = [];
+  for (const [line, seg] of segments) {
+    while (lines.length <= line) lines.push([]);
+    lines[line].push(seg);
+  }
+  lines.forEach(l => l.sort((a, b) => a[0] - b[0]));
+  return lines;
+}
+
+/**
+ * composeSourceMap(map, source, code, edits)
+ * - map describes source (the upstream script); the result describes code (the rewritten one)
+ */
+function composeSourceMap(map, source, code, edits) {
+  const toOutput = createPositionMapper(source, code, edits);
+  const segments = [];
+  decodeMappings(map.mappings).forEach((line, lineIndex) => {
+    for (const seg of line) {
+      const pos = toOutput(lineIndex, seg[0]);
+      if (pos) segments.push([pos[0], [pos[1], ...seg.slice(1)]]);
+    }
+  });
+  return Object.assign({}, map, { mappings: encodeMappings(sortedLines(segments)) });
+}
+
+/**
+ * createEditMap(source, code, edits, sourceUrl)
+ * - maps every identifier / punctuator start of code back onto source, so breakpoints and
+ *   stack traces land on the original (possibly minified) script
+ */
+function createEditMap(source, code, edits, sourceUrl) {
+  const toOutput = createPositionMapper(source, code, edits);
+  const starts = lineStarts(source);
+  const segments = [];
+  const token = /[\w$]+|[^\s\w$]/g;
+  starts.forEach((lineStart, line) => {
+    const lineEnd = line + 1 < starts.length ? starts[line + 1] : source.length;
+    const text = source.slice(lineStart, lineEnd);
+    let m;
+    token.lastIndex = 0;
+    while ((m = token.exec(text)) !== null) {
+      const pos = toOutput(line, m.index);
+      segments.push([pos[0], [pos[1], 0, line, m.index]]);
+    }
+  });
+  let file = sourceUrl;
+  try { file = new URL(sourceUrl).pathname.split('/').pop() || sourceUrl; } catch (e) { /* keep the URL */ }
+  return {
+    version: 3,
+    file,
+    sources: [sourceUrl],
+    sourcesContent: [source],
+    names: [],
+    mappings: encodeMappings(sortedLines(segments))
+  };
+}
+
+/**
+ * rewriteSourceMapSources(map, mapUrl, rewriteFn)
+ * - sources are resolved against sourceRoot and the map URL, then passed through
+ *   rewriteFn(absUrl) (returns the new URL, or null to keep the absolute one);
+ *   sourceRoot is dropped since every source is absolute afterwards
+ */
+function rewriteSourceMapSources(map, mapUrl, rewriteFn) {
+  const out = Object.assign({}, map);
+  let root = mapUrl;
+  if (map.sourceRoot) {
+    const sourceRoot = map.sourceRoot.endsWith('/') ? map.sourceRoot : map.sourceRoot + '/';
+    try { root = new URL(sourceRoot, mapUrl).href; } catch (e) { root = mapUrl; }
+  }
+  out.sources = map.sources.map((source) => {
+    if (source == null) return source;
+    let abs;
+    try { abs = new URL(source, root).href; } catch (e) { return source; }
+    return (/^https?:\/\//i.test(abs) && rewriteFn(abs)) || abs;
+  });
+  delete out.sourceRoot;
+  return out;
+}
+
+/**
+ * sourceMapHeader(headers)
+ * - the map a script names in its SourceMap (or legacy X-SourceMap) response header
+ */
+function sourceMapHeader(headers) {
+  return headers.get('sourcemap') || headers.get('x-sourcemap') || null;
+}
+
+/**
+ * loadSourceMap(mapUrl) -> { map, url }
+ * - data: URLs are decoded in place, anything else is fetched; url is where the map was
+ *   found after redirects, which its sources are relative to
+ */
+async function loadSourceMap(mapUrl) {
+  const data = /^data:([^,]*?)(;base64)?,(.*)$/is.exec(mapUrl);
+  if (data) {
+    const body = data[2] ? Buffer.from(data[3], 'base64').toString('utf8') : decodeURIComponent(data[3]);
+    return { map: parseSourceMap(body), url: mapUrl };
+  }
+  const fetcher = require('./fetcher');
+  const doc = await fetcher.fetchDocument(mapUrl);
+  return { map: parseSourceMap(doc.text), url: doc.url };
+}
+
+/**
+ * buildSourceMap({ scriptUrl, mapUrl, rewriteOptions })
+ * - re-runs the rewrite of scriptUrl with rewriteOptions (the ones the script was served
+ *   with) and returns the map for the rewritten script
+ * - mapUrl (from a SourceMap response header) overrides the script's own sourceMappingURL
+ */
+async function buildSourceMap({ scriptUrl, mapUrl = null, rewriteOptions = {} }) {
+  const fetcher = require('./fetcher');
+  const { rewriteJsEdits, rewriteUrlValue } = require('./rewrite'); // lazy: rewrite requires this module
+  // a redirected script was served (and so rewritten) against the URL it ended up at
+  const script = await fetcher.fetchDocument(scriptUrl);
+  const source = script.text;
+  const baseUrl = script.url;
+  // edits is null when the script was rewritten without acorn: offsets are then unknown
+  const { code, edits } = rewriteJsEdits(source, baseUrl, rewriteOptions);
+
+  const linked = findSourceMappingUrl(source);
+  const target = mapUrl || (linked && linked.url);
+  const absMapUrl = target && (/^data:/i.test(target) ? target : new URL(target, baseUrl).href);
+  const loaded = absMapUrl ? await loadSourceMap(absMapUrl) : null;
+  const upstream = loaded && loaded.map;
+  if (!upstream) return createEditMap(source, code, edits || [], baseUrl);
+
+  const proxied = rewriteSourceMapSources(upstream, /^data:/i.test(absMapUrl) ? baseUrl : loaded.url,
+    abs => rewriteUrlValue(abs, baseUrl, RESOURCE, rewriteOptions, { attr: 'sourcemap' }));
+  return edits && edits.length ? composeSourceMap(proxied, source, code, edits) : proxied;
+}
+
+module.exports = {
+  decodeMappings,
+  encodeMappings,
+  parseSourceMap,
+  findSourceMappingUrl,
+  composeSourceMap,
+  createEditMap,
+  rewriteSourceMapSources,
+  sourceMapHeader,
+  buildSourceMap
+};
@@ -0,0 +1,258 @@
+/**
+ * streamRewriter.js
+ *
+ * Stream versions of the rewriters so proxied documents never have to be buffered whole.
+ * - createHtmlRewriteStream(baseUrl, options) -> Transform running rewrite.createHtmlRewriter
+ * - createCssRewriteStream(baseUrl, options) -> Transform running rewrite.rewriteCss on complete rules
+ * - createJsRewriteStream(baseUrl, options) -> Transform running rewrite.rewriteJs on the whole script
+ * - createResourceRewriteStream(contentType, baseUrl, options) -> the rewriting Transform for a
+ *   subresource (CSS, JavaScript, SVG, web app manifest, source map), or null for types passed
+ *   through as-is
+ * - createLimitStream(maxBytes) -> Transform that fails once more than maxBytes pass through
+ * - pipeToResponse(source, transforms, res) -> pipes source through transforms into an Express res
+ *
+ * Chunk boundaries are handled by holding back incomplete input: the HTML tokenizer keeps
+ * a partial tag buffered, the CSS stream cuts only after a complete declaration or block.
+ * Scripts cannot be cut safely, so the JS stream buffers (bounded by the limit stream ahead of it).
+ *
+ * Input is decoded with charset.createDecoder: options.charset is the Content-Type charset,
+ * and the body's own <meta charset> / @charset / BOM are honoured. Output is always UTF-8.
+ */
+
+const { Transform, pipeline } = require('stream');
+const { createDecoder, charsetFromContentType } = require('./charset');
+const { createHtmlRewriter, rewriteCss, rewriteJs, rewriteManifest, rewriteSourceMap } = require('./rewrite');
+const { logWarn } = (() => {
+  try { return require('./logger'); } catch (e) { return { logWarn: () => {} }; }
+})();
+
+/**
+ * createHtmlRewriteStream(baseUrl, options)
+ * - bytes in, rewritten UTF-8 HTML out
+ * - options.xml: the body is XML (SVG), whose encoding is declared in <?xml ?> instead
+ */
+function createHtmlRewriteStream(baseUrl, options = {}) {
+  const decoder = createDecoder({ kind: options.xml ? 'xml' : 'html', declared: options.charset });
+  const rewriter = createHtmlRewriter(baseUrl, options);
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        const text = Buffer.isBuffer(chunk) ? decoder.write(chunk) : String(chunk);
+        const out = rewriter.write(text);
+        callback(null, out ? Buffer.from(out, 'utf8') : undefined);
+      } catch (e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        const out = rewriter.write(decoder.end()) + rewriter.end();
+        callback(null, out ? Buffer.from(out, 'utf8') : undefined);
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+}
+
+/**
+ * findCssCut(css)
+ * - returns the offset just past the last ";" or "}" that sits outside strings,
+ *   comments and parentheses; css.slice(0, cut) can be rewritten on its own
+ */
+function findCssCut(css) {
+  let quote = null;
+  let depth = 0;
+  let cut = 0;
+  for (let i = 0; i < css.length; i++) {
+    const ch = css[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote || ch === '\n') quote = null;
+      continue;
+    }
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      if (end === -1) break;
+      i = end + 1;
+      continue;
+    }
+    if (ch === '\\') i++;
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if ((ch === ';' || ch === '}') && depth === 0) cut = i + 1;
+  }
+  return cut;
+}
+
+/**
+ * createCssRewriteStream(baseUrl, options)
+ * - bytes in, rewritten UTF-8 CSS out
+ */
+function createCssRewriteStream(baseUrl, options = {}) {
+  const decoder = createDecoder({ kind: 'css', declared: options.charset });
+  let pending = '';
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending += Buffer.isBuffer(chunk) ? decoder.write(chunk) : String(chunk);
+        const cut = findCssCut(pending);
+        if (!cut) return callback();
+        const ready = pending.slice(0, cut);
+        pending = pending.slice(cut);
+        callback(null, Buffer.from(rewriteCss(ready, baseUrl, options), 'utf8'));
+      } catch (e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        const rest = pending + decoder.end();
+        pending = '';
+        callback(null, rest ? Buffer.from(rewriteCss(rest, baseUrl, options), 'utf8') : undefined);
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+}
+
+/**
+ * createBufferedRewriteStream(rewriteFn, charset)
+ * - bytes in, rewriteFn(whole text) as UTF-8 out once the upstream body has ended
+ */
+function createBufferedRewriteStream(rewriteFn, charset) {
+  const decoder = createDecoder({ declared: charset });
+  let source = '';
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      source += Buffer.isBuffer(chunk) ? decoder.write(chunk) : String(chunk);
+      callback();
+    },
+    flush(callback) {
+      try {
+        const text = source + decoder.end();
+        source = '';
+        callback(null, text ? Buffer.from(rewriteFn(text), 'utf8') : undefined);
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+}
+
+/**
+ * createJsRewriteStream(baseUrl, options)
+ * - bytes in, rewritten UTF-8 JavaScript out once the upstream body has ended
+ * - the body is a whole script file, so its source map is re-linked unless options.sourceMap
+ *   is false
+ */
+function createJsRewriteStream(baseUrl, options = {}) {
+  const cfg = Object.assign({ sourceMap: true }, options);
+  return createBufferedRewriteStream(js => rewriteJs(js, baseUrl, cfg), options.charset);
+}
+
+// content type -> rewriter for /resource responses; first match wins
+const RESOURCE_REWRITERS = [
+  { type: /\btext\/css\b/i, create: createCssRewriteStream },
+  { type: /\b(?:java|ecma)script\b/i, create: createJsRewriteStream },
+  // SVG goes through the HTML tokenizer (same URL attributes), without the page runtime
+  {
+    type: /\bimage\/svg\+xml\b/i,
+    create: (baseUrl, options) => createHtmlRewriteStream(baseUrl, Object.assign({}, options, { runtimeScript: null, xml: true }))
+  },
+  {
+    type: /\bapplication\/manifest\+json\b/i,
+    create: (baseUrl, options) => createBufferedRewriteStream(json => rewriteManifest(json, baseUrl, options), options.charset)
+  },
+  {
+    type: /\bapplication\/source-map\+json\b/i,
+    create: (baseUrl, options) => createBufferedRewriteStream(json => rewriteSourceMap(json, baseUrl, options), options.charset)
+  }
+];
+
+/**
+ * createResourceRewriteStream(contentType, baseUrl, options)
+ * - manifests are also commonly served as application/json, so a JSON body whose URL looks
+ *   like a manifest (*.webmanifest, manifest.json) is treated as one
+ * - source maps have no registered type: a *.map URL served as JSON, text or octet-stream is one
+ * - the charset of contentType is used to decode the body (the output is UTF-8)
+ */
+function createResourceRewriteStream(contentType, baseUrl, options = {}) {
+  let type = String(contentType || '');
+  if (/\bapplication\/json\b/i.test(type) && /(?:\.webmanifest|\bmanifest\.json)(?:[?#]|$)/i.test(baseUrl)) {
+    type = 'application/manifest+json';
+  } else if (/\.map(?:[?#]|$)/i.test(baseUrl) && (!type.trim() || /^(?:application\/(?:json|octet-stream)|text\/plain)\b/i.test(type.trim()))) {
+    type = 'application/source-map+json';
+  }
+  const rewriter = RESOURCE_REWRITERS.find(r => r.type.test(type));
+  return rewriter ? rewriter.create(baseUrl, Object.assign({ charset: charsetFromContentType(contentType) }, options)) : null;
+}
+
+/**
+ * createLimitStream(maxBytes)
+ * - passes bytes through unchanged, errors with status 413 once maxBytes is exceeded
+ */
+function createLimitStream(maxBytes) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (maxBytes && seen > maxBytes) {
+        const err = new Error(`Upstream body exceeds ${maxBytes} bytes`);
+        err.status = 413;
+        err.code = 'ECONTENTTOOLARGE';
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * pipeToResponse(source, transforms, res)
+ * - pipes source -> ...transforms -> res and resolves when the response is finished
+ * - a failure before anything was sent rejects (so the caller can render an error page);
+ *   a failure mid-body aborts the connection so the client sees a truncated response
+ */
+function pipeToResponse(source, transforms, res) {
+  return new Promise((resolve, reject) => {
+    const streams = [source, ...transforms];
+    const last = streams[streams.length - 1];
+    let settled = false;
+    const settle = (fn, value) => { if (!settled) { settled = true; fn(value); } };
+
+    // res is deliberately kept out of pipeline() so an early failure leaves it usable
+    const onDone = (err) => {
+      if (!err) return;
+      if (!res.headersSent) return settle(reject, err);
+      logWarn('pipeToResponse aborted mid-stream: ' + err.message);
+      try { res.destroy(err); } catch (e) { /* ignore */ }
+      settle(resolve);
+    };
+    if (streams.length > 1) pipeline(...streams, onDone);
+    else source.once('error', onDone);
+
+    res.once('finish', () => settle(resolve));
+    res.once('close', () => {
+      // client went away: stop pulling from upstream
+      if (!res.writableFinished) streams.forEach(s => { try { s.destroy(); } catch (e) { /* ignore */ } });
+      settle(resolve);
+    });
+    last.pipe(res);
+  });
+}
+
+module.exports = {
+  createHtmlRewriteStream,
+  createCssRewriteStream,
+  createJsRewriteStream,
+  createResourceRewriteStream,
+  createLimitStream,
+  pipeToResponse,
+  findCssCut
+};
@@ -0,0 +1,225 @@
+/**
+ * upstreamAgent.js
+ *
+ * Outbound connections to upstream servers, shared by every fetch the proxy makes:
+ *  - one keep-alive http.Agent and one https.Agent (config.proxy.upstreamPool), so that
+ *    connections to a host are reused instead of opened per request
+ *  - at most maxSocketsPerHost requests to one host (host:port) and maxTotalSockets in all
+ *    at a time; a request holds its slot until the upstream response has been received
+ *    (its body read or buffered) or has failed, which is when its socket goes back to the pool
+ *  - a body nobody has started reading unreadBodyTimeoutMs after its headers came is destroyed,
+ *    so that a caller that forgot to drain or destroy one cannot keep its slot for good
+ *  - requests beyond the limits wait in one first-come first-served queue; one that waits
+ *    longer than queueTimeoutMs fails with code EQUEUETIMEOUT, as an upstream that cannot be
+ *    reached would, and one whose signal aborts leaves the queue
+ *  - counters and the agents' socket counts for the admin API (poolStats)
+ *
+ * Exposes:
+ *    fetch(url, options) -> node-fetch, through the pool (options.agent, if given, is kept)
+ *    agentFor(url) -> the shared agent for a URL's protocol
+ *    poolStats() -> { limits, active, queued, totals, hosts, agents }
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const nodeFetch = require('node-fetch');
+const { getUpstreamPoolDefaults } = require('./config');
+
+const pool = getUpstreamPoolDefaults();
+const agentOptions = {
+  keepAlive: pool.keepAlive,
+  keepAliveMsecs: pool.keepAliveMsecs,
+  maxSockets: pool.maxSocketsPerHost,
+  maxFreeSockets: pool.maxFreeSockets,
+  // only closes sockets sitting unused in the pool (requests have their own timeouts)
+  timeout: pool.idleSocketTimeoutMs,
+  scheduling: 'lifo'
+};
+const httpAgent = new http.Agent(agentOptions);
+const httpsAgent = new https.Agent(agentOptions);
+
+const hosts = new Map(); // host -> { active, queued }
+const waiting = []; // { host, grant, timer, enqueuedAt } in arrival order
+let active = 0;
+const totals = { requests: 0, queued: 0, queueTimeouts: 0, aborted: 0, unreadBodies: 0, maxWaitMs: 0 };
+
+/**
+ * agentFor(url)
+ */
+function agentFor(url) {
+  const protocol = typeof url === 'string' ? new URL(url).protocol : url.protocol;
+  return protocol === 'https:' ? httpsAgent : httpAgent;
+}
+
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, queued: 0 });
+  return hosts.get(host);
+}
+
+function forgetIdle(host) {
+  const state = hosts.get(host);
+  if (state && !state.active && !state.queued) hosts.delete(host);
+}
+
+function hasRoom(host) {
+  return active < pool.maxTotalSockets && hostState(host).active < pool.maxSocketsPerHost;
+}
+
+function take(host) {
+  active++;
+  hostState(host).active++;
+  totals.requests++;
+}
+
+// a slot was given back: hand it to the longest waiting request that may have it
+function dispatch() {
+  for (let i = 0; i < waiting.length && active < pool.maxTotalSockets; i++) {
+    const waiter = waiting[i];
+    if (!hasRoom(waiter.host)) continue;
+    waiting.splice(i--, 1);
+    waiter.grant();
+  }
+}
+
+/**
+ * acquire(host, signal) -> Promise of release()
+ */
+function acquire(host, signal) {
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    active--;
+    hostState(host).active--;
+    forgetIdle(host);
+    dispatch();
+  };
+  if (hasRoom(host) && !waiting.some(w => w.host === host)) {
+    take(host);
+    return Promise.resolve(release);
+  }
+
+  totals.queued++;
+  hostState(host).queued++;
+  return new Promise((resolve, reject) => {
+    const waiter = { host, enqueuedAt: Date.now() };
+    const leave = () => {
+      clearTimeout(waiter.timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      const index = waiting.indexOf(waiter);
+      if (index >= 0) waiting.splice(index, 1);
+      hostState(host).queued--;
+      totals.maxWaitMs = Math.max(totals.maxWaitMs, Date.now() - waiter.enqueuedAt);
+    };
+    const onAbort = () => {
+      leave();
+      forgetIdle(host);
+      totals.aborted++;
+      const err = new Error('The user aborted a request.');
+      err.name = 'AbortError';
+      err.type = 'aborted';
+      reject(err);
+    };
+    waiter.grant = () => {
+      leave();
+      take(host);
+      resolve(release);
+    };
+    waiter.timer = setTimeout(() => {
+      leave();
+      forgetIdle(host);
+      totals.queueTimeouts++;
+      const err = new Error(`Upstream connection queue for ${host} timed out after ${pool.queueTimeoutMs}ms`);
+      err.code = 'EQUEUETIMEOUT';
+      reject(err);
+    }, pool.queueTimeoutMs);
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort);
+    }
+    waiting.push(waiter);
+  });
+}
+
+/**
+ * fetch(url, options)
+ * - node-fetch with the shared agents, waiting for a slot first
+ */
+async function fetch(url, options = {}) {
+  const host = new URL(String(url)).host;
+  const release = await acquire(host, options.signal);
+  // our own signal, so that a body dropped before its end can take its socket down with it
+  // (destroying node-fetch's body stream alone leaves the upstream response paused on it)
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (options.signal) {
+    if (options.signal.aborted) abort();
+    else options.signal.addEventListener('abort', abort);
+  }
+  const forget = () => {
+    if (options.signal) options.signal.removeEventListener('abort', abort);
+    release();
+  };
+  try {
+    // a function, so that redirects node-fetch follows itself get the right agent too
+    const response = await nodeFetch(url, Object.assign({}, options, { signal: controller.signal, agent: options.agent || agentFor }));
+    const body = response.body;
+    if (body && typeof body.on === 'function' && !body.writableFinished && !body.destroyed) {
+      const unread = setTimeout(() => {
+        if (body.readableFlowing !== null) return;
+        totals.unreadBodies++;
+        body.destroy();
+      }, pool.unreadBodyTimeoutMs);
+      unread.unref();
+      // 'finish': the whole upstream body is in (its socket is free again), read or not
+      const done = () => {
+        clearTimeout(unread);
+        if (!body.writableFinished) abort();
+        forget();
+      };
+      body.on('finish', done);
+      body.on('error', done);
+      body.on('close', done);
+    } else {
+      forget();
+    }
+    return response;
+  } catch (err) {
+    forget();
+    throw err;
+  }
+}
+
+function agentSockets(agent) {
+  const count = table => Object.values(table).reduce((n, list) => n + list.length, 0);
+  return { sockets: count(agent.sockets), freeSockets: count(agent.freeSockets), pending: count(agent.requests) };
+}
+
+/**
+ * poolStats()
+ */
+function poolStats() {
+  const perHost = {};
+  for (const [host, state] of hosts) perHost[host] = Object.assign({}, state);
+  return {
+    limits: {
+      keepAlive: pool.keepAlive,
+      maxSocketsPerHost: pool.maxSocketsPerHost,
+      maxTotalSockets: pool.maxTotalSockets,
+      queueTimeoutMs: pool.queueTimeoutMs,
+      unreadBodyTimeoutMs: pool.unreadBodyTimeoutMs
+    },
+    active,
+    queued: waiting.length,
+    totals: Object.assign({}, totals),
+    hosts: perHost,
+    agents: { http: agentSockets(httpAgent), https: agentSockets(httpsAgent) }
+  };
+}
+
+module.exports = {
+  fetch,
+  agentFor,
+  poolStats
+};
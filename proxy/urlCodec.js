@@ -0,0 +1,164 @@
+/**
+ * urlCodec.js
+ *
+ * Codecs that turn upstream URLs into the opaque tokens carried by proxied URLs, so target
+ * URLs do not show up in plaintext in ?url= parameters, browser history or network filters.
+ * Selected with config.proxy.urlCodec ({ name, key }):
+ *  - plain:     the URL as-is (default)
+ *  - base64url: URL-safe base64 (built on helpers.safeBase64Encode)
+ *  - xor:       bytes XORed with the key, then base64url; the key is shared with the client
+ *               runtime, so this is obfuscation rather than secrecy
+ *  - aes-gcm:   AES-256-GCM token with a server-side key (PROXY_URL_KEY, required: every
+ *               process and restart must decode the tokens the others issued)
+ *
+ * Exposes:
+ *    createUrlCodec({ name, key }) -> { name, id, encode(url), decode(token), client }
+ *      (id tells codecs apart without revealing the key, e.g. for cache keys)
+ *    urlDecodeError(message) -> Error with status 400 and code EURLDECODE
+ *
+ * decode() accepts a plain absolute URL under every codec, so typed-in /proxy?url=https://...
+ * links keep working; anything else that does not decode throws urlDecodeError.
+ * `client` is what the browser-side runtime needs to encode URLs built at runtime; the
+ * AES key never leaves the server, so under aes-gcm the client sends base64url tokens
+ * marked with CLIENT_PREFIX instead.
+ */
+
+const crypto = require('crypto');
+const { safeBase64Encode, safeBase64Decode } = require('./helpers');
+
+const CODECS = ['plain', 'base64url', 'xor', 'aes-gcm'];
+const CLIENT_PREFIX = '.'; // not in the base64url alphabet
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const ABSOLUTE_URL = /^[a-z][\w+.-]*:\/\//i;
+
+function urlDecodeError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'EURLDECODE';
+  return err;
+}
+
+function toBase64Url(buf) {
+  return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64Url(token) {
+  if (!/^[A-Za-z0-9_-]*$/.test(token)) throw urlDecodeError('Malformed proxy URL token');
+  return Buffer.from(token.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function base64UrlEncode(url) {
+  return safeBase64Encode(url).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function base64UrlDecode(token) {
+  if (!/^[A-Za-z0-9_-]*$/.test(token)) throw urlDecodeError('Malformed proxy URL token');
+  return safeBase64Decode(token.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+function xorBytes(buf, key) {
+  const out = Buffer.alloc(buf.length);
+  for (let i = 0; i < buf.length; i++) out[i] = buf[i] ^ key[i % key.length];
+  return out;
+}
+
+/**
+ * checked(url)
+ * - a decoded token must be an absolute URL; garbage in means a tampered or stale link
+ */
+function checked(url) {
+  if (typeof url !== 'string' || !ABSOLUTE_URL.test(url)) throw urlDecodeError('Proxy URL token does not decode to a URL');
+  return url;
+}
+
+function keyId(name, keyBytes) {
+  return `${name}:${crypto.createHash('sha256').update(keyBytes).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * aesKey(key)
+ * - any string is stretched to 32 bytes; there is no fallback key, since tokens made with a
+ *   random one would stop decoding after a restart and on other processes
+ */
+function aesKey(key) {
+  if (!key) throw new Error('URL codec "aes-gcm" needs a key (set PROXY_URL_KEY)');
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * createUrlCodec({ name, key })
+ */
+function createUrlCodec(spec = {}) {
+  const name = spec.name || 'plain';
+  if (!CODECS.includes(name)) throw new Error(`Unknown URL codec "${name}" (expected one of ${CODECS.join(', ')})`);
+
+  if (name === 'plain') {
+    return {
+      name,
+      id: name,
+      encode: url => url,
+      decode: token => token,
+      client: { name }
+    };
+  }
+
+  if (name === 'base64url') {
+    return {
+      name,
+      id: name,
+      encode: url => base64UrlEncode(url),
+      decode: token => ABSOLUTE_URL.test(token) ? token : checked(base64UrlDecode(token)),
+      client: { name }
+    };
+  }
+
+  if (name === 'xor') {
+    const keyText = spec.key || 'seb';
+    const key = Buffer.from(keyText, 'utf8');
+    return {
+      name,
+      id: keyId(name, key),
+      encode: url => toBase64Url(xorBytes(Buffer.from(url, 'utf8'), key)),
+      decode: token => ABSOLUTE_URL.test(token) ? token : checked(xorBytes(fromBase64Url(token), key).toString('utf8')),
+      client: { name, key: keyText }
+    };
+  }
+
+  // aes-gcm: the IV is derived from the URL (HMAC) so a URL always maps to the same token,
+  // which keeps cache keys and visited-link state stable
+  const key = aesKey(spec.key);
+  return {
+    name,
+    id: keyId(name, key),
+    encode(url) {
+      const iv = crypto.createHmac('sha256', key).update(url).digest().subarray(0, IV_BYTES);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const body = Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]);
+      return toBase64Url(Buffer.concat([iv, cipher.getAuthTag(), body]));
+    },
+    decode(token) {
+      if (ABSOLUTE_URL.test(token)) return token;
+      if (token.startsWith(CLIENT_PREFIX)) return checked(base64UrlDecode(token.slice(CLIENT_PREFIX.length)));
+      const raw = fromBase64Url(token);
+      if (raw.length <= IV_BYTES + TAG_BYTES) throw urlDecodeError('Malformed proxy URL token');
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, IV_BYTES));
+        decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+        const url = Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+        return checked(url);
+      } catch (e) {
+        if (e.code === 'EURLDECODE') throw e;
+        throw urlDecodeError('Proxy URL token is invalid or was issued by another server');
+      }
+    },
+    client: { name: 'base64url', prefix: CLIENT_PREFIX }
+  };
+}
+
+module.exports = {
+  createUrlCodec,
+  urlDecodeError,
+  CODECS,
+  CLIENT_PREFIX
+};
@@ -45,21 +45,46 @@ function validateUrl(urlStr) {
   return { valid:true };
 }
 
+// loopback, private, link-local, carrier-grade NAT and unspecified ranges; BlockList also
+// matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 rules
+const LOCAL_RANGES = new net.BlockList();
+for (const [prefix, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  LOCAL_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  LOCAL_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
 /**
  * isLocalAddress(host)
- * - prevents SSRF to private network ranges
+ * - prevents SSRF to private network ranges: IP literals in the ranges above, localhost and
+ *   *.localhost (host names are not resolved)
  */
 function isLocalAddress(host) {
   try {
-    const ip = net.isIP(host) ? host : null;
-    if (!ip) return false;
-    // IPv4 private ranges
-    if (ip.startsWith('10.') || ip.startsWith('192.168.') || ip.startsWith('172.16.')) return true;
-    if (ip === '127.0.0.1') return true;
-    return false;
+    const name = String(host || '').toLowerCase().replace(/^\[|\]$/g, '');
+    if (name === 'localhost' || name.endsWith('.localhost')) return true;
+    const version = net.isIP(name);
+    if (!version) return false;
+    return LOCAL_RANGES.check(name, version === 4 ? 'ipv4' : 'ipv6');
   } catch { return false; }
 }
 
+/**
+ * checkTarget(urlStr, { allowLocal })
+ * - validateUrl plus the local network check; run on the first URL of a request and again on
+ *   every redirect hop (see redirects.js)
+ * - allowLocal lets local addresses through, the blacklisted loopback names included
+ * - Returns { valid, status, reason }
+ */
+function checkTarget(urlStr, { allowLocal = false } = {}) {
+  const valid = validateUrl(urlStr);
+  const local = isValidUrl(urlStr) && isLocalAddress(new URL(urlStr).hostname);
+  if (!valid.valid && !(allowLocal && local)) return { valid:false, status:400, reason:valid.reason };
+  if (!allowLocal && local) return { valid:false, status:403, reason:'Local network access blocked' };
+  return { valid:true };
+}
+
 /**
  * contentValidator
  * - validate HTML/JS/CSS content (placeholder, extendable)
@@ -88,6 +113,7 @@ module.exports = {
   isHostAllowed,
   validateUrl,
   isLocalAddress,
+  checkTarget,
   contentValidator
 };
 
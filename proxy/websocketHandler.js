@@ -6,15 +6,37 @@
  * - Handles messages, errors, and closures
  * - Supports optional throttling
  * - Logs connections and traffic
+ * - The target arrives as ?target=<token>, encoded with the configured URL codec (urlCodec.js)
+ * - The target goes through the same SSRF checks as HTTP targets (validator.checkTarget,
+ *   options.allowLocal) before anything, cookies included, is sent to it
+ * - The upstream handshake carries the proxy session's cookies and stores the ones it sets
+ *   (see cookies.js)
  */
 
 const WebSocket = require('ws');
 const { throttlerMiddleware } = require('./throttler');
 const { logInfo, logWarn } = require('./logger');
+const { getUrlCodec } = require('./config');
+const { findSessionJar, cookieContext } = require('./cookies');
+const { buildUpstreamHeaders } = require('./requestHeaders');
+const { checkTarget } = require('./validator');
+
+/**
+ * checkWsTarget(url, { allowLocal })
+ * - ws:/wss: only, then checkTarget on the http(s) form of the URL
+ */
+function checkWsTarget(url, { allowLocal = false } = {}) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return { valid:false, status:400, reason:'Invalid URL' }; }
+  if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') return { valid:false, status:400, reason:'Invalid URL' };
+  parsed.protocol = parsed.protocol === 'wss:' ? 'https:' : 'http:';
+  return checkTarget(parsed.href, { allowLocal });
+}
 
 function websocketHandler(server, options = {}) {
   const wsServer = new WebSocket.Server({ server });
   const throttleMw = throttlerMiddleware();
+  const codec = options.codec || getUrlCodec();
 
   wsServer.on('connection', (client, req) => {
     try {
@@ -22,15 +44,34 @@ function websocketHandler(server, options = {}) {
       logInfo(`New WS connection from ${req.socket.remoteAddress}`);
 
       // Intercept target URL from query
-      const params = new URLSearchParams(req.url.replace('/?',''));
-      const targetUrl = params.get('target');
-      if (!targetUrl) {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const token = params.get('target');
+      if (!token) {
         client.send(JSON.stringify({ error: 'Missing target URL' }));
         client.close();
         return;
       }
+      let targetUrl;
+      try {
+        targetUrl = codec.decode(token);
+      } catch (decodeErr) {
+        client.send(JSON.stringify({ error: 'Invalid target: ' + decodeErr.message }));
+        client.close(1008, 'Invalid target');
+        return;
+      }
+      const valid = checkWsTarget(targetUrl, options);
+      if (!valid.valid) {
+        logWarn(`WS target refused: ${targetUrl} (${valid.reason})`);
+        client.send(JSON.stringify({ error: valid.reason }));
+        client.close(1008, 'Target refused');
+        return;
+      }
 
-      const targetWs = new WebSocket(targetUrl);
+      const jar = findSessionJar(req.headers.cookie);
+      const cookie = jar ? jar.cookieHeader(targetUrl, cookieContext(req, targetUrl)) : '';
+      const headers = buildUpstreamHeaders(req, targetUrl, { headers: cookie ? { cookie } : {} });
+      const targetWs = new WebSocket(targetUrl, { headers });
+      if (jar) targetWs.on('upgrade', upstream => jar.setCookies([].concat(upstream.headers['set-cookie'] || []), targetUrl));
 
       // Pipe messages
       client.on('message', msg => {
@@ -59,6 +100,7 @@ function websocketHandler(server, options = {}) {
 }
 
 module.exports = {
-  websocketHandler
+  websocketHandler,
+  checkWsTarget
 };
 
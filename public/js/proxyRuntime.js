@@ -0,0 +1,524 @@
+/**
+ * proxyRuntime.js
+ *
+ * Client-side half of the rewriter. rewriteHtml() injects this script as the first script of
+ * every proxied document:
+ *   <script src="/js/proxyRuntime.js" data-url="<upstream url>" data-proxy-path="/proxy?url="
+ *           data-resource-path="/resource?url=" data-url-scheme="query" data-path-prefix="/p/"
+ *           data-resource-path-prefix="/r/"></script>
+ *
+ * Static rewriting cannot see URLs built at runtime, so this script wraps the browser APIs
+ * and DOM setters that take URLs and routes them through /proxy and /resource (or their
+ * /p/ and /r/ path forms when data-url-scheme="path", see proxy/proxyUrl.js):
+ *  - fetch, XMLHttpRequest, navigator.sendBeacon, EventSource, Worker/SharedWorker, WebSocket
+ *  - history.pushState/replaceState, window.open
+ *  - element URL properties (img.src, a.href, form.action, ...) and setAttribute()
+ *  - innerHTML / outerHTML / insertAdjacentHTML / document.write
+ * It also emulates the page's original location: window.__sebLocation (which rewriteJs
+ * substitutes for window.location / document.location), document.domain, document.URL,
+ * document.referrer and document.baseURI.
+ *
+ * With a URL codec other than plain the tag also carries data-codec (plus data-codec-key for
+ * xor and data-codec-prefix under aes-gcm) so URLs built here are encoded the way the server
+ * expects. AES tokens cannot be decoded in the browser; for those the runtime falls back to
+ * data-url as the current upstream URL.
+ *
+ * In service worker mode the tag also carries data-service-worker="/sw.js"; the runtime then
+ * registers public/js/proxySW.js, which intercepts requests this script cannot hook.
+ * Browsers without service workers simply keep using the hooks below.
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  if (!script || window.__sebRuntime) return;
+
+  var PROXY_PATH = script.getAttribute('data-proxy-path') || '/proxy?url=';
+  var RESOURCE_PATH = script.getAttribute('data-resource-path') || '/resource?url=';
+  var URL_SCHEME = script.getAttribute('data-url-scheme') || 'query';
+  var PATH_PREFIX = script.getAttribute('data-path-prefix') || '/p/';
+  var RESOURCE_PATH_PREFIX = script.getAttribute('data-resource-path-prefix') || '/r/';
+  var INITIAL_URL = script.getAttribute('data-url') || '';
+  var SERVICE_WORKER = script.getAttribute('data-service-worker');
+  var CODEC = script.getAttribute('data-codec') || 'plain';
+  var CODEC_KEY = script.getAttribute('data-codec-key') || '';
+  var CODEC_PREFIX = script.getAttribute('data-codec-prefix') || '';
+  var ORIGIN = window.location.origin;
+  var WS_PATH = '/?target='; // proxy/websocketHandler.js
+
+  var NAVIGATE = 'navigate';
+  var RESOURCE = 'resource';
+  var SKIP_SCHEMES = /^(?:data|javascript|blob|about|mailto|tel|sms):/i;
+  var ABSOLUTE_URL = /^[a-z][\w+.-]*:\/\//i;
+
+  // ---------------------------------------------------------------- URL codec (proxy/urlCodec.js)
+
+  function base64UrlEncode(text) {
+    var bytes = new TextEncoder().encode(text);
+    return bytesToBase64Url(bytes);
+  }
+
+  function bytesToBase64Url(bytes) {
+    var bin = '';
+    for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  function base64UrlBytes(token) {
+    var bin = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    var bytes = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  function xorBytes(bytes) {
+    var key = new TextEncoder().encode(CODEC_KEY);
+    var out = new Uint8Array(bytes.length);
+    for (var i = 0; i < bytes.length; i++) out[i] = bytes[i] ^ key[i % key.length];
+    return out;
+  }
+
+  function encodeTarget(url) {
+    if (CODEC === 'base64url') return CODEC_PREFIX + base64UrlEncode(url);
+    if (CODEC === 'xor') return CODEC_PREFIX + bytesToBase64Url(xorBytes(new TextEncoder().encode(url)));
+    return url;
+  }
+
+  function decodeTarget(token) {
+    // null when the token cannot be decoded here (e.g. AES tokens issued by the server)
+    if (CODEC === 'plain' || ABSOLUTE_URL.test(token)) return token;
+    if (CODEC_PREFIX) {
+      if (token.indexOf(CODEC_PREFIX) !== 0) return null;
+      token = token.slice(CODEC_PREFIX.length);
+    }
+    try {
+      var bytes = base64UrlBytes(token);
+      var url = new TextDecoder().decode(CODEC === 'xor' ? xorBytes(bytes) : bytes);
+      return ABSOLUTE_URL.test(url) ? url : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------- URL mapping
+
+  function localPath(value) {
+    var str = String(value);
+    return str.indexOf(ORIGIN) === 0 ? str.slice(ORIGIN.length) : str;
+  }
+
+  function isProxied(value) {
+    // true if value points at one of our proxy endpoints, whether or not it can be decoded here
+    var str = localPath(value);
+    if (str.indexOf(PROXY_PATH) === 0 || str.indexOf(RESOURCE_PATH) === 0) return true;
+    return [PATH_PREFIX, RESOURCE_PATH_PREFIX].some(function (prefix) {
+      return str.indexOf(prefix) === 0 && /^(?:https?\/|~)/i.test(str.slice(prefix.length));
+    });
+  }
+
+  function proxiedTarget(value) {
+    // returns the upstream URL if value points at one of our proxy endpoints, else null
+    var str = localPath(value);
+    var prefixes = [PROXY_PATH, RESOURCE_PATH];
+    for (var i = 0; i < prefixes.length; i++) {
+      if (str.indexOf(prefixes[i]) === 0) {
+        var rest = str.slice(prefixes[i].length);
+        var hash = '';
+        var h = rest.indexOf('#');
+        if (h !== -1) { hash = rest.slice(h); rest = rest.slice(0, h); }
+        var amp = rest.indexOf('&');
+        if (amp !== -1) rest = rest.slice(0, amp);
+        var target;
+        try { target = decodeTarget(decodeURIComponent(rest)); } catch (e) { return null; }
+        return target === null ? null : target + hash;
+      }
+    }
+    var pathPrefixes = [PATH_PREFIX, RESOURCE_PATH_PREFIX];
+    for (var j = 0; j < pathPrefixes.length; j++) {
+      if (str.indexOf(pathPrefixes[j]) !== 0) continue;
+      // /p/https/host/path?query -> https://host/path?query; /p/~<token>/path -> <origin>/path
+      var m = /^(?:(https?)\/([^\/?#]+)|~([^\/?#]+))(.*)$/i.exec(str.slice(pathPrefixes[j].length));
+      if (!m) continue;
+      var origin = m[1] ? m[1].toLowerCase() + '://' + m[2] : decodeTarget(m[3]);
+      if (!origin) return null;
+      return origin + (m[4].charAt(0) === '/' ? m[4] : '/' + m[4]);
+    }
+    return null;
+  }
+
+  function toProxied(abs, kind) {
+    if (URL_SCHEME === 'path') {
+      var u = new URL(abs);
+      var head = CODEC === 'plain' ? u.protocol.slice(0, -1) + '/' + u.host : '~' + encodeTarget(u.origin);
+      return (kind === NAVIGATE ? PATH_PREFIX : RESOURCE_PATH_PREFIX) + head + u.pathname + u.search + u.hash;
+    }
+    return (kind === NAVIGATE ? PROXY_PATH : RESOURCE_PATH) + encodeURIComponent(encodeTarget(abs));
+  }
+
+  function currentUrl() {
+    return proxiedTarget(window.location.href) || INITIAL_URL;
+  }
+
+  function resolve(value) {
+    try { return new URL(String(value), currentUrl()).href; } catch (e) { return null; }
+  }
+
+  function proxify(value, kind) {
+    if (value == null) return value;
+    var str = String(value).trim();
+    if (!str || str.charAt(0) === '#' || SKIP_SCHEMES.test(str)) return value;
+    if (isProxied(str)) return value;
+    var abs = resolve(str);
+    if (!abs || !/^https?:/i.test(abs)) return value;
+    return toProxied(abs, kind);
+  }
+
+  function unproxify(value) {
+    if (value == null || value === '') return value;
+    var target = proxiedTarget(value);
+    return target === null ? value : target;
+  }
+
+  function proxifySrcset(value) {
+    return String(value).split(/,\s+/).map(function (candidate) {
+      var parts = candidate.trim().split(/\s+/);
+      parts[0] = proxify(parts[0], RESOURCE);
+      return parts.join(' ');
+    }).join(', ');
+  }
+
+  function proxifyCss(value) {
+    return String(value).replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, function (m, q, u) {
+      return 'url(' + q + proxify(u, RESOURCE) + q + ')';
+    });
+  }
+
+  // ---------------------------------------------------------------- element attributes
+
+  var NAV_ATTRS = {
+    a: ['href'], area: ['href'], form: ['action'], button: ['formaction'], input: ['formaction'],
+    iframe: ['src'], frame: ['src'], embed: ['src'], object: ['data']
+  };
+  var RESOURCE_ATTRS = {
+    img: ['src', 'lowsrc'], script: ['src'], source: ['src'], audio: ['src'], video: ['src', 'poster'],
+    track: ['src'], input: ['src'], image: ['href', 'xlink:href'], use: ['href', 'xlink:href']
+  };
+  var RESOURCE_LINK_RELS = /\b(?:stylesheet|icon|apple-touch-icon|mask-icon|preload|prefetch|manifest)\b/i;
+  // module graphs go through /proxy (MODULE_KIND in proxy/proxyUrl.js) so each module has one URL
+  var MODULE_LINK_RELS = /\bmodulepreload\b/i;
+
+  function rewriteAttribute(el, name, value) {
+    var tag = (el.localName || '').toLowerCase();
+    var attr = String(name).toLowerCase();
+    if (value == null) return value;
+    if (attr === 'srcset' || attr === 'imagesrcset' || attr === 'data-srcset') return proxifySrcset(value);
+    if (attr === 'style') return proxifyCss(value);
+    if (attr === 'data-src') return proxify(value, RESOURCE);
+    if (tag === 'link' && attr === 'href') {
+      if (/\b(?:preconnect|dns-prefetch)\b/i.test(el.getAttribute('rel') || '')) return value;
+      if (MODULE_LINK_RELS.test(el.getAttribute('rel') || '')) return proxify(value, NAVIGATE);
+      return proxify(value, RESOURCE_LINK_RELS.test(el.getAttribute('rel') || '') ? RESOURCE : NAVIGATE);
+    }
+    if (tag === 'script' && attr === 'src' && /^module$/i.test(el.getAttribute('type') || '')) return proxify(value, NAVIGATE);
+    if (NAV_ATTRS[tag] && NAV_ATTRS[tag].indexOf(attr) !== -1) return proxify(value, NAVIGATE);
+    if (RESOURCE_ATTRS[tag] && RESOURCE_ATTRS[tag].indexOf(attr) !== -1) return proxify(value, RESOURCE);
+    return value;
+  }
+
+  // /resource rewrites scripts and stylesheets, so their upstream integrity hashes never match
+  function isIntegrity(el, name) {
+    return String(name).toLowerCase() === 'integrity' && /^(?:script|link)$/.test(el.localName || '');
+  }
+
+  var nativeSetAttribute = Element.prototype.setAttribute;
+  Element.prototype.setAttribute = function (name, value) {
+    if (isIntegrity(this, name)) return undefined;
+    return nativeSetAttribute.call(this, name, rewriteAttribute(this, name, value));
+  };
+
+  ['HTMLScriptElement', 'HTMLLinkElement'].forEach(function (name) {
+    var iface = window[name];
+    var desc = iface && Object.getOwnPropertyDescriptor(iface.prototype, 'integrity');
+    if (!desc || !desc.configurable) return;
+    Object.defineProperty(iface.prototype, 'integrity', {
+      configurable: true,
+      enumerable: desc.enumerable,
+      get: desc.get,
+      set: function () {}
+    });
+  });
+
+  var URL_PROPERTIES = [
+    ['HTMLAnchorElement', 'href'], ['HTMLAreaElement', 'href'], ['HTMLFormElement', 'action'],
+    ['HTMLButtonElement', 'formAction'], ['HTMLInputElement', 'formAction'], ['HTMLInputElement', 'src'],
+    ['HTMLIFrameElement', 'src'], ['HTMLFrameElement', 'src'], ['HTMLEmbedElement', 'src'],
+    ['HTMLObjectElement', 'data'], ['HTMLImageElement', 'src'], ['HTMLImageElement', 'srcset'],
+    ['HTMLScriptElement', 'src'], ['HTMLLinkElement', 'href'], ['HTMLSourceElement', 'src'],
+    ['HTMLSourceElement', 'srcset'], ['HTMLMediaElement', 'src'], ['HTMLVideoElement', 'poster'],
+    ['HTMLTrackElement', 'src']
+  ];
+
+  URL_PROPERTIES.forEach(function (entry) {
+    var iface = window[entry[0]];
+    if (!iface) return;
+    var desc = Object.getOwnPropertyDescriptor(iface.prototype, entry[1]);
+    if (!desc || !desc.set || !desc.configurable) return;
+    var attr = entry[1].toLowerCase();
+    Object.defineProperty(iface.prototype, entry[1], {
+      configurable: true,
+      enumerable: desc.enumerable,
+      get: function () {
+        var value = desc.get.call(this);
+        return attr === 'srcset' ? value : unproxify(value);
+      },
+      set: function (value) {
+        desc.set.call(this, rewriteAttribute(this, attr, value));
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------- HTML string sinks
+
+  var template = document.createElement('template');
+  var innerHTMLDesc = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
+  var outerHTMLDesc = Object.getOwnPropertyDescriptor(Element.prototype, 'outerHTML');
+
+  function rewriteFragmentElements(root) {
+    var nodes = root.querySelectorAll('*');
+    for (var i = 0; i < nodes.length; i++) {
+      var el = nodes[i];
+      var attrs = Array.prototype.slice.call(el.attributes);
+      for (var j = 0; j < attrs.length; j++) {
+        if (isIntegrity(el, attrs[j].name)) {
+          el.removeAttribute(attrs[j].name);
+          continue;
+        }
+        var next = rewriteAttribute(el, attrs[j].name, attrs[j].value);
+        if (next !== attrs[j].value) nativeSetAttribute.call(el, attrs[j].name, next);
+      }
+      if (el.localName === 'style') el.textContent = proxifyCss(el.textContent);
+    }
+  }
+
+  function rewriteHtmlString(html) {
+    if (typeof html !== 'string' || html.indexOf('<') === -1) return html;
+    // template content is inert: nothing is fetched while we rewrite it
+    innerHTMLDesc.set.call(template, html);
+    rewriteFragmentElements(template.content);
+    return innerHTMLDesc.get.call(template);
+  }
+
+  function rewriteMarkupLoose(html) {
+    // document.write() may receive partial tags, so only touch complete attribute values
+    if (typeof html !== 'string') return html;
+    return html.replace(/<([a-z][\w-]*)([^>]*)>/gi, function (m, tag, attrs) {
+      var fake = { localName: tag.toLowerCase(), getAttribute: function (n) {
+        var r = new RegExp('\\b' + n + '\\s*=\\s*([\'"])([^\'"]*)\\1', 'i').exec(attrs);
+        return r ? r[2] : null;
+      } };
+      return '<' + tag + attrs.replace(/\b([\w:-]+)\s*=\s*(['"])([^'"]*)\2/g, function (a, name, q, value) {
+        return name + '=' + q + rewriteAttribute(fake, name, value) + q;
+      }) + '>';
+    });
+  }
+
+  if (innerHTMLDesc && innerHTMLDesc.set) {
+    Object.defineProperty(Element.prototype, 'innerHTML', {
+      configurable: true,
+      enumerable: innerHTMLDesc.enumerable,
+      get: innerHTMLDesc.get,
+      set: function (value) {
+        var tag = (this.localName || '').toLowerCase();
+        innerHTMLDesc.set.call(this, tag === 'script' || tag === 'style' ? value : rewriteHtmlString(value));
+      }
+    });
+  }
+  if (outerHTMLDesc && outerHTMLDesc.set) {
+    Object.defineProperty(Element.prototype, 'outerHTML', {
+      configurable: true,
+      enumerable: outerHTMLDesc.enumerable,
+      get: outerHTMLDesc.get,
+      set: function (value) { outerHTMLDesc.set.call(this, rewriteHtmlString(value)); }
+    });
+  }
+
+  var nativeInsertAdjacentHTML = Element.prototype.insertAdjacentHTML;
+  Element.prototype.insertAdjacentHTML = function (position, html) {
+    return nativeInsertAdjacentHTML.call(this, position, rewriteHtmlString(html));
+  };
+
+  ['write', 'writeln'].forEach(function (name) {
+    var native = Document.prototype[name];
+    Document.prototype[name] = function () {
+      var args = Array.prototype.map.call(arguments, rewriteMarkupLoose);
+      return native.apply(this, args);
+    };
+  });
+
+  // ---------------------------------------------------------------- network APIs
+
+  var nativeFetch = window.fetch;
+  if (nativeFetch) {
+    window.fetch = function (input, init) {
+      if (typeof input === 'string' || input instanceof URL) {
+        input = proxify(String(input), NAVIGATE);
+      } else if (input && input.url && !isProxied(input.url)) {
+        input = new Request(proxify(input.url, NAVIGATE), input);
+      }
+      return nativeFetch.call(this, input, init);
+    };
+  }
+
+  var nativeOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    var args = Array.prototype.slice.call(arguments);
+    args[1] = proxify(url, NAVIGATE);
+    return nativeOpen.apply(this, args);
+  };
+
+  if (navigator.sendBeacon) {
+    var nativeBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function (url, data) {
+      return nativeBeacon.call(navigator, proxify(url, NAVIGATE), data);
+    };
+  }
+
+  function wrapConstructor(name, kind) {
+    var Native = window[name];
+    if (!Native) return;
+    var Wrapped = function (url, options) {
+      var args = Array.prototype.slice.call(arguments);
+      args[0] = proxify(url, kind);
+      return new (Function.prototype.bind.apply(Native, [null].concat(args)))();
+    };
+    Wrapped.prototype = Native.prototype;
+    Object.setPrototypeOf(Wrapped, Native);
+    window[name] = Wrapped;
+  }
+  var NativeWebSocket = window.WebSocket;
+  if (NativeWebSocket) {
+    var WrappedWebSocket = function (url, protocols) {
+      var target = resolve(url);
+      if (target) {
+        target = target.replace(/^http(s?):/i, 'ws$1:');
+        var scheme = window.location.protocol === 'https:' ? 'wss://' : 'ws://';
+        url = scheme + window.location.host + WS_PATH + encodeURIComponent(encodeTarget(target));
+      }
+      return protocols === undefined ? new NativeWebSocket(url) : new NativeWebSocket(url, protocols);
+    };
+    WrappedWebSocket.prototype = NativeWebSocket.prototype;
+    Object.setPrototypeOf(WrappedWebSocket, NativeWebSocket);
+    window.WebSocket = WrappedWebSocket;
+  }
+
+  wrapConstructor('EventSource', NAVIGATE);
+  wrapConstructor('Worker', RESOURCE);
+  wrapConstructor('SharedWorker', RESOURCE);
+
+  // ---------------------------------------------------------------- navigation
+
+  ['pushState', 'replaceState'].forEach(function (name) {
+    var native = History.prototype[name];
+    History.prototype[name] = function (state, title, url) {
+      var args = Array.prototype.slice.call(arguments);
+      if (url != null) args[2] = proxify(url, NAVIGATE);
+      return native.apply(this, args);
+    };
+  });
+
+  var nativeWindowOpen = window.open;
+  window.open = function (url) {
+    var args = Array.prototype.slice.call(arguments);
+    if (url) args[0] = proxify(url, NAVIGATE);
+    return nativeWindowOpen.apply(window, args);
+  };
+
+  // ---------------------------------------------------------------- location emulation
+
+  function navigate(value, replace) {
+    var next = proxify(value, NAVIGATE);
+    if (replace) window.location.replace(next);
+    else window.location.assign(next);
+  }
+
+  function parsed() {
+    try { return new URL(currentUrl()); } catch (e) { return new URL(window.location.href); }
+  }
+
+  var locationShim = {
+    assign: function (url) { navigate(url, false); },
+    replace: function (url) { navigate(url, true); },
+    reload: function () { window.location.reload(); },
+    toString: function () { return parsed().href; },
+    valueOf: function () { return locationShim; }
+  };
+  ['href', 'origin', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search', 'hash'].forEach(function (prop) {
+    Object.defineProperty(locationShim, prop, {
+      enumerable: true,
+      get: function () { return parsed()[prop]; },
+      set: function (value) {
+        if (prop === 'origin') return;
+        if (prop === 'hash') { window.location.hash = value; return; }
+        var next = parsed();
+        next[prop] = value;
+        navigate(prop === 'href' ? value : next.href, false);
+      }
+    });
+  });
+  Object.defineProperty(locationShim, 'ancestorOrigins', { get: function () { return window.location.ancestorOrigins; } });
+
+  var locationAccessor = {
+    configurable: true,
+    get: function () { return locationShim; },
+    set: function (value) { navigate(value, false); }
+  };
+  Object.defineProperty(window, '__sebLocation', locationAccessor);
+  Object.defineProperty(document, '__sebLocation', locationAccessor);
+
+  function defineDocumentGetter(prop, getter) {
+    try { Object.defineProperty(document, prop, { configurable: true, get: getter, set: function () {} }); } catch (e) { /* ignore */ }
+  }
+  defineDocumentGetter('domain', function () { return parsed().hostname; });
+  defineDocumentGetter('URL', function () { return parsed().href; });
+  defineDocumentGetter('documentURI', function () { return parsed().href; });
+  defineDocumentGetter('baseURI', function () { return parsed().href; });
+  var nativeReferrer = Object.getOwnPropertyDescriptor(Document.prototype, 'referrer');
+  if (nativeReferrer && nativeReferrer.get) {
+    defineDocumentGetter('referrer', function () { return unproxify(nativeReferrer.get.call(document)); });
+  }
+
+  // ---------------------------------------------------------------- service worker mode
+
+  if (SERVICE_WORKER && 'serviceWorker' in navigator && window.isSecureContext) {
+    var swUrl = SERVICE_WORKER +
+      '?proxy=' + encodeURIComponent(PROXY_PATH) +
+      '&resource=' + encodeURIComponent(RESOURCE_PATH) +
+      '&scheme=' + encodeURIComponent(URL_SCHEME) +
+      '&pathPrefix=' + encodeURIComponent(PATH_PREFIX) +
+      '&resourcePathPrefix=' + encodeURIComponent(RESOURCE_PATH_PREFIX) +
+      '&codec=' + encodeURIComponent(CODEC) +
+      '&codecKey=' + encodeURIComponent(CODEC_KEY) +
+      '&codecPrefix=' + encodeURIComponent(CODEC_PREFIX) +
+      '&runtime=' + encodeURIComponent(script.getAttribute('src') || '');
+    navigator.serviceWorker.register(swUrl, { scope: '/' }).catch(function () {
+      // registration failed: the static rewriting + hooks above keep working on their own
+    });
+  }
+
+  // ---------------------------------------------------------------- dynamic code
+
+  // rewriteJs (proxy/jsParser.js) wraps the code passed to eval(), Function() and string
+  // timers in __sebRewriteJs; network calls in that code already go through the hooks above,
+  // so only the location references need rewriting here
+  function rewriteJsString(code) {
+    if (typeof code !== 'string') return code;
+    return code
+      .replace(/\b(window|document|self|globalThis)\.location\b/g, '$1.__sebLocation')
+      .replace(/(^|[^.\w$])location(?=\s*(?:\.\s*(?:href|origin|protocol|host|hostname|port|pathname|search|hash|assign|replace|reload)\b|=(?!=)))/g, '$1__sebLocation');
+  }
+  window.__sebRewriteJs = rewriteJsString;
+  // rewritten modules wrap import.meta.resolve() in this, so scripts see upstream URLs
+  window.__sebUnproxify = unproxify;
+
+  window.__sebRuntime = { proxify: proxify, unproxify: unproxify, currentUrl: currentUrl, rewriteHtml: rewriteHtmlString, rewriteJs: rewriteJsString };
+})();
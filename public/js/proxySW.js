@@ -0,0 +1,191 @@
+/**
+ * proxySW.js
+ *
+ * Service worker for the opt-in interception mode (config.proxy.serviceWorker).
+ * server.js serves this file at /sw.js with `Service-Worker-Allowed: /`; proxyRuntime.js
+ * registers it as /sw.js?proxy=<proxyPath>&resource=<resourcePath>&scheme=<urlScheme>
+ * &pathPrefix=<pathPrefix>&resourcePathPrefix=<resourcePathPrefix>&codec=<client codec>
+ * &codecKey=<xor key>&codecPrefix=<aes-gcm client prefix>&runtime=<runtime script>.
+ *
+ * Every request made by a proxied page - navigations, subresources, fetch/XHR, requests
+ * built at runtime that static rewriting never saw - is mapped onto /proxy or /resource (/p/ or /r/ with the path URL scheme):
+ *  - absolute upstream URLs are wrapped directly
+ *  - same-origin URLs that are not proxy URLs (relative links the server pass missed) are
+ *    resolved against the upstream URL of the page that made the request
+ * Requests forwarded by the worker carry an `x-seb-sw: 1` header so the server knows the
+ * page is controlled and only needs its light HTML pass.
+ */
+/* eslint-env serviceworker */
+'use strict';
+
+var params = new URL(self.location.href).searchParams;
+var PROXY_PATH = params.get('proxy') || '/proxy?url=';
+var RESOURCE_PATH = params.get('resource') || '/resource?url=';
+var URL_SCHEME = params.get('scheme') || 'query';
+var PATH_PREFIX = params.get('pathPrefix') || '/p/';
+var RESOURCE_PATH_PREFIX = params.get('resourcePathPrefix') || '/r/';
+var CODEC = params.get('codec') || 'plain';
+var CODEC_KEY = params.get('codecKey') || '';
+var CODEC_PREFIX = params.get('codecPrefix') || '';
+var RUNTIME_PATH = params.get('runtime') || '/js/proxyRuntime.js';
+var ABSOLUTE_URL = /^[a-z][\w+.-]*:\/\//i;
+var SW_HEADER = 'x-seb-sw';
+
+// request destinations that are subresources (-> /resource); everything else -> /proxy
+var RESOURCE_DESTINATIONS = ['image', 'script', 'style', 'font', 'audio', 'video', 'track', 'manifest', 'worker', 'sharedworker', 'object', 'embed'];
+
+// URL codec, mirroring proxyRuntime.js (see proxy/urlCodec.js)
+function bytesToBase64Url(bytes) {
+  var bin = '';
+  for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function base64UrlBytes(token) {
+  var bin = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+  var bytes = new Uint8Array(bin.length);
+  for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function xorBytes(bytes) {
+  var key = new TextEncoder().encode(CODEC_KEY);
+  var out = new Uint8Array(bytes.length);
+  for (var i = 0; i < bytes.length; i++) out[i] = bytes[i] ^ key[i % key.length];
+  return out;
+}
+
+function encodeTarget(url) {
+  var bytes = new TextEncoder().encode(url);
+  if (CODEC === 'base64url') return CODEC_PREFIX + bytesToBase64Url(bytes);
+  if (CODEC === 'xor') return CODEC_PREFIX + bytesToBase64Url(xorBytes(bytes));
+  return url;
+}
+
+function decodeTarget(token) {
+  if (CODEC === 'plain' || ABSOLUTE_URL.test(token)) return token;
+  if (CODEC_PREFIX) {
+    if (token.indexOf(CODEC_PREFIX) !== 0) return null;
+    token = token.slice(CODEC_PREFIX.length);
+  }
+  try {
+    var bytes = base64UrlBytes(token);
+    var url = new TextDecoder().decode(CODEC === 'xor' ? xorBytes(bytes) : bytes);
+    return ABSOLUTE_URL.test(url) ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isProxied(url) {
+  var path = url.pathname + url.search;
+  if (path.indexOf(PROXY_PATH) === 0 || path.indexOf(RESOURCE_PATH) === 0) return true;
+  return [PATH_PREFIX, RESOURCE_PATH_PREFIX].some(function (prefix) {
+    return path.indexOf(prefix) === 0 && /^(?:https?\/|~)/i.test(path.slice(prefix.length));
+  });
+}
+
+function proxiedTarget(url) {
+  var path = url.pathname + url.search;
+  var prefixes = [PROXY_PATH, RESOURCE_PATH];
+  for (var i = 0; i < prefixes.length; i++) {
+    if (path.indexOf(prefixes[i]) === 0) {
+      var rest = path.slice(prefixes[i].length);
+      var amp = rest.indexOf('&');
+      if (amp !== -1) rest = rest.slice(0, amp);
+      try { return decodeTarget(decodeURIComponent(rest)); } catch (e) { return null; }
+    }
+  }
+  var pathPrefixes = [PATH_PREFIX, RESOURCE_PATH_PREFIX];
+  for (var j = 0; j < pathPrefixes.length; j++) {
+    if (path.indexOf(pathPrefixes[j]) !== 0) continue;
+    var m = /^(?:(https?)\/([^\/?#]+)|~([^\/?#]+))(.*)$/i.exec(path.slice(pathPrefixes[j].length));
+    if (!m) continue;
+    var origin = m[1] ? m[1].toLowerCase() + '://' + m[2] : decodeTarget(m[3]);
+    if (!origin) return null;
+    return origin + (m[4].charAt(0) === '/' ? m[4] : '/' + m[4]);
+  }
+  return null;
+}
+
+function toProxied(target, kind) {
+  if (URL_SCHEME === 'path') {
+    var u = new URL(target);
+    var head = CODEC === 'plain' ? u.protocol.slice(0, -1) + '/' + u.host : '~' + encodeTarget(u.origin);
+    return (kind === 'resource' ? RESOURCE_PATH_PREFIX : PATH_PREFIX) + head + u.pathname + u.search;
+  }
+  return (kind === 'resource' ? RESOURCE_PATH : PROXY_PATH) + encodeURIComponent(encodeTarget(target));
+}
+
+function isOwnAsset(url) {
+  return url.pathname === RUNTIME_PATH || url.pathname === self.location.pathname;
+}
+
+async function upstreamOf(clientId) {
+  if (!clientId) return null;
+  var client = await self.clients.get(clientId);
+  if (!client) return null;
+  return proxiedTarget(new URL(client.url));
+}
+
+async function forward(request, target, kind) {
+  var headers = new Headers(request.headers);
+  var navigate = request.mode === 'navigate';
+  if (navigate) headers.set(SW_HEADER, '1');
+  var init = {
+    method: request.method,
+    headers: headers,
+    credentials: 'same-origin',
+    redirect: navigate ? 'manual' : 'follow',
+    cache: request.cache === 'only-if-cached' ? 'default' : request.cache
+  };
+  if (request.method !== 'GET' && request.method !== 'HEAD') init.body = await request.arrayBuffer();
+  return fetch(toProxied(target, kind), init);
+}
+
+async function handle(event) {
+  var request = event.request;
+  var url = new URL(request.url);
+  var kind = request.mode !== 'navigate' && RESOURCE_DESTINATIONS.indexOf(request.destination) !== -1 ? 'resource' : 'proxy';
+  // module scripts are fetched in cors mode and must share the rewriting endpoint with their imports
+  if (request.destination === 'script' && request.mode === 'cors') kind = 'proxy';
+
+  if (url.origin === self.location.origin) {
+    if (isProxied(url)) {
+      // already proxied: only navigations need the marker header
+      return request.mode === 'navigate' ? forwardProxied(request) : fetch(request);
+    }
+    var base = await upstreamOf(event.clientId);
+    // our own UI, or a request from a page that is not proxied: leave it alone
+    if (!base || isOwnAsset(url)) return fetch(request);
+    return forward(request, new URL(url.pathname + url.search + url.hash, base).href, kind);
+  }
+
+  if (!/^https?:$/.test(url.protocol)) return fetch(request);
+  return forward(request, url.href, kind);
+}
+
+async function forwardProxied(request) {
+  var headers = new Headers(request.headers);
+  headers.set(SW_HEADER, '1');
+  var init = { method: request.method, headers: headers, credentials: 'same-origin', redirect: 'manual' };
+  if (request.method !== 'GET' && request.method !== 'HEAD') init.body = await request.arrayBuffer();
+  return fetch(request.url, init);
+}
+
+self.addEventListener('install', function () {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', function (event) {
+  var url = new URL(event.request.url);
+  // fast path: same-origin non-navigation requests for the proxy UI never need rewriting
+  if (url.origin === self.location.origin && event.request.mode !== 'navigate' && !event.clientId) return;
+  event.respondWith(handle(event).catch(function () {
+    return fetch(event.request);
+  }));
+});
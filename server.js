@@ -23,8 +23,8 @@ const stat = promisify(fs.stat);
 
 const CONFIG = require('./proxy/config'); // will be implemented; default safe values expected
 // We will implement these modules in the next batches:
-const { proxyHandler } = require('./proxy/proxyMiddleware'); // central handler
-const { initWebSocketServer } = require('./proxy/websocketHandler'); // ws server
+const { proxyHandler, resolveTargetUrl, getRewriteOptions } = require('./proxy/proxyMiddleware'); // central handler
+const { websocketHandler } = require('./proxy/websocketHandler'); // ws server
 const { generateErrorPage } = require('./proxy/errorPage'); // error pages
 const { logger } = require('./proxy/logger'); // logger module (writes to logs/proxy.log)
 
@@ -32,8 +32,8 @@ const app = express();
 const http = require('http').createServer(app);
 const PORT = process.env.PORT || 3000;
 
-// ensure logs directory exists
-const LOG_DIR = path.join(__dirname, 'logs');
+// ensure logs directory exists (logs/, or SEB_LOG_DIR)
+const LOG_DIR = path.dirname(CONFIG.getLogFile());
 if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
 
 // small helper to write to file-backed log (and console)
@@ -49,7 +49,9 @@ async function writeLog(level, msg) {
 }
 
 // ------------------ SECURITY ------------------
-app.use(helmet());
+// Referrer-Policy same-origin: proxied pages send their (proxied) URL along with requests to
+// the proxy, which translates it into the upstream Referer (see proxy/requestHeaders.js)
+app.use(helmet({ referrerPolicy: { policy: 'same-origin' } }));
 app.use(cookieParser());
 app.disable('x-powered-by');
 
@@ -67,6 +69,18 @@ app.use(limiter);
 // ------------------ STATIC FILES ------------------
 app.use(express.static(path.join(__dirname, 'public'), { extensions: ['html'] }));
 
+// ------------------ SERVICE WORKER ------------------
+// Interception mode (opt-in): proxied pages register this worker with scope "/"
+const SW = CONFIG.getServiceWorker();
+if (SW.enabled) {
+  app.get(SW.path, (req, res) => {
+    res.setHeader('Service-Worker-Allowed', '/');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.type('application/javascript');
+    res.sendFile(SW.file);
+  });
+}
+
 // root -> index.html
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -89,26 +103,73 @@ app.get('/search', async (req, res) => {
   }
 });
 
+// Path scheme routes: /p/<scheme>/<host>/<path> and /r/<scheme>/<host>/<path> (see proxy/proxyUrl.js)
+const PROXY_ROUTES = ['/proxy', `${CONFIG.getProxyDefaults().pathPrefix}*`];
+const RESOURCE_ROUTES = ['/resource', `${CONFIG.getProxyDefaults().resourcePathPrefix}*`];
+
+// Decode the upstream URL of a proxy/resource request; a bad token (see proxy/urlCodec.js)
+// gets an explanatory error page instead of a generic failure
+function targetOrErrorPage(req, res) {
+  try {
+    const target = resolveTargetUrl(req);
+    if (!target) res.status(400).send('No url');
+    return target;
+  } catch (err) {
+    const status = err.status || 400;
+    res.status(status).send(generateErrorPage({ status, url: req.originalUrl, message: 'This proxy link could not be decoded', details: err.message }));
+    return null;
+  }
+}
+
 // ------------------ RESOURCE ENDPOINT ------------------
-// Serve raw assets proxied (images, css, js) -- resource route will stream binary
-app.get('/resource', async (req, res) => {
-  const target = req.query.url;
-  if (!target) return res.status(400).send('No url');
+// Serve raw assets proxied (images, css, js) -- resource route will stream binary; stylesheets
+// are rewritten on the way through so their url()/@import references stay proxied
+app.get(RESOURCE_ROUTES, async (req, res) => {
+  const target = targetOrErrorPage(req, res);
+  if (!target) return;
   try {
     // proxy/fetcher will implement streamToResponse
     const fetcher = require('./proxy/fetcher');
-    await fetcher.streamToResponse(target, res, { incomingReq: req });
+    const { getSessionJar, cookieContext } = require('./proxy/cookies');
+    await fetcher.streamToResponse(target, res, {
+      incomingReq: req,
+      rewriteOptions: getRewriteOptions(),
+      cookieJar: getSessionJar(req, res),
+      cookieContext: cookieContext(req, target, getRewriteOptions())
+    });
   } catch (err) {
     await writeLog('error', `Resource fetch error for ${target}: ${err.message}`);
     res.status(502).send(generateErrorPage({ url: target, status: 502, message: 'Failed to load resource' }));
   }
 });
 
+// ------------------ SOURCE MAPS ------------------
+// Maps for scripts the proxy rewrote: ?url=<script>[&map=<SourceMap header>][&light=1]
+// (see proxy/sourceMap.js); the script is rewritten again with the same options to get the edits
+const SOURCE_MAP_ROUTE = CONFIG.getProxyDefaults().sourceMapPath.split('?')[0];
+app.get(SOURCE_MAP_ROUTE, async (req, res) => {
+  const target = targetOrErrorPage(req, res);
+  if (!target) return;
+  try {
+    const { decodeTarget } = require('./proxy/proxyUrl');
+    const { buildSourceMap } = require('./proxy/sourceMap');
+    const rewriteOptions = Object.assign({}, getRewriteOptions(), { locationOnly: req.query.light === '1' });
+    const mapUrl = req.query.map ? decodeTarget(String(req.query.map), rewriteOptions) : null;
+    const map = await buildSourceMap({ scriptUrl: target, mapUrl, rewriteOptions });
+    res.type('application/json').send(JSON.stringify(map));
+  } catch (err) {
+    await writeLog('error', `Source map error for ${target}: ${err.message}`);
+    res.status(err.status || 502).json({ error: 'Failed to build source map' });
+  }
+});
+
 // ------------------ MAIN PROXY ------------------
-// All proxied pages should hit /proxy?url=<encodedUrl>
-app.get('/proxy', async (req, res) => {
-  const target = req.query.url;
-  if (!target) return res.status(400).send('No url');
+// All proxied pages should hit /proxy?url=<encodedUrl> (or /p/<scheme>/<host>/<path>)
+// Every method is accepted so forms, uploads and XHR/fetch calls work; the request body is
+// streamed to the upstream by proxyHandler (no body parser is mounted on purpose)
+app.all(PROXY_ROUTES, async (req, res) => {
+  const target = targetOrErrorPage(req, res);
+  if (!target) return;
 
   try {
     // central orchestration middleware handles validation, caching, rewriting, and response
@@ -124,6 +185,80 @@ app.get('/proxy', async (req, res) => {
   }
 });
 
+// ------------------ SESSION COOKIES ------------------
+// The caller's own proxy session jar (see proxy/cookies.js, proxy/cookieStore.js):
+//   GET    /session/token                                  { token, header } for the calls below
+//   GET    /session/cookies[?domain=]                      list (a domain includes its subdomains)
+//   DELETE /session/cookies?domain=[&name=][&path=]        remove one site's cookies (?all=1: every cookie)
+//   GET    /session/cookies/export?format=netscape|json[&domain=]
+//   POST   /session/cookies/import[?format=netscape|json]  body: cookies.txt or JSON -> { imported, rejected }
+// Proxied pages share this origin, so every call must be a same-origin fetch/XHR from a page
+// that is not proxied, and all but /session/token must carry the session's token
+// (cookies.sessionApiRefusal); refusals are 403s.
+const COOKIE_ROUTE = '/session/cookies';
+const sessionApiGuard = ({ requireToken = true } = {}) => (req, res, next) => {
+  const { sessionApiRefusal } = require('./proxy/cookies');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Frame-Options', 'DENY');
+  const refusal = sessionApiRefusal(req, { requireToken, urlOptions: getRewriteOptions() });
+  if (refusal) return res.status(403).json({ error: refusal });
+  next();
+};
+
+app.get('/session/token', sessionApiGuard({ requireToken: false }), (req, res) => {
+  const { sessionToken, SESSION_TOKEN_HEADER } = require('./proxy/cookies');
+  res.json({ token: sessionToken(req, res), header: SESSION_TOKEN_HEADER });
+});
+const importFormat = (req, body) => {
+  const format = String(req.query.format || '').toLowerCase();
+  if (format === 'json' || format === 'netscape') return format;
+  if (format) return null;
+  return req.is('application/json') || /^\s*[[{]/.test(body) ? 'json' : 'netscape';
+};
+
+app.get(COOKIE_ROUTE, sessionApiGuard(), (req, res) => {
+  const { getSessionJar } = require('./proxy/cookies');
+  const { toJson } = require('./proxy/cookieStore');
+  const jar = getSessionJar(req, res);
+  res.type('application/json').send(toJson(jar.cookies({ domain: req.query.domain || null })));
+});
+
+app.delete(COOKIE_ROUTE, sessionApiGuard(), (req, res) => {
+  const { getSessionJar } = require('./proxy/cookies');
+  if (!req.query.domain && req.query.all !== '1') return res.status(400).json({ error: 'domain is required (or all=1)' });
+  const jar = getSessionJar(req, res);
+  const removed = jar.remove({
+    domain: req.query.domain || null,
+    name: req.query.name != null ? String(req.query.name) : null,
+    path: req.query.path != null ? String(req.query.path) : null
+  });
+  res.json({ removed });
+});
+
+app.get(`${COOKIE_ROUTE}/export`, sessionApiGuard(), (req, res) => {
+  const { getSessionJar } = require('./proxy/cookies');
+  const { toJson, toNetscape } = require('./proxy/cookieStore');
+  const format = String(req.query.format || '').toLowerCase();
+  if (format !== 'json' && format !== 'netscape') return res.status(400).json({ error: 'format must be netscape or json' });
+  const cookies = getSessionJar(req, res).cookies({ domain: req.query.domain || null });
+  res.attachment(format === 'json' ? 'cookies.json' : 'cookies.txt');
+  res.type(format === 'json' ? 'application/json' : 'text/plain').send(format === 'json' ? toJson(cookies) : toNetscape(cookies));
+});
+
+app.post(`${COOKIE_ROUTE}/import`, sessionApiGuard(), express.text({ type: () => true, limit: '1mb' }), (req, res) => {
+  const { getSessionJar } = require('./proxy/cookies');
+  const { fromJson, fromNetscape } = require('./proxy/cookieStore');
+  const body = typeof req.body === 'string' ? req.body : '';
+  const format = importFormat(req, body);
+  if (!format) return res.status(400).json({ error: 'format must be netscape or json' });
+  try {
+    const rows = format === 'json' ? fromJson(body) : fromNetscape(body);
+    res.json(getSessionJar(req, res).importCookies(rows));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // ------------------ LOG DOWNLOAD (admin convenience) ------------------
 app.get('/admin/logs/proxy.log', async (req, res) => {
   try {
@@ -137,6 +272,26 @@ app.get('/admin/logs/proxy.log', async (req, res) => {
   }
 });
 
+// ------------------ STATS (admin) ------------------
+// upstream connection pool (proxy/upstreamAgent.js), cache storage (proxy/resourceCache.js)
+// and coalesced requests (proxy/singleFlight.js)
+app.get('/admin/stats', async (req, res) => {
+  try {
+    const { poolStats } = require('./proxy/upstreamAgent');
+    const { flightStats } = require('./proxy/singleFlight');
+    const resourceCache = require('./proxy/resourceCache');
+    res.json({
+      upstream: poolStats(),
+      cache: await resourceCache.stats().catch(err => ({ error: err.message })),
+      flights: flightStats(),
+      uptime: process.uptime()
+    });
+  } catch (err) {
+    await writeLog('error', `Stats error: ${err.message}`);
+    res.status(500).json({ error: 'Unable to collect stats' });
+  }
+});
+
 // ------------------ HEALTH CHECK ------------------
 app.get('/_health', (req, res) => res.json({ ok: true, uptime: process.uptime() }));
 
@@ -148,7 +303,7 @@ app.use(async (err, req, res, next) => {
 
 // ------------------ WEBSOCKET INIT ------------------
 try {
-  initWebSocketServer(http); // sets up ws server on same http stack
+  websocketHandler(http); // sets up ws server on same http stack
   writeLog('info', 'WebSocket server initialized');
 } catch (e) {
   writeLog('warn', 'WebSocket server init failed: ' + e.message);
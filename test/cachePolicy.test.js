@@ -0,0 +1,135 @@
+/**
+ * cachePolicy.test.js
+ *
+ * RFC 9111 rules of cachePolicy.js: what may be stored, freshness, Vary variants (through
+ * resourceCache.js on a memory store), request directives, must-revalidate and the stale
+ * extensions (stale-while-revalidate, stale-if-error).
+ * Run with `npm test` (node:test, no dependencies).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cachePolicy = require('../proxy/cachePolicy');
+const resourceCache = require('../proxy/resourceCache');
+const { createMemoryStore } = require('../proxy/memoryStore');
+const { getCacheDefaults } = require('../proxy/config');
+
+const T = Date.parse('2026-01-01T00:00:00Z');
+const SECOND = 1000;
+
+// a stored response received at T (Date: T)
+function stored(headers, status = 200) {
+  return { status, headers: Object.assign({ date: new Date(T).toUTCString() }, headers), requestTime: T, responseTime: T };
+}
+const at = seconds => T + seconds * SECOND;
+
+test('isStorable', async (t) => {
+  await t.test('plain 200 and heuristic statuses are storable', () => {
+    assert.strictEqual(cachePolicy.isStorable(200, {}, {}), true);
+    assert.strictEqual(cachePolicy.isStorable(404, {}, {}), true);
+  });
+  await t.test('other statuses need explicit freshness', () => {
+    assert.strictEqual(cachePolicy.isStorable(500, {}, {}), false);
+    assert.strictEqual(cachePolicy.isStorable(500, {}, { 'cache-control': 'max-age=60' }), true);
+  });
+  await t.test('no-store, private, Set-Cookie and Vary: * are not', () => {
+    assert.strictEqual(cachePolicy.isStorable(200, {}, { 'cache-control': 'no-store' }), false);
+    assert.strictEqual(cachePolicy.isStorable(200, { 'Cache-Control': 'no-store' }, {}), false);
+    assert.strictEqual(cachePolicy.isStorable(200, {}, { 'cache-control': 'private, max-age=60' }), false);
+    assert.strictEqual(cachePolicy.isStorable(200, {}, { 'set-cookie': 'a=1' }), false);
+    assert.strictEqual(cachePolicy.isStorable(200, {}, { vary: 'Accept, *' }), false);
+  });
+  await t.test('responses to credentialed requests only when shared explicitly', () => {
+    assert.strictEqual(cachePolicy.isStorable(200, { Cookie: 'a=1' }, { 'cache-control': 'max-age=60' }), false);
+    assert.strictEqual(cachePolicy.isStorable(200, { Authorization: 'Basic x' }, {}), false);
+    assert.strictEqual(cachePolicy.isStorable(200, { Cookie: 'a=1' }, { 'cache-control': 'public, max-age=60' }), true);
+    assert.strictEqual(cachePolicy.isStorable(200, { Cookie: 'a=1' }, { 'cache-control': 's-maxage=60' }), true);
+  });
+});
+
+test('freshnessLifetime', async (t) => {
+  await t.test('s-maxage wins over max-age, which wins over Expires', () => {
+    const expires = new Date(at(600)).toUTCString();
+    assert.strictEqual(cachePolicy.freshnessLifetime(200, stored({ 'cache-control': 'max-age=60, s-maxage=30', expires }).headers), 30 * SECOND);
+    assert.strictEqual(cachePolicy.freshnessLifetime(200, stored({ 'cache-control': 'max-age=60', expires }).headers), 60 * SECOND);
+    assert.strictEqual(cachePolicy.freshnessLifetime(200, stored({ expires }).headers), 600 * SECOND);
+  });
+  await t.test('an invalid Expires means already expired', () => {
+    assert.strictEqual(cachePolicy.freshnessLifetime(200, stored({ expires: '0' }).headers), 0);
+  });
+  await t.test('heuristic: a fraction of the time since Last-Modified, capped', () => {
+    const lastModified = new Date(at(-1000)).toUTCString();
+    assert.strictEqual(cachePolicy.freshnessLifetime(200, stored({ 'last-modified': lastModified }).headers, { heuristicFraction: 0.1 }), 100 * SECOND);
+    assert.strictEqual(cachePolicy.freshnessLifetime(200, stored({ 'last-modified': lastModified }).headers, { heuristicFraction: 0.1, maxHeuristicMs: 5 * SECOND }), 5 * SECOND);
+    assert.strictEqual(cachePolicy.freshnessLifetime(500, stored({ 'last-modified': lastModified }).headers), 0);
+  });
+});
+
+test('currentAge counts the Age header and the time since', () => {
+  assert.strictEqual(cachePolicy.currentAge({ age: '10' }, { requestTime: T, responseTime: T }, at(5)), 15 * SECOND);
+});
+
+test('canServe', async (t) => {
+  const maxAge60 = stored({ 'cache-control': 'max-age=60' });
+
+  await t.test('fresh until max-age, stale after', () => {
+    assert.strictEqual(cachePolicy.canServe(maxAge60, {}, at(30)).fresh, true);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, {}, at(90)).fresh, false);
+  });
+  await t.test('request directives', () => {
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { 'cache-control': 'no-cache' }, at(1)).fresh, false);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { pragma: 'no-cache' }, at(1)).fresh, false);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { 'cache-control': 'max-age=10' }, at(30)).fresh, false);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { 'cache-control': 'min-fresh=40' }, at(30)).fresh, false);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { 'cache-control': 'max-stale=60' }, at(90)).fresh, true);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { 'cache-control': 'max-stale' }, at(9999)).fresh, true);
+  });
+  await t.test('response no-cache always revalidates', () => {
+    assert.strictEqual(cachePolicy.canServe(stored({ 'cache-control': 'no-cache, max-age=60' }), {}, at(1)).fresh, false);
+  });
+  await t.test('must-revalidate rules out max-stale and both stale extensions', () => {
+    const strict = stored({ 'cache-control': 'max-age=60, must-revalidate, stale-while-revalidate=600, stale-if-error=600' });
+    const result = cachePolicy.canServe(strict, { 'cache-control': 'max-stale' }, at(90));
+    assert.deepStrictEqual([result.fresh, result.staleWhileRevalidate, result.staleIfError], [false, false, false]);
+    assert.strictEqual(cachePolicy.canServe(stored({ 'cache-control': 's-maxage=60' }), {}, at(90)).staleIfError, false);
+  });
+  await t.test('stale-while-revalidate window', () => {
+    const swr = stored({ 'cache-control': 'max-age=60, stale-while-revalidate=30' });
+    assert.strictEqual(cachePolicy.canServe(swr, {}, at(80)).staleWhileRevalidate, true);
+    assert.strictEqual(cachePolicy.canServe(swr, {}, at(100)).staleWhileRevalidate, false);
+  });
+  await t.test('stale-if-error window, beyond the default retention', () => {
+    const beyond = 60 + getCacheDefaults().staleRetentionMs / SECOND + 60;
+    assert.strictEqual(cachePolicy.canServe(maxAge60, {}, at(90)).staleIfError, true);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, {}, at(beyond)).staleIfError, false);
+    const sie = stored({ 'cache-control': `max-age=60, stale-if-error=${beyond}` });
+    assert.strictEqual(cachePolicy.canServe(sie, {}, at(beyond)).staleIfError, true);
+    assert.strictEqual(cachePolicy.canServe(maxAge60, { 'cache-control': `stale-if-error=${beyond}` }, at(beyond)).staleIfError, true);
+  });
+});
+
+test('revalidation headers', () => {
+  const withValidators = stored({ etag: '"v1"', 'last-modified': new Date(at(-60)).toUTCString(), age: '5' });
+  assert.deepStrictEqual(Object.keys(cachePolicy.conditionalHeaders(withValidators)).sort(), ['if-modified-since', 'if-none-match']);
+  const updated = cachePolicy.updateHeaders(withValidators.headers, { etag: '"v2"', 'cache-control': 'max-age=5' });
+  assert.strictEqual(updated.etag, '"v2"');
+  assert.strictEqual(updated['cache-control'], 'max-age=5');
+  assert.strictEqual(updated.age, undefined);
+});
+
+test('Vary: each variant is stored and found under its own request headers', async () => {
+  resourceCache.setStore(createMemoryStore());
+  const response = (lang) => ({
+    status: 200,
+    requestHeaders: { 'Accept-Language': lang },
+    headers: { 'cache-control': 'max-age=60', vary: 'Accept-Language' }
+  });
+  assert.strictEqual(await resourceCache.storeResponse('page', response('en'), { body: 'english' }), true);
+  assert.strictEqual(await resourceCache.storeResponse('page', response('fr'), { body: 'french' }), true);
+
+  assert.strictEqual((await resourceCache.lookupResponse('page', { 'accept-language': 'en' })).value.body, 'english');
+  assert.strictEqual((await resourceCache.lookupResponse('page', { 'Accept-Language': ' fr ' })).value.body, 'french');
+  assert.strictEqual(await resourceCache.lookupResponse('page', { 'Accept-Language': 'de' }), null);
+  assert.strictEqual(await resourceCache.lookupResponse('page', {}), null);
+  assert.deepStrictEqual(cachePolicy.varyNames({ vary: 'Accept-Language, accept-encoding' }), ['accept-encoding', 'accept-language']);
+});
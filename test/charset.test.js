@@ -0,0 +1,131 @@
+/**
+ * charset.test.js
+ *
+ * Character set detection and transcoding (charset.js): BOM, Content-Type and in-body
+ * declarations in that order, decoding split at any byte, and /proxy serving Shift_JIS,
+ * windows-1251 and GBK pages, stylesheets and scripts as UTF-8.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const {
+  charsetFromContentType, normalizeCharset, kindForContentType, sniffCharset, createDecoder, decodeBody, utf8ContentType
+} = require('../proxy/charset');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+// "日本語" in Shift_JIS, "Привет" in windows-1251, "中文" in GBK
+const SJIS = Buffer.from([0x93, 0xFA, 0x96, 0x7B, 0x8C, 0xEA]);
+const CP1251 = Buffer.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2]);
+const GBK = Buffer.from([0xD6, 0xD0, 0xCE, 0xC4]);
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('labels', () => {
+  assert.strictEqual(charsetFromContentType('text/html; charset=Shift_JIS'), 'Shift_JIS');
+  assert.strictEqual(charsetFromContentType('text/css; charset="GBK"'), 'GBK');
+  assert.strictEqual(charsetFromContentType('text/html'), null);
+  assert.strictEqual(normalizeCharset('x-sjis'), 'shift_jis');
+  // as in browsers, latin1 and ASCII labels mean windows-1252
+  assert.strictEqual(normalizeCharset('iso-8859-1'), 'windows-1252');
+  assert.strictEqual(normalizeCharset('us-ascii'), 'windows-1252');
+  assert.strictEqual(normalizeCharset('bogus'), null);
+  assert.deepStrictEqual(['text/html', 'image/svg+xml', 'text/css', 'application/javascript'].map(kindForContentType), ['html', 'xml', 'css', 'text']);
+  assert.strictEqual(utf8ContentType('text/html; charset="Shift_JIS"; foo=bar'), 'text/html; foo=bar; charset=utf-8');
+  assert.strictEqual(utf8ContentType('text/css'), 'text/css; charset=utf-8');
+});
+
+test('sniffing order: BOM, header, body, UTF-8', () => {
+  const meta = Buffer.from('<meta charset="shift_jis">');
+  const sniff = (head, options) => sniffCharset(head, options);
+  assert.deepStrictEqual(sniff(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), meta]), { kind: 'html', declared: 'gbk' }),
+    { charset: 'utf-8', source: 'bom', bomLength: 3 });
+  assert.strictEqual(sniff(Buffer.from([0xFF, 0xFE, 0x41, 0x00])).charset, 'utf-16le');
+  assert.strictEqual(sniff(Buffer.from([0xFE, 0xFF, 0x00, 0x41])).charset, 'utf-16be');
+  assert.deepStrictEqual(sniff(meta, { kind: 'html', declared: 'gbk' }), { charset: 'gbk', source: 'header', bomLength: 0 });
+  assert.deepStrictEqual(sniff(meta, { kind: 'html', declared: 'bogus' }), { charset: 'shift_jis', source: 'body', bomLength: 0 });
+  assert.strictEqual(sniff(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=windows-1251">'), { kind: 'html' }).charset, 'windows-1251');
+  assert.strictEqual(sniff(Buffer.from('<meta charset=utf-16>'), { kind: 'html' }).charset, 'utf-8', 'UTF-16 without a BOM is UTF-8');
+  assert.strictEqual(sniff(Buffer.from('@charset "GBK";\na{}'), { kind: 'css' }).charset, 'gbk');
+  assert.strictEqual(sniff(Buffer.from('<?xml version="1.0" encoding="Shift_JIS"?><svg/>'), { kind: 'xml' }).charset, 'shift_jis');
+  // declarations only count for their own kind, and only within the first 1024 bytes
+  assert.strictEqual(sniff(Buffer.from('@charset "GBK";'), { kind: 'text' }).source, 'default');
+  assert.strictEqual(sniff(Buffer.from(' '.repeat(1100) + '<meta charset=gbk>'), { kind: 'html' }).source, 'default');
+});
+
+test('decoding is the same however the bytes are split', () => {
+  const body = Buffer.concat([Buffer.from('<html><head><meta charset="shift_jis"></head><body>' + ' '.repeat(1100)), SJIS, Buffer.from('</body>')]);
+  const whole = decodeBody(body, { kind: 'html' });
+  assert.ok(whole.endsWith(' 日本語</body>'));
+  for (const size of [1, 3, 1024, 1025]) {
+    const decoder = createDecoder({ kind: 'html' });
+    let out = '';
+    for (let i = 0; i < body.length; i += size) out += decoder.write(body.subarray(i, i + size));
+    assert.strictEqual(out + decoder.end(), whole, `chunks of ${size}`);
+  }
+  // a short body still sniffs at the end; the BOM is not part of the text
+  assert.strictEqual(decodeBody(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('a')])), 'a');
+  assert.strictEqual(decodeBody(CP1251, { declared: 'windows-1251' }), 'Привет');
+});
+
+test('/proxy serves other charsets as UTF-8', async (t) => {
+  const BODIES = {
+    '/sjis.html': ['text/html', Buffer.concat([Buffer.from('<meta charset="Shift_JIS"><p>'), SJIS, Buffer.from('</p><a href="/n">x</a>')])],
+    '/cp1251.html': ['text/html; charset=windows-1251', Buffer.concat([Buffer.from('<p>'), CP1251, Buffer.from('</p>')])],
+    '/gbk.css': ['text/css; charset=GBK', Buffer.concat([Buffer.from('.a::after{content:"'), GBK, Buffer.from('"} .b{background:url(b.png)}')])],
+    '/sjis.js': ['application/javascript; charset=Shift_JIS', Buffer.concat([Buffer.from('var s = "'), SJIS, Buffer.from('"; fetch("/api");')])],
+    '/raw.bin': ['application/octet-stream', SJIS]
+  };
+  const upstream = http.createServer((req, res) => {
+    const [type, body] = BODIES[req.url];
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(body);
+  });
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const get = path => new Promise((resolve, reject) => {
+    const target = encodeURIComponent(`http://127.0.0.1:${upstreamPort}${path}`);
+    http.get({ host: '127.0.0.1', port: proxyPort, path: `/proxy?url=${target}` }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ type: res.headers['content-type'], body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+
+  await t.test('an HTML page declaring its charset in <meta>', async () => {
+    const { type, body } = await get('/sjis.html');
+    assert.strictEqual(type, 'text/html; charset=utf-8');
+    const text = body.toString('utf8');
+    assert.ok(text.includes('<p>日本語</p>'));
+    assert.ok(text.includes('href="/proxy?url='));
+  });
+
+  await t.test('an HTML page declaring its charset in Content-Type', async () => {
+    const { type, body } = await get('/cp1251.html');
+    assert.strictEqual(type, 'text/html; charset=utf-8');
+    assert.ok(body.toString('utf8').includes('<p>Привет</p>'));
+  });
+
+  await t.test('a stylesheet and a script', async () => {
+    const css = await get('/gbk.css');
+    assert.strictEqual(css.type, 'text/css; charset=utf-8');
+    assert.ok(css.body.toString('utf8').startsWith('.a::after{content:"中文"} .b{background:url(/resource?url='));
+    const js = await get('/sjis.js');
+    assert.strictEqual(js.type, 'application/javascript; charset=utf-8');
+    assert.match(js.body.toString('utf8'), /^var s = "日本語"; fetch\("\/proxy\?url=/);
+  });
+
+  await t.test('bodies that are not rewritten keep their bytes and type', async () => {
+    const { type, body } = await get('/raw.bin');
+    assert.strictEqual(type, 'application/octet-stream');
+    assert.ok(body.equals(SJIS));
+  });
+});
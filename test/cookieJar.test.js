@@ -0,0 +1,191 @@
+/**
+ * cookieJar.test.js
+ *
+ * The per-session server-side cookie jar of cookies.js (RFC 6265): Set-Cookie parsing and
+ * refusals, host-only vs Domain cookies, path matching, expiry, Secure, SameSite, the
+ * __Secure- / __Host- prefixes, limits, and /proxy keeping upstream cookies in the jar while
+ * the browser only holds the session ID.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const {
+  defaultCookiePath, domainMatch, pathMatch, siteOf, parseSetCookie, cookieContext, createCookieJar, getSessionJar
+} = require('../proxy/cookies');
+const { getCookieJarDefaults } = require('../proxy/config');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+const SITE = 'https://www.example.com/account/login';
+const SAME_SITE = { sameSite: true, topLevelNavigation: true, safeMethod: true };
+const CROSS_SITE_NAV = { sameSite: false, topLevelNavigation: true, safeMethod: true };
+const CROSS_SITE_SUB = { sameSite: false, topLevelNavigation: false, safeMethod: true };
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('matching helpers', () => {
+  assert.deepStrictEqual(['', '/', '/a', '/a/', '/a/b/c'].map(defaultCookiePath), ['/', '/', '/', '/a', '/a/b']);
+  assert.ok(domainMatch('www.example.com', 'example.com'));
+  assert.ok(domainMatch('example.com', 'example.com'));
+  assert.ok(!domainMatch('badexample.com', 'example.com'));
+  assert.ok(!domainMatch('1.2.3.4', '2.3.4'), 'IP addresses only match exactly');
+  assert.ok(pathMatch('/a/b', '/a'));
+  assert.ok(pathMatch('/a/b', '/a/'));
+  assert.ok(pathMatch('/a', '/a'));
+  assert.ok(!pathMatch('/ab', '/a'));
+  assert.ok(!pathMatch('/', '/a'));
+  assert.strictEqual(siteOf('https://a.b.example.co/x'), 'https://example.co');
+  assert.strictEqual(siteOf('wss://chat.example.com/'), 'https://example.com');
+});
+
+test('parseSetCookie', async (t) => {
+  await t.test('defaults: host-only, default path, session, Lax', () => {
+    const c = parseSetCookie('sid=abc', SITE, 1000);
+    assert.deepStrictEqual(c, {
+      name: 'sid', value: 'abc', domain: 'www.example.com', hostOnly: true, path: '/account',
+      expires: null, secure: false, httpOnly: false, sameSite: 'lax', creation: 1000, lastAccess: 1000
+    });
+  });
+
+  await t.test('attributes', () => {
+    const c = parseSetCookie('a=1; Domain=.Example.com; Path=/; Max-Age=60; Expires=Wed, 01 Jan 2020 00:00:00 GMT; Secure; HttpOnly; SameSite=Strict', SITE, 1000);
+    assert.deepStrictEqual([c.domain, c.hostOnly, c.path, c.expires, c.secure, c.httpOnly, c.sameSite],
+      ['example.com', false, '/', 61000, true, true, 'strict'], 'Max-Age wins over Expires');
+    assert.strictEqual(parseSetCookie('a=1; Expires=Wed, 01 Jan 2020 00:00:00 GMT', SITE).expires, Date.UTC(2020, 0, 1));
+    assert.strictEqual(parseSetCookie('a=1; Max-Age=0', SITE).expires, 0);
+    assert.strictEqual(parseSetCookie('a=1; Path=relative', SITE).path, '/account');
+    assert.strictEqual(parseSetCookie('a=1; SameSite=bogus', SITE).sameSite, 'lax');
+  });
+
+  await t.test('refusals', () => {
+    for (const header of [
+      'novalue',
+      '=1',
+      'a=1; Domain=other.com', // not a domain of the request host
+      'a=1; Domain=com', // dotless: a public suffix stand-in
+      'a=1; SameSite=None', // None needs Secure
+      '__Secure-a=1', // prefix needs Secure
+      '__Host-a=1; Secure', // needs an explicit Path=/
+      '__Host-a=1; Secure; Path=/; Domain=example.com', // and to be host-only
+      'a=1\x01'
+    ]) assert.strictEqual(parseSetCookie(header, SITE), null, header);
+    assert.strictEqual(parseSetCookie('a=1; Secure', 'http://www.example.com/'), null, 'Secure only from https');
+    assert.ok(parseSetCookie('__Host-a=1; Secure; Path=/', SITE));
+    assert.ok(parseSetCookie('a=1; Domain=localhost', 'http://localhost/'), 'a dotless host may name itself');
+  });
+});
+
+test('the jar sends only the cookies that match the request', () => {
+  const jar = createCookieJar();
+  jar.setCookie('host=1; Path=/', SITE);
+  jar.setCookie('dom=2; Domain=example.com; Path=/', SITE);
+  jar.setCookie('deep=3; Path=/account/settings', SITE);
+  jar.setCookie('sec=4; Path=/; Secure', SITE);
+  assert.strictEqual(jar.cookieHeader('https://www.example.com/account/settings/x'), 'deep=3; host=1; dom=2; sec=4', 'longer paths first');
+  assert.strictEqual(jar.cookieHeader('https://api.example.com/'), 'dom=2', 'host-only cookies stay on their host');
+  assert.strictEqual(jar.cookieHeader('http://www.example.com/'), 'host=1; dom=2', 'Secure only to https');
+  assert.strictEqual(jar.cookieHeader('wss://www.example.com/ws'), 'host=1; dom=2; sec=4', 'WebSockets get the https cookies');
+  assert.strictEqual(jar.cookieHeader('https://example.org/'), '');
+});
+
+test('replacing, expiring and deleting', () => {
+  const jar = createCookieJar();
+  jar.setCookie('a=1; Path=/', SITE);
+  jar.setCookie('a=2; Path=/', SITE);
+  assert.strictEqual(jar.cookieHeader(SITE), 'a=2');
+  assert.strictEqual(jar.size, 1);
+  jar.setCookie('a=; Path=/; Max-Age=0', SITE);
+  assert.strictEqual(jar.size, 0);
+  jar.setCookie('b=1; Path=/; Expires=' + new Date(Date.now() - 1000).toUTCString(), SITE);
+  assert.strictEqual(jar.size, 0, 'a past date is a deletion');
+  jar.setCookie('c=1; Path=/', SITE);
+  jar.setCookie('c=other; Path=/account', SITE);
+  assert.strictEqual(jar.cookieHeader(SITE), 'c=other; c=1', 'same name, different path: two cookies');
+});
+
+test('SameSite', () => {
+  const jar = createCookieJar();
+  jar.setCookie('strict=1; Path=/; SameSite=Strict', SITE);
+  jar.setCookie('lax=1; Path=/; SameSite=Lax', SITE);
+  jar.setCookie('default=1; Path=/', SITE);
+  jar.setCookie('none=1; Path=/; SameSite=None; Secure', SITE);
+  assert.strictEqual(jar.cookieHeader(SITE, SAME_SITE), 'strict=1; lax=1; default=1; none=1');
+  assert.strictEqual(jar.cookieHeader(SITE, CROSS_SITE_NAV), 'lax=1; default=1; none=1');
+  assert.strictEqual(jar.cookieHeader(SITE, CROSS_SITE_SUB), 'none=1');
+  assert.strictEqual(jar.cookieHeader(SITE, Object.assign({}, CROSS_SITE_NAV, { safeMethod: false })), 'none=1', 'a cross-site POST navigation');
+});
+
+test('cookieContext reads the initiating page from the proxied Referer', () => {
+  const req = (headers, method = 'GET') => ({ method, headers });
+  const referer = page => 'http://127.0.0.1:8080/proxy?url=' + encodeURIComponent(page);
+  assert.deepStrictEqual(cookieContext(req({}), SITE), SAME_SITE, 'typed address');
+  assert.strictEqual(cookieContext(req({ referer: referer('https://shop.example.com/') }), SITE).sameSite, true);
+  assert.deepStrictEqual(cookieContext(req({ referer: referer('https://evil.example.net/'), 'sec-fetch-mode': 'no-cors', 'sec-fetch-dest': 'image' }), SITE), CROSS_SITE_SUB);
+  assert.deepStrictEqual(cookieContext(req({ referer: referer('https://evil.example.net/'), 'sec-fetch-mode': 'navigate', 'sec-fetch-dest': 'document' }, 'POST'), SITE),
+    { sameSite: false, topLevelNavigation: true, safeMethod: false });
+});
+
+test('limits evict the least recently used cookies', () => {
+  const jar = createCookieJar({ maxCookiesPerDomain: 2, maxCookies: 3 });
+  jar.setCookie('a=1; Path=/', SITE);
+  jar.setCookie('b=1; Path=/', SITE);
+  jar.setCookie('c=1; Path=/', SITE);
+  assert.deepStrictEqual(jar.cookies().map(c => c.name).sort(), ['b', 'c']);
+  jar.setCookie('d=1', 'https://one.example.org/');
+  jar.setCookie('e=1', 'https://two.example.org/');
+  assert.strictEqual(jar.size, 3);
+});
+
+test('/proxy keeps upstream cookies in the session jar', async (t) => {
+  const seen = [];
+  const upstream = http.createServer((req, res) => {
+    seen.push(req.headers.cookie || '');
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Set-Cookie': ['up=1; Path=/', 'scoped=2; Path=/only'] });
+    res.end('ok');
+  });
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const get = (path, cookie) => new Promise((resolve, reject) => {
+    const target = encodeURIComponent(`http://127.0.0.1:${upstreamPort}${path}`);
+    http.get({ host: '127.0.0.1', port: proxyPort, path: `/proxy?url=${target}`, headers: cookie ? { Cookie: cookie } : {} }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.headers['set-cookie'] || []));
+    }).on('error', reject);
+  });
+
+  const name = getCookieJarDefaults().sessionCookie;
+  const first = await get('/');
+  assert.strictEqual(first.length, 1, 'only the session cookie reaches the browser');
+  assert.match(first[0], new RegExp(`^${name.replace('.', '\\.')}=[A-Za-z0-9_-]{32}; Path=/; HttpOnly; SameSite=Lax$`));
+  assert.strictEqual(seen[0], '');
+
+  const session = first[0].split(';')[0];
+  assert.deepStrictEqual(await get('/only/page', `${session}; ui_theme=dark`), [], 'a known session gets no new cookie');
+  assert.strictEqual(seen[1], 'scoped=2; up=1', 'the jar\'s cookies, not the browser\'s');
+  await get('/', session);
+  assert.strictEqual(seen[2], 'up=1');
+
+  // an unknown session ID is replaced, with an empty jar
+  const fresh = await get('/', `${name}=${'x'.repeat(32)}`);
+  assert.strictEqual(fresh.length, 1);
+  assert.strictEqual(seen[3], '');
+});
+
+test('getSessionJar', () => {
+  const appended = [];
+  const res = { headersSent: false, append: (name, value) => appended.push([name, value]) };
+  const jar = getSessionJar({ headers: {}, secure: true }, res);
+  assert.strictEqual(appended.length, 1);
+  assert.match(appended[0][1], /; Path=\/; HttpOnly; Secure; SameSite=Lax$/, 'Secure behind https');
+  const cookie = appended[0][1].split(';')[0];
+  assert.strictEqual(getSessionJar({ headers: { cookie } }, res), jar);
+  assert.strictEqual(appended.length, 1);
+});
@@ -0,0 +1,147 @@
+/**
+ * cookieStore.test.js
+ *
+ * Persistent session jars and cookie exchange (cookieStore.js, cookies.js): cookies.txt and
+ * JSON export / import round-trips, imports held to the jar's rules with rejected rows
+ * counted, per-site removal, jars surviving a restart (a second process), the idle sweep,
+ * and the session API refusals.
+ * Run with `npm test` (node:test); session files go to a temporary SEB_SESSION_DIR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SEB_SESSION_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'seb-sessions-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const cookieStore = require('../proxy/cookieStore');
+const { createCookieJar, getSessionJar, sessionToken, sessionApiRefusal, SESSION_TOKEN_HEADER } = require('../proxy/cookies');
+const { getCookieJarDefaults } = require('../proxy/config');
+
+const SITE = 'https://www.example.com/';
+const IN_A_DAY = Date.now() + 24 * 3600 * 1000;
+
+test.after(() => fs.rmSync(process.env.SEB_SESSION_DIR, { recursive: true, force: true }));
+
+function sampleJar() {
+  const jar = createCookieJar();
+  jar.setCookie('sid=abc; Path=/; HttpOnly; Secure; SameSite=Strict', SITE);
+  jar.setCookie(`pref=a b; Domain=example.com; Path=/app; Expires=${new Date(IN_A_DAY).toUTCString()}`, SITE);
+  jar.setCookie('other=1; Path=/', 'https://example.org/');
+  return jar;
+}
+const fields = c => [c.name, c.value, c.domain, c.hostOnly, c.path, c.expires && Math.floor(c.expires / 1000), c.secure, c.httpOnly];
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+test('cookies.txt', () => {
+  const cookies = sampleJar().cookies().sort(byName);
+  const text = cookieStore.toNetscape(cookies);
+  assert.ok(text.startsWith('# Netscape HTTP Cookie File\n'));
+  assert.ok(text.includes('#HttpOnly_www.example.com\tFALSE\t/\tTRUE\t0\tsid\tabc\n'));
+  assert.ok(text.includes(`.example.com\tTRUE\t/app\tFALSE\t${Math.floor(IN_A_DAY / 1000)}\tpref\ta b\n`));
+
+  const jar = createCookieJar();
+  assert.deepStrictEqual(jar.importCookies(cookieStore.fromNetscape(text)), { imported: 3, rejected: 0 });
+  assert.deepStrictEqual(jar.cookies().sort(byName).map(fields), cookies.map(fields));
+  // SameSite has no column: imported as Lax
+  assert.strictEqual(jar.cookies().find(c => c.name === 'sid').sameSite, 'lax');
+});
+
+test('JSON', () => {
+  const cookies = sampleJar().cookies().sort(byName);
+  const doc = JSON.parse(cookieStore.toJson(cookies));
+  assert.strictEqual(doc.version, 1);
+  assert.strictEqual(doc.cookies.find(c => c.name === 'pref').expires, new Date(Math.floor(IN_A_DAY / 1000) * 1000).toISOString());
+  const jar = createCookieJar();
+  assert.deepStrictEqual(jar.importCookies(cookieStore.fromJson(JSON.stringify(doc))), { imported: 3, rejected: 0 });
+  assert.deepStrictEqual(jar.cookies().sort(byName).map(c => [c.name, c.sameSite]), [['other', 'lax'], ['pref', 'lax'], ['sid', 'strict']]);
+  // a bare array is accepted too; invalid JSON is a 400
+  assert.strictEqual(cookieStore.fromJson('[{"name":"a"}]').length, 1);
+  assert.throws(() => cookieStore.fromJson('{nope'), err => err.status === 400);
+});
+
+test('imports are held to the jar\'s rules and rejected rows are counted', () => {
+  const rows = cookieStore.fromNetscape([
+    '# comment',
+    '',
+    'www.example.com\tFALSE\t/\tFALSE\t0\tok\t1',
+    '.com\tTRUE\t/\tFALSE\t0\tsuffix\t1', // Domain cookie on a dotless domain
+    'www.example.com\tFALSE\t/\tFALSE\t1\texpired\t1',
+    'www.example.com\tFALSE\t/\tFALSE\t0\t__Secure-x\t1', // prefix without Secure
+    '.example.com\tTRUE\t/\tTRUE\t0\t__Host-x\t1', // __Host- with a Domain
+    'too\tfew\tfields'
+  ].join('\n'));
+  const jar = createCookieJar();
+  assert.deepStrictEqual(jar.importCookies(rows), { imported: 1, rejected: 5 });
+  const json = [{ name: 'n', value: '1', domain: 'example.com', sameSite: 'None' }, { name: '', domain: 'example.com' }, { name: 'x;y', domain: 'example.com' }];
+  assert.deepStrictEqual(jar.importCookies(json), { imported: 0, rejected: 3 });
+  assert.deepStrictEqual(jar.cookies().map(c => c.name), ['ok']);
+});
+
+test('listing and removing one site\'s cookies', () => {
+  const jar = sampleJar();
+  jar.setCookie('api=1; Path=/', 'https://api.example.com/');
+  assert.deepStrictEqual(jar.cookies({ domain: 'example.com' }).map(c => c.name).sort(), ['api', 'pref', 'sid'], 'subdomains included');
+  assert.deepStrictEqual(jar.cookies({ domain: 'api.example.com' }).map(c => c.name), ['api']);
+  assert.strictEqual(jar.remove({ domain: 'example.com', name: 'pref' }), 1);
+  assert.strictEqual(jar.remove({ domain: '.example.com' }), 2);
+  assert.deepStrictEqual(jar.cookies().map(c => c.name), ['other']);
+});
+
+test('session files', () => {
+  const dir = getCookieJarDefaults().storeDir;
+  assert.strictEqual(dir, process.env.SEB_SESSION_DIR);
+  cookieStore.saveSession('some-session-id', { lastSeen: 5, cookies: [{ name: 'a' }] });
+  assert.deepStrictEqual(cookieStore.loadSession('some-session-id'), { lastSeen: 5, cookies: [{ name: 'a' }] });
+  const files = fs.readdirSync(dir);
+  assert.ok(files.every(f => /^[0-9a-f]{64}\.json$/.test(f)), 'named by a hash, not the ID');
+
+  const old = path.join(dir, files[0]);
+  fs.utimesSync(old, new Date(Date.now() - 3600e3), new Date(Date.now() - 3600e3));
+  assert.strictEqual(cookieStore.sweep(60e3), 1);
+  assert.strictEqual(cookieStore.loadSession('some-session-id'), null);
+  cookieStore.removeSession('never-saved');
+});
+
+test('a session jar survives a restart', () => {
+  assert.strictEqual(getCookieJarDefaults().persist, true);
+  const appended = [];
+  const jar = getSessionJar({ headers: {} }, { headersSent: false, append: (name, value) => appended.push(value) });
+  jar.setCookie('kept=1; Path=/; Max-Age=3600', SITE);
+  cookieStore.flush();
+
+  const browserCookie = appended[0].split(';')[0];
+  const restarted = spawnSync(process.execPath, ['-e',
+    'const jar = require("./proxy/cookies").findSessionJar(process.argv[1]);'
+    + 'process.stdout.write(jar ? jar.cookieHeader("https://www.example.com/") : "no session");', browserCookie], {
+    cwd: path.join(__dirname, '..'),
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 20000
+  });
+  assert.strictEqual(restarted.status, 0, restarted.stderr);
+  assert.strictEqual(restarted.stdout, 'kept=1');
+});
+
+test('sessionApiRefusal', () => {
+  const appended = [];
+  const res = { headersSent: false, append: (name, value) => appended.push(value) };
+  const token = sessionToken({ headers: {} }, res);
+  const cookie = appended[0].split(';')[0];
+  const ui = { cookie, 'sec-fetch-site': 'same-origin', 'sec-fetch-dest': 'empty', referer: 'http://127.0.0.1:8080/' };
+  const refusal = headers => sessionApiRefusal({ headers });
+
+  assert.strictEqual(refusal(Object.assign({}, ui, { [SESSION_TOKEN_HEADER.toLowerCase()]: token })), null);
+  assert.match(refusal(ui), /Missing or wrong X-Seb-Session-Token/);
+  assert.strictEqual(sessionApiRefusal({ headers: ui }, { requireToken: false }), null);
+  assert.match(refusal(Object.assign({}, ui, { 'sec-fetch-site': 'cross-site' })), /Cross-site/);
+  assert.match(refusal(Object.assign({}, ui, { 'sec-fetch-dest': 'iframe' })), /fetch\/XHR/);
+  assert.match(refusal(Object.assign({}, ui, { referer: 'http://127.0.0.1:8080/proxy?url=' + encodeURIComponent(SITE) })), /proxied pages/);
+  assert.match(refusal(Object.assign({}, ui, { referer: undefined })), /proxied pages/, 'a stripped Referer on a same-origin request');
+  const other = sessionToken({ headers: {} }, { headersSent: false, append: () => {} });
+  assert.match(refusal(Object.assign({}, ui, { [SESSION_TOKEN_HEADER.toLowerCase()]: other })), /Missing or wrong/, 'another session\'s token');
+  assert.match(refusal({ 'sec-fetch-site': 'same-origin', 'sec-fetch-dest': 'empty', referer: ui.referer }), /No proxy session/);
+});
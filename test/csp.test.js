@@ -0,0 +1,62 @@
+/**
+ * csp.test.js
+ *
+ * Content-Security-Policy rewriting (csp.js): source lists restated against the proxy origin
+ * with keywords, nonces, hashes and the kept schemes left alone, directives that would fight
+ * the proxy dropped, several policies per header, and the nonce the runtime script gets.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsp, serializeCsp, rewriteCsp, nonceOf } = require('../proxy/csp');
+
+test('parseCsp / serializeCsp', () => {
+  const policies = parseCsp("Default-Src 'self'  https://a.example.com ;; img-src *, frame-ancestors 'none'");
+  assert.deepStrictEqual(policies, [
+    [{ name: 'default-src', values: ["'self'", 'https://a.example.com'] }, { name: 'img-src', values: ['*'] }],
+    [{ name: 'frame-ancestors', values: ["'none'"] }]
+  ]);
+  assert.strictEqual(serializeCsp(policies), "default-src 'self' https://a.example.com; img-src *, frame-ancestors 'none'");
+  assert.deepStrictEqual(parseCsp(''), []);
+  assert.deepStrictEqual(parseCsp(null), []);
+});
+
+test('rewriteCsp', async (t) => {
+  await t.test('host and network scheme sources become \'self\'; the rest is kept', () => {
+    assert.strictEqual(
+      rewriteCsp("default-src 'self' https://cdn.example.com; script-src 'nonce-abc' 'sha256-xyz' https: data: blob: 'strict-dynamic'; img-src *"),
+      "default-src 'self'; script-src 'nonce-abc' 'sha256-xyz' 'self' data: blob: 'strict-dynamic'; img-src *");
+    assert.strictEqual(rewriteCsp('connect-src wss://chat.example.com ws: *.example.com'), "connect-src 'self'");
+    assert.strictEqual(rewriteCsp("form-action https://pay.example.com; base-uri 'none'"), "form-action 'self'; base-uri 'none'");
+  });
+
+  await t.test('directives that are not source lists are left as they are', () => {
+    assert.strictEqual(rewriteCsp('sandbox allow-scripts allow-forms; trusted-types default'), 'sandbox allow-scripts allow-forms; trusted-types default');
+  });
+
+  await t.test('reporting, scheme upgrades and Trusted Types enforcement are dropped', () => {
+    assert.strictEqual(
+      rewriteCsp("script-src 'self'; report-uri /csp; report-to main; upgrade-insecure-requests; block-all-mixed-content; require-trusted-types-for 'script'"),
+      "script-src 'self'");
+    assert.strictEqual(rewriteCsp('report-uri /csp'), '', 'nothing left');
+  });
+
+  await t.test('a repeated directive is ignored, as browsers do', () => {
+    assert.strictEqual(rewriteCsp("script-src 'none'; script-src https://x.example.com"), "script-src 'none'");
+  });
+
+  await t.test('each policy of a header is rewritten on its own', () => {
+    assert.strictEqual(rewriteCsp("frame-ancestors https://a.example.com, script-src https://b.example.com 'unsafe-inline'"),
+      "frame-ancestors 'self', script-src 'self' 'unsafe-inline'");
+  });
+});
+
+test('nonceOf takes the directive that applies to <script>', () => {
+  assert.strictEqual(nonceOf("default-src 'nonce-d'; script-src 'nonce-s'"), 's');
+  assert.strictEqual(nonceOf("script-src 'nonce-s'; script-src-elem 'nonce-e'"), 'e');
+  assert.strictEqual(nonceOf("default-src 'self' 'nonce-d'"), 'd');
+  assert.strictEqual(nonceOf("img-src 'nonce-x'"), null);
+  assert.strictEqual(nonceOf("script-src 'self'; default-src 'nonce-d'"), null, 'script-src without a nonce wins over default-src');
+  assert.strictEqual(nonceOf("img-src *, default-src 'nonce-q'"), 'q', 'a later policy');
+});
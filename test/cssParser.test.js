@@ -0,0 +1,105 @@
+/**
+ * cssParser.test.js
+ *
+ * The CSS tokenizer and URL rewriting of cssParser.js, through rewrite.rewriteCss as the proxy
+ * uses it: which url() / src() / image-set() / @import references are rewritten, what is left
+ * alone (comments, strings, @namespace, data: and fragment URLs), import inlining with its
+ * conditions, and sanitizing.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteCss } = require('../proxy/rewrite');
+const { tokenizeCss, transformCss, inlineImports, sanitizeCss, parseCss, extractUrls } = require('../proxy/cssParser');
+
+const SHEET = 'https://example.com/css/site.css';
+const res = url => '/resource?url=' + encodeURIComponent(url);
+
+test('tokens are lossless and carry their offsets', () => {
+  const css = '@media (x){a{b:url( x.png ) "s\\"q" u\\72l(e.png)}}/*c*/ .d{e:f}';
+  const tokens = tokenizeCss(css);
+  assert.strictEqual(tokens.map(t => css.slice(t.start, t.end)).join(''), css);
+  const url = tokens.filter(t => t.type === 'url');
+  assert.deepStrictEqual(url.map(t => t.value), ['x.png', 'e.png']);
+  assert.strictEqual(tokens.find(t => t.type === 'string').value, 's"q');
+  assert.ok(tokens.some(t => t.type === 'comment'));
+  // an unquoted url with a "(" is a bad-url token (browsers drop it), not a url
+  assert.strictEqual(tokenizeCss('url(a(b))')[0].type, 'bad-url');
+});
+
+test('URL references are rewritten in place, everything else kept byte for byte', () => {
+  const cases = [
+    ['.a{background:url(x.png)}', `.a{background:url(${res('https://example.com/css/x.png')})}`],
+    ['.a{background:url( "x y.png" )}', `.a{background:url( "${res('https://example.com/css/x%20y.png')}" )}`],
+    ['.a{background:url(/root.png)}', `.a{background:url(${res('https://example.com/root.png')})}`],
+    ['.a{background:url(//cdn.example.net/j.png)}', `.a{background:url(${res('https://cdn.example.net/j.png')})}`],
+    ['.e{background:u\\72l(e.png)}', `.e{background:url(${res('https://example.com/css/e.png')})}`],
+    ['.f{background:image-set("f.png" 1x, url(g.png) 2x)}',
+      `.f{background:image-set("${res('https://example.com/css/f.png')}" 1x, url(${res('https://example.com/css/g.png')}) 2x)}`],
+    ['@font-face{src:url(f.woff2) format("woff2"), local(Arial)}',
+      `@font-face{src:url(${res('https://example.com/css/f.woff2')}) format("woff2"), local(Arial)}`],
+    ['@media screen{@supports (display:grid){.g{background:url(../g.png)}}}',
+      `@media screen{@supports (display:grid){.g{background:url(${res('https://example.com/g.png')})}}}`],
+    ['@import "b.css";', `@import "${res('https://example.com/css/b.css')}";`],
+    ['@import url(a.css) layer(base) supports(display:grid) screen;',
+      `@import url(${res('https://example.com/css/a.css')}) layer(base) supports(display:grid) screen;`]
+  ];
+  for (const [input, expected] of cases) assert.strictEqual(rewriteCss(input, SHEET), expected, input);
+});
+
+test('comments, strings, @namespace, data: and fragment URLs are left alone', () => {
+  for (const css of [
+    '/* url(c.png) */ .c{content:"url(d.png)"}',
+    '@namespace svg url(http://www.w3.org/2000/svg);',
+    '.h{background:url(data:image/png;base64,AAA)} .i{filter:url(#f)}',
+    '.a{color:red}\n\n  .b { margin : 0 }'
+  ]) assert.strictEqual(rewriteCss(css, SHEET), css);
+});
+
+test('transformCss reports the kind of reference; null keeps a URL', () => {
+  const seen = [];
+  const out = transformCss('a{b:url(x)} @import "y"; c{src:url(f) format("w")}', {
+    rewriteUrl: (value, kind) => { seen.push(value); return value === 'y' ? null : kind + ':' + value; }
+  });
+  assert.deepStrictEqual(seen, ['x', 'y', 'f']);
+  assert.match(out, /^a\{b:url\([a-z]+:x\)\} @import "y"; c\{src:url\([a-z]+:f\) format\("w"\)\}$/);
+});
+
+test('inlineImports keeps the rule\'s conditions and drops imports that fail', async () => {
+  const files = {
+    'https://example.com/css/a.css': '@charset "utf-8"; @import "sub/b.css"; .a{background:url(a.png)}',
+    'https://example.com/css/sub/b.css': '.b{background:url(b.png)}'
+  };
+  const fetcher = async url => {
+    if (!(url in files)) throw new Error('404');
+    return files[url];
+  };
+  const out = await inlineImports('@import url(a.css) layer(base) supports(display:grid) screen; @import "missing.css"; .z{}', SHEET, fetcher);
+  assert.strictEqual(out, '@media screen {\n@supports (display:grid) {\n@layer base {\n'
+    + ' .b{background:url(https://example.com/css/sub/b.png)} .a{background:url(https://example.com/css/a.png)}'
+    + '\n}\n}\n}  .z{}');
+
+  const anonymous = await inlineImports('@import "sub/b.css" layer;', SHEET, fetcher);
+  assert.strictEqual(anonymous, '@layer {\n.b{background:url(https://example.com/css/sub/b.png)}\n}');
+});
+
+test('sanitizeCss removes code-running declarations and script URLs', () => {
+  assert.strictEqual(sanitizeCss('.a{behavior:url(x.htc);color:red;-moz-binding:url(b.xml#x)} .c{behaviour : x}'), '.a{color:red;} .c{}');
+  assert.strictEqual(sanitizeCss('.b{width:expression(alert(1));}'), '.b{width:;}');
+  assert.strictEqual(sanitizeCss('a{b:url(javascript:alert)} c{d:url("vbscript:x")}'), 'a{b:url("about:invalid")} c{d:url("about:invalid")}');
+  // only declarations go: a class named like the property stays
+  assert.strictEqual(sanitizeCss('.behavior{color:red}'), '.behavior{color:red}');
+});
+
+test('parseCss inlines, rewrites and sanitizes', async () => {
+  const out = await parseCss('@import "sub/b.css"; .q{behavior:x;background:url(q.png)}', SHEET,
+    url => '/R/' + url, async () => '.b{background:url(b.png)}');
+  assert.strictEqual(out, '.b{background:url(/R/https://example.com/css/sub/b.png)} .q{background:url(/R/https://example.com/css/q.png)}');
+});
+
+test('extractUrls', () => {
+  assert.deepStrictEqual(extractUrls('a{b:url(x.png)} @import "i.css"; c{d:url(data:x)} e{f:url(#g)}', SHEET),
+    ['https://example.com/css/x.png', 'https://example.com/css/i.css']);
+  assert.deepStrictEqual(extractUrls('', SHEET), []);
+});
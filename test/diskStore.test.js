@@ -0,0 +1,141 @@
+/**
+ * diskStore.test.js
+ *
+ * The disk cache adapter (diskStore.js): Buffers kept as content-addressed blobs shared by
+ * reference count, expiry, the LRU size budget, no disk access before the first write, and
+ * the index rebuilt from the files by a new store, leftovers cleaned up.
+ * Run with `npm test` (node:test); each store gets its own temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createDiskStore, externalize, internalize } = require('../proxy/diskStore');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'seb-disk-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let dirs = 0;
+const freshDir = () => path.join(root, String(++dirs));
+const files = (dir, sub) => (fs.existsSync(path.join(dir, sub)) ? fs.readdirSync(path.join(dir, sub)).sort() : []);
+const hashOf = buf => crypto.createHash('sha256').update(buf).digest('hex');
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const BODY = Buffer.from([0x00, 0xff, 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]);
+const entry = (body, extra) => Object.assign({ status: 200, headers: { 'content-type': 'image/png' }, body }, extra);
+
+test('externalize / internalize', () => {
+  const blobs = new Map();
+  const value = { a: [BODY, 'text'], b: { c: BODY, n: 1, none: null } };
+  const external = externalize(value, blobs);
+  assert.deepStrictEqual(external, { a: [{ $blob: hashOf(BODY) }, 'text'], b: { c: { $blob: hashOf(BODY) }, n: 1, none: null } });
+  assert.deepStrictEqual([...blobs.keys()], [hashOf(BODY)], 'one blob for identical Buffers');
+  assert.deepStrictEqual(internalize(JSON.parse(JSON.stringify(external)), blobs), value);
+});
+
+test('binary values round-trip; nothing is written before the first set', async () => {
+  const dir = freshDir();
+  const store = createDiskStore({ dir });
+  assert.strictEqual(await store.get('k'), null);
+  assert.deepStrictEqual(await store.scan(), []);
+  assert.strictEqual(fs.existsSync(dir), false);
+
+  const expiresAt = Date.now() + 60e3;
+  assert.strictEqual(await store.set('k', entry(BODY), expiresAt), true);
+  const hit = await store.get('k');
+  assert.deepStrictEqual(hit, { value: entry(BODY), expiresAt });
+  assert.ok(Buffer.isBuffer(hit.value.body));
+  assert.deepStrictEqual(files(dir, 'blobs'), [hashOf(BODY) + '.bin']);
+  assert.ok(fs.readFileSync(path.join(dir, 'blobs', hashOf(BODY) + '.bin')).equals(BODY), 'stored as it is');
+  assert.deepStrictEqual(files(dir, 'meta'), [hashOf('k') + '.json'], 'named by a hash of the key');
+  assert.ok(![...files(dir, 'meta'), ...files(dir, 'blobs')].some(f => f.endsWith('.tmp')));
+});
+
+test('blobs are shared and reference counted', async () => {
+  const dir = freshDir();
+  const store = createDiskStore({ dir });
+  const other = Buffer.from('other body');
+  await store.set('a', entry(BODY));
+  await store.set('b', entry(BODY, { headers: { 'content-type': 'image/x-png' } }));
+  assert.deepStrictEqual(await store.stats().then(s => [s.items, s.blobs]), [2, 1]);
+
+  await store.del('a');
+  assert.deepStrictEqual(files(dir, 'blobs'), [hashOf(BODY) + '.bin'], 'still used by b');
+  assert.ok((await store.get('b')).value.body.equals(BODY));
+
+  // replacing b's body releases the old blob
+  await store.set('b', entry(other));
+  assert.deepStrictEqual(files(dir, 'blobs'), [hashOf(other) + '.bin']);
+  await store.set('b', entry(other));
+  assert.deepStrictEqual(await store.stats().then(s => [s.items, s.blobs]), [1, 1], 'setting the same value again');
+
+  await store.clear();
+  assert.deepStrictEqual([files(dir, 'meta'), files(dir, 'blobs')], [[], []]);
+  assert.deepStrictEqual(await store.stats().then(s => [s.items, s.blobs, s.bytes]), [0, 0, 0]);
+});
+
+test('expiry', async () => {
+  const store = createDiskStore({ dir: freshDir() });
+  await store.set('gone', entry(BODY), Date.now() - 1);
+  await store.set('also-gone', entry(Buffer.from('x')), Date.now() - 1);
+  await store.set('kept', entry(BODY));
+  assert.strictEqual(await store.get('gone'), null);
+  assert.strictEqual(store.sweep(), 1);
+  assert.deepStrictEqual(await store.scan(), ['kept']);
+  assert.strictEqual((await store.stats()).blobs, 1);
+});
+
+test('the size budget removes the least recently used entries', async () => {
+  const dir = freshDir();
+  const body = i => Buffer.alloc(400, i);
+  // measure what two entries take
+  const probe = createDiskStore({ dir: freshDir() });
+  await probe.set('a', entry(body(1)));
+  await probe.set('b', entry(body(2)));
+  const twoEntries = (await probe.stats()).bytes;
+
+  const store = createDiskStore({ dir, maxBytes: twoEntries + 100 });
+  await store.set('a', entry(body(1)));
+  await tick();
+  await store.set('b', entry(body(2)));
+  await tick();
+  await store.get('a');
+  await tick();
+  await store.set('c', entry(body(3)));
+  assert.deepStrictEqual((await store.scan()).sort(), ['a', 'c'], 'b was used least recently');
+  const stats = await store.stats();
+  assert.ok(stats.bytes <= stats.maxBytes);
+  assert.deepStrictEqual(files(dir, 'blobs'), [hashOf(body(1)) + '.bin', hashOf(body(3)) + '.bin'].sort());
+});
+
+test('a new store rebuilds the index from disk and cleans up leftovers', async () => {
+  const dir = freshDir();
+  const first = createDiskStore({ dir });
+  const expiresAt = Date.now() + 60e3;
+  await first.set('kept', entry(BODY), expiresAt);
+  await first.set('expired', entry(Buffer.from('expired')), Date.now() + 20);
+  await first.set('broken', entry(Buffer.from('broken')));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  // a blob lost, a crash mid-write, an orphan blob, a damaged entry
+  fs.unlinkSync(path.join(dir, 'blobs', hashOf(Buffer.from('broken')) + '.bin'));
+  fs.writeFileSync(path.join(dir, 'blobs', 'abc.bin.1.tmp'), 'partial');
+  fs.writeFileSync(path.join(dir, 'blobs', hashOf('orphan') + '.bin'), 'orphan');
+  fs.writeFileSync(path.join(dir, 'meta', 'damaged.json'), '{not json');
+
+  const second = createDiskStore({ dir });
+  assert.deepStrictEqual(await second.scan(), ['kept']);
+  assert.deepStrictEqual(await second.get('kept'), { value: entry(BODY), expiresAt });
+  assert.deepStrictEqual(files(dir, 'meta'), [hashOf('kept') + '.json']);
+  assert.deepStrictEqual(files(dir, 'blobs'), [hashOf(BODY) + '.bin']);
+  const stats = await second.stats();
+  assert.deepStrictEqual([stats.items, stats.blobs], [1, 1]);
+  assert.strictEqual(stats.bytes, fs.statSync(path.join(dir, 'meta', hashOf('kept') + '.json')).size + BODY.length);
+
+  // and the budget is applied to what was found
+  const small = createDiskStore({ dir, maxBytes: 1 });
+  assert.deepStrictEqual(await small.scan(), []);
+  assert.deepStrictEqual([files(dir, 'meta'), files(dir, 'blobs')], [[], []]);
+});
@@ -0,0 +1,158 @@
+/**
+ * htmlTokenizer.test.js
+ *
+ * The HTML tokenizer (htmlTokenizer.js) and the rewriter built on it (rewrite.rewriteHtml /
+ * createHtmlRewriter): lossless tokens, attribute offsets, raw text elements, input split at
+ * any point, and which attribute values the rewriter touches.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, createTokenizer, decodeEntities, getAttr } = require('../proxy/htmlTokenizer');
+const { rewriteHtml, createHtmlRewriter } = require('../proxy/rewrite');
+
+const PAGE = 'https://example.com/dir/index.html';
+const DOCUMENT = '<!DOCTYPE html><html><head><title>a <b> title</title>'
+  + '<style>a::after { content: "</p>" }</style></head>'
+  + '<body class=main data-x=\'1\' hidden><!-- a <comment> -->'
+  + '<a href="page?a=1&amp;b=2" title = "x">link</a><img src=i.png alt="">'
+  + '<script>if (a < b && c > d) document.write("<a href=x>")</script>'
+  + '<?xml stray?> 1 < 2 </body></html>';
+
+// the document fed n characters at a time
+function tokenizeInSlices(html, n) {
+  const tokenizer = createTokenizer();
+  const tokens = [];
+  for (let i = 0; i < html.length; i += n) tokens.push(...tokenizer.write(html.slice(i, i + n)));
+  return tokens.concat(tokenizer.end());
+}
+
+// text and raw text may come out in several pieces when streamed: join neighbours
+function joinText(tokens) {
+  const out = [];
+  for (const tok of tokens) {
+    const last = out[out.length - 1];
+    if (last && (tok.type === 'text' || tok.type === 'rawText') && last.type === tok.type && last.tag === tok.tag) {
+      out[out.length - 1] = Object.assign({}, last, { raw: last.raw + tok.raw });
+    } else {
+      out.push(tok);
+    }
+  }
+  return out;
+}
+
+const plain = { runtimeScript: false, iframeSandbox: false };
+
+test('tokenize', async (t) => {
+  await t.test('the raw values reproduce the input exactly', () => {
+    assert.strictEqual(tokenize(DOCUMENT).map(tok => tok.raw).join(''), DOCUMENT);
+    const broken = '<a href="unterminated><p>text<';
+    assert.strictEqual(tokenize(broken).map(tok => tok.raw).join(''), broken);
+  });
+
+  await t.test('token types', () => {
+    const types = tokenize('<!doctype html><!-- c --><p>x</p><?pi?>').map(tok => tok.type);
+    assert.deepStrictEqual(types, ['doctype', 'comment', 'startTag', 'text', 'endTag', 'comment']);
+  });
+
+  await t.test('script, style and title bodies are one rawText token', () => {
+    const raw = tokenize(DOCUMENT).filter(tok => tok.type === 'rawText');
+    assert.deepStrictEqual(raw.map(tok => tok.tag), ['title', 'style', 'script']);
+    assert.strictEqual(raw[2].raw, 'if (a < b && c > d) document.write("<a href=x>")');
+    assert.ok(!tokenize(DOCUMENT).some(tok => tok.type === 'startTag' && tok.name === 'a' && getAttr(tok, 'href') === 'x'));
+  });
+
+  await t.test('attributes: quoting, entities, bare attributes and offsets', () => {
+    const body = tokenize(DOCUMENT).find(tok => tok.name === 'body');
+    assert.strictEqual(getAttr(body, 'class'), 'main');
+    assert.strictEqual(getAttr(body, 'data-x'), '1');
+    assert.strictEqual(getAttr(body, 'hidden'), '');
+    assert.strictEqual(getAttr(body, 'missing'), null);
+
+    const a = tokenize(DOCUMENT).find(tok => tok.name === 'a');
+    const href = a.attrs.find(attr => attr.name === 'href');
+    assert.strictEqual(href.value, 'page?a=1&b=2');
+    assert.strictEqual(href.quote, '"');
+    assert.strictEqual(a.raw.slice(href.valueStart, href.valueEnd), 'page?a=1&amp;b=2');
+    assert.strictEqual(getAttr(a, 'title'), 'x');
+    assert.strictEqual(a.raw.slice(0, a.insertAt) + '>', a.raw);
+  });
+
+  await t.test('self-closing tags', () => {
+    const [br] = tokenize('<br/>');
+    assert.strictEqual(br.selfClosing, true);
+    assert.strictEqual(br.raw.slice(br.insertAt), '/>');
+  });
+
+  await t.test('a stray "<" is text', () => {
+    assert.deepStrictEqual(tokenize('1 < 2').map(tok => tok.type), ['text', 'text', 'text']);
+  });
+});
+
+test('createTokenizer gives the same tokens however the input is split', () => {
+  const whole = tokenize(DOCUMENT);
+  for (const n of [1, 2, 3, 7, 64]) {
+    assert.deepStrictEqual(joinText(tokenizeInSlices(DOCUMENT, n)), joinText(whole), `slices of ${n}`);
+  }
+});
+
+test('a closing tag split across writes still ends the script', () => {
+  const tokens = joinText(tokenizeInSlices('<script>x()</scr' + 'ipt><p>', 15));
+  assert.deepStrictEqual(tokens.map(tok => tok.type), ['startTag', 'rawText', 'endTag', 'startTag']);
+});
+
+test('decodeEntities', () => {
+  assert.strictEqual(decodeEntities('a&amp;b&lt;&#x41;&#66;&nbsp;&unknown;'), 'a&b<AB &unknown;');
+  assert.strictEqual(decodeEntities('&#xZZ;'), '&#xZZ;');
+  assert.strictEqual(decodeEntities(''), '');
+});
+
+test('rewriteHtml', async (t) => {
+  await t.test('navigations go to /proxy, subresources to /resource, resolved against the page; GET forms carry their target', () => {
+    const out = rewriteHtml('<a href="page?a=1&amp;b=2">l</a><img src=i.png><form action=/post></form>', PAGE, plain);
+    assert.strictEqual(out, '<a href="/proxy?url=https%3A%2F%2Fexample.com%2Fdir%2Fpage%3Fa%3D1%26b%3D2">l</a>'
+      + '<img src="/resource?url=https%3A%2F%2Fexample.com%2Fdir%2Fi.png">'
+      + '<form action="/proxy?url=https%3A%2F%2Fexample.com%2Fpost">'
+      + '<input type="hidden" name="__sebUrl" value="https://example.com/post"></form>');
+  });
+
+  await t.test('<base> sets the base and is removed', () => {
+    const out = rewriteHtml('<head><base href="https://cdn.example.net/x/"></head><img src=a.png>', PAGE, plain);
+    assert.strictEqual(out, '<head></head><img src="/resource?url=https%3A%2F%2Fcdn.example.net%2Fx%2Fa.png">');
+  });
+
+  await t.test('srcset, meta refresh and style attributes', () => {
+    const out = rewriteHtml('<img srcset="a.png 1x, b.png 2x"><meta http-equiv=refresh content="0; url=next">'
+      + '<div style="background:url(bg.png)"></div>', PAGE, plain);
+    assert.match(out, /srcset="\/resource\?url=https%3A%2F%2Fexample\.com%2Fdir%2Fa\.png 1x, \/resource\?url=https%3A%2F%2Fexample\.com%2Fdir%2Fb\.png 2x"/);
+    assert.match(out, /content="0; url=\/proxy\?url=https%3A%2F%2Fexample\.com%2Fdir%2Fnext"/);
+    assert.match(out, /style="background:url\(\/resource\?url=https%3A%2F%2Fexample\.com%2Fdir%2Fbg\.png\)"/);
+  });
+
+  await t.test('fragments, javascript:, mailto: and data: URLs are left alone', () => {
+    const html = '<a href="#top">a</a><a href="javascript:void 0">b</a><a href="mailto:a@b.c">c</a><img src="data:image/gif;base64,R0l">';
+    assert.strictEqual(rewriteHtml(html, PAGE, plain), html);
+  });
+
+  await t.test('markup inside scripts, comments and unrelated attributes is untouched', () => {
+    const html = '<!-- <a href=x> --><p title="a.png" data-id=3>t</p><script>var s = "<img src=x>";</script>';
+    assert.strictEqual(rewriteHtml(html, PAGE, plain), html);
+  });
+
+  await t.test('the runtime script is injected once, before the page\'s scripts', () => {
+    const out = rewriteHtml('<html><head><script src=a.js></script></head><body><script>1</script></body></html>', PAGE);
+    assert.strictEqual(out.split('/js/proxyRuntime.js').length, 2);
+    assert.ok(out.indexOf('/js/proxyRuntime.js') < out.indexOf('a.js'));
+  });
+
+  await t.test('streamed in slices, the output matches the one-shot rewrite', () => {
+    const whole = rewriteHtml(DOCUMENT, PAGE);
+    for (const n of [1, 5, 33]) {
+      const rewriter = createHtmlRewriter(PAGE);
+      let out = '';
+      for (let i = 0; i < DOCUMENT.length; i += n) out += rewriter.write(DOCUMENT.slice(i, i + n));
+      assert.strictEqual(out + rewriter.end(), whole, `slices of ${n}`);
+    }
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * httpCache.test.js
+ *
+ * Answering from resourceCache entries (httpCache.js) on /resource and /proxy: stale entries
+ * revalidated with If-None-Match / If-Modified-Since and refreshed by a 304, served at once
+ * and revalidated in the background within stale-while-revalidate, and served instead of an
+ * upstream failure within stale-if-error; plus the capture and header helpers.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { Readable, PassThrough } = require('stream');
+const {
+  isUpstreamFailure, revalidateInBackground, createHeaderCollector, createCaptureStream, bufferBody
+} = require('../proxy/httpCache');
+const fetcher = require('../proxy/fetcher');
+const resourceCache = require('../proxy/resourceCache');
+const { createMemoryStore } = require('../proxy/memoryStore');
+const { proxyMiddleware, getRewriteOptions } = require('../proxy/proxyMiddleware');
+
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Wed, 01 Jan 2025 00:00:00 GMT';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('helpers', async (t) => {
+  await t.test('isUpstreamFailure', () => {
+    assert.deepStrictEqual([500, 502, 503, 504].map(isUpstreamFailure), [true, true, true, true]);
+    assert.deepStrictEqual([404, 501, 429, 200].map(isUpstreamFailure), [false, false, false, false]);
+  });
+
+  await t.test('revalidateInBackground runs one revalidation per key at a time', async () => {
+    let runs = 0;
+    let release;
+    const running = new Promise(resolve => { release = resolve; });
+    const revalidate = () => { runs++; return running; };
+    revalidateInBackground('k', revalidate);
+    revalidateInBackground('k', revalidate);
+    await settle();
+    assert.strictEqual(runs, 1);
+    release();
+    await settle();
+    revalidateInBackground('k', () => { runs++; throw new Error('upstream down'); });
+    await settle();
+    revalidateInBackground('k', revalidate);
+    await settle();
+    assert.strictEqual(runs, 3, 'a failed revalidation frees the key too');
+  });
+
+  await t.test('createHeaderCollector', () => {
+    const collector = createHeaderCollector();
+    collector.setHeader('Content-Type', 'text/css').setHeader('ETag', ETAG).setHeader('X-Drop', '1');
+    collector.removeHeader('x-drop');
+    assert.strictEqual(collector.getHeader('content-type'), 'text/css');
+    assert.ok(collector.hasHeader('ETAG'));
+    assert.deepStrictEqual(collector.headers(), { 'content-type': 'text/css', etag: ETAG });
+    assert.deepStrictEqual(collector.headers(['etag']), { etag: ETAG });
+  });
+
+  await t.test('createCaptureStream keeps complete bodies up to maxBytes', async () => {
+    const small = createCaptureStream(10);
+    assert.strictEqual((await bufferBody(Readable.from([Buffer.from('abc'), Buffer.from('def')]), [small])).toString(), 'abcdef');
+    assert.strictEqual(small.captured().toString(), 'abcdef');
+    const large = createCaptureStream(4);
+    assert.strictEqual((await bufferBody(Readable.from([Buffer.from('abc'), Buffer.from('def')]), [large])).toString(), 'abcdef', 'still passed through');
+    assert.strictEqual(large.captured(), null);
+    const unfinished = createCaptureStream(10);
+    const source = new PassThrough();
+    source.pipe(unfinished).resume();
+    source.write('abc');
+    await settle();
+    assert.strictEqual(unfinished.captured(), null, 'incomplete');
+    source.end();
+  });
+});
+
+test('stale entries on /resource and /proxy', async (t) => {
+  resourceCache.setStore(createMemoryStore());
+  // path -> (req) => [status, headers, body]; every request is recorded in seen
+  const routes = {};
+  const seen = [];
+  const upstream = http.createServer((req, res) => {
+    seen.push({ url: req.url, headers: req.headers });
+    const [status, headers, body] = routes[req.url](req);
+    res.writeHead(status, headers);
+    res.end(body);
+  });
+  const app = express();
+  app.get('/resource', (req, res) => fetcher.streamToResponse(req.query.url, res, {
+    incomingReq: req, allowLocal: true, retries: 0, rewriteOptions: getRewriteOptions()
+  }));
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: true }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const get = (route, path) => new Promise((resolve, reject) => {
+    const target = encodeURIComponent(`http://127.0.0.1:${upstreamPort}${path}`);
+    http.get({ host: '127.0.0.1', port: proxyPort, path: `/${route}?url=${target}`, headers: { accept: '*/*' } }, r => {
+      let body = '';
+      r.setEncoding('utf8');
+      r.on('data', c => { body += c; });
+      r.on('end', () => resolve({ status: r.statusCode, headers: r.headers, body }));
+    }).on('error', reject);
+  });
+  const requests = path => seen.filter(s => s.url === path);
+  // Age past max-age: stored already stale
+  const stale = extra => Object.assign({ 'Content-Type': 'text/plain', 'Cache-Control': 'max-age=60', 'Age': '120' }, extra);
+
+  await t.test('a stale entry is revalidated and a 304 refreshes it', async () => {
+    let version = 'first';
+    routes['/doc.txt'] = req => (req.headers['if-none-match'] === ETAG
+      ? [304, { 'ETag': ETAG, 'Cache-Control': 'max-age=600' }, '']
+      : [200, stale({ 'ETag': ETAG, 'Last-Modified': LAST_MODIFIED }), version]);
+    assert.strictEqual((await get('resource', '/doc.txt')).body, 'first');
+    await settle();
+    version = 'second';
+
+    const revalidated = await get('resource', '/doc.txt');
+    assert.strictEqual(revalidated.status, 200);
+    assert.strictEqual(revalidated.body, 'first', 'the stored body');
+    const conditional = requests('/doc.txt')[1].headers;
+    assert.deepStrictEqual([conditional['if-none-match'], conditional['if-modified-since']], [ETAG, LAST_MODIFIED]);
+
+    // refreshed with the 304's max-age: fresh now
+    const fresh = await get('resource', '/doc.txt');
+    assert.strictEqual(fresh.body, 'first');
+    assert.strictEqual(requests('/doc.txt').length, 2);
+  });
+
+  await t.test('a changed resource replaces the entry', async () => {
+    let version = 'old';
+    routes['/changed.txt'] = () => [200, stale({ 'ETag': `"${version}"` }), version];
+    await get('resource', '/changed.txt');
+    await settle();
+    version = 'new';
+    assert.strictEqual((await get('resource', '/changed.txt')).body, 'new');
+    assert.strictEqual(requests('/changed.txt')[1].headers['if-none-match'], '"old"');
+  });
+
+  await t.test('stale-while-revalidate answers at once and revalidates in the background', async () => {
+    let version = 'old';
+    routes['/swr.txt'] = () => [200, stale({ 'Cache-Control': 'max-age=60, stale-while-revalidate=600', 'ETag': `"${version}"` }), version];
+    await get('resource', '/swr.txt');
+    await settle();
+    version = 'new';
+
+    const answered = await get('resource', '/swr.txt');
+    assert.strictEqual(answered.body, 'old');
+    assert.ok(Number(answered.headers.age) >= 120);
+    await settle();
+    assert.strictEqual(requests('/swr.txt').length, 2, 'revalidated behind the response');
+    assert.strictEqual(requests('/swr.txt')[1].headers['if-none-match'], '"old"');
+    // the entry the background revalidation stored (itself stale again, so served once more)
+    assert.strictEqual((await get('resource', '/swr.txt')).body, 'new');
+  });
+
+  await t.test('stale-if-error answers instead of an upstream failure', async () => {
+    let down = false;
+    routes['/sie.txt'] = () => (down ? [503, { 'Content-Type': 'text/plain' }, 'down'] : [200, stale({ 'Cache-Control': 'max-age=60, stale-if-error=600' }), 'kept']);
+    routes['/none.txt'] = () => (down ? [503, { 'Content-Type': 'text/plain' }, 'down'] : [200, stale(), 'gone']);
+    await get('resource', '/sie.txt');
+    await get('resource', '/none.txt');
+    await settle();
+    down = true;
+    const kept = await get('resource', '/sie.txt');
+    assert.deepStrictEqual([kept.status, kept.body], [200, 'kept']);
+    assert.strictEqual((await get('resource', '/none.txt')).status, 503, 'without stale-if-error the failure goes through');
+  });
+
+  await t.test('/proxy pages are revalidated the same way', async () => {
+    routes['/page.html'] = req => (req.headers['if-none-match'] === ETAG
+      ? [304, { 'ETag': ETAG }, '']
+      : [200, stale({ 'Content-Type': 'text/html', 'ETag': ETAG }), '<a href="/next">n</a>']);
+    const first = await get('proxy', '/page.html');
+    await settle();
+    const second = await get('proxy', '/page.html');
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body, first.body, 'the stored, rewritten page');
+    assert.ok(second.body.includes('href="/proxy?url='));
+    assert.strictEqual(requests('/page.html')[1].headers['if-none-match'], ETAG);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * jsParser.test.js
+ *
+ * The acorn transform behind rewrite.rewriteJs (jsParser.js): which URL sinks are rewritten,
+ * dynamic code wrapping, formatting kept, unparseable scripts passed through, and the location
+ * emulation - checked by running the output in a vm both with the client runtime's
+ * __sebLocation and without it (workers), through the acorn transform and the regex fallback.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { rewriteJs } = require('../proxy/rewrite');
+const { transformJs, transformJsWithEdits, hasParser, isBareSpecifier, extractUrls } = require('../proxy/jsParser');
+
+const PAGE = 'https://example.com/app/page.html';
+const proxied = (url, path = '/proxy?url=') => path + encodeURIComponent(url);
+
+/**
+ * runWithLocation(code, { runtime })
+ * - runs code where `location` is a stand-in for the real one; with runtime the global also
+ *   has the __sebLocation shim. Returns both objects to see which one was used.
+ */
+function runWithLocation(code, { runtime }) {
+  const real = { href: 'http://127.0.0.1:8080/proxy?url=x', hash: '', assigned: null, assign(u) { this.assigned = u; } };
+  const shim = { href: PAGE, hash: '', assigned: null, assign(u) { this.assigned = u; } };
+  const context = vm.createContext({ result: {} });
+  vm.runInContext('var window = globalThis, self = globalThis;', context);
+  context.location = real;
+  context.document = { location: real };
+  if (runtime) {
+    context.__sebLocation = shim;
+    context.document.__sebLocation = shim;
+  }
+  vm.runInContext(code, context);
+  return { real, shim, context };
+}
+
+// the acorn transform, then the regex fallback rewrite.js uses when acorn is not installed
+function withoutAcorn(fn) {
+  const acornPath = require.resolve('acorn');
+  const parserPath = require.resolve('../proxy/jsParser');
+  const saved = { acorn: require.cache[acornPath], parser: require.cache[parserPath] };
+  require.cache[acornPath] = { id: acornPath, filename: acornPath, loaded: true, exports: null };
+  delete require.cache[parserPath];
+  try {
+    assert.strictEqual(require('../proxy/jsParser').hasParser(), false);
+    return fn();
+  } finally {
+    require.cache[acornPath] = saved.acorn;
+    require.cache[parserPath] = saved.parser;
+  }
+}
+const TRANSFORMS = [
+  ['acorn', code => rewriteJs(code, PAGE)],
+  ['regex fallback', code => withoutAcorn(() => rewriteJs(code, PAGE))]
+];
+
+test('acorn is installed', () => {
+  assert.strictEqual(hasParser(), true);
+});
+
+test('URL sinks with literal URLs are rewritten, anything else is left alone', () => {
+  const out = rewriteJs('fetch("/api?x=1"); fetch(url); window.fetch(\'data.json\');'
+    + ' xhr.open("POST", "submit"); xhr.open(method, target);'
+    + ' navigator.sendBeacon("/b"); new Worker("w.js"); new EventSource("/events");'
+    + ' importScripts("a.js", "b.js"); el.setAttribute("href", "/n"); el.setAttribute("title", "/n");'
+    + ' img.src = "i.png"; obj.name = "i.png"; var s = "/not-a-sink";', PAGE);
+  assert.ok(out.includes(`fetch("${proxied('https://example.com/api?x=1')}")`));
+  assert.ok(out.includes('fetch(url)'));
+  assert.ok(out.includes(`window.fetch('${proxied('https://example.com/app/data.json')}')`));
+  assert.ok(out.includes(`xhr.open("POST", "${proxied('https://example.com/app/submit')}")`));
+  assert.ok(out.includes('xhr.open(method, target)'));
+  assert.ok(out.includes(`sendBeacon("${proxied('https://example.com/b')}")`));
+  assert.ok(out.includes(`new Worker("${proxied('https://example.com/app/w.js', '/resource?url=')}")`));
+  assert.ok(out.includes(`new EventSource("${proxied('https://example.com/events')}")`));
+  assert.ok(out.includes(`importScripts("${proxied('https://example.com/app/a.js', '/resource?url=')}", "${proxied('https://example.com/app/b.js', '/resource?url=')}")`));
+  assert.ok(out.includes(`setAttribute("href", "${proxied('https://example.com/n')}")`));
+  assert.ok(out.includes('setAttribute("title", "/n")'));
+  assert.match(out, /img\.src = "\/(?:proxy|resource)\?url=https%3A%2F%2Fexample\.com%2Fapp%2Fi\.png"/);
+  assert.ok(out.includes('obj.name = "i.png"'));
+  assert.ok(out.includes('var s = "/not-a-sink"'));
+});
+
+test('dynamic code goes through __sebRewriteJs, or runs as-is without the runtime', () => {
+  const out = rewriteJs('result.a = eval("1 + 1"); result.b = new Function("x", "return x * 2")(3);', PAGE);
+  assert.match(out, /eval\(\(globalThis\.__sebRewriteJs\|\|function\(c\)\{return c\}\)\("1 \+ 1"\)\)/);
+  const plain = runWithLocation(out, { runtime: false }).context.result;
+  assert.deepStrictEqual([plain.a, plain.b], [2, 6]);
+  const context = vm.createContext({ result: {}, __sebRewriteJs: code => code.replace('1 + 1', '40 + 2') });
+  vm.runInContext(out, context);
+  assert.strictEqual(context.result.a, 42);
+});
+
+test('formatting and comments are kept; unparseable scripts pass through', () => {
+  const source = '// leading\nfetch( "/a" ) /* trailing */ ;\n\n  const  x=1 ;';
+  assert.strictEqual(rewriteJs(source, PAGE), `// leading\nfetch( "${proxied('https://example.com/a')}" ) /* trailing */ ;\n\n  const  x=1 ;`);
+  const broken = 'if (a { fetch("/a")';
+  assert.strictEqual(rewriteJs(broken, PAGE), broken);
+});
+
+test('edits are reported and the result is cached by content', () => {
+  const rewriteUrl = value => `/proxy?url=${encodeURIComponent(value)}`;
+  const { code, edits } = transformJsWithEdits('fetch("/a"); location.href;', { rewriteUrl, network: true, emulateLocation: true, cacheKey: 'test' });
+  assert.strictEqual(edits.length, 2);
+  assert.ok(edits.every(e => typeof e.start === 'number' && typeof e.end === 'number' && typeof e.text === 'string'));
+  assert.strictEqual(transformJs('fetch("/a"); location.href;', { rewriteUrl, network: true, emulateLocation: true, cacheKey: 'test' }), code);
+});
+
+test('isBareSpecifier / extractUrls', () => {
+  assert.ok(isBareSpecifier('lodash'));
+  assert.ok(isBareSpecifier('@scope/pkg/x.js'));
+  for (const s of ['./a.js', '../a.js', '/a.js', 'https://cdn.example.net/a.js']) assert.ok(!isBareSpecifier(s), s);
+  assert.deepStrictEqual(extractUrls('a("https://x.example/1"); b(\'http://y.example/2\')', PAGE).sort(), ['http://y.example/2', 'https://x.example/1']);
+});
+
+for (const [name, transform] of TRANSFORMS) {
+  test(`location emulation (${name})`, async (t) => {
+    await t.test('reads use the shim under the runtime and the real location without it', () => {
+      const code = transform('result.a = location.href; result.b = window.location.href; result.c = document.location.href;');
+      const withRuntime = runWithLocation(code, { runtime: true }).context.result;
+      assert.deepStrictEqual([withRuntime.a, withRuntime.b, withRuntime.c], [PAGE, PAGE, PAGE]);
+      const worker = runWithLocation(code, { runtime: false });
+      assert.deepStrictEqual(Object.values(worker.context.result), [worker.real.href, worker.real.href, worker.real.href]);
+    });
+
+    await t.test('property writes and calls', () => {
+      const code = transform('location.href = "/a"; location.assign("/b");');
+      const withRuntime = runWithLocation(code, { runtime: true });
+      assert.deepStrictEqual([withRuntime.shim.href, withRuntime.shim.assigned], ['/a', '/b']);
+      assert.strictEqual(withRuntime.real.assigned, null);
+      const worker = runWithLocation(code, { runtime: false });
+      assert.deepStrictEqual([worker.real.href, worker.real.assigned], ['/a', '/b']);
+    });
+
+    await t.test('whole-location assignments, compound ones included', () => {
+      const code = transform('window.location = "/w"; document.location = "/d"; location += "#h";');
+      const withRuntime = runWithLocation(code, { runtime: true });
+      assert.strictEqual(withRuntime.context.document.__sebLocation, '/d');
+      assert.strictEqual(withRuntime.context.__sebLocation, '/w#h');
+      assert.strictEqual(withRuntime.context.location, withRuntime.real, 'the real location is not replaced');
+      const worker = runWithLocation(code, { runtime: false });
+      assert.strictEqual(worker.context.document.location, '/d');
+      assert.strictEqual(worker.context.location, '/w#h');
+    });
+  });
+}
+
+test('location emulation leaves other `location`s alone (acorn)', () => {
+  const source = 'function f(location) { return location.href; } var o = { location: 1 }; o.location.href; a.b.location = 2;'
+    + ' class C { location() {} } let { location: loc } = o;';
+  assert.strictEqual(rewriteJs(source, PAGE), source);
+  const shadowed = '{ let location = { href: 1 }; location.href = 2; }';
+  assert.strictEqual(rewriteJs(shadowed, PAGE), shadowed);
+});
+
+test('emulateLocation: false and locationOnly', () => {
+  assert.strictEqual(rewriteJs('location.href = "/a"', PAGE, { emulateLocation: false }), 'location.href = "/a"');
+  const light = rewriteJs('fetch("/a"); location.href = "/b";', PAGE, { locationOnly: true });
+  assert.ok(light.startsWith('fetch("/a");'));
+  assert.match(light, /__sebLocation/);
+});
@@ -0,0 +1,137 @@
+/**
+ * moduleGraph.test.js
+ *
+ * ES module graphs through the rewriters: module scripts, modulepreloads and import specifiers
+ * share one endpoint (MODULE_KIND) so every module has a single URL, bare specifiers are left
+ * to the rewritten import map, import.meta is the upstream URL, and /proxy rewrites the
+ * modules it serves.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { rewriteHtml, rewriteJs, rewriteImportMap } = require('../proxy/rewrite');
+const { decodeProxyUrl, MODULE_KIND, NAVIGATE } = require('../proxy/proxyUrl');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+const PAGE = 'https://example.com/app/index.html';
+const nav = url => '/proxy?url=' + encodeURIComponent(url);
+const res = url => '/resource?url=' + encodeURIComponent(url);
+const plain = { runtimeScript: false };
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('module scripts use the module endpoint, classic scripts /resource', () => {
+  assert.strictEqual(MODULE_KIND, NAVIGATE);
+  const out = rewriteHtml('<script type="module" src="main.js"></script><link rel="modulepreload" href="dep.js">'
+    + '<script src="classic.js"></script>', PAGE, plain);
+  assert.ok(out.includes(`<script type="module" src="${nav('https://example.com/app/main.js')}">`));
+  assert.ok(out.includes(`<link rel="modulepreload" href="${nav('https://example.com/app/dep.js')}">`));
+  assert.ok(out.includes(`<script src="${res('https://example.com/app/classic.js')}">`));
+});
+
+test('import specifiers', () => {
+  const moduleUrl = 'https://example.com/app/js/main.js';
+  const out = rewriteJs([
+    'import a from "./a.js";',
+    'import { b } from \'../lib/b.js\';',
+    'import "https://cdn.example.net/side.js";',
+    'export * from "/shared/c.js";',
+    'export { d } from "./d.js";',
+    'const e = await import("./lazy.js");',
+    'const f = await import(name);',
+    'import vue from "vue";',
+    'import x from "@scope/pkg";'
+  ].join('\n'), moduleUrl);
+  assert.ok(out.includes(`import a from "${nav('https://example.com/app/js/a.js')}";`));
+  assert.ok(out.includes(`import { b } from '${nav('https://example.com/app/lib/b.js')}';`));
+  assert.ok(out.includes(`import "${nav('https://cdn.example.net/side.js')}";`));
+  assert.ok(out.includes(`export * from "${nav('https://example.com/shared/c.js')}";`));
+  assert.ok(out.includes(`export { d } from "${nav('https://example.com/app/js/d.js')}";`));
+  assert.ok(out.includes(`import("${nav('https://example.com/app/js/lazy.js')}")`));
+  assert.ok(out.includes('import(name)'));
+  assert.ok(out.includes('import vue from "vue";'), 'bare specifiers are left to the import map');
+  assert.ok(out.includes('import x from "@scope/pkg";'));
+});
+
+test('a module reached from two importers gets one URL', () => {
+  const fromRoot = rewriteJs('import s from "./lib/shared.js";', 'https://example.com/app/main.js');
+  const fromLib = rewriteJs('import s from "./shared.js";', 'https://example.com/app/lib/other.js');
+  const url = s => s.match(/from "([^"]+)"/)[1];
+  assert.strictEqual(url(fromRoot), url(fromLib));
+});
+
+test('import.meta', () => {
+  const out = rewriteJs('export const here = import.meta.url; export const there = import.meta.resolve("./x.js");',
+    'https://example.com/app/m.js');
+  assert.ok(out.includes('here = \'https://example.com/app/m.js\''));
+  assert.ok(out.includes('(globalThis.__sebUnproxify||function(u){return u})(import.meta.resolve("./x.js"))'));
+
+  // an inline module's URL is the document's
+  const inline = rewriteHtml('<script type="module">console.log(import.meta.url)</script>', PAGE, plain);
+  assert.ok(inline.includes(`console.log('${PAGE}')`));
+});
+
+test('import maps', async (t) => {
+  await t.test('addresses and URL-like keys are proxied, bare keys kept, integrity dropped', () => {
+    const map = JSON.parse(rewriteImportMap(JSON.stringify({
+      imports: { vue: 'https://cdn.example.net/vue.js', './local.js': './other.js', 'lib/': './lib/' },
+      scopes: { '/admin/': { vue: '../vue-admin.js' } },
+      integrity: { 'https://cdn.example.net/vue.js': 'sha384-x' }
+    }), PAGE));
+    assert.strictEqual(map.imports.vue, nav('https://cdn.example.net/vue.js'));
+    assert.strictEqual(map.imports[nav('https://example.com/app/local.js')], nav('https://example.com/app/other.js'));
+    assert.deepStrictEqual(Object.keys(map.scopes), ['/p/https/example.com/admin/']);
+    assert.strictEqual(map.scopes['/p/https/example.com/admin/'].vue, nav('https://example.com/vue-admin.js'));
+    assert.strictEqual(map.integrity, undefined);
+  });
+
+  await t.test('prefix entries take the path form, so the specifier rest still resolves', () => {
+    const map = JSON.parse(rewriteImportMap('{"imports":{"lib/":"https://cdn.example.net/lib/"}}', PAGE));
+    const address = map.imports['lib/'];
+    assert.strictEqual(address, '/p/https/cdn.example.net/lib/');
+    // the browser maps "lib/a/b.js" to address + "a/b.js"
+    assert.strictEqual(decodeProxyUrl(address + 'a/b.js').target, 'https://cdn.example.net/lib/a/b.js');
+  });
+
+  await t.test('the JSON cannot close its script element; invalid maps pass through', () => {
+    const out = rewriteImportMap('{"imports":{"x</script><script>alert(1)//":"./x.js"}}', PAGE);
+    assert.ok(!out.includes('</script>'));
+    assert.strictEqual(JSON.parse(out).imports['x</script><script>alert(1)//'], nav('https://example.com/app/x.js'));
+    assert.strictEqual(rewriteImportMap('{not json', PAGE), '{not json');
+    assert.strictEqual(rewriteImportMap('[1]', PAGE), '[1]');
+  });
+
+  await t.test('inline <script type="importmap"> is rewritten in the page', () => {
+    const out = rewriteHtml('<script type="importmap">{"imports":{"vue":"./vue.js"}}</script>', PAGE, plain);
+    assert.ok(out.includes(`{"imports":{"vue":"${nav('https://example.com/app/vue.js')}"}}`));
+  });
+});
+
+test('/proxy rewrites the modules it serves', async (t) => {
+  const upstream = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+    res.end('import dep from "./dep.js";\nexport default import.meta.url;\n');
+  });
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const moduleUrl = `http://127.0.0.1:${upstreamPort}/js/main.js`;
+  const body = await new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: proxyPort, path: nav(moduleUrl) }, r => {
+      let text = '';
+      r.setEncoding('utf8');
+      r.on('data', c => { text += c; });
+      r.on('end', () => resolve(text));
+    }).on('error', reject);
+  });
+  assert.ok(body.includes(`import dep from "${nav(`http://127.0.0.1:${upstreamPort}/js/dep.js`)}";`));
+  assert.ok(body.includes(`export default '${moduleUrl}';`));
+});
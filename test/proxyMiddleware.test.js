@@ -0,0 +1,144 @@
+/**
+ * proxyMiddleware.test.js
+ *
+ * Methods and request bodies on /proxy (proxyMiddleware.js): every allowed method reaches the
+ * upstream with its body streamed (declared length or chunked), other methods get 405, bodies
+ * over maxRequestBodyLength get 413, and proxied GET forms keep their target (resolveTargetUrl).
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const sha = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// request to the proxy; body: Buffer (sent with Content-Length) or array of Buffers (chunked)
+function request(port, method, path, { headers = {}, body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* not the echo */ }
+        resolve({ status: res.statusCode, headers: res.headers, text, json });
+      });
+    });
+    req.on('error', reject);
+    if (Array.isArray(body)) {
+      for (const chunk of body) req.write(chunk);
+      req.end();
+    } else {
+      req.end(body || undefined);
+    }
+  });
+}
+
+test('methods and bodies through /proxy', async (t) => {
+  const seen = [];
+  // echoes what it received as JSON
+  const upstream = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const echo = {
+        method: req.method,
+        url: req.url,
+        contentType: req.headers['content-type'] || null,
+        length: body.length,
+        sha: sha(body),
+        text: body.length < 200 ? body.toString('utf8') : null
+      };
+      seen.push(echo);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(req.method === 'HEAD' ? undefined : JSON.stringify(echo));
+    });
+  });
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false, maxRequestBodyLength: 64 * 1024 }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const target = `http://127.0.0.1:${upstreamPort}`;
+  const path = (p = '/echo') => '/proxy?url=' + encodeURIComponent(target + p);
+
+  await t.test('a form POST arrives with its content type and body', async () => {
+    const form = 'name=J%C3%BCrgen&tags=a&tags=b';
+    const res = await request(proxyPort, 'POST', path(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': Buffer.byteLength(form) },
+      body: Buffer.from(form)
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual([res.json.method, res.json.contentType, res.json.text], ['POST', 'application/x-www-form-urlencoded', form]);
+  });
+
+  await t.test('PUT, PATCH and DELETE are forwarded; a chunked body is streamed whole', async () => {
+    const parts = [crypto.randomBytes(20000), crypto.randomBytes(20000), crypto.randomBytes(100)];
+    const put = await request(proxyPort, 'PUT', path('/upload'), { headers: { 'Content-Type': 'application/octet-stream' }, body: parts });
+    assert.strictEqual(put.json.method, 'PUT');
+    assert.strictEqual(put.json.length, 40100);
+    assert.strictEqual(put.json.sha, sha(Buffer.concat(parts)));
+
+    const json = JSON.stringify({ op: 'replace' });
+    const patch = await request(proxyPort, 'PATCH', path(), { headers: { 'Content-Type': 'application/json' }, body: Buffer.from(json) });
+    assert.deepStrictEqual([patch.json.method, patch.json.text], ['PATCH', json]);
+
+    const del = await request(proxyPort, 'DELETE', path('/item/7'));
+    assert.deepStrictEqual([del.json.method, del.json.url, del.json.length], ['DELETE', '/item/7', 0]);
+  });
+
+  await t.test('HEAD and OPTIONS are forwarded', async () => {
+    const before = seen.length;
+    const head = await request(proxyPort, 'HEAD', path());
+    assert.strictEqual(head.status, 200);
+    assert.strictEqual(head.text, '');
+    const options = await request(proxyPort, 'OPTIONS', path());
+    assert.strictEqual(options.json.method, 'OPTIONS');
+    assert.deepStrictEqual(seen.slice(before).map(e => e.method), ['HEAD', 'OPTIONS']);
+  });
+
+  await t.test('a method outside allowedMethods gets 405 with Allow', async () => {
+    const before = seen.length;
+    const res = await request(proxyPort, 'TRACE', path());
+    assert.strictEqual(res.status, 405);
+    assert.match(res.headers.allow, /\bGET\b.*\bDELETE\b/);
+    assert.strictEqual(seen.length, before);
+  });
+
+  await t.test('bodies over maxRequestBodyLength get 413, declared or streamed', async () => {
+    const before = seen.length;
+    const declared = await request(proxyPort, 'POST', path(), {
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': 70000 },
+      body: Buffer.alloc(70000)
+    });
+    assert.strictEqual(declared.status, 413);
+    assert.strictEqual(seen.length, before, 'a declared oversize body never goes upstream');
+
+    const streamed = await request(proxyPort, 'POST', path(), {
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: [Buffer.alloc(40000), Buffer.alloc(40000)]
+    });
+    assert.strictEqual(streamed.status, 413);
+    assert.ok(!seen.slice(before).some(e => e.length >= 64 * 1024));
+  });
+
+  await t.test('a proxied GET form: the hidden field is the target, the other fields its query', async () => {
+    const action = encodeURIComponent(`${target}/search?ignored=1`);
+    const res = await request(proxyPort, 'GET', `/proxy?__sebUrl=${action}&q=caf%C3%A9&page=2`);
+    assert.strictEqual(res.json.url, '/search?q=caf%C3%A9&page=2');
+  });
+
+  await t.test('no target is a 400', async () => {
+    assert.strictEqual((await request(proxyPort, 'GET', '/proxy')).status, 400);
+  });
+});
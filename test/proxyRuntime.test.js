@@ -0,0 +1,226 @@
+/**
+ * proxyRuntime.test.js
+ *
+ * The client runtime (public/js/proxyRuntime.js) in a vm with a stub DOM, configured from the
+ * tag rewriteHtml injects: URLs built at runtime (fetch, XHR, WebSocket, workers, history,
+ * setAttribute, document.write) come out proxied in the form the server decodes, under both URL
+ * schemes and every codec; proxied URLs read back as upstream ones; and the location emulation.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { rewriteHtml } = require('../proxy/rewrite');
+const { tokenize } = require('../proxy/htmlTokenizer');
+const { createUrlCodec } = require('../proxy/urlCodec');
+const { encodeProxyUrl, decodeProxyUrl, NAVIGATE } = require('../proxy/proxyUrl');
+
+const RUNTIME = fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'proxyRuntime.js'), 'utf8');
+const ORIGIN = 'http://127.0.0.1:8080';
+const PAGE = 'https://example.com/app/index.html?tab=1';
+const CODECS = {
+  plain: createUrlCodec({ name: 'plain' }),
+  base64url: createUrlCodec({ name: 'base64url' }),
+  xor: createUrlCodec({ name: 'xor', key: 'k3y' }),
+  'aes-gcm': createUrlCodec({ name: 'aes-gcm', key: 'runtime-test-key' })
+};
+
+/**
+ * loadRuntime({ codec, urlScheme })
+ * - runs the runtime as the page rewriteHtml(PAGE) would load it; returns the window and the
+ *   calls that reached the stubbed native APIs
+ */
+function loadRuntime({ codec = CODECS.plain, urlScheme = 'query' } = {}) {
+  const options = { codec, urlScheme };
+  const tag = tokenize(rewriteHtml('<html><head></head></html>', PAGE, options)).find(tok => tok.name === 'script');
+  const calls = [];
+  const record = (api, value) => calls.push([api, value]);
+
+  class Element {
+    constructor(localName, attrs = {}) { this.localName = localName; this.attrs = Object.assign({}, attrs); }
+    setAttribute(name, value) { this.attrs[name] = String(value); }
+    getAttribute(name) { return name in this.attrs ? this.attrs[name] : null; }
+  }
+  class Document {
+    write(html) { record('write', html); }
+    writeln(html) { record('writeln', html); }
+  }
+  class History {
+    pushState(state, title, url) { record('pushState', url); }
+    replaceState(state, title, url) { record('replaceState', url); }
+  }
+  class XMLHttpRequest {
+    open(method, url) { record('xhr', url); }
+  }
+  class WebSocket {
+    constructor(url) { record('WebSocket', url); }
+  }
+  class EventSource {
+    constructor(url) { record('EventSource', url); }
+  }
+  class Worker {
+    constructor(url) { record('Worker', url); }
+  }
+
+  const document = new Document();
+  document.currentScript = new Element('script', Object.fromEntries(tag.attrs.map(a => [a.name, a.value])));
+  document.createElement = name => new Element(name);
+  const proxiedPage = ORIGIN + encodeProxyUrl(PAGE, NAVIGATE, options);
+  const location = {
+    href: proxiedPage,
+    origin: ORIGIN,
+    protocol: 'http:',
+    host: '127.0.0.1:8080',
+    assign: url => record('assign', url),
+    replace: url => record('replace', url),
+    reload: () => record('reload')
+  };
+
+  const window = vm.createContext({
+    document, location, Element, Document, History, XMLHttpRequest, WebSocket, EventSource, Worker,
+    navigator: {},
+    history: new History(),
+    fetch: input => record('fetch', input),
+    open: url => record('open', url),
+    URL, TextEncoder, TextDecoder, btoa, atob
+  });
+  vm.runInContext('window = this', window);
+  vm.runInContext(RUNTIME, window);
+  return { window, calls, options, element: (name, attrs) => new Element(name, attrs) };
+}
+
+// the last call made to a native API
+const last = (calls, api) => calls.filter(c => c[0] === api).pop()[1];
+const decoded = (value, options) => decodeProxyUrl(value, options).target;
+
+test('the runtime loads and knows the upstream URL', () => {
+  const { window } = loadRuntime();
+  assert.strictEqual(window.__sebRuntime.currentUrl(), PAGE);
+});
+
+test('network APIs get proxied URLs, resolved against the upstream page', () => {
+  const { window, calls } = loadRuntime();
+  window.fetch('api/items?x=1');
+  assert.strictEqual(last(calls, 'fetch'), '/proxy?url=' + encodeURIComponent('https://example.com/app/api/items?x=1'));
+  new window.XMLHttpRequest().open('POST', '/submit');
+  assert.strictEqual(last(calls, 'xhr'), '/proxy?url=' + encodeURIComponent('https://example.com/submit'));
+  new window.EventSource('https://events.example.net/stream');
+  assert.strictEqual(last(calls, 'EventSource'), '/proxy?url=' + encodeURIComponent('https://events.example.net/stream'));
+  new window.Worker('worker.js');
+  assert.strictEqual(last(calls, 'Worker'), '/resource?url=' + encodeURIComponent('https://example.com/app/worker.js'));
+  window.history.pushState({}, '', '?tab=2');
+  assert.strictEqual(last(calls, 'pushState'), '/proxy?url=' + encodeURIComponent('https://example.com/app/index.html?tab=2'));
+  window.open('//other.example.org/');
+  assert.strictEqual(last(calls, 'open'), '/proxy?url=' + encodeURIComponent('https://other.example.org/'));
+});
+
+test('URLs that must not be proxied are left alone', () => {
+  const { window } = loadRuntime();
+  const { proxify } = window.__sebRuntime;
+  for (const value of ['#top', 'data:text/plain,x', 'javascript:void 0', 'mailto:a@b.c', 'blob:https://example.com/1', '']) {
+    assert.strictEqual(proxify(value, 'navigate'), value);
+  }
+  const already = '/resource?url=' + encodeURIComponent('https://example.com/a.png');
+  assert.strictEqual(proxify(already, 'resource'), already);
+  assert.strictEqual(proxify(ORIGIN + already, 'resource'), ORIGIN + already);
+});
+
+test('WebSocket URLs go to the proxy\'s WebSocket endpoint with an encoded target', () => {
+  for (const [name, codec] of Object.entries(CODECS)) {
+    const { window, calls } = loadRuntime({ codec });
+    new window.WebSocket('/live?room=1');
+    const url = new URL(last(calls, 'WebSocket'));
+    assert.strictEqual(url.origin, 'ws://127.0.0.1:8080', name);
+    assert.strictEqual(codec.decode(url.searchParams.get('target')), 'wss://example.com/live?room=1', name);
+  }
+});
+
+test('under every codec and URL scheme, runtime-built URLs decode on the server', () => {
+  for (const [name, codec] of Object.entries(CODECS)) {
+    for (const urlScheme of ['query', 'path']) {
+      const { window, calls, options } = loadRuntime({ codec, urlScheme });
+      const label = `${name} / ${urlScheme}`;
+      window.fetch('../data.json?q=caf%C3%A9');
+      assert.strictEqual(decoded(last(calls, 'fetch'), options), 'https://example.com/data.json?q=caf%C3%A9', label);
+      const img = window.__sebRuntime.proxify('https://cdn.example.net/i.png', 'resource');
+      assert.strictEqual(decodeProxyUrl(img, options).kind, 'resource', label);
+      assert.strictEqual(decoded(img, options), 'https://cdn.example.net/i.png', label);
+    }
+  }
+});
+
+test('unproxify reads server-issued URLs back as upstream ones (not AES tokens)', () => {
+  for (const [name, codec] of Object.entries(CODECS)) {
+    const { window, options } = loadRuntime({ codec });
+    const issued = encodeProxyUrl('https://example.com/next', NAVIGATE, options);
+    const expected = name === 'aes-gcm' ? issued : 'https://example.com/next';
+    assert.strictEqual(window.__sebRuntime.unproxify(issued), expected, name);
+    // the page URL itself falls back to data-url when it cannot be decoded
+    assert.strictEqual(window.__sebRuntime.currentUrl(), PAGE, name);
+  }
+});
+
+test('path scheme URLs keep the upstream path, so relative links resolve', () => {
+  const { window, calls } = loadRuntime({ urlScheme: 'path' });
+  window.fetch('/v1/x?y=2');
+  assert.strictEqual(last(calls, 'fetch'), '/p/https/example.com/v1/x?y=2');
+  assert.strictEqual(window.__sebRuntime.unproxify('/r/https/cdn.example.net/a/b.css'), 'https://cdn.example.net/a/b.css');
+});
+
+test('setAttribute rewrites URL attributes by element and drops integrity', () => {
+  const { window, element } = loadRuntime();
+  const set = (el, name, value) => { window.Element.prototype.setAttribute.call(el, name, value); return el.attrs[name]; };
+  assert.strictEqual(set(element('img'), 'src', 'a.png'), '/resource?url=' + encodeURIComponent('https://example.com/app/a.png'));
+  assert.strictEqual(set(element('a'), 'href', '/p'), '/proxy?url=' + encodeURIComponent('https://example.com/p'));
+  assert.strictEqual(set(element('script', { type: 'module' }), 'src', 'm.js'), '/proxy?url=' + encodeURIComponent('https://example.com/app/m.js'));
+  assert.strictEqual(set(element('link', { rel: 'stylesheet' }), 'href', 's.css'), '/resource?url=' + encodeURIComponent('https://example.com/app/s.css'));
+  assert.strictEqual(set(element('link', { rel: 'preconnect' }), 'href', 'https://cdn.example.net'), 'https://cdn.example.net');
+  assert.strictEqual(set(element('div'), 'title', 'a.png'), 'a.png');
+  assert.match(set(element('img'), 'srcset', 'a.png 1x, b.png 2x'), /^\/resource\?url=\S+ 1x, \/resource\?url=\S+ 2x$/);
+  assert.strictEqual(set(element('script'), 'integrity', 'sha384-x'), undefined);
+});
+
+test('document.write rewrites complete attribute values', () => {
+  const { window, calls } = loadRuntime();
+  window.document.write('<img src="x.png"><a href=\'/y\'>');
+  assert.strictEqual(last(calls, 'write'), '<img src="/resource?url=' + encodeURIComponent('https://example.com/app/x.png')
+    + '"><a href=\'/proxy?url=' + encodeURIComponent('https://example.com/y') + '\'>');
+});
+
+test('location emulation', async (t) => {
+  await t.test('reads give the upstream location', () => {
+    const { window } = loadRuntime();
+    const loc = window.__sebLocation;
+    assert.strictEqual(loc.href, PAGE);
+    assert.strictEqual(String(loc), PAGE);
+    assert.deepStrictEqual([loc.origin, loc.host, loc.pathname, loc.search], ['https://example.com', 'example.com', '/app/index.html', '?tab=1']);
+    assert.strictEqual(window.document.__sebLocation, loc);
+    assert.strictEqual(window.document.domain, 'example.com');
+    assert.strictEqual(window.document.URL, PAGE);
+  });
+
+  await t.test('writes navigate through the proxy', () => {
+    const { window, calls } = loadRuntime();
+    window.__sebLocation = '/login';
+    assert.strictEqual(last(calls, 'assign'), '/proxy?url=' + encodeURIComponent('https://example.com/login'));
+    window.__sebLocation.pathname = '/other';
+    assert.strictEqual(last(calls, 'assign'), '/proxy?url=' + encodeURIComponent('https://example.com/other?tab=1'));
+    window.__sebLocation.replace('https://example.org/');
+    assert.strictEqual(last(calls, 'replace'), '/proxy?url=' + encodeURIComponent('https://example.org/'));
+    window.__sebLocation.hash = '#h';
+    assert.strictEqual(window.location.hash, '#h');
+  });
+
+  await t.test('__sebRewriteJs rewrites location references in dynamic code', () => {
+    const { window } = loadRuntime();
+    const rewrite = window.__sebRewriteJs;
+    assert.strictEqual(rewrite('window.location.href'), 'window.__sebLocation.href');
+    assert.strictEqual(rewrite('location = "/x"'), '__sebLocation = "/x"');
+    assert.strictEqual(rewrite('location.assign(u)'), '__sebLocation.assign(u)');
+    assert.strictEqual(rewrite('a.location == b'), 'a.location == b');
+    assert.strictEqual(rewrite('relocation.href'), 'relocation.href');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * proxyUrl.test.js
+ *
+ * Proxied URL forms of proxyUrl.js: query (/proxy?url=) and path (/p/<scheme>/<host>/...)
+ * round-trips, path prefixes that are upstream paths, the ~token origin under a codec, and
+ * /p/ requests through proxyMiddleware (missing-slash redirect, relative links).
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { encodeProxyUrl, decodeProxyUrl, isProxyUrl, refererTarget, NAVIGATE, RESOURCE } = require('../proxy/proxyUrl');
+const { createUrlCodec } = require('../proxy/urlCodec');
+const { proxyMiddleware, getRewriteOptions } = require('../proxy/proxyMiddleware');
+
+const PATH = { urlScheme: 'path' };
+const URLS = [
+  'https://example.com/',
+  'http://example.com:8080/a/b?x=1&y=%20z',
+  'https://example.com/caf%C3%A9/?q=a+b&q=c',
+  'https://sub.example.co.uk/path;matrix=1/file.tar.gz'
+];
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('query form', () => {
+  for (const url of URLS) {
+    const nav = encodeProxyUrl(url, NAVIGATE);
+    const res = encodeProxyUrl(url, RESOURCE);
+    assert.strictEqual(nav, '/proxy?url=' + encodeURIComponent(url));
+    assert.deepStrictEqual(decodeProxyUrl(nav), { target: url, kind: NAVIGATE, form: 'query', missingSlash: false });
+    assert.deepStrictEqual(decodeProxyUrl('http://127.0.0.1:8080' + res), { target: url, kind: RESOURCE, form: 'query', missingSlash: false });
+  }
+  // extra parameters after the target are not part of it
+  assert.strictEqual(decodeProxyUrl('/proxy?url=https%3A%2F%2Fexample.com%2F&_=1').target, 'https://example.com/');
+});
+
+test('path form maps onto the upstream URL', () => {
+  assert.strictEqual(encodeProxyUrl('http://example.com:8080/a/b?x=1#h', NAVIGATE, PATH), '/p/http/example.com:8080/a/b?x=1#h');
+  assert.strictEqual(encodeProxyUrl('https://example.com/i.png', RESOURCE, PATH), '/r/https/example.com/i.png');
+  for (const url of URLS) {
+    const routed = decodeProxyUrl(encodeProxyUrl(url, RESOURCE, PATH));
+    assert.deepStrictEqual(routed, { target: url, kind: RESOURCE, form: 'path', missingSlash: false });
+  }
+  // relative links resolve in the browser exactly as they would upstream
+  const page = encodeProxyUrl('https://example.com/a/b/page.html', NAVIGATE, PATH);
+  const link = new URL('../c/other.html?x=1', 'http://proxy.local' + page);
+  assert.strictEqual(decodeProxyUrl(link.href).target, 'https://example.com/a/c/other.html?x=1');
+});
+
+test('path form details', () => {
+  assert.deepStrictEqual(decodeProxyUrl('/p/https/example.com'), { target: 'https://example.com/', kind: NAVIGATE, form: 'path', missingSlash: true });
+  assert.strictEqual(decodeProxyUrl('/p/HTTPS/example.com/x').target, 'https://example.com/x');
+  assert.strictEqual(decodeProxyUrl('/p/ftp/example.com/x'), null);
+  assert.strictEqual(decodeProxyUrl('/pics/x.png'), null);
+  assert.strictEqual(decodeProxyUrl('/elsewhere'), null);
+});
+
+test('isProxyUrl: path prefixes count only before a scheme or token', () => {
+  assert.ok(isProxyUrl('/proxy?url=x'));
+  assert.ok(isProxyUrl('/resource?url=x'));
+  assert.ok(isProxyUrl('/p/https/example.com/'));
+  assert.ok(isProxyUrl('/r/~abc/x'));
+  assert.ok(!isProxyUrl('/r/pics/x.png'), 'an upstream /r/ path');
+  assert.ok(!isProxyUrl('/p/'));
+  assert.ok(!isProxyUrl('https://example.com/p/https/x'));
+});
+
+test('under a codec the path form carries the origin as a ~token', () => {
+  for (const name of ['base64url', 'xor', 'aes-gcm']) {
+    const codec = createUrlCodec({ name, key: 'path-test-key' });
+    const options = { urlScheme: 'path', codec };
+    const proxied = encodeProxyUrl('https://example.com:8443/a/b?x=1', NAVIGATE, options);
+    assert.match(proxied, /^\/p\/~[A-Za-z0-9_-]+\/a\/b\?x=1$/, name);
+    assert.ok(!proxied.includes('example.com'), name);
+    assert.strictEqual(decodeProxyUrl(proxied, options).target, 'https://example.com:8443/a/b?x=1', name);
+    // a token that decodes to more than an origin is refused
+    const bad = '/p/~' + codec.encode('https://example.com/path') + '/x';
+    assert.throws(() => decodeProxyUrl(bad, options), err => err.status === 400 && err.code === 'EURLDECODE', name);
+  }
+});
+
+test('refererTarget', () => {
+  assert.strictEqual(refererTarget('http://127.0.0.1:8080/p/https/example.com/a?b=1'), 'https://example.com/a?b=1');
+  assert.strictEqual(refererTarget('http://127.0.0.1:8080/'), null);
+  assert.strictEqual(refererTarget('http://127.0.0.1:8080/proxy?url=javascript%3Aalert(1)'), null);
+  assert.strictEqual(refererTarget('http://127.0.0.1:8080/p/~!!/x', { codec: createUrlCodec({ name: 'base64url' }) }), null);
+  assert.strictEqual(refererTarget(''), null);
+});
+
+test('/p/ requests through proxyMiddleware', async (t) => {
+  const seen = [];
+  const upstream = http.createServer((req, res) => {
+    seen.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<a href="../up.html">u</a><img src="img/x.png"><a href="?page=2">n</a>');
+  });
+  const app = express();
+  const rewriteOptions = Object.assign({}, getRewriteOptions(), PATH);
+  app.all(['/proxy', '/p/*'], proxyMiddleware({ allowLocal: true, throttle: false, cache: false, rewriteOptions }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const host = `127.0.0.1:${upstreamPort}`;
+  const get = path => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: proxyPort, path }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', c => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+
+  await t.test('an origin without its slash is redirected to it', async () => {
+    const res = await get(`/p/http/${host}`);
+    assert.strictEqual(res.status, 301);
+    assert.strictEqual(res.headers.location, `/p/http/${host}/`);
+  });
+
+  await t.test('the upstream path and query reach the upstream; links stay in path form', async () => {
+    const res = await get(`/p/http/${host}/dir/page.html?q=caf%C3%A9`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(seen[seen.length - 1], '/dir/page.html?q=caf%C3%A9');
+    assert.match(res.body, new RegExp(`href="/p/http/${host}/up\\.html"`));
+    assert.match(res.body, new RegExp(`src="/r/http/${host}/dir/img/x\\.png"`));
+    assert.match(res.body, new RegExp(`href="/p/http/${host}/dir/page\\.html\\?page=2"`));
+  });
+
+  await t.test('the query form is still accepted', async () => {
+    const res = await get('/proxy?url=' + encodeURIComponent(`http://${host}/q`));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(seen[seen.length - 1], '/q');
+  });
+});
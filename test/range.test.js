@@ -0,0 +1,164 @@
+/**
+ * range.test.js
+ *
+ * HTTP Range requests (range.js) on /resource (fetcher.streamToResponse): Range and If-Range
+ * forwarded upstream with identity encoding, 206 / 416 passed on with Content-Range and
+ * Accept-Ranges, rewritten bodies fetched whole and sent as a 200, and cached bodies
+ * answering a range themselves.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const fetcher = require('../proxy/fetcher');
+const resourceCache = require('../proxy/resourceCache');
+const { createMemoryStore } = require('../proxy/memoryStore');
+const { getRewriteOptions } = require('../proxy/proxyMiddleware');
+const { UNSATISFIABLE, rangeRequestHeaders, parseRange, ifRangeMatches, contentRange } = require('../proxy/range');
+
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Wed, 01 Jan 2025 00:00:00 GMT';
+const MEDIA = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 251));
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('rangeRequestHeaders', () => {
+  assert.deepStrictEqual(rangeRequestHeaders({ method: 'GET', headers: { range: 'bytes=0-9', 'if-range': ETAG } }),
+    { range: 'bytes=0-9', 'accept-encoding': 'identity', 'if-range': ETAG });
+  assert.deepStrictEqual(rangeRequestHeaders({ method: 'HEAD', headers: { range: 'bytes=0-9' } }), { range: 'bytes=0-9', 'accept-encoding': 'identity' });
+  assert.deepStrictEqual(rangeRequestHeaders({ method: 'POST', headers: { range: 'bytes=0-9' } }), {});
+  assert.deepStrictEqual(rangeRequestHeaders({ method: 'GET', headers: {} }), {});
+  assert.deepStrictEqual(rangeRequestHeaders(null), {});
+});
+
+test('parseRange', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepStrictEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=990-2000', 1000), { start: 990, end: 999 }, 'the end is clamped');
+  assert.deepStrictEqual(parseRange(' Bytes = 1 - 2 ', 1000), { start: 1, end: 2 });
+  assert.strictEqual(parseRange('bytes=1000-', 1000), UNSATISFIABLE);
+  assert.strictEqual(parseRange('bytes=-0', 1000), UNSATISFIABLE);
+  assert.strictEqual(parseRange('bytes=-1', 0), UNSATISFIABLE);
+  // ignored: the whole body is sent
+  for (const header of ['bytes=5-1', 'bytes=0-1,5-6', 'items=0-1', 'bytes=-', 'bytes=a-b', '', undefined]) {
+    assert.strictEqual(parseRange(header, 1000), null, String(header));
+  }
+});
+
+test('ifRangeMatches', () => {
+  const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+  assert.ok(ifRangeMatches(undefined, validators));
+  assert.ok(ifRangeMatches(ETAG, validators));
+  assert.ok(!ifRangeMatches('"v2"', validators));
+  assert.ok(!ifRangeMatches('W/"v1"', validators), 'weak tags never match');
+  assert.ok(!ifRangeMatches(ETAG, { etag: 'W/"v1"' }));
+  assert.ok(ifRangeMatches(LAST_MODIFIED, validators));
+  assert.ok(!ifRangeMatches('Thu, 02 Jan 2025 00:00:00 GMT', validators));
+  assert.ok(!ifRangeMatches(LAST_MODIFIED, {}));
+});
+
+test('contentRange', () => {
+  assert.strictEqual(contentRange({ start: 0, end: 99 }, 1000), 'bytes 0-99/1000');
+  assert.strictEqual(contentRange(UNSATISFIABLE, 1000), 'bytes */1000');
+});
+
+test('/resource and ranges', async (t) => {
+  resourceCache.setStore(createMemoryStore());
+  const seen = [];
+  // a minimal range-aware upstream
+  const upstream = http.createServer((req, res) => {
+    seen.push({ url: req.url, headers: req.headers });
+    const js = req.url === '/app.js';
+    const body = js ? Buffer.from('fetch("/api/items");') : MEDIA;
+    const headers = {
+      'Content-Type': js ? 'application/javascript' : 'video/mp4',
+      'Accept-Ranges': 'bytes',
+      'ETag': ETAG,
+      'Last-Modified': LAST_MODIFIED,
+      'Cache-Control': req.url.startsWith('/cached') ? 'max-age=600' : 'no-store'
+    };
+    const range = req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] === ETAG) ? parseRange(req.headers.range, body.length) : null;
+    if (range === UNSATISFIABLE) {
+      res.writeHead(416, Object.assign(headers, { 'Content-Range': contentRange(range, body.length) }));
+      res.end();
+    } else if (range) {
+      res.writeHead(206, Object.assign(headers, { 'Content-Range': contentRange(range, body.length), 'Content-Length': range.end - range.start + 1 }));
+      res.end(body.subarray(range.start, range.end + 1));
+    } else {
+      res.writeHead(200, Object.assign(headers, { 'Content-Length': body.length }));
+      res.end(body);
+    }
+  });
+  const app = express();
+  app.get('/resource', (req, res) => fetcher.streamToResponse(req.query.url, res, {
+    incomingReq: req, allowLocal: true, rewriteOptions: getRewriteOptions()
+  }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const get = (path, headers = {}) => new Promise((resolve, reject) => {
+    const target = encodeURIComponent(`http://127.0.0.1:${upstreamPort}${path}`);
+    http.get({ host: '127.0.0.1', port: proxyPort, path: `/resource?url=${target}`, headers }, r => {
+      const chunks = [];
+      r.on('data', c => chunks.push(c));
+      r.on('end', () => resolve({ status: r.statusCode, headers: r.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+
+  await t.test('the range is forwarded and the 206 passed on', async () => {
+    const out = await get('/video.mp4', { range: 'bytes=100-199', 'if-range': ETAG });
+    const sent = seen[seen.length - 1].headers;
+    assert.deepStrictEqual([sent.range, sent['if-range'], sent['accept-encoding']], ['bytes=100-199', ETAG, 'identity']);
+    assert.strictEqual(out.status, 206);
+    assert.strictEqual(out.headers['content-range'], 'bytes 100-199/1000');
+    assert.strictEqual(out.headers['accept-ranges'], 'bytes');
+    assert.strictEqual(out.headers['content-length'], '100');
+    assert.ok(out.body.equals(MEDIA.subarray(100, 200)));
+  });
+
+  await t.test('a range past the end is a 416', async () => {
+    const out = await get('/video.mp4', { range: 'bytes=5000-' });
+    assert.strictEqual(out.status, 416);
+    assert.strictEqual(out.headers['content-range'], 'bytes */1000');
+  });
+
+  await t.test('a body that is rewritten is fetched whole and sent as a 200', async () => {
+    const before = seen.length;
+    const out = await get('/app.js', { range: 'bytes=0-4' });
+    assert.strictEqual(out.status, 200);
+    assert.strictEqual(out.headers['content-range'], undefined);
+    assert.strictEqual(out.headers['accept-ranges'], undefined);
+    assert.match(out.body.toString(), /^fetch\("\/proxy\?url=/);
+    assert.deepStrictEqual(seen.slice(before).map(s => s.headers.range), ['bytes=0-4', undefined]);
+  });
+
+  await t.test('a cached body answers ranges itself', async () => {
+    const whole = await get('/cached.mp4');
+    assert.strictEqual(whole.status, 200);
+    // the entry is written once the body has gone out
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const before = seen.length;
+
+    const slice = await get('/cached.mp4', { range: 'bytes=-10' });
+    assert.strictEqual(slice.status, 206);
+    assert.strictEqual(slice.headers['content-range'], 'bytes 990-999/1000');
+    assert.strictEqual(slice.headers['accept-ranges'], 'bytes');
+    assert.ok(slice.body.equals(MEDIA.subarray(990)));
+
+    const changed = await get('/cached.mp4', { range: 'bytes=0-9', 'if-range': '"v0"' });
+    assert.strictEqual(changed.status, 200, 'If-Range names another version: the whole body');
+    assert.strictEqual(changed.body.length, 1000);
+
+    const unsatisfiable = await get('/cached.mp4', { range: 'bytes=1000-' });
+    assert.strictEqual(unsatisfiable.status, 416);
+    assert.strictEqual(unsatisfiable.headers['content-range'], 'bytes */1000');
+    assert.strictEqual(seen.length, before, 'all from the cache');
+  });
+});
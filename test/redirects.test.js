@@ -0,0 +1,212 @@
+/**
+ * redirects.test.js
+ *
+ * Manual redirects (redirects.js) and the SSRF checks every hop goes through (validator.js):
+ * local address ranges, redirect method rules, fetchFollowing's hop checks, limit and
+ * credential handling, and /proxy answering redirects with a proxied Location or following
+ * them (followRedirects) and rewriting against the final URL.
+ * Run with `npm test` (node:test); talks to local upstreams on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { Readable } = require('stream');
+const { isLocalAddress, checkTarget } = require('../proxy/validator');
+const { redirectTarget, proxyLocation, checkHop, nextHopOptions, fetchFollowing } = require('../proxy/redirects');
+const { RESOURCE } = require('../proxy/proxyUrl');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+const nav = url => '/proxy?url=' + encodeURIComponent(url);
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+/**
+ * redirectServer(routes)
+ * - routes: path -> (req, body) => [status, headers, body], looked up per request (so they can
+ *   be added once the port is known); every request is recorded in seen
+ */
+function redirectServer(routes) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      seen.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const route = routes[req.url.split('?')[0]];
+      const [status, headers, text] = route ? route(req, body) : [404, {}, 'missing'];
+      res.writeHead(status, Object.assign({ 'Content-Type': 'text/html' }, headers));
+      res.end(text);
+    });
+  });
+  return { server, seen };
+}
+
+test('local addresses', () => {
+  for (const host of ['127.0.0.1', '127.8.9.10', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '::1', '[::1]', '::', '::ffff:127.0.0.1', '[::ffff:10.0.0.1]', 'fc00::1', 'fd12::1', 'fe80::1',
+    'localhost', 'LOCALHOST', 'app.localhost']) {
+    assert.ok(isLocalAddress(host), host);
+  }
+  for (const host of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2001:4860::8888', '::ffff:8.8.8.8', 'example.com', 'localhost.example.com', '']) {
+    assert.ok(!isLocalAddress(host), host);
+  }
+});
+
+test('checkTarget', () => {
+  assert.deepStrictEqual(checkTarget('https://example.com/'), { valid: true });
+  assert.deepStrictEqual(checkTarget('http://10.0.0.1/'), { valid: false, status: 403, reason: 'Local network access blocked' });
+  assert.strictEqual(checkTarget('http://[::ffff:7f00:1]/').status, 403);
+  assert.strictEqual(checkTarget('http://localhost:8080/').status, 400, 'blacklisted name');
+  assert.strictEqual(checkTarget('file:///etc/passwd').status, 400);
+  assert.strictEqual(checkTarget('javascript:alert(1)').status, 400);
+  // allowLocal lets every local address through, the blacklisted names included, and nothing else
+  for (const url of ['http://127.0.0.1:3000/', 'http://localhost/', 'http://[::1]/', 'http://192.168.0.10/']) {
+    assert.strictEqual(checkTarget(url, { allowLocal: true }).valid, true, url);
+  }
+  assert.strictEqual(checkTarget('file:///etc/passwd', { allowLocal: true }).valid, false);
+});
+
+test('redirectTarget / proxyLocation / checkHop', () => {
+  const response = (status, location) => ({ status, headers: new Map(location ? [['location', location]] : []) });
+  assert.strictEqual(redirectTarget(response(302, '../b?x=1'), 'https://example.com/a/c'), 'https://example.com/b?x=1');
+  assert.strictEqual(redirectTarget(response(301, '//cdn.example.net/'), 'https://example.com/'), 'https://cdn.example.net/');
+  assert.strictEqual(redirectTarget(response(200, '/x'), 'https://example.com/'), null);
+  assert.strictEqual(redirectTarget(response(304, '/x'), 'https://example.com/'), null);
+  assert.strictEqual(redirectTarget(response(302), 'https://example.com/'), null);
+
+  assert.strictEqual(proxyLocation('https://example.com/b'), nav('https://example.com/b'));
+  assert.strictEqual(proxyLocation('https://example.com/i.png', RESOURCE), '/resource?url=' + encodeURIComponent('https://example.com/i.png'));
+  assert.strictEqual(proxyLocation('https://example.com/b', undefined, { urlScheme: 'path' }), '/p/https/example.com/b');
+  assert.strictEqual(proxyLocation('mailto:a@example.com'), 'mailto:a@example.com');
+
+  assert.doesNotThrow(() => checkHop('https://example.com/'));
+  assert.throws(() => checkHop('http://169.254.169.254/latest/meta-data'),
+    err => err.status === 403 && err.code === 'EREDIRECTBLOCKED' && /169\.254\.169\.254/.test(err.message));
+});
+
+test('nextHopOptions', () => {
+  const post = { method: 'POST', headers: { 'Content-Type': 'text/plain', 'Content-Length': '3', Accept: '*/*' }, body: 'a=1' };
+  for (const status of [301, 302, 303]) {
+    assert.deepStrictEqual(nextHopOptions(status, post), { method: 'GET', headers: { Accept: '*/*' }, body: undefined }, String(status));
+  }
+  for (const status of [307, 308]) assert.strictEqual(nextHopOptions(status, post), post, String(status));
+  assert.strictEqual(nextHopOptions(302, { method: 'GET' }).method, 'GET');
+  assert.strictEqual(nextHopOptions(303, { method: 'HEAD' }).method, 'HEAD');
+  assert.strictEqual(nextHopOptions(307, { method: 'PUT', body: Readable.from(['x']) }), null, 'a spent stream cannot be sent again');
+});
+
+test('fetchFollowing', async (t) => {
+  const other = redirectServer({ '/landing': () => [200, {}, 'other origin'] });
+  const routes = {};
+  const main = redirectServer(routes);
+  const [mainPort, otherPort] = [await listen(main.server), await listen(other.server)];
+  t.after(() => {
+    main.server.close();
+    other.server.close();
+  });
+  const mainUrl = path => `http://127.0.0.1:${mainPort}${path}`;
+  const otherUrl = path => `http://127.0.0.1:${otherPort}${path}`;
+  Object.assign(routes, {
+    '/a': () => [301, { Location: '/b', 'Set-Cookie': 'hop=a' }, ''],
+    '/b': () => [302, { Location: mainUrl('/c') }, ''],
+    '/c': () => [200, {}, 'final'],
+    '/loop': req => [302, { Location: '/loop?n=' + (Number(new URL(req.url, 'http://x').searchParams.get('n')) + 1) }, ''],
+    '/away': () => [302, { Location: otherUrl('/landing') }, ''],
+    '/meta': () => [302, { Location: 'http://169.254.169.254/latest/meta-data' }, ''],
+    '/form': () => [303, { Location: '/c' }, ''],
+    '/keep': () => [307, { Location: '/echo' }, ''],
+    '/echo': (req, body) => [200, {}, `${req.method} ${body}`]
+  });
+
+  await t.test('follows the chain and reports the final URL, the hops and their cookies', async () => {
+    const { response, url, redirects, setCookies } = await fetchFollowing(mainUrl('/a'), {}, { allowLocal: true });
+    assert.strictEqual(await response.text(), 'final');
+    assert.strictEqual(url, mainUrl('/c'));
+    assert.deepStrictEqual(redirects.map(r => [r.status, r.location]), [[301, mainUrl('/b')], [302, mainUrl('/c')]]);
+    assert.deepStrictEqual(setCookies, ['hop=a']);
+  });
+
+  await t.test('at most maxRedirects hops', async () => {
+    await assert.rejects(fetchFollowing(mainUrl('/loop?n=0'), {}, { allowLocal: true, maxRedirects: 3 }),
+      err => err.status === 508 && err.code === 'ETOOMANYREDIRECTS');
+    const { url } = await fetchFollowing(mainUrl('/a'), {}, { allowLocal: true, maxRedirects: 2 });
+    assert.strictEqual(url, mainUrl('/c'));
+  });
+
+  await t.test('every hop is checked before it is fetched', async () => {
+    // the first URL is the caller's to check (local here); the hops are checked without allowLocal
+    await assert.rejects(fetchFollowing(mainUrl('/meta'), {}, {}), err => err.status === 403 && err.code === 'EREDIRECTBLOCKED');
+    const before = other.seen.length;
+    await assert.rejects(fetchFollowing(mainUrl('/away'), {}, {}), err => err.status === 400 && err.code === 'EREDIRECTBLOCKED' && /blacklisted/.test(err.message));
+    assert.strictEqual(other.seen.length, before, 'the refused hop is never requested');
+  });
+
+  await t.test('credentials stay with their origin', async () => {
+    const headers = { Cookie: 'sid=1', Authorization: 'Bearer t', Accept: 'text/html' };
+    await fetchFollowing(mainUrl('/away'), { headers }, { allowLocal: true });
+    const landed = other.seen[other.seen.length - 1];
+    assert.strictEqual(landed.url, '/landing');
+    assert.strictEqual(landed.headers.cookie, undefined);
+    assert.strictEqual(landed.headers.authorization, undefined);
+    assert.strictEqual(landed.headers.accept, 'text/html');
+  });
+
+  await t.test('303 continues as GET, 307 repeats the request', async () => {
+    const init = { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'x=1' };
+    const seeOther = await fetchFollowing(mainUrl('/form'), init, { allowLocal: true });
+    assert.strictEqual(await seeOther.response.text(), 'final');
+    const repeated = await fetchFollowing(mainUrl('/keep'), init, { allowLocal: true });
+    assert.strictEqual(await repeated.response.text(), 'POST x=1');
+  });
+});
+
+test('/proxy and redirects', async (t) => {
+  const upstream = redirectServer({
+    '/old': () => [301, { Location: '/dir/new.html' }, ''],
+    '/dir/new.html': () => [200, {}, '<a href="next.html">n</a>'],
+    '/file': () => [302, { Location: 'file:///etc/passwd' }, ''],
+    '/loop': () => [302, { Location: '/loop' }, '']
+  });
+  const port = await listen(upstream.server);
+  const at = path => `http://127.0.0.1:${port}${path}`;
+
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false }));
+  app.all('/follow', proxyMiddleware({ allowLocal: true, throttle: false, cache: false, followRedirects: true, maxRedirects: 3 }));
+  const proxy = http.createServer(app);
+  const proxyPort = await listen(proxy);
+  t.after(() => {
+    upstream.server.close();
+    proxy.close();
+  });
+  const get = path => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: proxyPort, path }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', c => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+
+  await t.test('the browser gets the redirect with a proxied Location', async () => {
+    const res = await get(nav(at('/old')));
+    assert.strictEqual(res.status, 301);
+    assert.strictEqual(res.headers.location, nav(at('/dir/new.html')));
+  });
+
+  await t.test('a Location that fails the checks is refused', async () => {
+    const res = await get(nav(at('/file')));
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.headers.location, undefined);
+  });
+
+  await t.test('followRedirects: the page is rewritten against the final URL', async () => {
+    const res = await get('/follow?url=' + encodeURIComponent(at('/old')));
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.includes(`href="${nav(at('/dir/next.html'))}"`));
+    const loop = await get('/follow?url=' + encodeURIComponent(at('/loop')));
+    assert.strictEqual(loop.status, 508);
+  });
+});
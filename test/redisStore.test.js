@@ -0,0 +1,361 @@
+/**
+ * redisStore.test.js
+ *
+ * The Redis cache adapter and its hand-written RESP client: replies split across packets,
+ * error replies, command timeouts and reconnects, AUTH / SELECT from the URL, get / set / del
+ * with expiry, scan and clear within keyPrefix, stats, and the tiered store falling back to
+ * misses when its Redis tier is away.
+ * The store checks run twice: against a small RESP server in this file (always), and against
+ * a real redis-server - REDIS_TEST_URL, or one started on a free port when the binary is on
+ * PATH; skipped otherwise.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { spawn, spawnSync } = require('child_process');
+const { createRedisClient, createRedisStore, encodeValue, decodeValue } = require('../proxy/redisStore');
+const { createTieredStore } = require('../proxy/cacheStore');
+const { createMemoryStore } = require('../proxy/memoryStore');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// RESP encoding of a reply: strings as bulk strings, Errors as error replies
+function encodeReply(value) {
+  if (value === null) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (value && value.status) return `+${value.status}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encodeReply).join('');
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+}
+
+function globRegExp(pattern) {
+  let out = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') out += '\\' + pattern[++i];
+    else if (ch === '*') out += '[\\s\\S]*';
+    else if (ch === '?') out += '[\\s\\S]';
+    else out += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${out}$`);
+}
+
+/**
+ * fakeRedis({ password, dribble })
+ * - enough of Redis for redisStore: PING AUTH SELECT GET SET [PX] DEL SCAN DBSIZE; HANG never
+ *   answers, nor anything after it on that connection (as a blocked Redis connection would).
+ *   dribble sends replies a byte at a time. .seen lists the commands received.
+ */
+async function fakeRedis({ password = null, dribble = false } = {}) {
+  const dbs = new Map(); // db -> Map(key -> { value, expiresAt })
+  const seen = [];
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let db = 0;
+    let authed = !password;
+    let hung = false;
+    const data = () => {
+      if (!dbs.has(db)) dbs.set(db, new Map());
+      const map = dbs.get(db);
+      for (const [k, v] of map) if (v.expiresAt && v.expiresAt <= Date.now()) map.delete(k);
+      return map;
+    };
+    const reply = value => {
+      const bytes = Buffer.from(encodeReply(value));
+      if (!dribble) return socket.write(bytes);
+      for (let i = 0; i < bytes.length; i++) socket.write(bytes.subarray(i, i + 1));
+    };
+    const run = args => {
+      const name = args[0].toString().toUpperCase();
+      const str = i => args[i].toString();
+      seen.push([name, ...args.slice(1).map(a => a.toString())]);
+      if (name === 'AUTH') return str(args.length - 1) === password ? (authed = true, { status: 'OK' }) : new Error('WRONGPASS invalid password');
+      if (!authed) return new Error('NOAUTH Authentication required.');
+      switch (name) {
+        case 'PING': return { status: 'PONG' };
+        case 'HANG': hung = true; return undefined;
+        case 'SELECT': db = parseInt(str(1), 10); return { status: 'OK' };
+        case 'GET': return data().has(str(1)) ? data().get(str(1)).value : null;
+        case 'SET': {
+          const px = args.findIndex(a => a.toString().toUpperCase() === 'PX');
+          data().set(str(1), { value: Buffer.from(args[2]), expiresAt: px > 0 ? Date.now() + parseInt(str(px + 1), 10) : null });
+          return { status: 'OK' };
+        }
+        case 'DEL': return args.slice(1).reduce((n, k) => n + (data().delete(k.toString()) ? 1 : 0), 0);
+        case 'DBSIZE': return data().size;
+        case 'SCAN': {
+          // two keys per page, to make the client follow the cursor
+          const match = globRegExp(str(args.findIndex(a => a.toString().toUpperCase() === 'MATCH') + 1));
+          const keys = [...data().keys()].filter(k => match.test(k));
+          const from = parseInt(str(1), 10);
+          const next = from + 2 < keys.length ? String(from + 2) : '0';
+          return [next, keys.slice(from, from + 2)];
+        }
+        default: return new Error(`ERR unknown command '${name}'`);
+      }
+    };
+    // commands arrive as RESP arrays of bulk strings
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        if (!buffer.length || buffer[0] !== 0x2a) return;
+        let pos = buffer.indexOf('\r\n');
+        if (pos < 0) return;
+        const count = parseInt(buffer.toString('utf8', 1, pos), 10);
+        const args = [];
+        pos += 2;
+        for (let i = 0; i < count; i++) {
+          const end = buffer.indexOf('\r\n', pos);
+          if (end < 0) return;
+          const length = parseInt(buffer.toString('utf8', pos + 1, end), 10);
+          if (buffer.length < end + 2 + length + 2) return;
+          args.push(buffer.subarray(end + 2, end + 2 + length));
+          pos = end + 2 + length + 2;
+        }
+        buffer = buffer.subarray(pos);
+        if (hung) continue;
+        const value = run(args);
+        if (value !== undefined) reply(value);
+      }
+    });
+    socket.on('error', () => {});
+  });
+  const port = await listen(server);
+  const sockets = new Set();
+  server.on('connection', s => { sockets.add(s); s.on('close', () => sockets.delete(s)); });
+  return {
+    url: `redis://127.0.0.1:${port}`,
+    seen,
+    close() {
+      for (const s of sockets) s.destroy();
+      server.close();
+    }
+  };
+}
+
+// a real redis-server for the store checks: REDIS_TEST_URL, or one started here
+async function realRedis() {
+  if (process.env.REDIS_TEST_URL) return { url: process.env.REDIS_TEST_URL, close() {} };
+  if (spawnSync('redis-server', ['--version']).error) return null;
+  const probe = net.createServer();
+  const port = await listen(probe);
+  await new Promise(resolve => probe.close(resolve));
+  const child = spawn('redis-server', ['--port', String(port), '--bind', '127.0.0.1', '--save', '', '--appendonly', 'no'], { stdio: 'ignore' });
+  const url = `redis://127.0.0.1:${port}/15`;
+  for (let i = 0; i < 50; i++) {
+    const client = createRedisClient(url, { connectTimeoutMs: 200 });
+    const up = await client.command(['PING']).then(() => true, () => false);
+    client.close();
+    if (up) return { url, close: () => child.kill() };
+    await sleep(100);
+  }
+  child.kill();
+  return null;
+}
+
+// get / set / del / expiry / scan / clear / stats against the Redis at url
+async function storeChecks(t, url) {
+  const prefix = `seb:test:${process.pid}:`;
+  const store = createRedisStore({ url, keyPrefix: prefix, commandTimeoutMs: 2000 });
+  const other = createRedisStore({ url, keyPrefix: `seb:test:${process.pid}-other:` });
+  t.after(async () => {
+    await store.clear().catch(() => {});
+    await other.clear().catch(() => {});
+    store.close();
+    other.close();
+  });
+  await store.clear();
+
+  await t.test('set and get keep Buffers and expiry', async () => {
+    const body = Buffer.from([0, 1, 2, 255, 13, 10]);
+    const expiresAt = Date.now() + 60000;
+    assert.strictEqual(await store.set('page', { status: 200, body }, expiresAt), true);
+    const found = await store.get('page');
+    assert.strictEqual(found.value.status, 200);
+    assert.ok(found.value.body.equals(body));
+    assert.strictEqual(found.expiresAt, expiresAt);
+    assert.strictEqual(await store.get('missing'), null);
+  });
+
+  await t.test('entries expire (PX), and a past expiry deletes instead', async () => {
+    await store.set('short', 'x', Date.now() + 50);
+    await sleep(120);
+    assert.strictEqual(await store.get('short'), null);
+    await store.set('gone', 'x');
+    assert.strictEqual(await store.set('gone', 'y', Date.now() - 1), false);
+    assert.strictEqual(await store.get('gone'), null);
+  });
+
+  await t.test('del', async () => {
+    await store.set('del-me', 1);
+    await store.del('del-me');
+    assert.strictEqual(await store.get('del-me'), null);
+  });
+
+  await t.test('scan follows the cursor and matches glob characters in keys literally', async () => {
+    const keys = ['a:1', 'a:2', 'a:3', 'a*b', 'a?c', 'b:1'];
+    for (const key of keys) await store.set(key, key);
+    await other.set('a:elsewhere', 1);
+    assert.deepStrictEqual((await store.scan('a:')).sort(), ['a:1', 'a:2', 'a:3']);
+    assert.deepStrictEqual(await store.scan('a*'), ['a*b']);
+    assert.deepStrictEqual(await store.scan('a?'), ['a?c']);
+    assert.ok((await store.scan('')).length >= keys.length);
+  });
+
+  await t.test('clear removes this prefix\'s keys only', async () => {
+    await store.clear();
+    assert.deepStrictEqual(await store.scan(''), []);
+    assert.deepStrictEqual(await other.scan(''), ['a:elsewhere']);
+  });
+
+  await t.test('stats counts the database with DBSIZE', async () => {
+    const stats = await store.stats();
+    assert.strictEqual(stats.backend, 'redis');
+    assert.strictEqual(stats.keyPrefix, prefix);
+    assert.strictEqual(typeof stats.databaseKeys, 'number');
+    assert.ok(stats.databaseKeys >= 1);
+  });
+}
+
+test('encodeValue / decodeValue', () => {
+  const value = { headers: { a: 'b' }, body: Buffer.from('binary\0data'), parts: [Buffer.from('x'), 'y'] };
+  const decoded = decodeValue(encodeValue(value, 1234));
+  assert.strictEqual(decoded.expiresAt, 1234);
+  assert.deepStrictEqual(decoded.value.headers, { a: 'b' });
+  assert.ok(decoded.value.body.equals(value.body));
+  assert.ok(decoded.value.parts[0].equals(Buffer.from('x')));
+  assert.strictEqual(decoded.value.parts[1], 'y');
+  assert.strictEqual(decodeValue(encodeValue('plain')).expiresAt, null);
+});
+
+test('RESP client', async (t) => {
+  await t.test('reassembles replies that arrive a byte at a time', async () => {
+    const server = await fakeRedis({ dribble: true });
+    const client = createRedisClient(server.url);
+    try {
+      assert.strictEqual(await client.command(['PING']), 'PONG');
+      await client.command(['SET', 'k', Buffer.from('a\r\nb')]);
+      assert.ok((await client.command(['GET', 'k'])).equals(Buffer.from('a\r\nb')));
+      assert.strictEqual(await client.command(['GET', 'nope']), null);
+      assert.deepStrictEqual((await client.command(['SCAN', '0', 'MATCH', '*', 'COUNT', '10']))[0].toString(), '0');
+      assert.strictEqual(await client.command(['DBSIZE']), 1);
+    } finally {
+      client.close();
+      server.close();
+    }
+  });
+
+  await t.test('error replies reject only their own command', async () => {
+    const server = await fakeRedis();
+    const client = createRedisClient(server.url);
+    try {
+      const [bad, good] = await Promise.allSettled([client.command(['NOPE']), client.command(['PING'])]);
+      assert.strictEqual(bad.reason.code, 'REDIS_ERROR');
+      assert.match(bad.reason.message, /unknown command/);
+      assert.strictEqual(good.value, 'PONG');
+    } finally {
+      client.close();
+      server.close();
+    }
+  });
+
+  await t.test('a timeout fails the waiting commands and the next one reconnects', async () => {
+    const server = await fakeRedis();
+    const client = createRedisClient(server.url, { commandTimeoutMs: 100 });
+    try {
+      const results = await Promise.allSettled([client.command(['HANG']), client.command(['PING'])]);
+      assert.deepStrictEqual(results.map(r => r.reason && r.reason.code), ['ETIMEDOUT', 'ETIMEDOUT']);
+      assert.strictEqual(await client.command(['PING']), 'PONG');
+    } finally {
+      client.close();
+      server.close();
+    }
+  });
+
+  await t.test('AUTH and SELECT come from the URL', async () => {
+    const server = await fakeRedis({ password: 's3cret' });
+    const client = createRedisClient(server.url.replace('//', '//:s3cret@') + '/3');
+    const denied = createRedisClient(server.url.replace('//', '//:wrong@'), { connectTimeoutMs: 500 });
+    try {
+      assert.strictEqual(await client.command(['PING']), 'PONG');
+      assert.deepStrictEqual(server.seen.slice(0, 2), [['AUTH', 's3cret'], ['SELECT', '3']]);
+      await assert.rejects(denied.command(['PING']), /WRONGPASS/);
+    } finally {
+      client.close();
+      denied.close();
+      server.close();
+    }
+  });
+
+  await t.test('an unreachable server fails the command', async () => {
+    const probe = net.createServer();
+    const port = await listen(probe);
+    await new Promise(resolve => probe.close(resolve));
+    const client = createRedisClient(`redis://127.0.0.1:${port}`, { connectTimeoutMs: 500 });
+    await assert.rejects(client.command(['PING']));
+    client.close();
+  });
+});
+
+test('redis store against the RESP server in this file', async (t) => {
+  const server = await fakeRedis();
+  t.after(() => server.close());
+  await storeChecks(t, server.url);
+});
+
+test('redis store against redis-server', async (t) => {
+  const server = await realRedis();
+  if (!server) {
+    t.skip('no redis-server on PATH and no REDIS_TEST_URL');
+    return;
+  }
+  t.after(() => server.close());
+  await storeChecks(t, server.url);
+});
+
+test('tiered store: memory over redis', async (t) => {
+  await t.test('a memory miss is answered by redis and copied up', async () => {
+    const server = await fakeRedis();
+    const lower = createRedisStore({ url: server.url, keyPrefix: 'tier:' });
+    const upper = createMemoryStore();
+    const store = createTieredStore(upper, lower, { upperTtlMs: 1000 });
+    try {
+      await lower.set('shared', { from: 'another process' }, Date.now() + 60000);
+      assert.deepStrictEqual((await store.get('shared')).value, { from: 'another process' });
+      assert.deepStrictEqual((await upper.get('shared')).value, { from: 'another process' });
+
+      await store.set('mine', 'v', Date.now() + 60000);
+      await sleep(50); // the lower tier is written in the background
+      assert.strictEqual((await lower.get('mine')).value, 'v');
+      await store.del('mine');
+      assert.strictEqual(await lower.get('mine'), null);
+    } finally {
+      store.close();
+      server.close();
+    }
+  });
+
+  await t.test('with redis away, lower-tier failures are misses, not errors', async () => {
+    const probe = net.createServer();
+    const port = await listen(probe);
+    await new Promise(resolve => probe.close(resolve));
+    const lower = createRedisStore({ url: `redis://127.0.0.1:${port}`, connectTimeoutMs: 200, commandTimeoutMs: 200 });
+    const store = createTieredStore(createMemoryStore(), lower);
+    try {
+      assert.strictEqual(await store.set('k', 'v'), true);
+      assert.strictEqual((await store.get('k')).value, 'v');
+      assert.strictEqual(await store.get('other'), null);
+      assert.deepStrictEqual(await store.scan(''), ['k']);
+      assert.deepStrictEqual((await store.stats()).lower, { error: 'unavailable' });
+      await store.clear();
+      assert.strictEqual(await store.get('k'), null);
+    } finally {
+      store.close();
+    }
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * requestHeaders.test.js
+ *
+ * The upstream request header pipeline (requestHeaders.js): hop-by-hop, proxy-revealing and
+ * proxy-owned headers dropped, Referer / Origin / Sec-Fetch-Site translated from the proxied
+ * page back to its upstream URL, Accept / Accept-Language forwarded with defaults behind
+ * them, and per-domain overrides (PROXY_HEADER_OVERRIDES, set here before config loads).
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+process.env.PROXY_HEADER_OVERRIDES = JSON.stringify({
+  'example.com': { 'user-agent': 'Example-UA', 'x-site': 'outer' },
+  'api.example.com': { 'x-site': 'inner', referer: null }
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { upstreamReferer, fetchSite, headerOverridesFor, buildUpstreamHeaders } = require('../proxy/requestHeaders');
+const { getRequestHeaderDefaults } = require('../proxy/config');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+const PROXY = 'http://127.0.0.1:8080';
+const proxied = url => `${PROXY}/proxy?url=${encodeURIComponent(url)}`;
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('upstreamReferer: strict-origin-when-cross-origin', () => {
+  assert.strictEqual(upstreamReferer('https://a.example.com/p?q=1#h', 'https://a.example.com/x'), 'https://a.example.com/p?q=1');
+  assert.strictEqual(upstreamReferer('https://user:pw@a.example.com/p', 'https://a.example.com/x'), 'https://a.example.com/p');
+  assert.strictEqual(upstreamReferer('https://a.example.com/p?q=1', 'https://b.example.org/x'), 'https://a.example.com/');
+  assert.strictEqual(upstreamReferer('https://a.example.com/p', 'http://a.example.com/x'), null, 'no downgrade');
+  assert.strictEqual(upstreamReferer('http://a.example.com/p', 'https://a.example.com/x'), 'http://a.example.com/');
+  assert.strictEqual(upstreamReferer(null, 'https://a.example.com/'), null);
+});
+
+test('fetchSite', () => {
+  assert.strictEqual(fetchSite('https://a.example.com/1', 'https://a.example.com/2'), 'same-origin');
+  assert.strictEqual(fetchSite('https://a.example.com/', 'https://b.example.com/'), 'same-site');
+  assert.strictEqual(fetchSite('https://a.example.com/', 'http://a.example.com/'), 'cross-site');
+  assert.strictEqual(fetchSite('https://a.example.com/', 'https://example.org/'), 'cross-site');
+});
+
+test('headerOverridesFor: a domain covers its subdomains, the more specific entry wins', () => {
+  assert.deepStrictEqual(headerOverridesFor('https://example.com/'), { 'user-agent': 'Example-UA', 'x-site': 'outer' });
+  assert.deepStrictEqual(headerOverridesFor('https://v2.api.example.com/'), { 'user-agent': 'Example-UA', 'x-site': 'inner', referer: null });
+  assert.deepStrictEqual(headerOverridesFor('https://notexample.com/'), {});
+  assert.deepStrictEqual(headerOverridesFor('not a url'), {});
+});
+
+test('buildUpstreamHeaders', async (t) => {
+  const page = 'https://shop.example.net/cart?id=7';
+  const req = headers => ({ headers });
+
+  await t.test('drops hop-by-hop, proxy-revealing and proxy-owned headers', () => {
+    const out = buildUpstreamHeaders(req({
+      host: '127.0.0.1:8080', connection: 'keep-alive, x-hop', 'x-hop': '1', 'keep-alive': 'timeout=5', te: 'trailers',
+      'upgrade-insecure-requests': '1', forwarded: 'for=1.2.3.4', via: '1.1 proxy', 'x-forwarded-for': '1.2.3.4', 'x-real-ip': '1.2.3.4',
+      'proxy-authorization': 'Basic x', cookie: 'seb.sid=secret', 'content-length': '3', 'accept-encoding': 'zstd',
+      'if-none-match': '"e"', range: 'bytes=0-1', 'x-seb-sw': '1', authorization: 'Bearer t', 'x-custom': 'kept', 'bad name': 'x'
+    }), 'https://shop.example.net/');
+    assert.deepStrictEqual(Object.keys(out).sort(),
+      ['accept', 'accept-language', 'authorization', 'upgrade-insecure-requests', 'user-agent', 'x-custom']);
+  });
+
+  await t.test('forwards the browser\'s Accept, Accept-Language and User-Agent; defaults fill the gaps', () => {
+    const browser = buildUpstreamHeaders(req({ accept: 'text/html,*/*;q=0.8', 'accept-language': 'ja,en;q=0.5', 'user-agent': 'Browser/1.0' }), 'https://shop.example.net/');
+    assert.deepStrictEqual([browser.accept, browser['accept-language'], browser['user-agent']], ['text/html,*/*;q=0.8', 'ja,en;q=0.5', 'Browser/1.0']);
+    const own = buildUpstreamHeaders(null, 'https://shop.example.net/');
+    const defaults = getRequestHeaderDefaults();
+    assert.deepStrictEqual(own, { 'user-agent': defaults.userAgent, accept: defaults.accept, 'accept-language': defaults.acceptLanguage });
+  });
+
+  await t.test('Referer, Origin and Sec-Fetch-Site are those of the upstream page', () => {
+    const sameOrigin = buildUpstreamHeaders(req({ referer: proxied(page), origin: PROXY, 'sec-fetch-site': 'same-origin' }), 'https://shop.example.net/api/cart');
+    assert.deepStrictEqual([sameOrigin.referer, sameOrigin.origin, sameOrigin['sec-fetch-site']], [page, 'https://shop.example.net', 'same-origin']);
+    const cross = buildUpstreamHeaders(req({ referer: proxied(page), origin: PROXY, 'sec-fetch-site': 'same-origin' }), 'https://pay.example.org/');
+    assert.deepStrictEqual([cross.referer, cross.origin, cross['sec-fetch-site']], ['https://shop.example.net/', 'https://shop.example.net', 'cross-site']);
+    const site = buildUpstreamHeaders(req({ referer: proxied(page), 'sec-fetch-site': 'same-origin' }), 'https://cdn.example.net/x.js');
+    assert.strictEqual(site['sec-fetch-site'], 'same-site');
+    // the path form, and a WebSocket handshake compared as http(s)
+    const ws = buildUpstreamHeaders(req({ referer: `${PROXY}/p/https/shop.example.net/cart`, origin: PROXY }), 'wss://shop.example.net/socket');
+    assert.deepStrictEqual([ws.referer, ws.origin], ['https://shop.example.net/cart', 'https://shop.example.net']);
+  });
+
+  await t.test('without a proxied page', () => {
+    const typed = buildUpstreamHeaders(req({ referer: `${PROXY}/`, origin: PROXY, 'sec-fetch-site': 'same-origin', 'sec-fetch-mode': 'navigate' }), 'https://shop.example.net/');
+    assert.strictEqual(typed.referer, undefined, 'the proxy UI is not a Referer');
+    assert.strictEqual(typed.origin, 'https://shop.example.net');
+    assert.strictEqual(typed['sec-fetch-site'], 'none');
+    const sandboxed = buildUpstreamHeaders(req({ origin: 'null' }), 'https://shop.example.net/');
+    assert.strictEqual(sandboxed.origin, 'null');
+  });
+
+  await t.test('caller headers, then per-domain overrides; null removes', () => {
+    const out = buildUpstreamHeaders(req({ referer: proxied('https://api.example.com/docs'), 'user-agent': 'Browser/1.0' }),
+      'https://api.example.com/v1', { headers: { 'X-Site': 'caller', 'X-Extra': 1, 'X-None': null } });
+    assert.strictEqual(out['user-agent'], 'Example-UA');
+    assert.strictEqual(out['x-site'], 'inner');
+    assert.strictEqual(out['x-extra'], '1');
+    assert.ok(!('x-none' in out));
+    assert.ok(!('referer' in out));
+  });
+});
+
+test('/proxy sends the pipeline\'s headers', async (t) => {
+  let received = null;
+  const upstream = http.createServer((req, res) => {
+    received = req.headers;
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const origin = `http://127.0.0.1:${upstreamPort}`;
+  await new Promise((resolve, reject) => {
+    http.get({
+      host: '127.0.0.1',
+      port: proxyPort,
+      path: '/proxy?url=' + encodeURIComponent(origin + '/api'),
+      headers: {
+        referer: `http://127.0.0.1:${proxyPort}/proxy?url=${encodeURIComponent(origin + '/page?x=1')}`,
+        'accept-language': 'de-DE', 'x-forwarded-for': '10.0.0.9', cookie: 'seb.sid=nope; theme=dark'
+      }
+    }, res => { res.resume(); res.on('end', resolve); }).on('error', reject);
+  });
+  assert.strictEqual(received.host, `127.0.0.1:${upstreamPort}`);
+  assert.strictEqual(received.referer, origin + '/page?x=1');
+  assert.strictEqual(received['accept-language'], 'de-DE');
+  assert.strictEqual(received['user-agent'], getRequestHeaderDefaults().userAgent);
+  assert.strictEqual(received['x-forwarded-for'], undefined);
+  assert.strictEqual(received.cookie, undefined, 'the browser\'s cookies stay with the proxy');
+});
@@ -0,0 +1,119 @@
+/**
+ * resourceRewrite.test.js
+ *
+ * /resource rewriting by content type (fetcher.streamToResponse): stylesheets, scripts, SVG
+ * and web app manifests go through their rewriter and lose their upstream length, binary
+ * bodies are passed on byte for byte with it; plus rewrite.rewriteManifest and the dropped
+ * integrity attributes of rewritten scripts and stylesheets.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const fetcher = require('../proxy/fetcher');
+const { rewriteHtml, rewriteManifest } = require('../proxy/rewrite');
+const { getRewriteOptions } = require('../proxy/proxyMiddleware');
+
+const res = url => '/resource?url=' + encodeURIComponent(url);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0x75, 0x72, 0x6c, 0x28, 0x78, 0x29]);
+
+const BODIES = {
+  '/css/s.css': ['text/css', '.a{background:url(../i.png)} @import "b.css";'],
+  '/js/app.js': ['application/javascript', 'fetch("/api/items");'],
+  '/img/i.svg': ['image/svg+xml', '<svg xmlns="http://www.w3.org/2000/svg"><image href="p.png"/></svg>'],
+  '/site.webmanifest': ['application/json', '{"start_url":"/","icons":[{"src":"/icon.png"}]}'],
+  '/data.json': ['application/json', '{"src":"/icon.png"}'],
+  '/img/i.png': ['image/png', PNG]
+};
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test('/resource rewrites by content type', async (t) => {
+  const upstream = http.createServer((req, res) => {
+    const [type, body] = BODIES[req.url] || ['text/plain', 'missing'];
+    const bytes = Buffer.from(body);
+    res.writeHead(BODIES[req.url] ? 200 : 404, { 'Content-Type': type, 'Content-Length': bytes.length });
+    res.end(bytes);
+  });
+  const app = express();
+  app.get('/resource', (req, res) => fetcher.streamToResponse(req.query.url, res, {
+    incomingReq: req, allowLocal: true, useCache: false, rewriteOptions: getRewriteOptions()
+  }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const origin = `http://127.0.0.1:${upstreamPort}`;
+  const get = path => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: proxyPort, path: res(origin + path) }, r => {
+      const chunks = [];
+      r.on('data', c => chunks.push(c));
+      r.on('end', () => resolve({ status: r.statusCode, headers: r.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+
+  await t.test('stylesheets', async () => {
+    const out = await get('/css/s.css');
+    assert.strictEqual(out.body.toString(), `.a{background:url(${res(origin + '/i.png')})} @import "${res(origin + '/css/b.css')}";`);
+    assert.strictEqual(out.headers['content-length'], undefined);
+    assert.strictEqual(out.headers['content-type'], 'text/css; charset=utf-8');
+  });
+
+  await t.test('scripts', async () => {
+    const out = await get('/js/app.js');
+    assert.match(out.body.toString(), new RegExp(`^fetch\\("/proxy\\?url=${encodeURIComponent(origin + '/api/items')}"\\);`));
+    assert.strictEqual(out.headers['content-length'], undefined);
+  });
+
+  await t.test('SVG, without the page runtime', async () => {
+    const out = (await get('/img/i.svg')).body.toString();
+    assert.ok(out.includes(`<image href="${res(origin + '/img/p.png')}"/>`));
+    assert.ok(!out.includes('proxyRuntime'));
+  });
+
+  await t.test('manifests, also when served as JSON; other JSON is left alone', async () => {
+    const manifest = JSON.parse((await get('/site.webmanifest')).body);
+    assert.strictEqual(manifest.icons[0].src, res(origin + '/icon.png'));
+    assert.strictEqual(manifest.start_url, `/p/http/127.0.0.1:${upstreamPort}/`);
+    assert.strictEqual((await get('/data.json')).body.toString(), BODIES['/data.json'][1]);
+  });
+
+  await t.test('binary bodies pass through with their length', async () => {
+    const out = await get('/img/i.png');
+    assert.ok(out.body.equals(PNG));
+    assert.strictEqual(out.headers['content-length'], String(PNG.length));
+    assert.strictEqual(out.headers['content-type'], 'image/png');
+  });
+});
+
+test('rewriteManifest', () => {
+  const manifest = JSON.parse(rewriteManifest(JSON.stringify({
+    name: 'App',
+    start_url: './?src=pwa',
+    scope: '/app/',
+    icons: [{ src: 'i/192.png', sizes: '192x192' }],
+    shortcuts: [{ url: '/new', icons: [{ src: 'n.png' }] }],
+    share_target: { action: '/share', method: 'POST' }
+  }), 'https://example.com/app/site.webmanifest'));
+  assert.strictEqual(manifest.name, 'App');
+  // start_url has to stay inside scope, so both take the path form
+  assert.strictEqual(manifest.start_url, '/p/https/example.com/app/?src=pwa');
+  assert.strictEqual(manifest.scope, '/p/https/example.com/app/');
+  assert.deepStrictEqual(manifest.icons, [{ src: res('https://example.com/app/i/192.png'), sizes: '192x192' }]);
+  assert.strictEqual(manifest.shortcuts[0].url, '/p/https/example.com/new');
+  assert.strictEqual(manifest.shortcuts[0].icons[0].src, res('https://example.com/app/n.png'));
+  assert.deepStrictEqual(manifest.share_target, { action: '/p/https/example.com/share', method: 'POST' });
+  assert.strictEqual(rewriteManifest('not json', 'https://example.com/'), 'not json');
+  assert.strictEqual(rewriteManifest('[]', 'https://example.com/'), '[]');
+});
+
+test('integrity is dropped from the scripts and stylesheets /resource rewrites', () => {
+  const out = rewriteHtml('<script src=a.js integrity=sha384-x crossorigin></script>'
+    + '<link rel=stylesheet href=s.css integrity="sha384-y"><img src=i.png integrity=z>', 'https://example.com/', { runtimeScript: false });
+  assert.strictEqual(out, `<script src="${res('https://example.com/a.js')}" crossorigin></script>`
+    + `<link rel=stylesheet href="${res('https://example.com/s.css')}"><img src="${res('https://example.com/i.png')}" integrity=z>`);
+});
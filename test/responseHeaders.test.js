@@ -0,0 +1,151 @@
+/**
+ * responseHeaders.test.js
+ *
+ * Upstream response headers through the policy table of responseHeaders.js: actions by exact
+ * name and by prefix, config entries (PROXY_RESPONSE_HEADER_POLICY, set here before config
+ * loads) over the built-in table, Link / Refresh / Content-Location / CSP rewriting, and the
+ * proxy server's own (helmet) headers on proxied responses: what the table drops is not sent,
+ * whether the page comes from the upstream or from the cache.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+process.env.PROXY_RESPONSE_HEADER_POLICY = JSON.stringify({ 'X-Debug-*': 'drop', 'X-Debug-Keep': 'pass', server: 'pass', 'x-bogus': 'shout' });
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const helmet = require('helmet');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+const { headerAction, rewriteLinkHeader } = require('../proxy/responseHeaders');
+const { createMemoryStore } = require('../proxy/memoryStore');
+const resourceCache = require('../proxy/resourceCache');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, headers: { accept: 'text/html' } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+}
+
+test('headerAction', () => {
+  assert.deepStrictEqual(['Content-Length', 'Set-Cookie', 'Strict-Transport-Security', 'X-Frame-Options', 'Via'].map(headerAction),
+    ['drop', 'drop', 'drop', 'drop', 'drop']);
+  assert.strictEqual(headerAction('Access-Control-Allow-Origin'), 'drop', 'a prefix entry');
+  assert.deepStrictEqual(['Content-Security-Policy', 'Link', 'Refresh', 'Location', 'Content-Location'].map(headerAction),
+    ['csp', 'link', 'refresh', 'url', 'url']);
+  assert.deepStrictEqual(['Content-Type', 'Cache-Control', 'X-Custom'].map(headerAction), ['pass', 'pass', 'pass'], 'defaultAction');
+  // config entries first; exact names before prefixes; unknown actions ignored
+  assert.strictEqual(headerAction('Server'), 'pass');
+  assert.strictEqual(headerAction('X-Debug-Token'), 'drop');
+  assert.strictEqual(headerAction('X-Debug-Keep'), 'pass');
+  assert.strictEqual(headerAction('X-Bogus'), 'pass');
+});
+
+test('rewriteLinkHeader', () => {
+  const base = 'https://example.com/page';
+  assert.strictEqual(
+    rewriteLinkHeader('<https://cdn.example.com/a.css>; rel=preload; as=style; integrity="sha384-x", <https://fonts.example.com>; rel=preconnect', base),
+    '</resource?url=https%3A%2F%2Fcdn.example.com%2Fa.css>; rel=preload; as=style', 'integrity dropped, preconnect dropped');
+  assert.strictEqual(rewriteLinkHeader('</next?a=1,2>; rel="next"', base), '</proxy?url=https%3A%2F%2Fexample.com%2Fnext%3Fa%3D1%2C2>; rel="next"',
+    'a comma inside <> does not split');
+  assert.strictEqual(rewriteLinkHeader('<https://x.example.com>; rel=dns-prefetch', base), '');
+  assert.strictEqual(rewriteLinkHeader('</s.css>; rel=stylesheet', base, { urlScheme: 'path' }), '</r/https/example.com/s.css>; rel=stylesheet');
+});
+
+test('/proxy rewrites the URL-carrying headers', async (t) => {
+  const upstream = http.createServer((req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': "script-src 'nonce-r4nd' https://cdn.example.com; report-uri /csp",
+      'Link': '</style.css>; rel=preload; as=style, <https://fonts.example.com>; rel=preconnect',
+      'Refresh': '5; url=/next',
+      'Content-Location': '/page.en.html',
+      'Server': 'upstream/1.0',
+      'X-Powered-By': 'php',
+      'X-Debug-Token': 'abc',
+      'X-Custom': 'kept'
+    });
+    res.end('<!doctype html><title>t</title><meta http-equiv="Content-Security-Policy" content="img-src https://img.example.com"><p>hi</p>');
+  });
+  const app = express();
+  app.disable('x-powered-by');
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const origin = `http://127.0.0.1:${upstreamPort}`;
+  const nav = url => '/proxy?url=' + encodeURIComponent(url);
+  const res = await new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: proxyPort, path: nav(origin + '/page') }, r => {
+      let body = '';
+      r.setEncoding('utf8');
+      r.on('data', c => { body += c; });
+      r.on('end', () => resolve({ headers: r.headers, body }));
+    }).on('error', reject);
+  });
+
+  assert.strictEqual(res.headers['content-security-policy'], "script-src 'nonce-r4nd' 'self'");
+  assert.match(res.body, /<script src="[^"]+"[^>]* nonce="r4nd"/, 'the runtime script carries the policy\'s nonce');
+  assert.ok(res.body.includes(`content="img-src 'self'"`), 'a <meta> policy is rewritten too');
+  assert.strictEqual(res.headers.link, `</resource?url=${encodeURIComponent(origin + '/style.css')}>; rel=preload; as=style`);
+  assert.strictEqual(res.headers.refresh, `5; url=${nav(origin + '/next')}`);
+  assert.strictEqual(res.headers['content-location'], nav(origin + '/page.en.html'));
+  assert.strictEqual(res.headers.server, 'upstream/1.0', 'passed by the config entry');
+  assert.strictEqual(res.headers['x-powered-by'], undefined);
+  assert.strictEqual(res.headers['x-debug-token'], undefined);
+  assert.strictEqual(res.headers['x-custom'], 'kept');
+});
+
+test('helmet headers the table drops are not sent on proxied pages', async (t) => {
+  resourceCache.setStore(createMemoryStore());
+  let hits = 0;
+  const upstream = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'max-age=60',
+      'Strict-Transport-Security': 'max-age=31536000',
+      'X-Frame-Options': 'DENY'
+    });
+    res.end('<!doctype html><title>t</title><p>hello</p>');
+  });
+  // as server.js mounts it
+  const app = express();
+  app.use(helmet({ referrerPolicy: { policy: 'same-origin' } }));
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: true }));
+  app.get('/plain', (req, res) => res.send('proxy UI'));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const path = '/proxy?url=' + encodeURIComponent(`http://127.0.0.1:${upstreamPort}/page`);
+
+  const own = await get(proxyPort, '/plain');
+  assert.ok(own.headers['strict-transport-security'], 'helmet is active on the proxy\'s own pages');
+  assert.ok(own.headers['x-frame-options']);
+
+  const fresh = await get(proxyPort, path);
+  assert.strictEqual(fresh.statusCode, 200);
+  for (const name of ['strict-transport-security', 'x-frame-options', 'content-security-policy']) {
+    assert.strictEqual(fresh.headers[name], undefined, `${name} on a fetched page`);
+  }
+
+  // the entry is written once the body has gone out
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const cached = await get(proxyPort, path);
+  assert.strictEqual(hits, 1, 'the second load is a cache hit');
+  assert.ok(cached.headers.age !== undefined);
+  for (const name of ['strict-transport-security', 'x-frame-options', 'content-security-policy']) {
+    assert.strictEqual(cached.headers[name], undefined, `${name} on a cached page`);
+  }
+});
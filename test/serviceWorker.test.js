@@ -0,0 +1,157 @@
+/**
+ * serviceWorker.test.js
+ *
+ * Service worker interception mode: public/js/proxySW.js in a vm (which requests it maps onto
+ * /proxy and /resource, and the x-seb-sw marker on navigations), the light HTML pass of
+ * rewrite.js for worker-controlled pages, and /proxy choosing between full and light pass.
+ * Run with `npm test` (node:test); talks to a local upstream on 127.0.0.1 (allowLocal).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const http = require('http');
+const express = require('express');
+const { rewriteHtml } = require('../proxy/rewrite');
+const { proxyMiddleware } = require('../proxy/proxyMiddleware');
+
+const SW_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'proxySW.js'), 'utf8');
+const ORIGIN = 'http://127.0.0.1:8080';
+const PAGE = 'https://example.com/app/index.html';
+const PROXIED_PAGE = ORIGIN + '/proxy?url=' + encodeURIComponent(PAGE);
+const SW = { enabled: true, path: '/sw.js', header: 'x-seb-sw' };
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+/**
+ * loadWorker(query)
+ * - runs proxySW.js as registered with ?query; dispatch(request, clientId) resolves with what the
+ *   worker fetched ({ url, init }), or null when it left the request to the browser
+ */
+function loadWorker(query = '') {
+  const listeners = {};
+  const clients = { 'page-client': { url: PROXIED_PAGE } };
+  let fetched = null;
+  const self = {
+    location: { href: `${ORIGIN}/sw.js${query}`, origin: ORIGIN, pathname: '/sw.js' },
+    clients: { get: async id => clients[id] || null, claim: async () => {} },
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    skipWaiting: () => {}
+  };
+  const context = vm.createContext({
+    self, URL, Headers, TextEncoder, TextDecoder, btoa, atob,
+    fetch: async (url, init) => { fetched = { url: typeof url === 'string' ? url : url.url, init: init || null }; return 'response'; }
+  });
+  vm.runInContext(SW_SOURCE, context);
+
+  async function dispatch(request, clientId = 'page-client') {
+    fetched = null;
+    let responded = null;
+    listeners.fetch({
+      request: Object.assign({ method: 'GET', mode: 'no-cors', destination: '', headers: {}, cache: 'default' }, request),
+      clientId,
+      respondWith: promise => { responded = promise; }
+    });
+    if (!responded) return null;
+    await responded;
+    return fetched;
+  }
+  return { dispatch };
+}
+
+test('proxySW.js', async (t) => {
+  const { dispatch } = loadWorker();
+
+  await t.test('cross-origin subresources go to /resource, other requests to /proxy', async () => {
+    const img = await dispatch({ url: 'https://cdn.example.net/a.png', destination: 'image' });
+    assert.strictEqual(img.url, '/resource?url=' + encodeURIComponent('https://cdn.example.net/a.png'));
+    const api = await dispatch({ url: 'https://api.example.com/v1?x=1', mode: 'cors' });
+    assert.strictEqual(api.url, '/proxy?url=' + encodeURIComponent('https://api.example.com/v1?x=1'));
+    const mod = await dispatch({ url: 'https://example.com/m.js', destination: 'script', mode: 'cors' });
+    assert.strictEqual(mod.url, '/proxy?url=' + encodeURIComponent('https://example.com/m.js'), 'module scripts share /proxy with their imports');
+  });
+
+  await t.test('same-origin URLs the server pass missed resolve against the page\'s upstream URL', async () => {
+    const res = await dispatch({ url: `${ORIGIN}/static/app.css?v=2`, destination: 'style' });
+    assert.strictEqual(res.url, '/resource?url=' + encodeURIComponent('https://example.com/static/app.css?v=2'));
+  });
+
+  await t.test('navigations carry the marker header; proxied subresources pass unchanged', async () => {
+    const nav = await dispatch({ url: 'https://example.com/next', mode: 'navigate', destination: 'document' });
+    assert.strictEqual(nav.init.headers.get('x-seb-sw'), '1');
+    assert.strictEqual(nav.init.redirect, 'manual');
+    const proxiedNav = await dispatch({ url: PROXIED_PAGE, mode: 'navigate', destination: 'document' });
+    assert.strictEqual(proxiedNav.url, PROXIED_PAGE);
+    assert.strictEqual(proxiedNav.init.headers.get('x-seb-sw'), '1');
+    const proxied = `${ORIGIN}/resource?url=${encodeURIComponent('https://cdn.example.net/b.png')}`;
+    const sub = await dispatch({ url: proxied, destination: 'image' });
+    assert.strictEqual(sub.url, proxied);
+    assert.strictEqual(sub.init, null);
+  });
+
+  await t.test('the proxy UI is left alone', async () => {
+    assert.strictEqual(await dispatch({ url: `${ORIGIN}/css/style.css`, destination: 'style' }, null), null);
+    const runtime = await dispatch({ url: `${ORIGIN}/js/proxyRuntime.js`, destination: 'script' });
+    assert.strictEqual(runtime.url, `${ORIGIN}/js/proxyRuntime.js`);
+    const other = await dispatch({ url: 'data:text/plain,x' });
+    assert.strictEqual(other.url, 'data:text/plain,x');
+  });
+
+  await t.test('codec and path scheme come from the registration URL', async () => {
+    const worker = loadWorker('?scheme=path&codec=base64url');
+    const res = await worker.dispatch({ url: 'https://cdn.example.net/x/y.png?z=1', destination: 'image' });
+    const token = Buffer.from('https://cdn.example.net').toString('base64url');
+    assert.strictEqual(res.url, `/r/~${token}/x/y.png?z=1`);
+  });
+});
+
+test('light pass: the worker handles absolute subresources, the server the rest', () => {
+  const html = '<img src="https://cdn.example.net/a.png"><img src="rel.png"><a href="https://other.example.org/">o</a>'
+    + '<script>fetch("https://api.example.com/x"); location.href = "/next";</script>';
+  const light = rewriteHtml(html, PAGE, { lightPass: true, runtimeScript: false });
+  assert.match(light, /<img src="https:\/\/cdn\.example\.net\/a\.png">/);
+  assert.match(light, /<img src="\/resource\?url=https%3A%2F%2Fexample\.com%2Fapp%2Frel\.png">/);
+  assert.match(light, /<a href="\/proxy\?url=https%3A%2F%2Fother\.example\.org%2F">/);
+  assert.match(light, /fetch\("https:\/\/api\.example\.com\/x"\)/, 'network calls are left to the worker');
+  assert.match(light, /__sebLocation/, 'location is still emulated');
+
+  const full = rewriteHtml(html, PAGE, { runtimeScript: false });
+  assert.match(full, /<img src="\/resource\?url=https%3A%2F%2Fcdn\.example\.net%2Fa\.png">/);
+});
+
+test('the runtime tag names the worker in service worker mode', () => {
+  assert.match(rewriteHtml('<head></head>', PAGE, { serviceWorker: '/sw.js' }), /data-service-worker="\/sw\.js"/);
+  assert.doesNotMatch(rewriteHtml('<head></head>', PAGE), /data-service-worker/);
+});
+
+test('/proxy gives worker-forwarded navigations the light pass', async (t) => {
+  const upstream = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<head></head><img src="https://cdn.example.net/a.png">');
+  });
+  const app = express();
+  app.all('/proxy', proxyMiddleware({ allowLocal: true, throttle: false, cache: false, serviceWorker: SW }));
+  const proxy = http.createServer(app);
+  const [upstreamPort, proxyPort] = [await listen(upstream), await listen(proxy)];
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const get = headers => new Promise((resolve, reject) => {
+    const target = encodeURIComponent(`http://127.0.0.1:${upstreamPort}/`);
+    http.get({ host: '127.0.0.1', port: proxyPort, path: `/proxy?url=${target}`, headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', c => { body += c; });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+
+  const first = await get({});
+  assert.match(first, /data-service-worker="\/sw\.js"/);
+  assert.match(first, /src="\/resource\?url=https%3A%2F%2Fcdn\.example\.net%2Fa\.png"/, 'a first visit gets the full rewrite');
+  const controlled = await get({ 'x-seb-sw': '1' });
+  assert.match(controlled, /src="https:\/\/cdn\.example\.net\/a\.png"/);
+});
@@ -0,0 +1,187 @@
+/**
+ * singleFlight.test.js
+ *
+ * Coalescing in singleFlight.js: shared promises, and streamFlight broadcasts with followers
+ * joining (caught up from the replay log, or too late for it) and leaving (one client, all of
+ * them, or the responder failing mid-way).
+ * Run with `npm test` (node:test, no dependencies).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const { singleFlight, streamFlight, flightStats } = require('../proxy/singleFlight');
+
+// an Express response as far as streamFlight uses it, keeping what was sent
+function fakeResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  res.statusCode = 200;
+  res.headers = {};
+  res.headersSent = false;
+  res.status = code => { res.statusCode = code; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  res.removeHeader = name => { delete res.headers[name.toLowerCase()]; };
+  res.send = body => { res.headersSent = true; res.end(body); return res; };
+  res.body = () => Buffer.concat(chunks).toString();
+  return res;
+}
+
+// a responder that answers out one step at a time: gate.next() lets the next step run
+function steppedResponder(steps) {
+  let release = null;
+  const gate = { calls: 0, out: null, next: () => { const r = release; release = null; if (r) r(); } };
+  gate.respond = async (out) => {
+    gate.calls++;
+    gate.out = out;
+    for (const step of steps) {
+      await new Promise(resolve => { release = resolve; });
+      step(out);
+    }
+  };
+  return gate;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const closed = res => new Promise(resolve => (res.closed ? resolve() : res.once('close', resolve)));
+
+test('singleFlight shares one call while it runs, then starts afresh', async () => {
+  let calls = 0;
+  let finish;
+  const work = () => { calls++; return new Promise(resolve => { finish = resolve; }); };
+  const a = singleFlight('doc', work);
+  const b = singleFlight('doc', work);
+  await tick();
+  finish('result');
+  assert.deepStrictEqual(await Promise.all([a, b]), ['result', 'result']);
+  assert.strictEqual(calls, 1);
+  await singleFlight('doc', async () => { calls++; });
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(flightStats().calls, 0);
+});
+
+test('singleFlight shares errors too', async () => {
+  const failing = () => Promise.reject(new Error('upstream down'));
+  const results = await Promise.allSettled([singleFlight('bad', failing), singleFlight('bad', failing)]);
+  assert.deepStrictEqual(results.map(r => r.reason.message), ['upstream down', 'upstream down']);
+});
+
+test('streamFlight: a follower gets what was sent before it joined, and the rest', async () => {
+  const gate = steppedResponder([
+    out => { out.status(201); out.setHeader('Content-Type', 'text/plain'); out.write('one '); },
+    out => out.write('two '),
+    out => out.end('three')
+  ]);
+  const first = fakeResponse();
+  const leader = streamFlight('join', first, gate.respond);
+  await tick();
+  gate.next();
+  await tick();
+
+  const late = fakeResponse();
+  const follower = streamFlight('join', late, gate.respond);
+  gate.next();
+  await tick();
+  gate.next();
+  await Promise.all([leader, follower, closed(first), closed(late)]);
+
+  assert.strictEqual(gate.calls, 1);
+  for (const res of [first, late]) {
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.headers['content-type'], 'text/plain');
+    assert.strictEqual(res.body(), 'one two three');
+  }
+  assert.strictEqual(flightStats().streams, 0);
+});
+
+test('streamFlight: one client leaving does not stop the others', async () => {
+  const gate = steppedResponder([out => out.write('a'), out => out.end('b')]);
+  const leaving = fakeResponse();
+  const staying = fakeResponse();
+  const flight = streamFlight('leave', leaving, gate.respond);
+  streamFlight('leave', staying, gate.respond);
+  await tick();
+  gate.next();
+  await tick();
+  leaving.destroy();
+  await tick();
+  gate.next();
+  await flight;
+  await closed(staying);
+  assert.strictEqual(gate.out.writableFinished, true);
+  assert.strictEqual(staying.body(), 'ab');
+  assert.strictEqual(leaving.body(), 'a');
+});
+
+test('streamFlight: the flight stops when every client has left, and the key is free again', async () => {
+  const gate = steppedResponder([out => out.write('a'), out => out.end('b')]);
+  const one = fakeResponse();
+  const two = fakeResponse();
+  streamFlight('abandon', one, gate.respond);
+  streamFlight('abandon', two, gate.respond);
+  await tick();
+  gate.next();
+  await tick();
+  one.destroy();
+  two.destroy();
+  await tick();
+  assert.strictEqual(gate.out.destroyed, true);
+  assert.strictEqual(flightStats().streams, 0);
+
+  const again = fakeResponse();
+  const next = steppedResponder([out => out.end('fresh')]);
+  const flight = streamFlight('abandon', again, next.respond);
+  await tick();
+  next.next();
+  await flight;
+  await closed(again);
+  assert.strictEqual(next.calls, 1);
+  assert.strictEqual(again.body(), 'fresh');
+  gate.next(); // let the abandoned responder finish (its writes are dropped)
+});
+
+test('streamFlight: past maxReplayBytes a newcomer makes its own request', async () => {
+  const gate = steppedResponder([out => out.write('0123456789'), out => out.end()]);
+  const first = fakeResponse();
+  const flight = streamFlight('replay', first, gate.respond, { maxReplayBytes: 4 });
+  await tick();
+  gate.next();
+  await tick();
+
+  const own = steppedResponder([out => out.end('own')]);
+  const late = fakeResponse();
+  const lateFlight = streamFlight('replay', late, own.respond, { maxReplayBytes: 4 });
+  await tick();
+  own.next();
+  gate.next();
+  await Promise.all([flight, lateFlight, closed(first), closed(late)]);
+  assert.strictEqual(own.calls, 1);
+  assert.strictEqual(first.body(), '0123456789');
+  assert.strictEqual(late.body(), 'own');
+});
+
+test('streamFlight: a responder failing mid-way takes every client down; before any output they get an error status', async () => {
+  const midway = steppedResponder([out => out.write('partial'), out => out.destroy(new Error('upstream reset'))]);
+  const a = fakeResponse();
+  const b = fakeResponse();
+  streamFlight('fail', a, midway.respond);
+  streamFlight('fail', b, midway.respond);
+  await tick();
+  midway.next();
+  await tick();
+  midway.next();
+  await Promise.all([closed(a), closed(b)]);
+  assert.strictEqual(a.writableFinished || b.writableFinished, false);
+  assert.strictEqual(flightStats().streams, 0);
+
+  const c = fakeResponse();
+  const d = fakeResponse();
+  const failing = async () => { throw Object.assign(new Error('refused'), { status: 503 }); };
+  await Promise.all([streamFlight('fail', c, failing), streamFlight('fail', d, failing)]);
+  assert.deepStrictEqual([c.statusCode, d.statusCode], [503, 503]);
+});
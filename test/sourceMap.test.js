@@ -0,0 +1,146 @@
+/**
+ * sourceMap.test.js
+ *
+ * Source maps for rewritten scripts (sourceMap.js): the mappings codec, sourceMappingURL
+ * detection, maps from the rewriter's edits back onto the original script, composing an
+ * upstream map with those edits, proxied map sources, and how rewriteJs links a script to
+ * its map. buildSourceMap runs against a stubbed fetcher.fetchDocument.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fetcher = require('../proxy/fetcher');
+const {
+  decodeMappings, encodeMappings, parseSourceMap, findSourceMappingUrl, composeSourceMap,
+  createEditMap, rewriteSourceMapSources, sourceMapHeader, buildSourceMap
+} = require('../proxy/sourceMap');
+const { rewriteJs, rewriteJsEdits, rewriteSourceMap } = require('../proxy/rewrite');
+
+const SCRIPT = 'https://example.com/js/app.js';
+const SOURCE = 'var a = 1;\nfetch("/x"); foo();\n';
+const res = url => '/resource?url=' + encodeURIComponent(url);
+
+const charAt = (text, line, column) => text.split('\n')[line][column];
+
+test('mappings decode to absolute values and encode back', () => {
+  const mappings = 'AAAA,SAASA;;AACA,EAAE';
+  assert.deepStrictEqual(decodeMappings(mappings), [[[0, 0, 0, 0], [9, 0, 0, 9, 0]], [], [[0, 0, 1, 9], [2, 0, 1, 11]]]);
+  assert.strictEqual(encodeMappings(decodeMappings(mappings)), mappings);
+  const big = [[[0, 3, 4000, 120], [70000, 0, 0, 0, 12]]];
+  assert.deepStrictEqual(decodeMappings(encodeMappings(big)), big);
+});
+
+test('parseSourceMap', () => {
+  const map = { version: 3, sources: ['a.js'], mappings: 'AAAA' };
+  assert.deepStrictEqual(parseSourceMap(JSON.stringify(map)), map);
+  assert.deepStrictEqual(parseSourceMap(')]}\'\n' + JSON.stringify(map)), map, 'XSSI prefix');
+  for (const text of ['nope', '{"version":2,"sources":[],"mappings":""}', '{"version":3,"sources":[]}', 'null']) {
+    assert.strictEqual(parseSourceMap(text), null, text);
+  }
+});
+
+test('findSourceMappingUrl: only the trailing comment counts', () => {
+  const js = 'var a;\n//# sourceMappingURL=app.js.map\n';
+  assert.deepStrictEqual(findSourceMappingUrl(js), { url: 'app.js.map', start: js.indexOf('app.js.map'), end: js.indexOf('app.js.map') + 10 });
+  assert.strictEqual(findSourceMappingUrl('var a;\n//@ sourceMappingURL=old.map').url, 'old.map');
+  assert.strictEqual(findSourceMappingUrl('var a;\n/*# sourceMappingURL=b.map */').url, 'b.map');
+  assert.strictEqual(findSourceMappingUrl('var s = "//# sourceMappingURL=x.map";\nrun(s);'), null);
+  assert.strictEqual(findSourceMappingUrl('var a;'), null);
+});
+
+test('sourceMapHeader', () => {
+  assert.strictEqual(sourceMapHeader(new Map([['sourcemap', '/a.map']])), '/a.map');
+  assert.strictEqual(sourceMapHeader(new Map([['x-sourcemap', '/b.map']])), '/b.map');
+  assert.strictEqual(sourceMapHeader(new Map()), null);
+});
+
+test('createEditMap maps the rewritten script back onto the original', () => {
+  const { code, edits } = rewriteJsEdits(SOURCE, SCRIPT);
+  assert.strictEqual(edits.length, 1);
+  const map = createEditMap(SOURCE, code, edits, SCRIPT);
+  assert.strictEqual(map.file, 'app.js');
+  assert.deepStrictEqual(map.sources, [SCRIPT]);
+  assert.deepStrictEqual(map.sourcesContent, [SOURCE]);
+  let checked = 0;
+  decodeMappings(map.mappings).forEach((segments, genLine) => {
+    for (const [genCol, , line, col] of segments) {
+      const offset = SOURCE.split('\n').slice(0, line).join('\n').length + (line ? 1 : 0) + col;
+      if (offset >= edits[0].start && offset < edits[0].end) continue; // inside the replaced string
+      assert.strictEqual(charAt(code, genLine, genCol), charAt(SOURCE, line, col), `${genLine}:${genCol}`);
+      checked++;
+    }
+  });
+  assert.ok(checked >= 10);
+});
+
+test('composeSourceMap moves generated positions and keeps the original ones', () => {
+  const { code, edits } = rewriteJsEdits(SOURCE, SCRIPT);
+  // the upstream map: "var" at 0:0 and "foo" at 1:13 come from src/app.ts
+  const upstream = { version: 3, sources: ['src/app.ts'], names: ['foo'], mappings: encodeMappings([[[0, 0, 10, 0]], [[13, 0, 20, 4, 0]]]) };
+  const composed = composeSourceMap(upstream, SOURCE, code, edits);
+  assert.deepStrictEqual(composed.sources, upstream.sources);
+  assert.deepStrictEqual(composed.names, upstream.names);
+  const lines = decodeMappings(composed.mappings);
+  assert.deepStrictEqual(lines[0], [[0, 0, 10, 0]]);
+  const [[genCol, ...original]] = lines[1];
+  assert.deepStrictEqual(original, [0, 20, 4, 0]);
+  assert.strictEqual(code.split('\n')[1].slice(genCol, genCol + 3), 'foo');
+});
+
+test('map sources become proxied absolute URLs', () => {
+  const map = { version: 3, sourceRoot: '../src', sources: ['a.ts', 'webpack://x/b.ts', null, 'https://cdn.example.net/c.js'], mappings: '' };
+  const out = rewriteSourceMapSources(map, 'https://example.com/js/app.js.map', abs => abs.includes('cdn') ? null : 'P:' + abs);
+  assert.deepStrictEqual(out.sources, ['P:https://example.com/src/a.ts', 'webpack://x/b.ts', null, 'https://cdn.example.net/c.js']);
+  assert.strictEqual(out.sourceRoot, undefined);
+
+  const served = JSON.parse(rewriteSourceMap(')]}\'\n' + JSON.stringify(map), 'https://example.com/js/app.js.map'));
+  assert.strictEqual(served.sources[0], res('https://example.com/src/a.ts'));
+  assert.strictEqual(rewriteSourceMap('not a map', 'https://example.com/x.map'), 'not a map');
+});
+
+test('rewriteJs links whole scripts to their map', () => {
+  const linked = url => new RegExp(`\\n//# sourceMappingURL=${url.replace(/[?.]/g, '\\$&')}\\n?$`);
+  // rewritten: the /sourcemap endpoint builds the composed map
+  assert.match(rewriteJs(SOURCE, SCRIPT, { sourceMap: true }), linked('/sourcemap?url=' + encodeURIComponent(SCRIPT)));
+  assert.match(rewriteJs(SOURCE, SCRIPT, { sourceMap: true, sourceMapUrl: '/maps/app.map' }),
+    linked(`/sourcemap?url=${encodeURIComponent(SCRIPT)}&map=${encodeURIComponent('https://example.com/maps/app.map')}`));
+  // unchanged: the upstream map still fits, only its URL is proxied
+  const own = rewriteJs('var a=1;\n//# sourceMappingURL=app.js.map', SCRIPT, { sourceMap: true });
+  assert.strictEqual(own, `var a=1;\n//# sourceMappingURL=${res('https://example.com/js/app.js.map')}`);
+  assert.match(rewriteJs('var a=1;', SCRIPT, { sourceMap: true, sourceMapUrl: '/maps/app.map' }), linked(res('https://example.com/maps/app.map')));
+  assert.strictEqual(rewriteJs('var a=1;', SCRIPT, { sourceMap: true }), 'var a=1;');
+  // inline scripts are not linked
+  assert.doesNotMatch(rewriteJs(SOURCE, SCRIPT), /sourceMappingURL/);
+});
+
+test('buildSourceMap', async (t) => {
+  const files = {};
+  t.mock.method(fetcher, 'fetchDocument', async (url) => {
+    if (!(url in files)) throw new Error('404 ' + url);
+    return { text: files[url], url };
+  });
+  const { code, edits } = rewriteJsEdits(SOURCE, SCRIPT);
+
+  await t.test('a script without a map gets one onto itself', async () => {
+    files[SCRIPT] = SOURCE;
+    assert.deepStrictEqual(await buildSourceMap({ scriptUrl: SCRIPT }), createEditMap(SOURCE, code, edits, SCRIPT));
+  });
+
+  await t.test('a linked upstream map is composed, its sources proxied', async () => {
+    const upstream = { version: 3, sources: ['../src/app.ts'], names: [], mappings: encodeMappings([[[0, 0, 10, 0]], [[13, 0, 20, 4]]]) };
+    files[SCRIPT] = SOURCE + '//# sourceMappingURL=app.js.map\n';
+    files['https://example.com/js/app.js.map'] = JSON.stringify(upstream);
+    const map = await buildSourceMap({ scriptUrl: SCRIPT });
+    assert.deepStrictEqual(map.sources, [res('https://example.com/src/app.ts')]);
+    assert.strictEqual(decodeMappings(map.mappings)[1][0][0], 13 + edits[0].text.length - (edits[0].end - edits[0].start));
+  });
+
+  await t.test('a header map overrides the comment; data: maps are read in place', async () => {
+    const inline = { version: 3, sources: ['inline.ts'], names: [], mappings: 'AAAA' };
+    files[SCRIPT] = SOURCE + '//# sourceMappingURL=gone.map\n';
+    const mapUrl = 'data:application/json;base64,' + Buffer.from(JSON.stringify(inline)).toString('base64');
+    const map = await buildSourceMap({ scriptUrl: SCRIPT, mapUrl });
+    assert.deepStrictEqual(map.sources, [res('https://example.com/js/inline.ts')]);
+  });
+});
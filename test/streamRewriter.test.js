@@ -0,0 +1,151 @@
+/**
+ * streamRewriter.test.js
+ *
+ * The streaming rewriters of streamRewriter.js: output independent of chunk boundaries (multi-
+ * byte characters included), where the CSS stream may cut, which subresource types get a
+ * rewriter, the size limit, and pipeToResponse failing before versus during the body.
+ * Run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Readable } = require('stream');
+const {
+  createHtmlRewriteStream,
+  createCssRewriteStream,
+  createJsRewriteStream,
+  createResourceRewriteStream,
+  createLimitStream,
+  pipeToResponse,
+  findCssCut
+} = require('../proxy/streamRewriter');
+const { rewriteHtml, rewriteCss } = require('../proxy/rewrite');
+const { bufferBody } = require('../proxy/httpCache');
+
+const PAGE = 'https://example.com/dir/index.html';
+const HTML = '<!doctype html><html><head><title>Café ☕</title><link rel=stylesheet href=s.css></head>'
+  + '<body><p>naïve — 日本語</p><img src="a b.png"><a href=next>→</a></body></html>';
+const CSS = '@import "x.css" screen;\n.a { background: url(a.png); content: "};(" }\n'
+  + '/* url(not-me.png) ; } */\n@font-face { src: url(f.woff2) format("woff2"), url(f.woff) }\n.b{color:red}';
+
+// body fed to the stream n bytes at a time
+const slices = (buffer, n) => {
+  const out = [];
+  for (let i = 0; i < buffer.length; i += n) out.push(buffer.subarray(i, i + n));
+  return out;
+};
+const run = (stream, chunks) => bufferBody(Readable.from(chunks), [stream]).then(b => b.toString('utf8'));
+
+test('createHtmlRewriteStream matches rewriteHtml however the bytes are split', async () => {
+  const expected = rewriteHtml(HTML, PAGE);
+  const bytes = Buffer.from(HTML, 'utf8');
+  for (const n of [1, 2, 3, 16, bytes.length]) {
+    assert.strictEqual(await run(createHtmlRewriteStream(PAGE, { charset: 'utf-8' }), slices(bytes, n)), expected, `slices of ${n}`);
+  }
+});
+
+test('createHtmlRewriteStream decodes the declared charset to UTF-8', async () => {
+  const latin1 = Buffer.from('<p>caf\xe9</p>', 'latin1');
+  assert.strictEqual(await run(createHtmlRewriteStream(PAGE, { charset: 'iso-8859-1', runtimeScript: false }), [latin1]), '<p>café</p>');
+});
+
+test('createCssRewriteStream matches rewriteCss however the bytes are split', async () => {
+  const expected = rewriteCss(CSS, PAGE);
+  assert.ok(expected.includes('not-me.png') && !expected.includes('url(a.png)'));
+  const bytes = Buffer.from(CSS, 'utf8');
+  for (const n of [1, 4, 9, bytes.length]) {
+    assert.strictEqual(await run(createCssRewriteStream(PAGE), slices(bytes, n)), expected, `slices of ${n}`);
+  }
+});
+
+test('findCssCut cuts after a complete declaration or block only', () => {
+  assert.strictEqual(findCssCut('a{b:c}d{e:f'), 6);
+  assert.strictEqual(findCssCut('a{content:"};"'), 0);
+  assert.strictEqual(findCssCut('a{background:url(x;y)'), 0);
+  assert.strictEqual(findCssCut('a{b:c;} /* ; } '), 7);
+  assert.strictEqual(findCssCut(''), 0);
+});
+
+test('createJsRewriteStream rewrites the whole script once the body ends', async () => {
+  const out = await run(createJsRewriteStream(PAGE, { sourceMap: false }), slices(Buffer.from('fetch("/api/x");'), 3));
+  assert.match(out, /fetch\(/);
+  assert.notStrictEqual(out, 'fetch("/api/x");');
+});
+
+test('createResourceRewriteStream picks a rewriter by type, and by URL for manifests and source maps', () => {
+  const has = (type, url = 'https://example.com/x') => createResourceRewriteStream(type, url) !== null;
+  assert.ok(has('text/css; charset=utf-8'));
+  assert.ok(has('application/javascript'));
+  assert.ok(has('text/ecmascript'));
+  assert.ok(has('image/svg+xml'));
+  assert.ok(has('application/manifest+json'));
+  assert.ok(has('application/json', 'https://example.com/site.webmanifest'));
+  assert.ok(has('application/json', 'https://example.com/app.js.map?v=1'));
+  assert.ok(has('', 'https://example.com/app.js.map'));
+  assert.ok(!has('application/json', 'https://example.com/data.json'));
+  assert.ok(!has('image/png'));
+  assert.ok(!has('text/html', 'https://example.com/app.js.map'));
+});
+
+test('createResourceRewriteStream gives SVG no page runtime', async () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg"><image href="i.png"/></svg>';
+  const out = await run(createResourceRewriteStream('image/svg+xml', PAGE), [Buffer.from(svg)]);
+  assert.ok(!out.includes('proxyRuntime'));
+  assert.match(out, /href="\/resource\?url=https%3A%2F%2Fexample\.com%2Fdir%2Fi\.png"/);
+});
+
+test('createLimitStream fails with 413 past maxBytes', async () => {
+  assert.strictEqual((await bufferBody(Readable.from([Buffer.alloc(5), Buffer.alloc(5)]), [createLimitStream(10)])).length, 10);
+  await assert.rejects(bufferBody(Readable.from([Buffer.alloc(5), Buffer.alloc(6)]), [createLimitStream(10)]),
+    err => err.status === 413 && err.code === 'ECONTENTTOOLARGE');
+});
+
+test('pipeToResponse', async (t) => {
+  const outcomes = [];
+  const server = http.createServer((req, res) => {
+    const source = Readable.from([Buffer.alloc(8), Buffer.alloc(8)]);
+    // /late sends its headers first
+    if (req.url === '/late') res.flushHeaders();
+    // /early fails on the first chunk, /late on the second
+    const limit = { '/ok': 0, '/early': 4, '/late': 10 }[req.url];
+    pipeToResponse(source, [createLimitStream(limit)], res).then(
+      () => outcomes.push([req.url, 'resolved']),
+      err => {
+        outcomes.push([req.url, err.status]);
+        res.statusCode = err.status;
+        res.end('too large');
+      }
+    );
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const get = path => new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${server.address().port}${path}`, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks), complete: res.complete }));
+      res.on('error', () => resolve({ status: res.statusCode, aborted: true }));
+      res.on('aborted', () => resolve({ status: res.statusCode, aborted: true }));
+    }).on('error', reject);
+  });
+
+  await t.test('a complete body is sent and resolves', async () => {
+    const res = await get('/ok');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.length, 16);
+  });
+
+  await t.test('a failure before the headers rejects, leaving the response usable', async () => {
+    const res = await get('/early');
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual(res.body.toString(), 'too large');
+  });
+
+  await t.test('a failure mid-body aborts the connection', async () => {
+    const res = await get('/late');
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.aborted || !res.complete);
+    assert.deepStrictEqual(outcomes.find(o => o[0] === '/late'), ['/late', 'resolved']);
+  });
+});
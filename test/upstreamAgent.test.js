@@ -0,0 +1,146 @@
+/**
+ * upstreamAgent.test.js
+ *
+ * Slot accounting in the upstream connection pool: every request gives its slot back, whether
+ * its body was read, retried past (5xx), dropped half-way or never touched, and requests that
+ * cannot get one leave the queue on timeout or abort.
+ * Run with `npm test` (node:test, no dependencies); talks to a local server on 127.0.0.1, every
+ * request checked with allowLocal as the proxy's own callers do.
+ */
+
+// small limits, read by config.js when the pool is first required
+process.env.UPSTREAM_MAX_SOCKETS_PER_HOST = '2';
+process.env.UPSTREAM_QUEUE_TIMEOUT_MS = '1000';
+process.env.UPSTREAM_UNREAD_BODY_TIMEOUT_MS = '200';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Writable } = require('stream');
+const { fetch, poolStats } = require('../proxy/upstreamAgent');
+const { streamToResponse, fetchText } = require('../proxy/fetcher');
+const { checkTarget } = require('../proxy/validator');
+
+const BIG = Buffer.alloc(256 * 1024, 'x'); // more than a socket buffers, so an unread body stalls
+
+const server = http.createServer((req, res) => {
+  const reply = () => {
+    res.writeHead(req.url.startsWith('/error') ? 500 : 200, { 'Content-Type': 'application/octet-stream' });
+    res.end(BIG);
+  };
+  if (!req.url.startsWith('/slow')) return reply();
+  const timer = setTimeout(reply, 5000);
+  req.on('close', () => clearTimeout(timer));
+});
+let base = '';
+
+// an Express response that throws away what it is sent
+function sink() {
+  const res = new Writable({ write(chunk, encoding, callback) { callback(); } });
+  res.statusCode = 200;
+  res.headers = {};
+  res.headersSent = false;
+  res.status = code => { res.statusCode = code; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  res.getHeader = name => res.headers[name.toLowerCase()];
+  res.removeHeader = name => { delete res.headers[name.toLowerCase()]; };
+  res.set = res.setHeader;
+  res.type = () => res;
+  res.send = () => { res.headersSent = true; res.end(); return res; };
+  return res;
+}
+
+// slots are given back when a body ends or closes, a tick or two after the caller is done
+async function idle(timeoutMs = 1000) {
+  const until = Date.now() + timeoutMs;
+  while (poolStats().active && Date.now() < until) await new Promise(resolve => setTimeout(resolve, 10));
+  return poolStats().active;
+}
+
+// the pool itself checks nothing: go through the same SSRF check as the fetcher, local allowed
+function upstream(url, options) {
+  const check = checkTarget(url, { allowLocal: true });
+  if (!check.valid) throw new Error(`${url}: ${check.reason}`);
+  return fetch(url, options);
+}
+
+test.before(() => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('5xx responses retried past give their slots back (streamToResponse, fetchText)', async () => {
+  // more attempts than there are slots: a leaked one would stall the rest into EQUEUETIMEOUT
+  for (let i = 0; i < 3; i++) {
+    await streamToResponse(`${base}/error/stream${i}`, sink(), { allowLocal: true, useCache: false, retries: 1 });
+  }
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(fetchText(`${base}/error/text${i}`, { allowLocal: true, useCache: false, retries: 1 }));
+  }
+  assert.strictEqual(await idle(), 0);
+  assert.strictEqual(poolStats().totals.queueTimeouts, 0);
+  assert.deepStrictEqual(poolStats().hosts, {});
+});
+
+test('a body dropped half-way gives its slot back', async () => {
+  const res = await upstream(`${base}/ok/dropped`);
+  await new Promise(resolve => res.body.once('data', resolve));
+  res.body.destroy();
+  assert.strictEqual(await idle(), 0);
+});
+
+test('a body nobody reads is destroyed after unreadBodyTimeoutMs, freeing its slot', async () => {
+  const before = poolStats().totals.unreadBodies;
+  await upstream(`${base}/ok/unread1`);
+  await upstream(`${base}/ok/unread2`);
+
+  // both slots are held until the fallback destroys a body
+  const third = await upstream(`${base}/ok/read`);
+  assert.ok(poolStats().totals.unreadBodies > before);
+  assert.strictEqual((await third.buffer()).length, BIG.length);
+  assert.strictEqual(await idle(), 0);
+  assert.strictEqual(poolStats().totals.unreadBodies, before + 2);
+});
+
+test('a queued request times out with EQUEUETIMEOUT and leaves the queue', async () => {
+  const controller = new AbortController();
+  const holders = [1, 2].map(i => upstream(`${base}/slow/${i}`, { signal: controller.signal }).catch(e => e));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const before = poolStats().totals.queueTimeouts;
+
+  await assert.rejects(upstream(`${base}/ok/queued`), { code: 'EQUEUETIMEOUT' });
+  assert.strictEqual(poolStats().queued, 0);
+  assert.strictEqual(poolStats().totals.queueTimeouts, before + 1);
+
+  controller.abort();
+  for (const result of await Promise.all(holders)) assert.strictEqual(result.name, 'AbortError');
+  assert.strictEqual(await idle(), 0);
+});
+
+test('an aborted request leaves the queue without taking a slot', async () => {
+  const holding = new AbortController();
+  const holders = [1, 2].map(i => upstream(`${base}/slow/${i}`, { signal: holding.signal }).catch(e => e));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const before = poolStats().totals.aborted;
+
+  const waiting = new AbortController();
+  const queued = upstream(`${base}/ok/aborted`, { signal: waiting.signal });
+  assert.strictEqual(poolStats().queued, 1);
+  waiting.abort();
+  await assert.rejects(queued, { name: 'AbortError' });
+  assert.strictEqual(poolStats().queued, 0);
+  assert.strictEqual(poolStats().totals.aborted, before + 1);
+  assert.strictEqual(poolStats().active, 2);
+
+  holding.abort();
+  await Promise.all(holders);
+  assert.strictEqual(await idle(), 0);
+  assert.deepStrictEqual(poolStats().hosts, {});
+});
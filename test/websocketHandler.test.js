@@ -0,0 +1,85 @@
+/**
+ * websocketHandler.test.js
+ *
+ * WebSocket targets go through the SSRF checks before the proxy connects to them (and before
+ * the session's cookies could be sent): local targets are refused unless allowLocal is set.
+ * Run with `npm test` (node:test); talks to local WebSocket servers on 127.0.0.1.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { websocketHandler, checkWsTarget } = require('../proxy/websocketHandler');
+const { createUrlCodec } = require('../proxy/urlCodec');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// a proxy on its own port, in front of an echo server that counts its connections
+async function setup(t, options) {
+  const upstream = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => upstream.on('listening', resolve));
+  let connections = 0;
+  upstream.on('connection', socket => {
+    connections++;
+    socket.on('message', msg => socket.send(String(msg)));
+  });
+  const server = http.createServer();
+  const wsServer = websocketHandler(server, Object.assign({ codec: createUrlCodec({ name: 'plain' }) }, options));
+  const port = await listen(server);
+  t.after(() => {
+    for (const socket of wsServer.clients) socket.terminate();
+    for (const socket of upstream.clients) socket.terminate();
+    wsServer.close();
+    upstream.close();
+    server.close();
+  });
+  const target = `ws://127.0.0.1:${upstream.address().port}/chat`;
+  return {
+    connections: () => connections,
+    open: () => new WebSocket(`ws://127.0.0.1:${port}/?target=${encodeURIComponent(target)}`)
+  };
+}
+
+test('checkWsTarget', async (t) => {
+  await t.test('checks the http(s) form of ws: and wss: URLs', () => {
+    assert.strictEqual(checkWsTarget('wss://chat.example.com/socket').valid, true);
+    assert.strictEqual(checkWsTarget('ws://10.1.2.3/').status, 403);
+    assert.strictEqual(checkWsTarget('wss://[::1]:8080/').valid, false);
+    assert.strictEqual(checkWsTarget('ws://169.254.169.254/').valid, false);
+  });
+
+  await t.test('refuses other schemes and bad URLs', () => {
+    assert.strictEqual(checkWsTarget('http://example.com/').valid, false);
+    assert.strictEqual(checkWsTarget('not a url').valid, false);
+  });
+
+  await t.test('allowLocal lets local targets through', () => {
+    assert.strictEqual(checkWsTarget('ws://127.0.0.1:9000/', { allowLocal: true }).valid, true);
+  });
+});
+
+test('a local target is refused before the proxy connects to it', async (t) => {
+  const { open, connections } = await setup(t, {});
+  const client = open();
+  const messages = [];
+  client.on('message', msg => messages.push(JSON.parse(msg)));
+  const code = await new Promise(resolve => client.on('close', resolve));
+  assert.strictEqual(code, 1008);
+  assert.match(messages[0].error, /blacklisted|Local network/);
+  assert.strictEqual(connections(), 0);
+});
+
+test('with allowLocal the proxy relays to a local target', async (t) => {
+  const { open, connections } = await setup(t, { allowLocal: true });
+  const client = open();
+  await new Promise(resolve => client.on('open', resolve));
+  // the upstream side connects asynchronously: retry until the echo comes back
+  const reply = await new Promise(resolve => {
+    const timer = setInterval(() => client.send('ping'), 20);
+    client.once('message', msg => { clearInterval(timer); resolve(String(msg)); });
+  });
+  client.close();
+  assert.strictEqual(reply, 'ping');
+  assert.strictEqual(connections(), 1);
+});